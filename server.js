@@ -3,22 +3,210 @@ const cors = require('cors');
 const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const nodemailer = require('nodemailer');
+const QRCode = require('qrcode');
+
+const scryptAsync = promisify(crypto.scrypt);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Signed data outlives the process (printed QR codes, open quotes, pending payments), so its secrets
+// are configured rather than generated per start. Production refuses to start without them (see the
+// check before app.listen); anywhere else a fixed, publicly known development value stands in.
+const REQUIRED_SECRETS = ['TICKET_SECRET', 'QUOTE_SIGNING_SECRET', 'PAYMENT_SIGNING_SECRET'];
+function getSigningSecret(name) {
+    return process.env[name] || (IS_PRODUCTION ? null : `insecure-development-${name.toLowerCase().replace(/_/g, '-')}`);
+}
+
+// Admin roles: viewer (chỉ xem), agent (vận hành chuyến bay/đặt chỗ), finance (thanh toán/khuyến mãi), superadmin (toàn quyền)
+const ADMIN_ROLES = ['viewer', 'agent', 'finance', 'superadmin'];
+const ADMIN_SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS, 10) || 12;
+const CUSTOMER_SESSION_TTL_DAYS = parseInt(process.env.CUSTOMER_SESSION_TTL_DAYS, 10) || 30;
+
+// Unpaid/pending bookings hold their seats for this long before they are expired automatically
+const BOOKING_HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 30;
+const BOOKING_EXPIRY_CHECK_SECONDS = parseInt(process.env.BOOKING_EXPIRY_CHECK_SECONDS, 10) || 60;
+// Once a customer reports a payment, its seats stay held this long for staff or the bank statement to confirm it
+const PAYMENT_REVIEW_HOLD_HOURS = parseInt(process.env.PAYMENT_REVIEW_HOLD_HOURS, 10) || 48;
+
+// Bookings in these statuses no longer hold seats
+const INACTIVE_BOOKING_STATUSES = ['cancelled', 'refunded', 'expired'];
+
+// Booking lifecycle: the statuses a booking may move to from each status.
+// cancelled, refunded and expired are final; refunded is only reached through the refund workflow,
+// which is also the only way out of paid - cancelling a paid booking is a refund, with its fees and records.
+const BOOKING_STATUS_TRANSITIONS = {
+    unpaid: ['pending', 'paid', 'cancelled', 'expired'],
+    pending: ['unpaid', 'paid', 'cancelled', 'expired'],
+    paid: ['refunded'],
+    cancelled: [],
+    refunded: [],
+    expired: []
+};
+const BOOKING_STATUSES = Object.keys(BOOKING_STATUS_TRANSITIONS);
+// Statuses customers may set themselves: report a payment as sent, or cancel
+const CUSTOMER_BOOKING_STATUSES = ['pending', 'cancelled'];
+
+// Cabin layouts used to generate seat maps, front to back. Each group is a block of seats between aisles.
+const CABIN_LAYOUTS = {
+    FIRST: [['A'], ['D', 'G'], ['K']],
+    BUSINESS: [['A', 'C'], ['D', 'F']],
+    PREMIUM_ECONOMY: [['A', 'B', 'C'], ['D', 'E', 'F']],
+    ECONOMY: [['A', 'B', 'C'], ['D', 'E', 'F']]
+};
+const CABIN_ORDER = ['FIRST', 'BUSINESS', 'PREMIUM_ECONOMY', 'ECONOMY'];
+
+// Connecting itineraries: allowed layover window and maximum number of stops
+const MIN_CONNECTION_MINUTES = parseInt(process.env.MIN_CONNECTION_MINUTES, 10) || 45;
+const MAX_CONNECTION_MINUTES = parseInt(process.env.MAX_CONNECTION_MINUTES, 10) || 360;
+const MAX_ITINERARY_STOPS = parseInt(process.env.MAX_ITINERARY_STOPS, 10) || 2;
+
+// Departure time-of-day windows for flight search filters (HH:MM, end exclusive)
+const TIME_OF_DAY_WINDOWS = {
+    night: ['00:00', '06:00'],
+    morning: ['06:00', '12:00'],
+    afternoon: ['12:00', '18:00'],
+    evening: ['18:00', '24:00']
+};
+const MAX_PAGE_SIZE = 100;
+
+// Dynamic pricing: rule types applied on top of the base fare, in this order, and the rounding of the result (VND)
+const FARE_RULE_TYPES = ['load_factor', 'days_before', 'weekday', 'time_of_day'];
+const FARE_ROUNDING = 1000;
+// Fare quotes lock the engine price for this long; a booking must present a valid, unused quote
+const FARE_QUOTE_TTL_MINUTES = parseInt(process.env.FARE_QUOTE_TTL_MINUTES, 10) || 15;
+// Signs fare quote ids
+const QUOTE_SIGNING_SECRET = getSigningSecret('QUOTE_SIGNING_SECRET');
+
+// Promotion rules that depend on other bookings; they are checked again when the booking is saved
+const PROMOTION_LIMIT_RULES = ['first_booking', 'email_limit', 'customer_limit'];
+
+// Ancillary service categories; a passenger can buy at most one option of each per flight
+const ANCILLARY_CATEGORIES = ['baggage', 'meal', 'insurance', 'priority_boarding'];
+const ANCILLARY_CATEGORY_LABELS = {
+    baggage: 'Hành lý ký gửi',
+    meal: 'Suất ăn',
+    insurance: 'Bảo hiểm du lịch',
+    priority_boarding: 'Ưu tiên lên máy bay'
+};
+// Legacy selectedServices flags map to these catalog items (the old fixed 23 kg allowance fits the 25 kg tier)
+const LEGACY_SERVICE_ANCILLARIES = {
+    luggage: 'BAG25',
+    meal: 'MEAL_STANDARD',
+    insurance: 'INS_BASIC'
+};
+
+// Time zone for airports missing from the airports table and for times not tied to a flight
+const DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+
+// Unicode font for PDFs - the built-in PDF fonts cannot render Vietnamese
+const PDF_FONT_REGULAR = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const PDF_FONT_BOLD = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+// Tên trạng thái đơn hàng dùng trong báo cáo
+const PAYMENT_STATUS_LABELS = {
+    unpaid: 'Chưa thanh toán',
+    pending: 'Chờ xác nhận',
+    paid: 'Đã thanh toán',
+    cancelled: 'Đã hủy',
+    refunded: 'Đã hoàn tiền',
+    expired: 'Hết hạn giữ chỗ'
+};
+
+// Tên hạng ghế in trên vé
+const SEAT_CLASS_LABELS = {
+    ECONOMY: 'Phổ thông',
+    PREMIUM_ECONOMY: 'Phổ thông đặc biệt',
+    BUSINESS: 'Thương gia',
+    FIRST: 'Hạng nhất'
+};
+
+// E-tickets: ticket numbers start with the airline's 3-digit prefix, QR codes are signed with TICKET_SECRET
+const TICKET_NUMBER_PREFIX = process.env.TICKET_NUMBER_PREFIX || '738';
+const TICKET_SIGNING_SECRET = getSigningSecret('TICKET_SECRET');
+
+// Disruptions: how far after a cancelled flight's departure an alternative flight may leave
+const DISRUPTION_REBOOK_WINDOW_HOURS = parseInt(process.env.DISRUPTION_REBOOK_WINDOW_HOURS, 10) || 72;
+
+// Booking modifications. Fees only apply to ticketed (paid) bookings; the flight change fee is per passenger
+// and changed direction, by the cabin the ticket was bought in
+const BOOKING_MODIFICATION_TYPES = ['change_flight', 'edit_passenger', 'add_passengers', 'remove_passengers'];
+const FLIGHT_CHANGE_FEES = { FIRST: 0, BUSINESS: 0, PREMIUM_ECONOMY: 200000, ECONOMY: 300000 };
+// Name policy: up to this many letters fixed is a free spelling correction, anything more is a name change
+const NAME_CORRECTION_MAX_EDITS = parseInt(process.env.NAME_CORRECTION_MAX_EDITS, 10) || 3;
+const NAME_CHANGE_FEE = parseInt(process.env.NAME_CHANGE_FEE, 10) || 500000;
+// Flight and name changes close this many hours before the departure they affect
+const MODIFICATION_CUTOFF_HOURS = parseInt(process.env.MODIFICATION_CUTOFF_HOURS, 10) || 3;
+// Passenger fields that can be edited, request field -> booking_details column
+const PASSENGER_EDIT_FIELDS = { fullName: 'full_name', passportNumber: 'passport_number', dob: 'dob', gender: 'gender' };
+
+// Online check-in window, relative to each flight's departure time
+const CHECKIN_OPENS_HOURS = parseInt(process.env.CHECKIN_OPENS_HOURS, 10) || 24;
+const CHECKIN_CLOSES_MINUTES = parseInt(process.env.CHECKIN_CLOSES_MINUTES, 10) || 60;
+// Cabin codes used in boarding pass barcodes
+const BCBP_COMPARTMENT_CODES = {
+    FIRST: 'F',
+    BUSINESS: 'J',
+    PREMIUM_ECONOMY: 'W',
+    ECONOMY: 'Y'
+};
+
+// Payment methods a booking can be paid with - one provider adapter each (see PAYMENT_PROVIDERS)
+const PAYMENT_METHODS = ['bank_transfer', 'momo', 'vnpay', 'card', 'mock'];
+const PAYMENT_INTENT_TTL_MINUTES = parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES, 10) || 15;
+// Public address of this server, used in redirect and webhook URLs handed to payment providers
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// Signs payment intents
+const PAYMENT_SIGNING_SECRET = getSigningSecret('PAYMENT_SIGNING_SECRET');
+
+// Column names banks use in CSV statement exports, lowercase and without accents
+const STATEMENT_CSV_COLUMNS = {
+    date: ['ngay giao dich', 'ngay hach toan', 'ngay', 'transaction date', 'posting date', 'value date', 'date'],
+    credit: ['so tien ghi co', 'ghi co', 'tien vao', 'credit amount', 'credit'],
+    debit: ['so tien ghi no', 'ghi no', 'tien ra', 'debit amount', 'debit'],
+    amount: ['so tien', 'transaction amount', 'amount'],
+    description: ['noi dung giao dich', 'noi dung', 'dien giai', 'mo ta', 'description', 'memo', 'remark', 'narrative', 'details'],
+    reference: ['so tham chieu', 'ma giao dich', 'so giao dich', 'reference number', 'reference', 'transaction id', 'ref'],
+    currency: ['loai tien', 'tien te', 'currency']
+};
+
+// Customer notifications (see NOTIFICATION_TEMPLATES / NOTIFICATION_TRANSPORTS).
+// Transports: smtp (email), http (SMS gateway), file and console (local testing)
+const NOTIFICATION_LOCALES = ['vi', 'en'];  // The first one is the default
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+const SMS_TRANSPORT = process.env.SMS_TRANSPORT || (process.env.SMS_API_URL ? 'http' : 'console');
+const NOTIFICATION_FILE = process.env.NOTIFICATION_FILE || path.join(__dirname, 'notifications.log');
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+// Wait before the first retry; doubled after every further failure
+const NOTIFICATION_RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 60;
+const NOTIFICATION_WORKER_SECONDS = parseInt(process.env.NOTIFICATION_WORKER_SECONDS, 10) || 15;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body too - payment webhooks are signed over the exact bytes that were sent
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
+app.use(express.urlencoded({ extended: false }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Database setup
 let db;
 async function setupDatabase() {
-    db = await open({
+    db = queueOutsideTransactions(await open({
         filename: path.join(__dirname, 'database.sqlite'),
         driver: sqlite3.Database
-    });
+    }));
 
     // Create flights table if it doesn't exist
     await db.exec(`
@@ -82,7 +270,7 @@ async function setupDatabase() {
         -- Bảng PAYMENTS
         CREATE TABLE IF NOT EXISTS payments (
             booking_id TEXT PRIMARY KEY,
-            method TEXT NOT NULL CHECK (method IN ('bank_transfer', 'momo')),
+            method TEXT NOT NULL CHECK (method IN ('bank_transfer', 'momo', 'vnpay', 'card', 'mock')),
             transaction_info TEXT, -- Tùy chọn: có thể là tên người chuyển khoản hoặc số điện thoại MoMo
             payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (booking_id) REFERENCES bookings(booking_id)
@@ -102,8 +290,529 @@ async function setupDatabase() {
             used_count INTEGER DEFAULT 0,
             status TEXT DEFAULT 'active' CHECK(status IN ('active', 'inactive', 'scheduled', 'expired'))
         );
+
+        -- Bảng ADMIN_USERS
+        CREATE TABLE IF NOT EXISTS admin_users (
+            admin_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE,
+            password_hash TEXT NOT NULL,            -- scrypt$salt$hash
+            full_name TEXT,
+            role TEXT NOT NULL DEFAULT 'viewer' CHECK(role IN ('viewer', 'agent', 'finance', 'superadmin')),
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_login_at DATETIME
+        );
+
+        -- Bảng ADMIN_SESSIONS (chỉ lưu hash của token)
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+            token_hash TEXT PRIMARY KEY,
+            admin_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            FOREIGN KEY (admin_id) REFERENCES admin_users(admin_id)
+        );
+
+        -- Bảng CUSTOMERS (tài khoản khách hàng)
+        CREATE TABLE IF NOT EXISTS customers (
+            customer_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT NOT NULL UNIQUE,             -- Lưu dạng chữ thường
+            password_hash TEXT NOT NULL,
+            full_name TEXT NOT NULL,
+            phone TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_login_at DATETIME
+        );
+
+        -- Bảng CUSTOMER_SESSIONS
+        CREATE TABLE IF NOT EXISTS customer_sessions (
+            token_hash TEXT PRIMARY KEY,
+            customer_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            FOREIGN KEY (customer_id) REFERENCES customers(customer_id)
+        );
+
+        -- Bảng SAVED_PASSENGERS (hồ sơ hành khách đã lưu)
+        CREATE TABLE IF NOT EXISTS saved_passengers (
+            saved_passenger_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            customer_id INTEGER NOT NULL,
+            full_name TEXT NOT NULL,
+            gender TEXT,
+            dob TEXT,
+            passport_number TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (customer_id) REFERENCES customers(customer_id)
+        );
+
+        -- Bảng FLIGHT_SEATS (sơ đồ ghế, sinh tự động từ số ghế của từng hạng)
+        CREATE TABLE IF NOT EXISTS flight_seats (
+            seat_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            flight_id INTEGER NOT NULL,
+            seat_number TEXT NOT NULL,              -- VD: 12A
+            row_number INTEGER NOT NULL,
+            seat_letter TEXT NOT NULL,
+            seat_class TEXT NOT NULL,
+            is_window BOOLEAN DEFAULT 0,
+            is_aisle BOOLEAN DEFAULT 0,
+            is_exit_row BOOLEAN DEFAULT 0,
+            detail_id INTEGER,                      -- Hành khách đang giữ ghế (NULL = còn trống)
+            UNIQUE (flight_id, seat_number),
+            FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+            FOREIGN KEY (detail_id) REFERENCES booking_details(detail_id)
+        );
+
+        -- Bảng BOOKING_SEGMENTS (từng chặng bay của một đơn, hỗ trợ hành trình nối chuyến)
+        CREATE TABLE IF NOT EXISTS booking_segments (
+            segment_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            booking_id TEXT NOT NULL,
+            flight_id INTEGER NOT NULL,
+            direction TEXT NOT NULL DEFAULT 'outbound' CHECK(direction IN ('outbound', 'return')),
+            segment_order INTEGER NOT NULL DEFAULT 1, -- Thứ tự chặng trong cùng chiều bay
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id),
+            FOREIGN KEY (flight_id) REFERENCES flights(flight_id)
+        );
+
+        -- Bảng REFUND_FEE_RULES (phí hủy theo hạng vé và thời gian trước giờ bay)
+        CREATE TABLE IF NOT EXISTS refund_fee_rules (
+            rule_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            seat_class TEXT NOT NULL DEFAULT 'ALL',  -- ECONOMY, BUSINESS, ... hoặc ALL cho mọi hạng
+            min_hours_before INTEGER NOT NULL DEFAULT 0, -- Áp dụng khi còn ít nhất N giờ trước giờ bay
+            fee_type TEXT NOT NULL DEFAULT 'percent' CHECK(fee_type IN ('percent', 'fixed')),
+            fee_value REAL NOT NULL DEFAULT 0,
+            is_refundable BOOLEAN DEFAULT 1,         -- 0 = không được hoàn trong khung giờ này
+            description TEXT
+        );
+
+        -- Bảng FARE_RULES (giá động: điều chỉnh giá gốc theo tỷ lệ lấp đầy, số ngày trước giờ bay, thứ và giờ bay)
+        CREATE TABLE IF NOT EXISTS fare_rules (
+            rule_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_type TEXT NOT NULL CHECK(rule_type IN ('load_factor', 'days_before', 'weekday', 'time_of_day')),
+            seat_class TEXT NOT NULL DEFAULT 'ALL',  -- ECONOMY, BUSINESS, ... hoặc ALL cho mọi hạng
+            threshold REAL,                          -- load_factor: từ N% ghế đã bán; days_before: còn dưới N ngày
+            match_value TEXT,                        -- weekday: 1 (Thứ Hai) ... 7; time_of_day: night, morning, afternoon, evening
+            adjust_percent REAL NOT NULL DEFAULT 0,  -- % tăng giá (âm = giảm giá)
+            description TEXT,
+            is_active BOOLEAN DEFAULT 1
+        );
+
+        -- Bảng FARE_QUOTES (báo giá do server tính, giữ giá vài phút; mỗi báo giá dùng cho đúng một đặt chỗ)
+        CREATE TABLE IF NOT EXISTS fare_quotes (
+            quote_id TEXT PRIMARY KEY,              -- VD: fq_3f9c...
+            request_hash TEXT NOT NULL,             -- Băm của chuyến bay, hạng ghế, loại hành khách, dịch vụ và mã khuyến mãi
+            seat_class TEXT NOT NULL,
+            total_amount REAL NOT NULL,
+            currency TEXT NOT NULL DEFAULT 'VND',
+            breakdown TEXT NOT NULL,                -- JSON: giá từng hành khách, từng chặng, dịch vụ và giảm giá
+            promo_code TEXT,                        -- Mã khuyến mãi đã áp dụng trong báo giá
+            signature TEXT NOT NULL,                -- HMAC của báo giá, gửi kèm mã báo giá cho khách
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            booking_id TEXT,                        -- Đặt chỗ đã dùng báo giá này
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id)
+        );
+
+        -- Bảng ANCILLARIES (danh mục dịch vụ bổ trợ: hành lý ký gửi, suất ăn, bảo hiểm, ưu tiên lên máy bay)
+        CREATE TABLE IF NOT EXISTS ancillaries (
+            ancillary_code TEXT PRIMARY KEY,        -- VD: BAG20, MEAL_VEG, INS_PLUS, PRIORITY
+            category TEXT NOT NULL CHECK(category IN ('baggage', 'meal', 'insurance', 'priority_boarding')),
+            name TEXT NOT NULL,
+            description TEXT,
+            baggage_weight REAL,                    -- Chỉ dùng cho hành lý: số kg ký gửi
+            base_price REAL NOT NULL DEFAULT 0,     -- Giá mặc định khi không có giá riêng
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Bảng ANCILLARY_PRICES (giá riêng theo chuyến bay, tuyến bay và hạng ghế; giá cụ thể nhất được áp dụng)
+        CREATE TABLE IF NOT EXISTS ancillary_prices (
+            price_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ancillary_code TEXT NOT NULL,
+            flight_id INTEGER,                       -- NULL = mọi chuyến bay
+            departure_airport TEXT,                  -- NULL = mọi tuyến (đi cùng arrival_airport)
+            arrival_airport TEXT,
+            seat_class TEXT NOT NULL DEFAULT 'ALL',  -- ECONOMY, BUSINESS, ... hoặc ALL cho mọi hạng
+            price REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ancillary_code) REFERENCES ancillaries(ancillary_code),
+            FOREIGN KEY (flight_id) REFERENCES flights(flight_id)
+        );
+
+        -- Bảng BOOKING_ANCILLARIES (dịch vụ bổ trợ đã mua, mỗi dòng cho một hành khách trên một chặng)
+        CREATE TABLE IF NOT EXISTS booking_ancillaries (
+            booking_ancillary_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            booking_id TEXT NOT NULL,
+            detail_id INTEGER NOT NULL,
+            flight_id INTEGER NOT NULL,
+            ancillary_code TEXT NOT NULL,
+            category TEXT NOT NULL,
+            price REAL NOT NULL,                    -- Giá tại thời điểm đặt
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id),
+            FOREIGN KEY (detail_id) REFERENCES booking_details(detail_id),
+            FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+            FOREIGN KEY (ancillary_code) REFERENCES ancillaries(ancillary_code)
+        );
+
+        -- Bảng REFUNDS (yêu cầu hoàn tiền: requested -> approved -> completed, hoặc rejected)
+        CREATE TABLE IF NOT EXISTS refunds (
+            refund_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            booking_id TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'requested' CHECK(status IN ('requested', 'approved', 'completed', 'rejected')),
+            scope TEXT NOT NULL DEFAULT 'full' CHECK(scope IN ('full', 'partial')),
+            reason TEXT NOT NULL,
+            fare_amount REAL NOT NULL,              -- Phần giá vé của các hành khách/chặng được hoàn
+            fee_amount REAL NOT NULL DEFAULT 0,     -- Phí hủy giữ lại
+            amount REAL NOT NULL,                   -- Số tiền hoàn thực tế = fare_amount - fee_amount
+            fees_waived BOOLEAN DEFAULT 0,
+            requested_by TEXT NOT NULL,             -- VD: admin:nguyenvana, customer:12
+            requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            approved_by TEXT,
+            approved_at DATETIME,
+            completed_by TEXT,
+            completed_at DATETIME,
+            rejected_by TEXT,
+            rejected_at DATETIME,
+            note TEXT,                              -- Ghi chú khi duyệt/từ chối
+            transaction_reference TEXT,             -- Mã giao dịch chuyển trả tiền
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id)
+        );
+
+        -- Bảng REFUND_ITEMS (mỗi dòng là một hành khách trên một chặng bay)
+        CREATE TABLE IF NOT EXISTS refund_items (
+            item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            refund_id INTEGER NOT NULL,
+            detail_id INTEGER NOT NULL,
+            flight_id INTEGER NOT NULL,
+            fare_amount REAL NOT NULL,
+            fee_amount REAL NOT NULL DEFAULT 0,
+            refund_amount REAL NOT NULL,
+            hours_before_departure REAL,
+            rule_id INTEGER,
+            FOREIGN KEY (refund_id) REFERENCES refunds(refund_id),
+            FOREIGN KEY (detail_id) REFERENCES booking_details(detail_id),
+            FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+            FOREIGN KEY (rule_id) REFERENCES refund_fee_rules(rule_id)
+        );
+
+        -- Bảng PAYMENT_INTENTS (mỗi lần khách bắt đầu thanh toán qua một cổng)
+        CREATE TABLE IF NOT EXISTS payment_intents (
+            intent_id TEXT PRIMARY KEY,             -- VD: pi_3f9c...
+            booking_id TEXT NOT NULL,
+            provider TEXT NOT NULL,                 -- momo, vnpay, bank_transfer, card, mock
+            amount REAL NOT NULL,
+            currency TEXT NOT NULL DEFAULT 'VND',
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'succeeded', 'failed')),
+            signature TEXT NOT NULL,                -- HMAC của intent, kiểm tra khi khách quay lại từ cổng thanh toán
+            redirect_url TEXT,                      -- Trang thanh toán của cổng
+            return_url TEXT,                        -- Trang của mình để đưa khách về sau khi thanh toán
+            provider_reference TEXT,                -- Mã giao dịch phía cổng thanh toán
+            failure_reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            paid_at DATETIME,
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id)
+        );
+
+        -- Bảng PAYMENT_WEBHOOK_EVENTS (mỗi thông báo từ cổng chỉ được xử lý một lần)
+        CREATE TABLE IF NOT EXISTS payment_webhook_events (
+            event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            provider TEXT NOT NULL,
+            event_key TEXT NOT NULL UNIQUE,         -- Khóa chống xử lý trùng, do từng cổng quy định
+            intent_id TEXT,
+            result TEXT NOT NULL,                   -- paid, failed, amount_mismatch, ...
+            payload TEXT,
+            received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Bảng BOOKING_STATUS_HISTORY (ai đổi trạng thái đơn, từ gì sang gì, khi nào)
+        CREATE TABLE IF NOT EXISTS booking_status_history (
+            history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            booking_id TEXT NOT NULL,
+            from_status TEXT,                       -- NULL khi đơn vừa được tạo
+            to_status TEXT NOT NULL,
+            changed_by TEXT NOT NULL,               -- VD: admin:nguyenvana, customer, customer:12, system:expiry
+            reason TEXT,
+            changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id)
+        );
+
+        -- Bảng BANK_STATEMENT_IMPORTS (mỗi lần tải lên một file sao kê)
+        CREATE TABLE IF NOT EXISTS bank_statement_imports (
+            import_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            file_name TEXT,
+            format TEXT NOT NULL CHECK(format IN ('csv', 'mt940')),
+            account_number TEXT,
+            imported_by TEXT NOT NULL,
+            imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            transaction_count INTEGER DEFAULT 0,    -- Số giao dịch tiền vào đã lưu
+            skipped_count INTEGER DEFAULT 0         -- Giao dịch tiền ra hoặc đã nhập ở file trước
+        );
+
+        -- Bảng BANK_TRANSACTIONS (giao dịch tiền vào trong sao kê và kết quả đối soát)
+        CREATE TABLE IF NOT EXISTS bank_transactions (
+            transaction_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            import_id INTEGER NOT NULL,
+            transaction_date TEXT,
+            amount REAL NOT NULL,
+            currency TEXT DEFAULT 'VND',
+            description TEXT,                       -- Nội dung chuyển khoản
+            bank_reference TEXT,
+            fingerprint TEXT NOT NULL UNIQUE,       -- Chống nhập trùng cùng một giao dịch
+            booking_id TEXT,                        -- Đơn hàng tìm thấy trong nội dung chuyển khoản
+            match_status TEXT NOT NULL DEFAULT 'unmatched'
+                CHECK(match_status IN ('matched', 'unmatched', 'partial', 'overpaid', 'resolved', 'ignored')),
+            note TEXT,
+            resolved_by TEXT,
+            resolved_at DATETIME,
+            FOREIGN KEY (import_id) REFERENCES bank_statement_imports(import_id),
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id)
+        );
+
+        -- Bảng CHECKINS (làm thủ tục trực tuyến, mỗi hành khách một lần cho mỗi chặng)
+        CREATE TABLE IF NOT EXISTS checkins (
+            checkin_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            booking_id TEXT NOT NULL,
+            detail_id INTEGER NOT NULL,
+            flight_id INTEGER NOT NULL,
+            seat_number TEXT NOT NULL,
+            sequence_number INTEGER NOT NULL,       -- Số thứ tự làm thủ tục trên chuyến bay
+            nationality TEXT NOT NULL,              -- Mã quốc gia ISO 3 ký tự, VD: VNM
+            passport_expiry TEXT NOT NULL,
+            boarding_pass_barcode TEXT NOT NULL,    -- Chuỗi IATA BCBP in trên thẻ lên máy bay
+            checked_in_by TEXT NOT NULL,
+            checked_in_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (detail_id, flight_id),
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id),
+            FOREIGN KEY (detail_id) REFERENCES booking_details(detail_id),
+            FOREIGN KEY (flight_id) REFERENCES flights(flight_id)
+        );
+
+        -- Bảng FLIGHT_DISRUPTIONS (chuyến bay bị hoãn/hủy)
+        CREATE TABLE IF NOT EXISTS flight_disruptions (
+            disruption_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            flight_id INTEGER NOT NULL,
+            type TEXT NOT NULL CHECK(type IN ('delay', 'cancellation')),
+            reason TEXT,
+            previous_departure_time DATETIME NOT NULL,
+            previous_arrival_time DATETIME NOT NULL,
+            new_departure_time DATETIME,            -- Chỉ có khi hoãn chuyến
+            new_arrival_time DATETIME,
+            rebooking_mode TEXT NOT NULL CHECK(rebooking_mode IN ('auto', 'propose')),
+            created_by TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (flight_id) REFERENCES flights(flight_id)
+        );
+
+        -- Bảng DISRUPTION_BOOKINGS (từng đơn bị ảnh hưởng và cách xử lý)
+        CREATE TABLE IF NOT EXISTS disruption_bookings (
+            disruption_booking_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            disruption_id INTEGER NOT NULL,
+            booking_id TEXT NOT NULL,
+            direction TEXT NOT NULL,
+            passenger_count INTEGER NOT NULL,
+            action TEXT NOT NULL CHECK(action IN ('notified', 'rebooked', 'proposed', 'refund_entitled', 'cancelled')),
+            status TEXT NOT NULL DEFAULT 'done' CHECK(status IN ('done', 'pending', 'accepted', 'declined')),
+            alternative_flight_id INTEGER,          -- Chuyến bay thay thế (đã đổi hoặc đề xuất)
+            refund_id INTEGER,                      -- Yêu cầu hoàn tiền miễn phí nếu không có chuyến thay thế
+            note TEXT,
+            resolved_by TEXT,
+            resolved_at DATETIME,
+            FOREIGN KEY (disruption_id) REFERENCES flight_disruptions(disruption_id),
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id),
+            FOREIGN KEY (alternative_flight_id) REFERENCES flights(flight_id),
+            FOREIGN KEY (refund_id) REFERENCES refunds(refund_id)
+        );
+
+        -- Bảng BOOKING_MODIFICATIONS (thay đổi sau khi đặt: đổi chuyến, sửa thông tin, thêm/bớt hành khách)
+        CREATE TABLE IF NOT EXISTS booking_modifications (
+            modification_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            booking_id TEXT NOT NULL,
+            modification_type TEXT NOT NULL CHECK(modification_type IN ('change_flight', 'edit_passenger', 'add_passengers', 'remove_passengers')),
+            details TEXT NOT NULL,                  -- JSON: trước/sau của thay đổi
+            fare_difference REAL NOT NULL DEFAULT 0,
+            fee_amount REAL NOT NULL DEFAULT 0,
+            amount_due REAL NOT NULL DEFAULT 0,     -- Âm khi đơn chưa thanh toán được giảm tiền
+            refund_id INTEGER,                      -- Yêu cầu hoàn tiền khi bớt hành khách khỏi đơn đã thanh toán
+            requested_by TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id),
+            FOREIGN KEY (refund_id) REFERENCES refunds(refund_id)
+        );
+
+        -- Bảng AIRPORTS (danh mục sân bay theo mã IATA)
+        CREATE TABLE IF NOT EXISTS airports (
+            airport_code TEXT PRIMARY KEY,          -- Mã IATA (vd: HAN)
+            name TEXT NOT NULL,
+            city TEXT NOT NULL,
+            country TEXT NOT NULL DEFAULT 'VN',     -- Mã quốc gia ISO 3166-1
+            timezone TEXT NOT NULL DEFAULT 'Asia/Ho_Chi_Minh',  -- Múi giờ IANA
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Bảng AIRLINES (danh mục hãng bay)
+        CREATE TABLE IF NOT EXISTS airlines (
+            airline_code TEXT PRIMARY KEY,          -- Mã IATA (vd: VN)
+            name TEXT NOT NULL,
+            country TEXT NOT NULL DEFAULT 'VN',
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Bảng AIRCRAFT_TYPES (loại máy bay và cấu hình khoang theo hạng ghế)
+        CREATE TABLE IF NOT EXISTS aircraft_types (
+            type_code TEXT PRIMARY KEY,             -- Mã ICAO (vd: A321)
+            manufacturer TEXT NOT NULL,
+            model TEXT NOT NULL,
+            seats_first INTEGER DEFAULT 0,
+            seats_business INTEGER DEFAULT 0,
+            seats_premium_economy INTEGER DEFAULT 0,
+            seats_economy INTEGER DEFAULT 0,
+            layout_first TEXT,                      -- Sơ đồ ghế một hàng, lối đi là dấu '-' (vd: 'ABC-DEF')
+            layout_business TEXT,
+            layout_premium_economy TEXT,
+            layout_economy TEXT,
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Bảng FLIGHT_SCHEDULES (lịch bay định kỳ theo mùa, sinh ra các chuyến bay cụ thể)
+        CREATE TABLE IF NOT EXISTS flight_schedules (
+            schedule_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            airline TEXT NOT NULL,
+            airline_code TEXT NOT NULL,
+            flight_number TEXT NOT NULL,
+            departure_airport TEXT NOT NULL,
+            arrival_airport TEXT NOT NULL,
+            days_of_week TEXT NOT NULL,             -- Ngày khai thác trong tuần, 1 = Thứ Hai ... 7 = Chủ Nhật (vd: '1,3,5')
+            departure_time TEXT NOT NULL,           -- Giờ cất cánh theo giờ địa phương (HH:MM)
+            block_minutes INTEGER NOT NULL,
+            price_economy REAL NOT NULL,
+            price_premium_economy REAL,
+            price_business REAL,
+            price_first REAL,
+            seats_economy INTEGER NOT NULL,
+            seats_premium_economy INTEGER,
+            seats_business INTEGER,
+            seats_first INTEGER,
+            available_classes TEXT NOT NULL,
+            season_start DATE NOT NULL,
+            season_end DATE NOT NULL,
+            status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'inactive')),
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_generated_at DATETIME
+        );
+
+        -- Bảng NOTIFICATION_OUTBOX (email/SMS gửi khách hàng, gửi lại khi lỗi)
+        CREATE TABLE IF NOT EXISTS notification_outbox (
+            notification_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            booking_id TEXT,
+            event_type TEXT NOT NULL,               -- booking_created, payment_received, e_ticket_issued, flight_changed, ...
+            channel TEXT NOT NULL CHECK(channel IN ('email', 'sms')),
+            recipient TEXT NOT NULL,                -- Địa chỉ email hoặc số điện thoại
+            locale TEXT NOT NULL DEFAULT 'vi',
+            subject TEXT,                           -- Chỉ dùng cho email
+            body TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+            attempts INTEGER DEFAULT 0,
+            last_error TEXT,
+            transport TEXT,                         -- Transport đã dùng ở lần gửi gần nhất
+            next_attempt_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            sent_at DATETIME,
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id)
+        );
+    `);
+
+    // The first payments table only allowed bank_transfer/momo - rebuild it with the full method list
+    await migratePaymentsTable();
+
+    // Columns added after the first release - existing databases need them too
+    await ensureColumn('bookings', 'customer_id', 'INTEGER REFERENCES customers(customer_id)');
+    await ensureColumn('bookings', 'hold_expires_at', 'DATETIME');  // Hạn giữ chỗ cho đơn chưa thanh toán
+    await ensureColumn('bookings', 'locale', "TEXT DEFAULT 'vi'");  // Ngôn ngữ email/SMS gửi khách
+    await ensureColumn('booking_details', 'ticket_number', 'TEXT');  // Số vé điện tử, cấp khi đơn được thanh toán
+    await ensureColumn('flights', 'schedule_id', 'INTEGER REFERENCES flight_schedules(schedule_id)');  // Lịch bay đã sinh ra chuyến này
+    await ensureColumn('flights', 'schedule_date', 'DATE');  // Ngày khai thác (giờ địa phương) của chuyến theo lịch
+    await ensureColumn('flights', 'aircraft_type', 'TEXT REFERENCES aircraft_types(type_code)');
+    await ensureColumn('flight_schedules', 'aircraft_type', 'TEXT REFERENCES aircraft_types(type_code)');
+    await ensureColumn('booking_segments', 'fare', 'REAL');  // Giá vé người lớn của chặng tại thời điểm đặt (giá động)
+    await ensureColumn('bookings', 'quote_id', 'TEXT');  // Báo giá đã dùng để tạo đặt chỗ
+    await ensureColumn('bookings', 'manage_code_hash', 'TEXT');  // Hash của mã quản lý đặt chỗ (mã gốc chỉ gửi cho khách)
+    // Điều kiện áp dụng khuyến mãi (NULL = không giới hạn); danh sách lưu dạng 'HAN-SGN,HAN-DAD'
+    await ensureColumn('promotions', 'routes', 'TEXT');  // Tuyến bay, áp dụng cả hai chiều
+    await ensureColumn('promotions', 'airports', 'TEXT');  // Hành trình đi từ hoặc đến một trong các sân bay này
+    await ensureColumn('promotions', 'seat_classes', 'TEXT');
+    await ensureColumn('promotions', 'airline_codes', 'TEXT');  // Mọi chặng phải do các hãng này khai thác
+    await ensureColumn('promotions', 'travel_from', 'DATE');  // Khoảng ngày bay (giờ địa phương), khác với valid_from/valid_to là ngày đặt
+    await ensureColumn('promotions', 'travel_to', 'DATE');
+    await ensureColumn('promotions', 'min_order_amount', 'REAL');  // Giá trị đơn tối thiểu (vé + dịch vụ, trước giảm giá)
+    await ensureColumn('promotions', 'max_discount_amount', 'REAL');  // Mức giảm tối đa cho mã phần trăm
+    await ensureColumn('promotions', 'first_booking_only', 'BOOLEAN DEFAULT 0');
+    await ensureColumn('promotions', 'per_email_limit', 'INTEGER');  // Số lần dùng tối đa cho mỗi email
+    await ensureColumn('promotions', 'per_customer_limit', 'INTEGER');  // Số lần dùng tối đa cho mỗi tài khoản (cần đăng nhập)
+    // 1 = this booking's promo code is counted in promotions.used_count
+    if (await ensureColumn('bookings', 'promo_counted', 'BOOLEAN DEFAULT 0')) {
+        // Paid bookings were counted when they were paid
+        await db.run("UPDATE bookings SET promo_counted = 1 WHERE promo_code IS NOT NULL AND payment_status = 'paid'");
+    }
+
+    // Bookings from before the history table start with their current status
+    await db.run(`
+        INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, changed_at)
+        SELECT booking_id, NULL, payment_status, 'system:migration', booking_time FROM bookings
+        WHERE booking_id NOT IN (SELECT booking_id FROM booking_status_history)
     `);
 
+    // Bookings made before segments existed get one segment per direction
+    await db.run(`
+        INSERT INTO booking_segments (booking_id, flight_id, direction, segment_order)
+        SELECT booking_id, departure_flight_id, 'outbound', 1 FROM bookings
+        WHERE booking_id NOT IN (SELECT booking_id FROM booking_segments)
+    `);
+    await db.run(`
+        INSERT INTO booking_segments (booking_id, flight_id, direction, segment_order)
+        SELECT booking_id, return_flight_id, 'return', 1 FROM bookings
+        WHERE is_round_trip = 1 AND return_flight_id IS NOT NULL
+          AND booking_id NOT IN (SELECT booking_id FROM booking_segments WHERE direction = 'return')
+    `);
+
+    const airportCount = await db.get('SELECT COUNT(*) as count FROM airports');
+    if (airportCount.count === 0) {
+        await populateReferenceData();
+    }
+
+    // Airports and airlines that flights were created with before the reference tables existed
+    await db.run(`
+        INSERT OR IGNORE INTO airports (airport_code, name, city)
+        SELECT departure_airport, departure_airport, departure_airport FROM flights
+        UNION SELECT arrival_airport, arrival_airport, arrival_airport FROM flights
+    `);
+    await db.run(`
+        INSERT OR IGNORE INTO airlines (airline_code, name)
+        SELECT airline_code, MIN(airline) FROM flights GROUP BY airline_code
+    `);
+    await loadAirportTimezones();
+
+    // Flight times saved without a UTC offset were local times at their airports
+    const localTimeFlights = await db.all(`
+        SELECT flight_id, departure_airport, arrival_airport, departure_time, arrival_time FROM flights
+        WHERE departure_time NOT LIKE '%Z' OR arrival_time NOT LIKE '%Z'
+    `);
+    for (const flight of localTimeFlights) {
+        const departureTime = normalizeFlightTime(flight.departure_time, flight.departure_airport);
+        const arrivalTime = normalizeFlightTime(flight.arrival_time, flight.arrival_airport);
+        if (departureTime && arrivalTime) {
+            await db.run(
+                'UPDATE flights SET departure_time = ?, arrival_time = ?, duration = ? WHERE flight_id = ?',
+                [departureTime, arrivalTime, formatDuration(getDurationMinutes(departureTime, arrivalTime)), flight.flight_id]
+            );
+        }
+    }
+
     // Check if we have flights in the database
     const count = await db.get('SELECT COUNT(*) as count FROM flights');
     if (count.count === 0) {
@@ -117,2002 +826,9857 @@ async function setupDatabase() {
         console.log('Adding sample promotions...');
         await populateSamplePromotions();
     }
+
+    // Default cancellation fees until finance configures their own
+    const refundRuleCount = await db.get('SELECT COUNT(*) as count FROM refund_fee_rules');
+    if (refundRuleCount.count === 0) {
+        await populateDefaultRefundRules();
+    }
+
+    // Default dynamic pricing until revenue management configures its own
+    const fareRuleCount = await db.get('SELECT COUNT(*) as count FROM fare_rules');
+    if (fareRuleCount.count === 0) {
+        await populateDefaultFareRules();
+    }
+
+    // Default ancillary catalog until product management configures its own
+    const ancillaryCount = await db.get('SELECT COUNT(*) as count FROM ancillaries');
+    if (ancillaryCount.count === 0) {
+        await populateDefaultAncillaries();
+    }
+
+    // Make sure there is at least one superadmin who can log in
+    const adminCount = await db.get('SELECT COUNT(*) as count FROM admin_users');
+    if (adminCount.count === 0) {
+        await createInitialAdmin();
+    }
 }
 
-// API endpoints
-app.get('/api/flights', async (req, res) => {
-    try {
-        const { departure, destination, departDate, seatClass, status } = req.query;
-        
-        let query = 'SELECT * FROM flights WHERE 1=1';
-        const params = [];
+// Admin authentication middleware
+// Usage: requireAdmin('agent', 'finance') - superadmin is always allowed
+function requireAdmin(...allowedRoles) {
+    return async (req, res, next) => {
+        try {
+            const token = getBearerToken(req);
+            if (!token) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
 
-        if (departure) {
-            query += ' AND departure_airport = ?';
-            params.push(departure);
-        }
+            const session = await db.get(`
+                SELECT s.token_hash, s.expires_at, a.admin_id, a.username, a.full_name, a.role, a.is_active
+                FROM admin_sessions s
+                JOIN admin_users a ON s.admin_id = a.admin_id
+                WHERE s.token_hash = ?
+            `, [hashToken(token)]);
 
-        if (destination) {
-            query += ' AND arrival_airport = ?';
-            params.push(destination);
-        }
+            if (!session || !session.is_active || new Date(session.expires_at) < new Date()) {
+                return res.status(401).json({ error: 'Invalid or expired session' });
+            }
 
-        if (departDate) {
-            // Convert YYYY-MM-DD to date format in the database
-            const formattedDate = formatDateForDB(departDate);
-            query += ' AND DATE(departure_time) = ?';
-            params.push(formattedDate);
+            if (session.role !== 'superadmin' && allowedRoles.length > 0 && !allowedRoles.includes(session.role)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    role: session.role,
+                    requiredRoles: allowedRoles
+                });
+            }
+
+            req.admin = {
+                adminId: session.admin_id,
+                username: session.username,
+                fullName: session.full_name,
+                role: session.role,
+                tokenHash: session.token_hash
+            };
+            next();
+        } catch (error) {
+            console.error('Error authenticating admin:', error);
+            res.status(500).json({ error: 'Failed to authenticate' });
         }
+    };
+}
 
-        if (seatClass) {
-            query += ' AND available_classes LIKE ?';
-            params.push(`%${seatClass}%`);
+// Admin API: Login
+app.post('/api/admin/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
         }
-        
-        if (status) {
-            query += ' AND status = ?';
-            params.push(status);
+
+        const admin = await db.get('SELECT * FROM admin_users WHERE username = ?', [username]);
+
+        if (!admin || !admin.is_active || !(await verifyPassword(password, admin.password_hash))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
         }
 
-        const flights = await db.all(query, params);
-        
-        // Format flights for client
-        const formattedFlights = flights.map(formatFlightForClient);
-        
-        res.json(formattedFlights);
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+        await db.run(
+            'INSERT INTO admin_sessions (token_hash, admin_id, expires_at) VALUES (?, ?, ?)',
+            [hashToken(token), admin.admin_id, expiresAt]
+        );
+        await db.run('UPDATE admin_users SET last_login_at = ? WHERE admin_id = ?', [new Date().toISOString(), admin.admin_id]);
+
+        // Clean up expired sessions while we are here
+        await db.run('DELETE FROM admin_sessions WHERE expires_at < ?', [new Date().toISOString()]);
+
+        res.json({
+            token,
+            expiresAt,
+            admin: formatAdminForClient(admin)
+        });
     } catch (error) {
-        console.error('Error fetching flights:', error);
-        res.status(500).json({ error: 'Failed to fetch flights' });
+        console.error('Error logging in admin:', error);
+        res.status(500).json({ error: 'Failed to log in' });
     }
 });
 
-app.get('/api/flights/:id', async (req, res) => {
+// Admin API: Logout (revoke current token)
+app.post('/api/admin/auth/logout', requireAdmin(), async (req, res) => {
     try {
-        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', req.params.id);
-        
-        if (!flight) {
-            return res.status(404).json({ error: 'Flight not found' });
-        }
-        
-        res.json(formatFlightForClient(flight));
+        await db.run('DELETE FROM admin_sessions WHERE token_hash = ?', [req.admin.tokenHash]);
+        res.json({ success: true, message: 'Logged out successfully' });
     } catch (error) {
-        console.error('Error fetching flight:', error);
-        res.status(500).json({ error: 'Failed to fetch flight details' });
+        console.error('Error logging out admin:', error);
+        res.status(500).json({ error: 'Failed to log out' });
     }
 });
 
-// Admin API: Create a new flight
-app.post('/api/flights', async (req, res) => {
+// Admin API: Current admin profile
+app.get('/api/admin/auth/me', requireAdmin(), async (req, res) => {
+    const { tokenHash, ...admin } = req.admin;
+    res.json(admin);
+});
+
+// Admin API: List admin users
+app.get('/api/admin/users', requireAdmin('superadmin'), async (req, res) => {
     try {
-        const { 
-            airline, airline_code, flight_number, 
-            departure_airport, arrival_airport, 
-            departure_time, arrival_time, 
-            price_economy, price_premium_economy, price_business, price_first,
-            seats_economy, seats_premium_economy, seats_business, seats_first,
-            status, available_classes 
-        } = req.body;
+        const admins = await db.all('SELECT * FROM admin_users ORDER BY admin_id');
+        res.json(admins.map(formatAdminForClient));
+    } catch (error) {
+        console.error('Error fetching admin users:', error);
+        res.status(500).json({ error: 'Failed to fetch admin users' });
+    }
+});
 
-        // Validate required fields
-        if (!airline || !airline_code || !flight_number || 
-            !departure_airport || !arrival_airport || 
-            !departure_time || !arrival_time || 
-            !price_economy || !seats_economy || !available_classes) {
-            return res.status(400).json({ error: 'Missing required flight information' });
+// Admin API: Create an admin user
+app.post('/api/admin/users', requireAdmin('superadmin'), async (req, res) => {
+    try {
+        const { username, password, fullName, role } = req.body;
+
+        if (!username || !password || !role) {
+            return res.status(400).json({ error: 'Missing required admin information' });
         }
 
-        // Calculate duration
-        const deptTime = new Date(departure_time);
-        const arrTime = new Date(arrival_time);
-        const durationMs = arrTime - deptTime;
-        const durationHours = Math.floor(durationMs / (1000 * 60 * 60));
-        const durationMinutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
-        const duration = `${durationHours}h ${durationMinutes}m`;
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Invalid role', validRoles: ADMIN_ROLES });
+        }
 
-        // Calculate total available seats
-        const total_seats = (seats_economy || 0) + 
-                           (seats_premium_economy || 0) + 
-                           (seats_business || 0) + 
-                           (seats_first || 0);
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
 
-        // available_classes có thể là mảng hoặc chuỗi, đảm bảo lưu là chuỗi
-        const availableClassesString = Array.isArray(available_classes) 
-            ? available_classes.join(',') 
-            : available_classes;
+        const existingAdmin = await db.get('SELECT admin_id FROM admin_users WHERE username = ?', [username]);
+        if (existingAdmin) {
+            return res.status(400).json({ error: 'Username already exists' });
+        }
 
-        // Insert new flight
-        const result = await db.run(`
-            INSERT INTO flights (
-                airline, airline_code, flight_number, departure_airport, arrival_airport, 
-                departure_time, arrival_time, duration,
-                price_economy, price_premium_economy, price_business, price_first,
-                seats_economy, seats_premium_economy, seats_business, seats_first,
-                available_seats, status, available_classes
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            airline, airline_code, flight_number, departure_airport, arrival_airport, 
-            departure_time, arrival_time, duration,
-            price_economy, price_premium_economy, price_business, price_first,
-            seats_economy, seats_premium_economy, seats_business, seats_first,
-            total_seats, status || 'scheduled', availableClassesString
-        ]);
+        const result = await db.run(
+            'INSERT INTO admin_users (username, password_hash, full_name, role) VALUES (?, ?, ?, ?)',
+            [username, await hashPassword(password), fullName || null, role]
+        );
 
-        const newFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [result.lastID]);
-        res.status(201).json(formatFlightForClient(newFlight));
+        const newAdmin = await db.get('SELECT * FROM admin_users WHERE admin_id = ?', [result.lastID]);
+        res.status(201).json(formatAdminForClient(newAdmin));
     } catch (error) {
-        console.error('Error creating flight:', error);
-        res.status(500).json({ error: 'Failed to create flight', details: error.message });
+        console.error('Error creating admin user:', error);
+        res.status(500).json({ error: 'Failed to create admin user' });
     }
 });
 
-// Admin API: Update a flight
-app.put('/api/flights/:id', async (req, res) => {
+// Admin API: Update an admin user (role, name, password, active flag)
+app.put('/api/admin/users/:id', requireAdmin('superadmin'), async (req, res) => {
     try {
-        const flightId = req.params.id;
-        const { 
-            airline, airline_code, flight_number, 
-            departure_airport, arrival_airport, 
-            departure_time, arrival_time, 
-            price_economy, price_premium_economy, price_business, price_first,
-            seats_economy, seats_premium_economy, seats_business, seats_first,
-            available_seats, status, 
-            available_classes 
-        } = req.body;
+        const adminId = req.params.id;
+        const { password, fullName, role, isActive } = req.body;
 
-        // Validate required fields
-        if (!airline || !airline_code || !flight_number || 
-            !departure_airport || !arrival_airport || 
-            !departure_time || !arrival_time || 
-            !price_economy || !available_seats || !available_classes) {
-            return res.status(400).json({ error: 'Missing required flight information' });
+        const existingAdmin = await db.get('SELECT * FROM admin_users WHERE admin_id = ?', [adminId]);
+        if (!existingAdmin) {
+            return res.status(404).json({ error: 'Admin user not found' });
         }
 
-        // Check if flight exists
-        const existingFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', flightId);
-        if (!existingFlight) {
-            return res.status(404).json({ error: 'Flight not found' });
+        if (role && !ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Invalid role', validRoles: ADMIN_ROLES });
         }
 
-        // Calculate duration
-        const deptTime = new Date(departure_time);
-        const arrTime = new Date(arrival_time);
-        const durationMs = arrTime - deptTime;
-        const durationHours = Math.floor(durationMs / (1000 * 60 * 60));
-        const durationMinutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
-        const duration = `${durationHours}h ${durationMinutes}m`;
+        if (password && password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
 
-        // available_classes có thể là mảng hoặc chuỗi, đảm bảo lưu là chuỗi
-        const availableClassesString = Array.isArray(available_classes) 
-            ? available_classes.join(',') 
-            : available_classes;
+        // Prevent locking everyone out by demoting or disabling the last superadmin
+        const losesSuperadmin = existingAdmin.role === 'superadmin' &&
+            ((role && role !== 'superadmin') || isActive === false);
+        if (losesSuperadmin) {
+            const superadmins = await db.get(
+                "SELECT COUNT(*) as count FROM admin_users WHERE role = 'superadmin' AND is_active = 1"
+            );
+            if (superadmins.count <= 1) {
+                return res.status(400).json({ error: 'Cannot demote or disable the last superadmin' });
+            }
+        }
 
-        console.log('Updating flight with ID:', flightId);
-        console.log('Data received:', req.body);
-
-        // Update the flight
         await db.run(`
-            UPDATE flights SET
-                airline = ?, airline_code = ?, flight_number = ?,
-                departure_airport = ?, arrival_airport = ?,
-                departure_time = ?, arrival_time = ?, duration = ?,
-                price_economy = ?, price_premium_economy = ?, price_business = ?, price_first = ?,
-                seats_economy = ?, seats_premium_economy = ?, seats_business = ?, seats_first = ?,
-                available_seats = ?, status = ?, available_classes = ?
-            WHERE flight_id = ?
+            UPDATE admin_users SET
+                password_hash = ?, full_name = ?, role = ?, is_active = ?
+            WHERE admin_id = ?
         `, [
-            airline, airline_code, flight_number,
-            departure_airport, arrival_airport,
-            departure_time, arrival_time, duration,
-            price_economy, price_premium_economy || null, price_business || null, price_first || null,
-            seats_economy || 0, seats_premium_economy || 0, seats_business || 0, seats_first || 0,
-            available_seats, status, availableClassesString,
-            flightId
+            password ? await hashPassword(password) : existingAdmin.password_hash,
+            fullName !== undefined ? fullName : existingAdmin.full_name,
+            role || existingAdmin.role,
+            isActive !== undefined ? (isActive ? 1 : 0) : existingAdmin.is_active,
+            adminId
         ]);
 
-        // Get the updated flight
-        const updatedFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', flightId);
-        
-        console.log('Updated flight:', updatedFlight);
-        res.json(formatFlightForClient(updatedFlight));
+        // Force re-login when credentials or permissions change
+        if (password || role || isActive === false) {
+            await db.run('DELETE FROM admin_sessions WHERE admin_id = ?', [adminId]);
+        }
+
+        const updatedAdmin = await db.get('SELECT * FROM admin_users WHERE admin_id = ?', [adminId]);
+        res.json(formatAdminForClient(updatedAdmin));
     } catch (error) {
-        console.error('Error updating flight:', error);
-        res.status(500).json({ error: 'Failed to update flight', details: error.message });
+        console.error('Error updating admin user:', error);
+        res.status(500).json({ error: 'Failed to update admin user' });
     }
 });
 
-// Admin API: Update a flight by flight code
-app.put('/api/flights/code/:flightCode', async (req, res) => {
-    try {
-        const flightCode = req.params.flightCode;
-        const { 
-            airline, airline_code, flight_number, 
-            departure_airport, arrival_airport, 
-            departure_time, arrival_time, 
-            price_economy, price_premium_economy, price_business, price_first,
-            seats_economy, seats_premium_economy, seats_business, seats_first,
-            status, available_classes 
-        } = req.body;
+// Customer authentication helpers
+// Returns the logged-in customer or null (booking endpoints allow guests)
+async function getCustomerFromRequest(req) {
+    const token = getBearerToken(req);
+    if (!token) return null;
 
-        // Validate required fields
-        if (!airline || !airline_code || !flight_number || 
-            !departure_airport || !arrival_airport || 
-            !departure_time || !arrival_time || 
-            !price_economy || !seats_economy || !available_classes) {
-            return res.status(400).json({ error: 'Missing required flight information' });
-        }
+    const session = await db.get(`
+        SELECT s.token_hash, s.expires_at, c.*
+        FROM customer_sessions s
+        JOIN customers c ON s.customer_id = c.customer_id
+        WHERE s.token_hash = ?
+    `, [hashToken(token)]);
 
-        // Calculate duration
-        const deptTime = new Date(departure_time);
-        const arrTime = new Date(arrival_time);
-        const durationMs = arrTime - deptTime;
-        const durationHours = Math.floor(durationMs / (1000 * 60 * 60));
-        const durationMinutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
-        const duration = `${durationHours}h ${durationMinutes}m`;
+    if (!session || new Date(session.expires_at) < new Date()) {
+        return null;
+    }
+    return session;
+}
 
-        // Calculate total available seats
-        const total_seats = (seats_economy || 0) + 
-                           (seats_premium_economy || 0) + 
-                           (seats_business || 0) + 
-                           (seats_first || 0);
+async function requireCustomer(req, res, next) {
+    try {
+        const customer = await getCustomerFromRequest(req);
+        if (!customer) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.customer = customer;
+        next();
+    } catch (error) {
+        console.error('Error authenticating customer:', error);
+        res.status(500).json({ error: 'Failed to authenticate' });
+    }
+}
 
-        // Ensure available_classes is in the right format
-        const availableClassesString = Array.isArray(available_classes) 
-            ? available_classes.join(',') 
-            : available_classes;
+// Customer API: Register a new account
+app.post('/api/customers/register', async (req, res) => {
+    try {
+        const { email, password, fullName, phone } = req.body;
 
-        // Find the flight by code
-        const existingFlight = await db.get(
-            'SELECT * FROM flights WHERE airline_code || flight_number = ?', 
-            [flightCode]
-        );
+        if (!email || !password || !fullName) {
+            return res.status(400).json({ error: 'Missing required account information' });
+        }
 
-        if (!existingFlight) {
-            return res.status(404).json({ error: 'Flight not found' });
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
         }
 
-        // Update the flight
-        await db.run(`
-            UPDATE flights SET
-                airline = ?, airline_code = ?, flight_number = ?,
-                departure_airport = ?, arrival_airport = ?,
-                departure_time = ?, arrival_time = ?, duration = ?,
-                price_economy = ?, price_premium_economy = ?, price_business = ?, price_first = ?,
-                seats_economy = ?, seats_premium_economy = ?, seats_business = ?, seats_first = ?,
-                available_seats = ?, status = ?, available_classes = ?
-            WHERE flight_id = ?
-        `, [
-            airline, airline_code, flight_number,
-            departure_airport, arrival_airport,
-            departure_time, arrival_time, duration,
-            price_economy, price_premium_economy, price_business, price_first,
-            seats_economy, seats_premium_economy, seats_business, seats_first,
-            total_seats, status, availableClassesString,
-            existingFlight.flight_id
-        ]);
+        const normalizedEmail = email.trim().toLowerCase();
+        const existingCustomer = await db.get('SELECT customer_id FROM customers WHERE email = ?', [normalizedEmail]);
+        if (existingCustomer) {
+            return res.status(400).json({ error: 'Email is already registered' });
+        }
 
-        const updatedFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [existingFlight.flight_id]);
-        res.json(formatFlightForClient(updatedFlight));
+        const result = await db.run(
+            'INSERT INTO customers (email, password_hash, full_name, phone) VALUES (?, ?, ?, ?)',
+            [normalizedEmail, await hashPassword(password), fullName, phone || null]
+        );
+
+        const session = await createCustomerSession(result.lastID);
+        const newCustomer = await db.get('SELECT * FROM customers WHERE customer_id = ?', [result.lastID]);
+
+        res.status(201).json({
+            ...session,
+            customer: formatCustomerForClient(newCustomer)
+        });
     } catch (error) {
-        console.error('Error updating flight:', error);
-        res.status(500).json({ error: 'Failed to update flight', details: error.message });
+        console.error('Error registering customer:', error);
+        res.status(500).json({ error: 'Failed to register account' });
     }
 });
 
-// Admin API: Delete a flight
-app.delete('/api/flights/:id', async (req, res) => {
+// Customer API: Login
+app.post('/api/customers/login', async (req, res) => {
     try {
-        const flightId = req.params.id;
+        const { email, password } = req.body;
 
-        // Check if flight exists
-        const existingFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', flightId);
-        if (!existingFlight) {
-            return res.status(404).json({ error: 'Flight not found' });
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
         }
 
-        // Check if flight has bookings
-        const bookings = await db.get('SELECT COUNT(*) as count FROM bookings WHERE flight_id = ?', flightId);
-        if (bookings.count > 0) {
-            return res.status(400).json({ 
-                error: 'Cannot delete flight with existing bookings',
-                bookingsCount: bookings.count
-            });
+        const customer = await db.get('SELECT * FROM customers WHERE email = ?', [email.trim().toLowerCase()]);
+
+        if (!customer || !(await verifyPassword(password, customer.password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Delete the flight
-        await db.run('DELETE FROM flights WHERE flight_id = ?', flightId);
-        
-        res.json({ message: 'Flight deleted successfully' });
+        const session = await createCustomerSession(customer.customer_id);
+        await db.run('UPDATE customers SET last_login_at = ? WHERE customer_id = ?', [new Date().toISOString(), customer.customer_id]);
+
+        res.json({
+            ...session,
+            customer: formatCustomerForClient(customer)
+        });
     } catch (error) {
-        console.error('Error deleting flight:', error);
-        res.status(500).json({ error: 'Failed to delete flight' });
+        console.error('Error logging in customer:', error);
+        res.status(500).json({ error: 'Failed to log in' });
     }
 });
 
-// Admin API: Delete a flight by code
-app.delete('/api/flights/code/:flightCode', async (req, res) => {
+// Customer API: Logout
+app.post('/api/customers/logout', requireCustomer, async (req, res) => {
     try {
-        const flightCode = req.params.flightCode;
-        
-        // Extract airline code and flight number from flightCode
-        let airlineCode = '';
-        let flightNum = '';
-        
-        // Common format is 2 letters followed by numbers (e.g., VN1000)
-        const match = flightCode.match(/^([A-Z]+)(\d+)$/);
-        if (match) {
-            airlineCode = match[1];
-            flightNum = match[2];
-        } else {
-            // Fallback to the whole code
-            airlineCode = flightCode;
-        }
+        await db.run('DELETE FROM customer_sessions WHERE token_hash = ?', [req.customer.token_hash]);
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Error logging out customer:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
 
-        // Check if flight exists
-        const existingFlight = await db.get('SELECT * FROM flights WHERE airline_code = ? AND flight_number = ?', [airlineCode, flightNum]);
-        if (!existingFlight) {
-            return res.status(404).json({ error: 'Flight not found' });
-        }
+// Customer API: Current profile
+app.get('/api/customers/me', requireCustomer, async (req, res) => {
+    res.json(formatCustomerForClient(req.customer));
+});
 
-        // Check if flight has bookings
-        const bookings = await db.get('SELECT COUNT(*) as count FROM bookings WHERE flight_id = ?', existingFlight.flight_id);
-        if (bookings.count > 0) {
-            return res.status(400).json({ 
-                error: 'Cannot delete flight with existing bookings',
-                bookingsCount: bookings.count
-            });
+// Customer API: Update profile
+app.put('/api/customers/me', requireCustomer, async (req, res) => {
+    try {
+        const { fullName, phone, currentPassword, newPassword } = req.body;
+        let passwordHash = req.customer.password_hash;
+
+        if (newPassword) {
+            if (!currentPassword || !(await verifyPassword(currentPassword, req.customer.password_hash))) {
+                return res.status(401).json({ error: 'Current password is incorrect' });
+            }
+            if (newPassword.length < 8) {
+                return res.status(400).json({ error: 'Password must be at least 8 characters' });
+            }
+            passwordHash = await hashPassword(newPassword);
         }
 
-        // Delete the flight
-        await db.run('DELETE FROM flights WHERE flight_id = ?', existingFlight.flight_id);
-        
-        res.json({ message: 'Flight deleted successfully' });
+        await db.run(
+            'UPDATE customers SET full_name = ?, phone = ?, password_hash = ? WHERE customer_id = ?',
+            [fullName || req.customer.full_name, phone !== undefined ? phone : req.customer.phone, passwordHash, req.customer.customer_id]
+        );
+
+        const updatedCustomer = await db.get('SELECT * FROM customers WHERE customer_id = ?', [req.customer.customer_id]);
+        res.json(formatCustomerForClient(updatedCustomer));
     } catch (error) {
-        console.error('Error deleting flight:', error);
-        res.status(500).json({ error: 'Failed to delete flight', details: error.message });
+        console.error('Error updating customer profile:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
     }
 });
 
-// Admin API: Flight statistics
-app.get('/api/admin/stats/flights', async (req, res) => {
+// Customer API: My bookings
+app.get('/api/customers/me/bookings', requireCustomer, async (req, res) => {
     try {
-        // Get flight count by status
-        const statusStats = await db.all(`
-            SELECT status, COUNT(*) as count 
-            FROM flights 
-            GROUP BY status 
-            ORDER BY count DESC
-        `);
-        
-        // Get total bookings count
-        const totalBookings = await db.get(`
-            SELECT COUNT(*) as count 
-            FROM bookings
-        `);
-        
-        // Get upcoming flights count (next 24 hours)
-        const upcomingFlights = await db.get(`
-            SELECT COUNT(*) as count 
-            FROM flights 
-            WHERE departure_time BETWEEN datetime('now') AND datetime('now', '+24 hours')
-            AND status IN ('scheduled', 'boarding')
-        `);
-        
-        // Get most popular routes
-        const popularRoutes = await db.all(`
-            SELECT departure_airport, arrival_airport, COUNT(*) as count 
-            FROM flights
-            GROUP BY departure_airport, arrival_airport
-            ORDER BY count DESC
-            LIMIT 5
-        `);
-        
-        // Get bookings by travel class
-        const bookingsByClass = await db.all(`
-            SELECT travel_class, COUNT(*) as count 
-            FROM bookings 
-            GROUP BY travel_class
-        `);
-        
-        res.json({
-            flightsByStatus: statusStats,
-            totalBookings: totalBookings.count,
-            upcomingFlights: upcomingFlights.count,
-            popularRoutes,
-            bookingsByClass
-        });
+        const bookings = await db.all(`
+            SELECT b.*,
+                  (SELECT COUNT(*) FROM booking_details WHERE booking_id = b.booking_id) as passenger_count
+            FROM bookings b
+            WHERE b.customer_id = ?
+            ORDER BY b.booking_time DESC
+        `, [req.customer.customer_id]);
+
+        // Add flight information to each booking
+        for (const booking of bookings) {
+            delete booking.manage_code_hash;
+            const departureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', booking.departure_flight_id);
+            booking.departureFlight = departureFlight ? formatFlightForClient(departureFlight) : null;
+
+            booking.returnFlight = null;
+            if (booking.is_round_trip === 1 && booking.return_flight_id) {
+                const returnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', booking.return_flight_id);
+                booking.returnFlight = returnFlight ? formatFlightForClient(returnFlight) : null;
+            }
+        }
+
+        res.json(bookings);
     } catch (error) {
-        console.error('Error fetching flight statistics:', error);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        console.error('Error fetching customer bookings:', error);
+        res.status(500).json({ error: 'Failed to fetch bookings' });
     }
 });
 
-// Additional API endpoints for booking
-app.post('/api/bookings', async (req, res) => {
+// Customer API: Refunds of one of my bookings
+app.get('/api/customers/me/bookings/:id/refunds', requireCustomer, async (req, res) => {
     try {
-        // Support both naming conventions
-        const { 
-            departureFlightId, 
-            departure_flight_id,
-            returnFlightId,
-            return_flight_id,
-            isRoundTrip,
-            is_round_trip,
-            customerInfo, 
-            passengers, 
-            selectedServices, 
-            promoCode, 
-            totalAmount, 
-            passengerCounts, 
-            paymentMethod, 
-            transactionInfo 
-        } = req.body;
-
-        // Use the data regardless of which field name was used
-        const finalDepartureFlightId = departureFlightId || departure_flight_id;
-        const finalReturnFlightId = returnFlightId || return_flight_id;
-        const finalIsRoundTrip = isRoundTrip || is_round_trip;
-        
-        // Log the request for debugging
-        console.log('Booking Request:', { 
-            departureFlightId: finalDepartureFlightId, 
-            returnFlightId: finalReturnFlightId, 
-            isRoundTrip: finalIsRoundTrip,
-            customerInfo, 
-            passengersCount: passengers?.length 
-        });
-        
-        // Validate required fields with better error messages
-        const missingFields = [];
-        if (!finalDepartureFlightId) missingFields.push('departureFlightId');
-        if (!customerInfo) missingFields.push('customerInfo');
-        if (!passengers || passengers.length === 0) missingFields.push('passengers');
-        
-        if (missingFields.length > 0) {
-            console.error('Missing required booking information:', missingFields);
-            return res.status(400).json({ 
-                error: 'Missing required booking information', 
-                missingFields: missingFields,
-                receivedData: {
-                    hasDepartureFlightId: !!finalDepartureFlightId,
-                    hasCustomerInfo: !!customerInfo,
-                    passengersCount: passengers?.length || 0
-                }
-            });
-        }
-        
-        // Get departure flight details - check by both ID and flight number
-        let departureFlight = null;
-        // Try to find by flight_id (database id) first
-        if (!isNaN(finalDepartureFlightId)) {
-            departureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [finalDepartureFlightId]);
+        const booking = await db.get('SELECT booking_id FROM bookings WHERE booking_id = ? AND customer_id = ?', [req.params.id, req.customer.customer_id]);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
         }
-        
-        // If not found, try by airline_code + flight_number (display id)
-        if (!departureFlight) {
-            departureFlight = await db.get('SELECT * FROM flights WHERE (airline_code || flight_number) = ?', [finalDepartureFlightId]);
+        res.json(await getBookingRefunds(booking.booking_id));
+    } catch (error) {
+        console.error('Error fetching customer refunds:', error);
+        res.status(500).json({ error: 'Failed to fetch refunds' });
+    }
+});
+
+// Customer API: Ask for a refund - fees follow the fare rules and staff still have to approve it
+app.post('/api/customers/me/bookings/:id/refunds', requireCustomer, async (req, res) => {
+    try {
+        const { reason, passengerIds, flightIds } = req.body;
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ error: 'Refund reason is required' });
         }
-        
-        if (!departureFlight) {
-            return res.status(404).json({ 
-                error: 'Departure flight not found', 
-                providedId: finalDepartureFlightId,
-                lookupType: isNaN(finalDepartureFlightId) ? 'display_id' : 'database_id'
-            });
+
+        const booking = await db.get('SELECT booking_id FROM bookings WHERE booking_id = ? AND customer_id = ?', [req.params.id, req.customer.customer_id]);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
         }
 
-        // Get return flight details if this is a round trip
-        let returnFlight = null;
-        
-        if (finalIsRoundTrip && finalReturnFlightId) {
-            // Try to find by flight_id (database id) first
-            if (!isNaN(finalReturnFlightId)) {
-                returnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [finalReturnFlightId]);
-            }
-            
-            // If not found, try by airline_code + flight_number (display id)
-            if (!returnFlight) {
-                returnFlight = await db.get('SELECT * FROM flights WHERE (airline_code || flight_number) = ?', [finalReturnFlightId]);
-            }
-            
-            if (!returnFlight) {
-                return res.status(404).json({ 
-                    error: 'Return flight not found',
-                    providedId: finalReturnFlightId,
-                    lookupType: isNaN(finalReturnFlightId) ? 'display_id' : 'database_id'
-                });
-            }
+        const refundId = await withTransaction(() => createRefundRequest(booking.booking_id, {
+            reason: reason.trim(),
+            passengerIds,
+            flightIds,
+            waiveFees: false,
+            requestedBy: `customer:${req.customer.customer_id}`
+        }));
+
+        res.status(201).json(await getRefundForClient(refundId));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
         }
+        console.error('Error requesting customer refund:', error);
+        res.status(500).json({ error: 'Failed to request refund' });
+    }
+});
 
-        // Check if enough seats are available for departure flight based on seat class
-        const totalPassengers = passengers.length;
-        const seatClass = customerInfo.seatClass || 'ECONOMY';
+// Customer API: Saved passengers
+app.get('/api/customers/me/passengers', requireCustomer, async (req, res) => {
+    try {
+        const passengers = await db.all(
+            'SELECT * FROM saved_passengers WHERE customer_id = ? ORDER BY full_name',
+            [req.customer.customer_id]
+        );
+        res.json(passengers);
+    } catch (error) {
+        console.error('Error fetching saved passengers:', error);
+        res.status(500).json({ error: 'Failed to fetch saved passengers' });
+    }
+});
 
-        // Determine which seat field to check based on the seat class
-        let seatField, seatValue;
-        switch(seatClass) {
-            case 'PREMIUM_ECONOMY':
-                seatField = 'seats_premium_economy';
-                break;
-            case 'BUSINESS':
-                seatField = 'seats_business';
-                break;
-            case 'FIRST':
-                seatField = 'seats_first';
-                break;
-            case 'ECONOMY':
-            default:
-                seatField = 'seats_economy';
-                break;
-        }
-        
-        // Make sure to get the correct seat value from the departureFlight
-        seatValue = departureFlight[seatField];
-        
-        console.log(`Checking seats for class ${seatClass}, field: ${seatField}, available: ${seatValue}, needed: ${totalPassengers}`);
+app.post('/api/customers/me/passengers', requireCustomer, async (req, res) => {
+    try {
+        const { fullName, gender, dob, passportNumber } = req.body;
 
-        // Check if the selected class has enough seats
-        if (seatValue < totalPassengers) {
-            return res.status(400).json({ 
-                error: `Not enough ${seatClass.toLowerCase()} seats available on departure flight`, 
-                available: seatValue,
-                requested: totalPassengers,
-                seatClass: seatClass
-            });
+        if (!fullName) {
+            return res.status(400).json({ error: 'fullName is required' });
         }
 
-        // Check if enough seats are available for return flight if this is a round trip
-        if (finalIsRoundTrip && returnFlight) {
-            let returnSeatValue;
-            switch(seatClass) {
-                case 'PREMIUM_ECONOMY':
-                    returnSeatValue = returnFlight.seats_premium_economy;
-                    break;
-                case 'BUSINESS':
-                    returnSeatValue = returnFlight.seats_business;
-                    break;
-                case 'FIRST':
-                    returnSeatValue = returnFlight.seats_first;
-                    break;
-                case 'ECONOMY':
-                default:
-                    returnSeatValue = returnFlight.seats_economy;
-                    break;
-            }
-            
-            if (returnSeatValue < totalPassengers) {
-                return res.status(400).json({ 
-                    error: `Not enough ${seatClass.toLowerCase()} seats available on return flight`, 
-                    available: returnSeatValue,
-                    requested: totalPassengers,
-                    seatClass: seatClass
-                });
-            }
-        }
+        const result = await db.run(`
+            INSERT INTO saved_passengers (customer_id, full_name, gender, dob, passport_number)
+            VALUES (?, ?, ?, ?, ?)
+        `, [req.customer.customer_id, fullName, gender || null, dob || null, passportNumber || null]);
 
-        // Calculate total amount based on provided total or calculate it
-        let finalAmount;
-        
-        if (totalAmount !== undefined && totalAmount !== null) {
-            // Use the provided total amount directly
-            finalAmount = totalAmount;
-            console.log("Tạo hóa đơn thành công với số tiền:", finalAmount);
-        } else {
-            // Calculate if not provided - this is a fallback
-            console.log("No total amount provided, calculating based on seat prices");
-            
-            const seatClass = customerInfo.seatClass || 'ECONOMY';
-            
-            // Get the price for the selected seat class directly from the flight data
-            let basePrice;
-            
-            // Select the appropriate price based on seat class
-            switch(seatClass) {
-                case 'PREMIUM_ECONOMY':
-                    basePrice = departureFlight.price_premium_economy || departureFlight.price_economy;
-                    break;
-                case 'BUSINESS':
-                    basePrice = departureFlight.price_business || departureFlight.price_economy;
-                    break;
-                case 'FIRST':
-                    basePrice = departureFlight.price_first || departureFlight.price_economy;
-                    break;
-                case 'ECONOMY':
-                default:
-                    basePrice = departureFlight.price_economy;
-                    break;
-            }
-            
-            // Tính tổng giá dựa trên loại hành khách
-            let calculatedAmount = 0;
-            for (const passenger of passengers) {
-                // Xác định loại hành khách dựa trên dữ liệu từ client hoặc tự suy luận từ ngày sinh
-                const passengerType = passenger.passengerType || 
-                                   passenger.type || 
-                                   determinePassengerTypeFromDOB(passenger.dob) || 
-                                   'ADULT';
-                
-                const passengerTypeMultiplier = getPriceMultiplierForPassengerType(passengerType.toUpperCase());
-                
-                // Tính giá vé cho hành khách này
-                const passengerPrice = basePrice * passengerTypeMultiplier;
-                calculatedAmount += passengerPrice;
-                
-                // Gán loại hành khách vào object hành khách
-                passenger.calculatedPassengerType = passengerType.toUpperCase();
-            }
-            
-            // If this is a round trip booking, add the return flight price
-            if (finalIsRoundTrip && returnFlight) {
-                // Get the price for the selected seat class from the return flight
-                let returnBasePrice;
-                
-                // Select the appropriate price based on seat class
-                switch(seatClass) {
-                    case 'PREMIUM_ECONOMY':
-                        returnBasePrice = returnFlight.price_premium_economy || returnFlight.price_economy;
-                        break;
-                    case 'BUSINESS':
-                        returnBasePrice = returnFlight.price_business || returnFlight.price_economy;
-                        break;
-                    case 'FIRST':
-                        returnBasePrice = returnFlight.price_first || returnFlight.price_economy;
-                        break;
-                    case 'ECONOMY':
-                    default:
-                        returnBasePrice = returnFlight.price_economy;
-                        break;
-                }
-                
-                // Calculate return flight cost for all passengers
-                for (const passenger of passengers) {
-                    const passengerType = passenger.calculatedPassengerType || 'ADULT';
-                    const passengerTypeMultiplier = getPriceMultiplierForPassengerType(passengerType);
-                    const passengerReturnPrice = returnBasePrice * passengerTypeMultiplier;
-                    calculatedAmount += passengerReturnPrice;
-                }
-            }
-        
-        // Apply promo code if provided
-            finalAmount = calculatedAmount;
-        
-        if (promoCode) {
-            const promo = await db.get('SELECT * FROM promotions WHERE code = ? AND used_count < usage_limit AND valid_from <= date("now") AND valid_to >= date("now")', [promoCode]);
-            
-            if (promo) {
-                    let discountApplied = 0;
-                if (promo.discount_type === 'percent') {
-                        discountApplied = calculatedAmount * (promo.discount_value / 100);
-                } else if (promo.discount_type === 'fixed') {
-                    discountApplied = promo.discount_value;
-                }
-                    finalAmount = calculatedAmount - discountApplied;
-                
-                // Update promo used count
-                await db.run('UPDATE promotions SET used_count = used_count + 1 WHERE promo_id = ?', [promo.promo_id]);
-                    console.log(`Promo code ${promoCode} used. Count incremented to ${promo.used_count + 1}.`);
-                } else {
-                    console.log(`Invalid or expired promo code: ${promoCode}`);
-                }
-            }
-            
-            console.log("Calculated total amount:", finalAmount);
+        const passenger = await db.get('SELECT * FROM saved_passengers WHERE saved_passenger_id = ?', [result.lastID]);
+        res.status(201).json(passenger);
+    } catch (error) {
+        console.error('Error saving passenger:', error);
+        res.status(500).json({ error: 'Failed to save passenger' });
+    }
+});
+
+app.put('/api/customers/me/passengers/:id', requireCustomer, async (req, res) => {
+    try {
+        const existingPassenger = await db.get(
+            'SELECT * FROM saved_passengers WHERE saved_passenger_id = ? AND customer_id = ?',
+            [req.params.id, req.customer.customer_id]
+        );
+        if (!existingPassenger) {
+            return res.status(404).json({ error: 'Saved passenger not found' });
         }
+
+        const { fullName, gender, dob, passportNumber } = req.body;
+        await db.run(`
+            UPDATE saved_passengers SET full_name = ?, gender = ?, dob = ?, passport_number = ?
+            WHERE saved_passenger_id = ?
+        `, [
+            fullName || existingPassenger.full_name,
+            gender !== undefined ? gender : existingPassenger.gender,
+            dob !== undefined ? dob : existingPassenger.dob,
+            passportNumber !== undefined ? passportNumber : existingPassenger.passport_number,
+            existingPassenger.saved_passenger_id
+        ]);
+
+        const passenger = await db.get('SELECT * FROM saved_passengers WHERE saved_passenger_id = ?', [existingPassenger.saved_passenger_id]);
+        res.json(passenger);
+    } catch (error) {
+        console.error('Error updating saved passenger:', error);
+        res.status(500).json({ error: 'Failed to update saved passenger' });
+    }
+});
+
+app.delete('/api/customers/me/passengers/:id', requireCustomer, async (req, res) => {
+    try {
+        const result = await db.run(
+            'DELETE FROM saved_passengers WHERE saved_passenger_id = ? AND customer_id = ?',
+            [req.params.id, req.customer.customer_id]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Saved passenger not found' });
+        }
+        res.json({ success: true, message: 'Saved passenger deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting saved passenger:', error);
+        res.status(500).json({ error: 'Failed to delete saved passenger' });
+    }
+});
+
+// API endpoints
+// Search flights. Besides the basic filters this supports sortBy (price|departureTime|duration) + sortOrder,
+// minPrice/maxPrice, timeOfDay or departureTimeFrom/departureTimeTo, airlines, minSeats and page/pageSize.
+// Without page/pageSize the plain array of flights is returned, as before.
+app.get('/api/flights', async (req, res) => {
+    try {
+        const { departure, destination, departDate, seatClass, status } = req.query;
         
-        // Ensure finalAmount is never negative
-        finalAmount = Math.max(0, finalAmount);
-        
-        // Serialize passenger counts for storage
-        const passengerCountsJSON = JSON.stringify(passengerCounts || {
-            numAdults: passengers.filter(p => (p.type === 'adult' || p.passengerType === 'ADULT')).length,
-            numChildren: passengers.filter(p => (p.type === 'child' || p.passengerType === 'CHILD')).length,
-            numInfants: passengers.filter(p => (p.type === 'infant' || p.passengerType === 'INFANT')).length
-        });
-        
-        // Generate a unique booking ID
-        let bookingId;
-        let isUnique = false;
-        
-        while (!isUnique) {
-            bookingId = generateBookingId();
-            // Check if this ID already exists
-            const existingBooking = await db.get('SELECT booking_id FROM bookings WHERE booking_id = ?', [bookingId]);
-            if (!existingBooking) {
-                isUnique = true;
+        let query = 'SELECT * FROM flights WHERE 1=1';
+        const params = [];
+
+        if (departure) {
+            query += ' AND departure_airport = ?';
+            params.push(departure);
+        }
+
+        if (destination) {
+            query += ' AND arrival_airport = ?';
+            params.push(destination);
+        }
+
+        if (departDate) {
+            if (!isValidDateOnly(departDate)) {
+                return res.status(400).json({ error: 'departDate must be a date (YYYY-MM-DD)' });
             }
+            // departDate is the local date at the departure airport; the exact match happens below
+            query += ' AND departure_time >= ? AND departure_time < ?';
+            params.push(...getUtcWindowForLocalDates(departDate, departDate));
+        }
+
+        if (seatClass) {
+            query += ' AND available_classes LIKE ?';
+            params.push(`%${seatClass}%`);
         }
         
-        // Update available seats in the flights table for departure flight
-        console.log(`Updating seats for departure flight ${departureFlight.flight_id}, reducing ${seatField} by ${totalPassengers}`);
-        await db.run(`UPDATE flights SET 
-            ${seatField} = ${seatField} - ?, 
-            available_seats = available_seats - ? 
-            WHERE flight_id = ?`, 
-            [totalPassengers, totalPassengers, departureFlight.flight_id]
-        );
-        
-        // Log the updated flight info for verification
-        const updatedDepartureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [departureFlight.flight_id]);
-        console.log('Updated departure flight seats:', {
-            flight_id: updatedDepartureFlight.flight_id,
-            [seatField]: updatedDepartureFlight[seatField],
-            available_seats: updatedDepartureFlight.available_seats
-        });
-        
-        // Update available seats for return flight if this is a round trip booking
-        if (finalIsRoundTrip && returnFlight) {
-            let returnSeatField;
-            switch(seatClass) {
-                case 'PREMIUM_ECONOMY':
-                    returnSeatField = 'seats_premium_economy';
-                    break;
-                case 'BUSINESS':
-                    returnSeatField = 'seats_business';
-                    break;
-                case 'FIRST':
-                    returnSeatField = 'seats_first';
-                    break;
-                case 'ECONOMY':
-                default:
-                    returnSeatField = 'seats_economy';
-                    break;
-            }
-            
-            console.log(`Updating seats for return flight ${returnFlight.flight_id}, reducing ${returnSeatField} by ${totalPassengers}`);
-            await db.run(`UPDATE flights SET 
-                ${returnSeatField} = ${returnSeatField} - ?, 
-                available_seats = available_seats - ? 
-                WHERE flight_id = ?`, 
-                [totalPassengers, totalPassengers, returnFlight.flight_id]
-            );
-            
-            // Log the updated return flight info for verification
-            const updatedReturnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [returnFlight.flight_id]);
-            console.log('Updated return flight seats:', {
-                flight_id: updatedReturnFlight.flight_id,
-                [returnSeatField]: updatedReturnFlight[returnSeatField],
-                available_seats: updatedReturnFlight.available_seats
-            });
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
         }
+
+        const flights = await applyDynamicPricing((await db.all(query, params))
+            .filter(flight => !departDate || getFlightLocalDate(flight) === departDate));
         
-        // Insert booking record with passenger counts
-        await db.run(`
-            INSERT INTO bookings (
-                booking_id, departure_flight_id, return_flight_id, contact_name, email, phone, travel_class, 
-                total_amount, booking_time, payment_status, promo_code, passengers_info, is_round_trip
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            bookingId,
-            departureFlight.flight_id,
-            finalIsRoundTrip ? returnFlight.flight_id : null,
-            customerInfo.fullName,
-            customerInfo.email,
-            customerInfo.phone,
-            customerInfo.seatClass || 'ECONOMY',
-            finalAmount,
-            new Date().toISOString(), // Explicitly set the current time with timezone info
-            'unpaid',
-            promoCode || null,
-            passengerCountsJSON,
-            finalIsRoundTrip ? 1 : 0
-        ]);
+        // Format flights for client
+        const formattedFlights = flights.map(formatFlightForClient);
         
-        // Check and sanitize passenger data
-        for (const passenger of passengers) {
-            // Check if required passenger properties exist
-            if (!passenger.fullName) {
-                return res.status(400).json({
-                    error: 'Passenger data missing required fields',
-                    details: 'fullName is required for all passengers'
-                });
-            }
-            
-            // Make sure we have a valid passport number or ID
-            const passportNumber = passenger.idNumber || passenger.passport_number || passenger.passportNumber || 'UNKNOWN_ID';
-            
-            // Xác định loại hành khách - ưu tiên dữ liệu từ client hơn
-            let passengerType;
-            
-            if (passenger.type) {
-                // Nếu có dữ liệu type từ client, sử dụng và chuyển thành định dạng chuẩn
-                if (passenger.type.toLowerCase() === 'adult') passengerType = 'ADULT';
-                else if (passenger.type.toLowerCase() === 'child') passengerType = 'CHILD';
-                else if (passenger.type.toLowerCase() === 'infant') passengerType = 'INFANT';
-                else passengerType = 'ADULT'; // Mặc định là người lớn
-            } else if (passenger.passengerType) {
-                // Nếu có dữ liệu passengerType từ client
-                passengerType = passenger.passengerType.toUpperCase();
-            } else if (passenger.calculatedPassengerType) {
-                // Nếu đã tính toán trước đó trong API
-                passengerType = passenger.calculatedPassengerType;
-            } else {
-                // Nếu không có, xác định từ ngày sinh
-                passengerType = determinePassengerTypeFromDOB(passenger.dob) || 'ADULT';
-            }
-            
-            try {
-            await db.run(`
-                INSERT INTO booking_details (
-                    booking_id, full_name, gender, dob, passport_number,
-                        passenger_type, luggage_weight, insurance, meal
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                bookingId,
-                passenger.fullName,
-                    passenger.gender || 'UNKNOWN',
-                    passenger.dob || null,
-                    passportNumber,
-                    passengerType,
-                selectedServices && selectedServices.luggage ? 23 : 0,  // 23kg if luggage selected
-                    selectedServices && selectedServices.insurance ? 1 : 0,  // 1 if insurance selected
-                    selectedServices && (selectedServices.meal || selectedServices.food) ? 1 : 0  // 1 if meal selected
-            ]);
-            } catch (insertError) {
-                console.error('Error inserting passenger booking details:', insertError);
-                // Attempt to rollback by deleting the booking
-                await db.run('DELETE FROM bookings WHERE booking_id = ?', [bookingId]);
-                throw new Error(`Failed to save passenger details: ${insertError.message}`);
-            }
+        const priceClass = seatClass || 'ECONOMY';
+        const searchOptions = parseFlightSearchOptions(req.query);
+        if (searchOptions.error) {
+            return res.status(400).json({ error: searchOptions.error });
         }
         
-        // Insert payment information if provided
-        if (paymentMethod) {
-            // Validate payment method
-            if (paymentMethod !== 'bank_transfer' && paymentMethod !== 'momo') {
-                console.warn(`Invalid payment method: ${paymentMethod}. Defaulting to momo.`);
-                paymentMethod = 'momo';
-            }
-            
-            await db.run(`
-                INSERT INTO payments (
-                    booking_id, method, transaction_info
-                ) VALUES (?, ?, ?)
-            `, [
-                bookingId,
-                paymentMethod,
-                transactionInfo || null
-            ]);
+        const filteredFlights = sortFlights(
+            filterFlights(formattedFlights, priceClass, searchOptions),
+            priceClass,
+            searchOptions.sortBy,
+            searchOptions.sortOrder
+        );
+        
+        if (!searchOptions.paginate) {
+            return res.json(filteredFlights);
         }
         
-        res.status(201).json({ 
-            success: true, 
-            bookingId,
-            redirectUrl: `payment-waiting.html?booking_id=${bookingId}`,
-            message: 'Booking created successfully',
-            flightDetails: formatFlightForClient(departureFlight),
-            totalAmount: finalAmount
+        const { page, pageSize } = searchOptions;
+        const total = filteredFlights.length;
+        
+        res.json({
+            flights: filteredFlights.slice((page - 1) * pageSize, page * pageSize),
+            pagination: {
+                page,
+                pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
+            },
+            // Facets describe everything matching the route/date/class, so the sidebar keeps all options
+            facets: buildFlightFacets(formattedFlights, priceClass)
         });
     } catch (error) {
-        console.error('Error creating booking:', error);
-        console.error('Error stack:', error.stack);
-        console.error('Request data:', req.body);
+        console.error('Error fetching flights:', error);
+        res.status(500).json({ error: 'Failed to fetch flights' });
+    }
+});
+
+app.get('/api/flights/:id', async (req, res) => {
+    try {
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', req.params.id);
         
-        // Check if it's an SQLite constraint error
-        if (error.code && error.code.includes('SQLITE_CONSTRAINT')) {
-            return res.status(500).json({ 
-                error: 'Failed to create booking due to database constraint', 
-                details: error.message,
-                constraint: error.code 
-            });
+        if (!flight) {
+            return res.status(404).json({ error: 'Flight not found' });
         }
         
-        res.status(500).json({ error: 'Failed to create booking', details: error.message });
+        const [pricedFlight] = await applyDynamicPricing([flight]);
+        res.json(formatFlightForClient(pricedFlight));
+    } catch (error) {
+        console.error('Error fetching flight:', error);
+        res.status(500).json({ error: 'Failed to fetch flight details' });
     }
 });
 
-app.get('/api/bookings/:id', async (req, res) => {
+// Ancillaries on sale for a flight, priced for the chosen class (?seatClass=, default ECONOMY)
+app.get('/api/flights/:id/ancillaries', async (req, res) => {
     try {
-        const bookingId = req.params.id;
-        
-        // Get booking details
-        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
-        
-        if (!booking) {
-            return res.status(404).json({ error: 'Booking not found' });
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [req.params.id]);
+        if (!flight) {
+            return res.status(404).json({ error: 'Flight not found' });
         }
-        
-        // Get departure flight details
-        const departureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [booking.departure_flight_id]);
-        
-        if (!departureFlight) {
-            return res.status(404).json({ error: 'Departure flight not found for this booking' });
+        const seatClass = req.query.seatClass || 'ECONOMY';
+        if (!CABIN_ORDER.includes(seatClass)) {
+            return res.status(400).json({ error: `seatClass must be one of ${CABIN_ORDER.join(', ')}` });
         }
+
+        const catalog = await loadAncillaryCatalog();
+        const ancillaries = catalog.ancillaries
+            .filter(ancillary => ancillary.is_active)
+            .sort((a, b) => ANCILLARY_CATEGORIES.indexOf(a.category) - ANCILLARY_CATEGORIES.indexOf(b.category) || a.base_price - b.base_price)
+            .map(ancillary => ({
+                code: ancillary.ancillary_code,
+                category: ancillary.category,
+                name: ancillary.name,
+                description: ancillary.description,
+                baggageWeight: ancillary.baggage_weight,
+                price: getAncillaryPrice(ancillary, flight, seatClass, catalog.prices)
+            }));
+
+        res.json({ flightId: flight.flight_id, seatClass, currency: 'VND', ancillaries });
+    } catch (error) {
+        console.error('Error fetching ancillaries:', error);
+        res.status(500).json({ error: 'Failed to fetch ancillaries' });
+    }
+});
+
+// Live seat map of a flight (generated on first request)
+app.get('/api/flights/:id/seats', async (req, res) => {
+    try {
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', req.params.id);
         
-        // Get return flight details if this is a round trip
-        let returnFlight = null;
-        if (booking.is_round_trip === 1 && booking.return_flight_id) {
-            returnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [booking.return_flight_id]);
+        if (!flight) {
+            return res.status(404).json({ error: 'Flight not found' });
         }
         
-        // Get passengers
-        const passengers = await db.all('SELECT * FROM booking_details WHERE booking_id = ?', [bookingId]);
+        await withTransaction(() => ensureSeatMap(flight.flight_id));
         
-        // Get payment information
-        const paymentInfo = await db.get('SELECT * FROM payments WHERE booking_id = ?', [bookingId]);
+        const seats = await db.all(
+            'SELECT * FROM flight_seats WHERE flight_id = ? ORDER BY row_number, seat_letter',
+            [flight.flight_id]
+        );
         
-        res.json({
-            booking,
-            departureFlight: formatFlightForClient(departureFlight),
-            returnFlight: returnFlight ? formatFlightForClient(returnFlight) : null,
-            passengers,
-            paymentInfo
-        });
+        res.json(formatSeatMapForClient(flight, seats, await getCabinLayouts(flight)));
     } catch (error) {
-        console.error('Error fetching booking:', error);
-        res.status(500).json({ error: 'Failed to fetch booking details' });
+        console.error('Error fetching seat map:', error);
+        res.status(500).json({ error: 'Failed to fetch seat map' });
     }
 });
 
-// Update booking payment status
-app.patch('/api/bookings/:id/payment', async (req, res) => {
+// Fare calendar: lowest available fare per day for a route and seat class.
+// Pass returnMonth (or returnFromDate/returnToDate) to also get a depart x return matrix for round trips.
+app.get('/api/fare-calendar', async (req, res) => {
     try {
-        const bookingId = req.params.id;
-        const { paymentStatus } = req.body;
+        const { departure, destination } = req.query;
+        const seatClass = req.query.seatClass || 'ECONOMY';
+        const passengerCount = parseInt(req.query.passengers, 10) || 1;
         
-        if (!paymentStatus) {
-            return res.status(400).json({ error: 'Payment status is required' });
+        if (!departure || !destination) {
+            return res.status(400).json({ error: 'departure and destination are required parameters' });
         }
         
-        // Get current booking information to check previous status
-        const currentBooking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
-        
-        if (!currentBooking) {
-            return res.status(404).json({ error: 'Booking not found' });
+        const departRange = getCalendarDateRange(req.query.month, req.query.fromDate, req.query.toDate);
+        if (departRange.error) {
+            return res.status(400).json({ error: departRange.error });
         }
         
-        // Handle promotion code usage when the booking status changes to paid
-        if (paymentStatus === 'paid' && currentBooking.payment_status !== 'paid' && currentBooking.promo_code) {
-            // Get promotion details
-            const promo = await db.get('SELECT * FROM promotions WHERE code = ?', [currentBooking.promo_code]);
-            
-            if (promo) {
-                // Update promo used count to ensure it's counted
-                await db.run('UPDATE promotions SET used_count = used_count + 1 WHERE promo_id = ?', [promo.promo_id]);
-                console.log(`Promo code ${currentBooking.promo_code} usage confirmed with payment. Count incremented.`);
-            }
-        }
+        const departDays = await getLowestFaresByDay(departure, destination, seatClass, passengerCount, departRange.dates);
+        const response = {
+            departure,
+            destination,
+            seatClass,
+            passengers: passengerCount,
+            fromDate: departRange.dates[0],
+            toDate: departRange.dates[departRange.dates.length - 1],
+            days: departDays
+        };
         
-        // Check if we're cancelling or refunding a previously paid booking
-        if ((paymentStatus === 'cancelled' || paymentStatus === 'refunded') && 
-            (currentBooking.payment_status === 'paid' || currentBooking.payment_status === 'unpaid')) {
-            
-            // Get the number of passengers in this booking
-            const passengerCount = await db.get('SELECT COUNT(*) as count FROM booking_details WHERE booking_id = ?', [bookingId]);
-            
-            // Get the seat class used in the booking
-            const seatClass = currentBooking.travel_class || 'ECONOMY';
-            
-            // Determine which seat field to update based on the seat class
-            let seatField;
-            switch(seatClass) {
-                case 'PREMIUM_ECONOMY':
-                    seatField = 'seats_premium_economy';
-                    break;
-                case 'BUSINESS':
-                    seatField = 'seats_business';
-                    break;
-                case 'FIRST':
-                    seatField = 'seats_first';
-                    break;
-                case 'ECONOMY':
-                default:
-                    seatField = 'seats_economy';
-                    break;
+        const wantsReturn = req.query.returnMonth || req.query.returnFromDate || req.query.returnToDate;
+        if (wantsReturn) {
+            const returnRange = getCalendarDateRange(req.query.returnMonth, req.query.returnFromDate, req.query.returnToDate);
+            if (returnRange.error) {
+                return res.status(400).json({ error: returnRange.error });
             }
             
-            // Restore the seats to the flights - both class-specific and total
-            await db.run(`
-                UPDATE flights SET 
-                ${seatField} = ${seatField} + ?,
-                available_seats = available_seats + ? 
-                WHERE flight_id = ?
-            `, [passengerCount.count, passengerCount.count, currentBooking.departure_flight_id]);
+            const returnDays = await getLowestFaresByDay(destination, departure, seatClass, passengerCount, returnRange.dates);
+            response.returnDays = returnDays;
             
-            // If this was a round trip, restore seats for the return flight too
-            if (currentBooking.is_round_trip === 1 && currentBooking.return_flight_id) {
-                await db.run(`
-                    UPDATE flights SET 
-                    ${seatField} = ${seatField} + ?,
-                    available_seats = available_seats + ? 
-                    WHERE flight_id = ?
-                `, [passengerCount.count, passengerCount.count, currentBooking.return_flight_id]);
-            }
-        }
-        
-        const result = await db.run(
-            'UPDATE bookings SET payment_status = ? WHERE booking_id = ?',
-            [paymentStatus, bookingId]
-        );
-        
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Booking not found' });
+            // Rows are departure days, columns are return days; a return before departure is not a valid trip
+            response.roundTripMatrix = departDays.map(outbound => ({
+                departDate: outbound.date,
+                returns: returnDays.map(inbound => {
+                    const valid = inbound.date >= outbound.date;
+                    const bothAvailable = valid && outbound.status === 'available' && inbound.status === 'available';
+                    return {
+                        returnDate: inbound.date,
+                        totalFare: bothAvailable ? outbound.lowestFare + inbound.lowestFare : null,
+                        status: !valid ? 'invalid' : bothAvailable ? 'available'
+                            : (outbound.status === 'no_flights' || inbound.status === 'no_flights') ? 'no_flights' : 'sold_out'
+                    };
+                })
+            }));
         }
         
-        res.json({ success: true, message: 'Payment status updated successfully' });
+        res.json(response);
     } catch (error) {
-        console.error('Error updating payment status:', error);
-        res.status(500).json({ error: 'Failed to update payment status' });
+        console.error('Error building fare calendar:', error);
+        res.status(500).json({ error: 'Failed to build fare calendar' });
     }
 });
 
-// Promotions API endpoints
-app.get('/api/promotions', async (req, res) => {
+// Itinerary search: direct flights plus connecting options with up to `maxStops` stops
+app.get('/api/itineraries', async (req, res) => {
     try {
-        // Get query parameters
-        const { code, status, type } = req.query;
-        
-        // Change this to get ALL promotions, not just valid ones
-        let query = 'SELECT * FROM promotions';
-        const params = [];
+        const { departure, destination, departDate } = req.query;
+        const seatClass = req.query.seatClass || 'ECONOMY';
+        const passengerCount = parseInt(req.query.passengers, 10) || 1;
+        const maxStops = Math.min(
+            req.query.maxStops !== undefined ? parseInt(req.query.maxStops, 10) || 0 : 1,
+            MAX_ITINERARY_STOPS
+        );
+        const minConnection = parseInt(req.query.minConnectionMinutes, 10) || MIN_CONNECTION_MINUTES;
+        const maxConnection = parseInt(req.query.maxConnectionMinutes, 10) || MAX_CONNECTION_MINUTES;
         
-        // Apply filters if provided
-        if (code) {
-            query += ' WHERE code LIKE ?';
-            params.push(`%${code}%`);
-        } else {
-            query += ' WHERE 1=1'; // Always true condition for consistent query structure
+        if (!departure || !destination || !departDate) {
+            return res.status(400).json({ error: 'departure, destination and departDate are required parameters' });
         }
         
-        if (status) {
-            query += ' AND status = ?';
-            params.push(status);
+        if (!isValidDateOnly(departDate)) {
+            return res.status(400).json({ error: 'departDate must be a date (YYYY-MM-DD)' });
         }
         
-        if (type) {
-            // Map UI type to database discount_type
-            let discount_type;
-            if (type === 'percentage') {
-                discount_type = 'percent';
-            } else {
-                discount_type = type;
-            }
-            query += ' AND discount_type = ?';
-            params.push(discount_type);
+        if (minConnection > maxConnection) {
+            return res.status(400).json({ error: 'minConnectionMinutes cannot be greater than maxConnectionMinutes' });
         }
         
-        // Get all promotions without filtering by expiration date
-        const promotions = await db.all(query, params);
+        const itineraries = await findItineraries({
+            departure,
+            destination,
+            departDate: formatDateForDB(departDate),
+            seatClass,
+            passengerCount,
+            maxStops,
+            minConnection,
+            maxConnection
+        });
         
-        // Process promotions to update status based on dates
-        const currentDate = new Date();
-        const processedPromotions = promotions.map(promo => {
-            const validTo = new Date(promo.valid_to);
-            const validFrom = new Date(promo.valid_from);
-            
-            // Create a copy to avoid modifying the database object directly
-            const updatedPromo = {...promo};
-            
-            // Update status based on dates
-            if (validTo < currentDate) {
-                // If end date has passed, mark as expired
-                updatedPromo.status = 'expired';
-            } else if (validFrom > currentDate) {
-                // If start date is in future, mark as scheduled
-                updatedPromo.status = 'scheduled';
-            }
-            
-            return updatedPromo;
+        res.json({
+            departure,
+            destination,
+            departDate,
+            seatClass,
+            passengers: passengerCount,
+            maxStops,
+            connectionWindow: { minMinutes: minConnection, maxMinutes: maxConnection },
+            itineraries
         });
-        
-        res.json(processedPromotions);
     } catch (error) {
-        console.error('Error fetching promotions:', error);
-        res.status(500).json({ error: 'Failed to fetch promotions' });
+        console.error('Error searching itineraries:', error);
+        res.status(500).json({ error: 'Failed to search itineraries' });
     }
 });
 
-// Add endpoint to delete a promotion
-app.post('/api/promotions/delete', async (req, res) => {
+// Admin API: Create a new flight
+app.post('/api/flights', requireAdmin('agent'), async (req, res) => {
     try {
-        const { promo_id } = req.body;
-        
-        if (!promo_id) {
-            return res.status(400).json({ error: 'Promotion ID is required' });
+        const { 
+            airline_code, flight_number, 
+            departure_airport, arrival_airport, 
+            departure_time, arrival_time, 
+            price_economy, price_premium_economy, price_business, price_first,
+            seats_economy, seats_premium_economy, seats_business, seats_first,
+            status, available_classes, aircraft_type
+        } = req.body;
+
+        // Validate required fields (the airline name comes from the airlines table)
+        if (!airline_code || !flight_number || 
+            !departure_airport || !arrival_airport || 
+            !departure_time || !arrival_time || 
+            !price_economy || !seats_economy || !available_classes) {
+            return res.status(400).json({ error: 'Missing required flight information' });
         }
-        
-        // Check if promotion exists
-        const promotion = await db.get('SELECT * FROM promotions WHERE promo_id = ?', [promo_id]);
-        
-        if (!promotion) {
-            return res.status(404).json({ error: 'Promotion not found' });
+        const seatCountError = validateSeatCounts(req.body);
+        if (seatCountError) {
+            return res.status(400).json({ error: seatCountError });
         }
-        
-        // Delete the promotion
-        await db.run('DELETE FROM promotions WHERE promo_id = ?', [promo_id]);
-        
-        res.json({ success: true, message: 'Promotion deleted successfully' });
-    } catch (error) {
-        console.error('Error deleting promotion:', error);
-        res.status(500).json({ error: 'Failed to delete promotion' });
-    }
-});
 
-// Add endpoint to create a new promotion
-app.post('/api/promotions/create', async (req, res) => {
-    try {
-        const {
-            code, name, description, type, discount_type, discount_value,
-            valid_from, valid_to, usage_limit, status
-        } = req.body;
-        
-        // Basic validation
-        if (!code || !name || (!type && !discount_type) || discount_value === undefined) {
-            return res.status(400).json({ error: 'Missing required promotion information' });
+        const references = await validateFlightReferences({
+            airlineCode: airline_code,
+            departureAirport: departure_airport,
+            arrivalAirport: arrival_airport,
+            aircraftType: aircraft_type,
+            seats: { ECONOMY: seats_economy, PREMIUM_ECONOMY: seats_premium_economy, BUSINESS: seats_business, FIRST: seats_first }
+        });
+        if (references.error) {
+            return res.status(400).json({ error: references.error });
         }
-        
-        // Check if promotion code already exists
-        const existingPromo = await db.get('SELECT * FROM promotions WHERE code = ?', [code]);
-        if (existingPromo) {
-            return res.status(400).json({ error: 'Promotion code already exists' });
+
+        // Times without a UTC offset are local times at the airports; they are stored in UTC
+        const departureTime = normalizeFlightTime(departure_time, departure_airport);
+        const arrivalTime = normalizeFlightTime(arrival_time, arrival_airport);
+        if (!departureTime || !arrivalTime || arrivalTime <= departureTime) {
+            return res.status(400).json({ error: 'departure_time and arrival_time must be valid times with arrival after departure' });
         }
-        
-        // Map type field to discount_type if needed
-        const finalDiscountType = discount_type || (type === 'percentage' ? 'percent' : type);
-        
-        // Default status to 'active' if not provided
-        const promoStatus = status || 'active';
-        
-        // Insert new promotion
+        const duration = formatDuration(getDurationMinutes(departureTime, arrivalTime));
+
+        // Calculate total available seats
+        const total_seats = Number(seats_economy || 0) + 
+                           Number(seats_premium_economy || 0) + 
+                           Number(seats_business || 0) + 
+                           Number(seats_first || 0);
+
+        // available_classes có thể là mảng hoặc chuỗi, đảm bảo lưu là chuỗi
+        const availableClassesString = Array.isArray(available_classes) 
+            ? available_classes.join(',') 
+            : available_classes;
+
+        // Insert new flight
         const result = await db.run(`
-            INSERT INTO promotions (
-                code, name, description, discount_type, discount_value,
-                valid_from, valid_to, usage_limit, used_count, status
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)
+            INSERT INTO flights (
+                airline, airline_code, flight_number, departure_airport, arrival_airport, 
+                departure_time, arrival_time, duration,
+                price_economy, price_premium_economy, price_business, price_first,
+                seats_economy, seats_premium_economy, seats_business, seats_first,
+                available_seats, status, available_classes, aircraft_type
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
-            code, name, description, finalDiscountType, discount_value,
-            valid_from, valid_to, usage_limit, promoStatus
+            references.airline, airline_code, flight_number, departure_airport, arrival_airport, 
+            departureTime, arrivalTime, duration,
+            price_economy, price_premium_economy, price_business, price_first,
+            seats_economy, seats_premium_economy, seats_business, seats_first,
+            total_seats, status || 'scheduled', availableClassesString, aircraft_type || null
         ]);
-        
-        // Get the newly created promotion
-        const newPromotion = await db.get('SELECT * FROM promotions WHERE promo_id = ?', result.lastID);
-        
-        res.status(201).json(newPromotion);
+
+        const newFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [result.lastID]);
+        res.status(201).json(formatFlightForClient(newFlight));
     } catch (error) {
-        console.error('Error creating promotion:', error);
-        res.status(500).json({ error: 'Failed to create promotion' });
+        console.error('Error creating flight:', error);
+        res.status(500).json({ error: 'Failed to create flight', details: error.message });
     }
 });
 
-// Add endpoint to update an existing promotion
-app.post('/api/promotions/update', async (req, res) => {
+// Admin API: Update a flight
+app.put('/api/flights/:id', requireAdmin('agent'), async (req, res) => {
     try {
-        const {
-            promo_id, code, name, description, type, discount_type, discount_value,
-            valid_from, valid_to, usage_limit, status
+        const flightId = req.params.id;
+        const { 
+            airline_code, flight_number, 
+            departure_airport, arrival_airport, 
+            departure_time, arrival_time, 
+            price_economy, price_premium_economy, price_business, price_first,
+            seats_economy, seats_premium_economy, seats_business, seats_first,
+            status, available_classes, aircraft_type
         } = req.body;
-        
-        if (!promo_id || !code || !name || (!type && !discount_type) || discount_value === undefined) {
-            return res.status(400).json({ error: 'Missing required promotion information' });
+
+        // Validate required fields (the airline name comes from the airlines table)
+        if (!airline_code || !flight_number || 
+            !departure_airport || !arrival_airport || 
+            !departure_time || !arrival_time || 
+            !price_economy || !available_classes) {
+            return res.status(400).json({ error: 'Missing required flight information' });
         }
-        
-        // Check if promotion exists
-        const existingPromo = await db.get('SELECT * FROM promotions WHERE promo_id = ?', [promo_id]);
-        if (!existingPromo) {
-            return res.status(404).json({ error: 'Promotion not found' });
+        const seatCountError = validateSeatCounts(req.body);
+        if (seatCountError) {
+            return res.status(400).json({ error: seatCountError });
         }
-        
-        // Check if updated code conflicts with another promotion
-        const codeConflict = await db.get('SELECT * FROM promotions WHERE code = ? AND promo_id != ?', [code, promo_id]);
-        if (codeConflict) {
-            return res.status(400).json({ error: 'Promotion code already exists' });
+
+        // Check if flight exists
+        const existingFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', flightId);
+        if (!existingFlight) {
+            return res.status(404).json({ error: 'Flight not found' });
         }
+
+        // Cancelling has to rebook or refund the passengers, which only the disruption flow does
+        if (status === 'cancelled' && existingFlight.status !== 'cancelled') {
+            return res.status(400).json({ error: 'Cancel a flight with POST /api/admin/flights/:id/disruptions' });
+        }
+
+        const aircraftType = aircraft_type !== undefined ? aircraft_type || null : existingFlight.aircraft_type;
+        const references = await validateFlightReferences({
+            airlineCode: airline_code,
+            departureAirport: departure_airport,
+            arrivalAirport: arrival_airport,
+            aircraftType,
+            seats: { ECONOMY: seats_economy, PREMIUM_ECONOMY: seats_premium_economy, BUSINESS: seats_business, FIRST: seats_first }
+        });
+        if (references.error) {
+            return res.status(400).json({ error: references.error });
+        }
+
+        // Times without a UTC offset are local times at the airports; they are stored in UTC
+        const departureTime = normalizeFlightTime(departure_time, departure_airport);
+        const arrivalTime = normalizeFlightTime(arrival_time, arrival_airport);
+        if (!departureTime || !arrivalTime || arrivalTime <= departureTime) {
+            return res.status(400).json({ error: 'departure_time and arrival_time must be valid times with arrival after departure' });
+        }
+        const duration = formatDuration(getDurationMinutes(departureTime, arrivalTime));
+
+        // Calculate total available seats
+        const total_seats = Number(seats_economy || 0) + 
+                           Number(seats_premium_economy || 0) + 
+                           Number(seats_business || 0) + 
+                           Number(seats_first || 0);
+
+        // available_classes có thể là mảng hoặc chuỗi, đảm bảo lưu là chuỗi
+        const availableClassesString = Array.isArray(available_classes) 
+            ? available_classes.join(',') 
+            : available_classes;
+
+        console.log('Updating flight with ID:', flightId);
+        console.log('Data received:', req.body);
+
+        // Update the flight and its seat map together, so counters and map stay in sync
+        await withTransaction(async () => {
+            await db.run(`
+                UPDATE flights SET
+                    airline = ?, airline_code = ?, flight_number = ?,
+                    departure_airport = ?, arrival_airport = ?,
+                    departure_time = ?, arrival_time = ?, duration = ?,
+                    price_economy = ?, price_premium_economy = ?, price_business = ?, price_first = ?,
+                    seats_economy = ?, seats_premium_economy = ?, seats_business = ?, seats_first = ?,
+                    available_seats = ?, status = ?, available_classes = ?, aircraft_type = ?
+                WHERE flight_id = ?
+            `, [
+                references.airline, airline_code, flight_number,
+                departure_airport, arrival_airport,
+                departureTime, arrivalTime, duration,
+                price_economy, price_premium_economy || null, price_business || null, price_first || null,
+                seats_economy || 0, seats_premium_economy || 0, seats_business || 0, seats_first || 0,
+                total_seats, status, availableClassesString, aircraftType,
+                flightId
+            ]);
+            await resizeSeatMap(existingFlight.flight_id);
+        });
+
+        // Get the updated flight
+        const updatedFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', flightId);
+        await notifyFlightUpdate(existingFlight, updatedFlight);
         
-        // Map type field to discount_type if needed
-        const finalDiscountType = discount_type || (type === 'percentage' ? 'percent' : type);
-        
-        // Default to existing status if not provided
-        const promoStatus = status || existingPromo.status || 'active';
-        
-        // Update the promotion
-        await db.run(`
-            UPDATE promotions SET
-                code = ?, name = ?, description = ?, discount_type = ?, discount_value = ?,
-                valid_from = ?, valid_to = ?, usage_limit = ?, status = ?
-            WHERE promo_id = ?
-        `, [
-            code, name, description, finalDiscountType, discount_value,
-            valid_from, valid_to, usage_limit, promoStatus, promo_id
-        ]);
-        
-        // Get the updated promotion
-        const updatedPromotion = await db.get('SELECT * FROM promotions WHERE promo_id = ?', promo_id);
-        
-        res.json(updatedPromotion);
+        console.log('Updated flight:', updatedFlight);
+        res.json(formatFlightForClient(updatedFlight));
     } catch (error) {
-        console.error('Error updating promotion:', error);
-        res.status(500).json({ error: 'Failed to update promotion' });
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error updating flight:', error);
+        res.status(500).json({ error: 'Failed to update flight', details: error.message });
     }
 });
 
-// Endpoint to validate promotion code
-app.post('/api/promotions/validate', async (req, res) => {
+// Admin API: Delete a flight
+app.delete('/api/flights/:id', requireAdmin('agent'), async (req, res) => {
     try {
-        const { code } = req.body;
-        
-        if (!code) {
-            return res.status(400).json({ error: 'Promotion code is required' });
+        const flightId = req.params.id;
+
+        // Check if flight exists
+        const existingFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', flightId);
+        if (!existingFlight) {
+            return res.status(404).json({ error: 'Flight not found' });
         }
-        
-        // Get the promotion regardless of dates
-        const promo = await db.get(
-            'SELECT * FROM promotions WHERE code = ? AND status != "inactive" AND used_count < usage_limit',
-            [code]
-        );
-        
-        if (!promo) {
-            return res.status(404).json({ error: 'Invalid or inactive promotion code' });
+
+        // Check if flight has bookings (any leg, including returns and connections)
+        const bookings = await db.get('SELECT COUNT(DISTINCT booking_id) as count FROM booking_segments WHERE flight_id = ?', flightId);
+        if (bookings.count > 0) {
+            return res.status(400).json({ 
+                error: 'Cannot delete flight with existing bookings',
+                bookingsCount: bookings.count
+            });
         }
+
+        // Delete the flight
+        await db.run('DELETE FROM flight_seats WHERE flight_id = ?', flightId);
+        await db.run('DELETE FROM ancillary_prices WHERE flight_id = ?', flightId);
+        await db.run('DELETE FROM flights WHERE flight_id = ?', flightId);
         
-        // Check dates manually
-        const currentDate = new Date();
-        const validFrom = new Date(promo.valid_from);
-        const validTo = new Date(promo.valid_to);
-        
-        if (currentDate < validFrom) {
-            return res.status(404).json({ error: 'Promotion code is not valid yet' });
+        res.json({ message: 'Flight deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting flight:', error);
+        res.status(500).json({ error: 'Failed to delete flight' });
+    }
+});
+
+// Admin API: Check-in status of a flight - who is booked, who has checked in
+app.get('/api/admin/flights/:id/checkin', requireAdmin('viewer', 'agent'), async (req, res) => {
+    try {
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [req.params.id]);
+        if (!flight) {
+            return res.status(404).json({ error: 'Flight not found' });
         }
         
-        if (currentDate > validTo) {
-            return res.status(404).json({ error: 'Promotion code has expired' });
+        // Passengers of paid bookings on this flight, minus the ones refunded for it
+        const passengers = await db.all(`
+            SELECT bd.detail_id, bd.full_name, bd.booking_id, b.travel_class,
+                   fs.seat_number, c.seat_number as checkin_seat_number, c.sequence_number, c.checked_in_at, c.checked_in_by
+            FROM booking_segments s
+            JOIN bookings b ON s.booking_id = b.booking_id
+            JOIN booking_details bd ON bd.booking_id = b.booking_id
+            LEFT JOIN flight_seats fs ON fs.flight_id = s.flight_id AND fs.detail_id = bd.detail_id
+            LEFT JOIN checkins c ON c.flight_id = s.flight_id AND c.detail_id = bd.detail_id
+            WHERE s.flight_id = ? AND b.payment_status = 'paid'
+              AND NOT EXISTS (
+                  SELECT 1 FROM refund_items ri JOIN refunds r ON ri.refund_id = r.refund_id
+                  WHERE r.status = 'completed' AND ri.detail_id = bd.detail_id AND ri.flight_id = s.flight_id
+              )
+            ORDER BY c.sequence_number IS NULL, c.sequence_number, bd.full_name
+        `, [flight.flight_id]);
+        
+        const checkedIn = passengers.filter(p => p.checked_in_at).length;
+        const byClass = {};
+        for (const passenger of passengers) {
+            const stats = byClass[passenger.travel_class] = byClass[passenger.travel_class] || { passengers: 0, checkedIn: 0 };
+            stats.passengers++;
+            if (passenger.checked_in_at) stats.checkedIn++;
         }
         
         res.json({
-            valid: true,
-            promo: {
-                code: promo.code,
-                name: promo.name,
-                description: promo.description,
-                discountType: promo.discount_type,
-                discountValue: promo.discount_value,
-                status: promo.status
-            }
+            flight: formatFlightForClient(flight),
+            checkinWindow: getCheckinWindow(flight),
+            summary: {
+                passengers: passengers.length,
+                checkedIn,
+                notCheckedIn: passengers.length - checkedIn,
+                checkedInPercent: passengers.length > 0 ? Math.round(checkedIn / passengers.length * 1000) / 10 : 0,
+                byClass
+            },
+            passengers: passengers.map(p => ({
+                bookingId: p.booking_id,
+                detailId: p.detail_id,
+                fullName: p.full_name,
+                travelClass: p.travel_class,
+                seatNumber: p.checkin_seat_number || p.seat_number,
+                checkedIn: !!p.checked_in_at,
+                sequenceNumber: p.sequence_number,
+                checkedInAt: p.checked_in_at,
+                checkedInBy: p.checked_in_by
+            }))
         });
     } catch (error) {
-        console.error('Error validating promotion:', error);
-        res.status(500).json({ error: 'Failed to validate promotion code' });
+        console.error('Error fetching check-in report:', error);
+        res.status(500).json({ error: 'Failed to fetch check-in report' });
     }
 });
 
-// Admin API: Get all bookings
-app.get('/api/admin/bookings', async (req, res) => {
+// Admin API: Preview a delay or cancellation - which bookings it hits and what would happen to them
+// Body: { type: 'delay' | 'cancellation', newDepartureTime, newArrivalTime, rebooking: 'auto' | 'propose' }
+app.post('/api/admin/flights/:id/disruptions/preview', requireAdmin('agent'), async (req, res) => {
     try {
-        const { bookingId, contactName, paymentStatus, fromDate, toDate } = req.query;
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [req.params.id]);
+        if (!flight) {
+            return res.status(404).json({ error: 'Flight not found' });
+        }
         
-        let query = `
-            SELECT b.*, 
-                  (SELECT COUNT(*) FROM booking_details WHERE booking_id = b.booking_id) as passenger_count
-            FROM bookings b
-            WHERE 1=1
-        `;
-        const params = [];
-
-        if (bookingId) {
-            query += ' AND b.booking_id = ?';
-            params.push(bookingId);
-        }
-
-        if (contactName) {
-            query += ' AND b.contact_name LIKE ?';
-            params.push(`%${contactName}%`);
-        }
-
-        if (paymentStatus) {
-            query += ' AND b.payment_status = ?';
-            params.push(paymentStatus);
-        }
-
-        if (fromDate) {
-            query += ' AND DATE(b.booking_time) >= DATE(?)';
-            params.push(fromDate);
-        }
-
-        if (toDate) {
-            query += ' AND DATE(b.booking_time) <= DATE(?)';
-            params.push(toDate);
-        }
-
-        query += ' ORDER BY b.booking_time DESC';
-        
-        const bookings = await db.all(query, params);
-        
-        // Add flight information to each booking
-        for (const booking of bookings) {
-            // Get departure flight information
-            const departureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', booking.departure_flight_id);
-            if (departureFlight) {
-                booking.flight_info = {
-                    airline: departureFlight.airline,
-                    airline_code: departureFlight.airline_code,
-                    flight_number: departureFlight.flight_number,
-                    departure_airport: departureFlight.departure_airport,
-                    arrival_airport: departureFlight.arrival_airport
-                };
-            }
-            
-            // Add return flight info only if this is a round-trip booking and has a return flight
-            if (booking.is_round_trip === 1 && booking.return_flight_id) {
-                const returnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', booking.return_flight_id);
-                if (returnFlight) {
-                    booking.return_flight_info = {
-                        airline: returnFlight.airline,
-                        airline_code: returnFlight.airline_code,
-                        flight_number: returnFlight.flight_number,
-                        departure_airport: returnFlight.departure_airport,
-                        arrival_airport: returnFlight.arrival_airport
-                };
-                }
-            }
+        const { options, error, status } = parseDisruptionRequest(flight, req.body);
+        if (error) {
+            return res.status(status || 400).json({ error });
         }
         
-        res.json(bookings);
+        res.json(formatDisruptionPlanForClient(await planDisruption(flight, options)));
     } catch (error) {
-        console.error('Error fetching bookings:', error);
-        res.status(500).json({ error: 'Failed to fetch bookings' });
+        console.error('Error previewing disruption:', error);
+        res.status(500).json({ error: 'Failed to preview disruption' });
     }
 });
 
-// Admin API: Get booking details
-app.get('/api/admin/bookings/:id', async (req, res) => {
+// Admin API: Delay or cancel a flight and handle every booking on it. Returns the disruption report.
+app.post('/api/admin/flights/:id/disruptions', requireAdmin('agent'), async (req, res) => {
     try {
-        const bookingId = req.params.id;
+        const actor = `admin:${req.admin.username}`;
         
-        // Get booking information
-        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
-        
-        if (!booking) {
-            return res.status(404).json({ error: 'Booking not found' });
-        }
-        
-        // Parse passenger counts if available
-        let passengerCounts = null;
-        if (booking.passengers_info) {
-            try {
-                passengerCounts = JSON.parse(booking.passengers_info);
-            } catch (e) {
-                console.error('Error parsing passenger counts:', e);
+        const disruptionId = await withTransaction(async () => {
+            // Plan inside the transaction so seats and bookings cannot change underneath it
+            const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [req.params.id]);
+            if (!flight) {
+                throw new BookingError(404, 'Flight not found');
             }
-        }
-        
-        // Get departure flight details
-        const departureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [booking.departure_flight_id]);
+            const { options, error, status } = parseDisruptionRequest(flight, req.body);
+            if (error) {
+                throw new BookingError(status || 400, error);
+            }
+            
+            const plan = await planDisruption(flight, options);
+            return applyDisruption(plan, { reason: req.body.reason, actor });
+        });
+        afterCommit(processNotificationOutbox);
         
-        // Get return flight details if this is a round-trip booking
-        let returnFlight = null;
-        if (booking.is_round_trip === 1 && booking.return_flight_id) {
-            returnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [booking.return_flight_id]);
+        res.status(201).json(await getDisruptionReport(disruptionId));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
         }
-        
-        // Get passengers
-        const passengers = await db.all('SELECT * FROM booking_details WHERE booking_id = ?', [bookingId]);
-        
-        // Get payment information
-        let paymentInfo = null;
-        try {
-            paymentInfo = await db.get('SELECT * FROM payments WHERE booking_id = ?', [bookingId]);
-        } catch (e) {
-            console.error('Error fetching payment information:', e);
+        console.error('Error applying disruption:', error);
+        res.status(500).json({ error: 'Failed to apply disruption' });
+    }
+});
+
+// Admin API: Disruptions, newest first (?flightId=)
+app.get('/api/admin/disruptions', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const { flightId } = req.query;
+        const disruptions = await db.all(`
+            SELECT disruption_id FROM flight_disruptions
+            ${flightId ? 'WHERE flight_id = ?' : ''}
+            ORDER BY created_at DESC, disruption_id DESC
+        `, flightId ? [flightId] : []);
+        
+        const reports = [];
+        for (const { disruption_id } of disruptions) {
+            const { bookings, ...report } = await getDisruptionReport(disruption_id);
+            reports.push(report);
         }
-        
-        res.json({
-            booking,
-            passengerCounts,
-            departureFlight: departureFlight ? formatFlightForClient(departureFlight) : null,
-            returnFlight: returnFlight ? formatFlightForClient(returnFlight) : null,
-            passengers,
-            paymentInfo
-        });
+        res.json(reports);
     } catch (error) {
-        console.error('Error fetching booking details:', error);
-        res.status(500).json({ error: 'Failed to fetch booking details' });
+        console.error('Error fetching disruptions:', error);
+        res.status(500).json({ error: 'Failed to fetch disruptions' });
     }
 });
 
-// Admin API: Update booking payment status
-app.patch('/api/admin/bookings/:id/payment', async (req, res) => {
+// Admin API: Disruption report
+app.get('/api/admin/disruptions/:id', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
     try {
-        const bookingId = req.params.id;
-        const { paymentStatus } = req.body;
-        
-        if (!paymentStatus) {
-            return res.status(400).json({ error: 'Payment status is required' });
-        }
-        
-        // Validate payment status
-        const validStatuses = ['unpaid', 'paid', 'refunded', 'cancelled'];
-        if (!validStatuses.includes(paymentStatus)) {
-            return res.status(400).json({ error: 'Invalid payment status' });
+        const report = await getDisruptionReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Disruption not found' });
         }
-        
-        // Get current booking information to check previous status
-        const currentBooking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
-        
-        if (!currentBooking) {
-            return res.status(404).json({ error: 'Booking not found' });
+        res.json(report);
+    } catch (error) {
+        console.error('Error fetching disruption:', error);
+        res.status(500).json({ error: 'Failed to fetch disruption' });
+    }
+});
+
+// Admin API: Answer a proposed rebooking on the customer's behalf.
+// accept moves the booking to the proposed flight; decline gives a fee-free refund (or cancels an unpaid booking).
+app.post('/api/admin/disruptions/:id/bookings/:bookingId/:decision', requireAdmin('agent'), async (req, res) => {
+    try {
+        const { id: disruptionId, bookingId, decision } = req.params;
+        if (!['accept', 'decline'].includes(decision)) {
+            return res.status(404).json({ error: 'Unknown decision, use accept or decline' });
         }
+        const actor = `admin:${req.admin.username}`;
         
-        // Handle promotion code usage when the booking status changes to paid
-        if (paymentStatus === 'paid' && currentBooking.payment_status !== 'paid' && currentBooking.promo_code) {
-            // Get promotion details
-            const promo = await db.get('SELECT * FROM promotions WHERE code = ?', [currentBooking.promo_code]);
-            
-            if (promo) {
-                // Update promo used count to ensure it's counted
-                await db.run('UPDATE promotions SET used_count = used_count + 1 WHERE promo_id = ?', [promo.promo_id]);
-                console.log(`Promo code ${currentBooking.promo_code} usage confirmed with payment. Count incremented.`);
+        await withTransaction(async () => {
+            const entry = await db.get(
+                'SELECT * FROM disruption_bookings WHERE disruption_id = ? AND booking_id = ?',
+                [disruptionId, bookingId]
+            );
+            if (!entry) {
+                throw new BookingError(404, 'Booking is not part of this disruption');
+            }
+            if (entry.action !== 'proposed' || entry.status !== 'pending') {
+                throw new BookingError(409, 'There is no open rebooking proposal for this booking', { action: entry.action, status: entry.status });
             }
-        }
-        
-        // Check if we're cancelling or refunding a previously paid booking
-        if ((paymentStatus === 'cancelled' || paymentStatus === 'refunded') && 
-            (currentBooking.payment_status === 'paid' || currentBooking.payment_status === 'unpaid')) {
             
-            // Get the number of passengers in this booking
-            const passengerCount = await db.get('SELECT COUNT(*) as count FROM booking_details WHERE booking_id = ?', [bookingId]);
+            const disruption = await db.get('SELECT * FROM flight_disruptions WHERE disruption_id = ?', [disruptionId]);
+            const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [disruption.flight_id]);
+            const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+            if (INACTIVE_BOOKING_STATUSES.includes(booking.payment_status)) {
+                throw new BookingError(409, `Booking is ${booking.payment_status}`);
+            }
             
-            // Get the seat class used in the booking
-            const seatClass = currentBooking.travel_class || 'ECONOMY';
+            const passengers = await db.all(`
+                SELECT bd.* FROM booking_details bd
+                WHERE bd.booking_id = ? AND NOT EXISTS (
+                    SELECT 1 FROM refund_items ri JOIN refunds r ON ri.refund_id = r.refund_id
+                    WHERE r.status = 'completed' AND ri.detail_id = bd.detail_id AND ri.flight_id = ?
+                )
+            `, [bookingId, flight.flight_id]);
+            const flightCode = `${flight.airline_code}${flight.flight_number}`;
+            const reason = `Flight ${flightCode} cancelled${disruption.reason ? `: ${disruption.reason}` : ''}`;
+            let refundId = null;
+            let note = entry.note;
             
-            // Determine which seat field to update based on the seat class
-            let seatField;
-            switch(seatClass) {
-                case 'PREMIUM_ECONOMY':
-                    seatField = 'seats_premium_economy';
-                    break;
-                case 'BUSINESS':
-                    seatField = 'seats_business';
-                    break;
-                case 'FIRST':
-                    seatField = 'seats_first';
-                    break;
-                case 'ECONOMY':
-                default:
-                    seatField = 'seats_economy';
-                    break;
+            if (decision === 'accept') {
+                const alternative = await db.get('SELECT * FROM flights WHERE flight_id = ?', [entry.alternative_flight_id]);
+                if (!alternative || alternative.status === 'cancelled') {
+                    throw new BookingError(409, 'The proposed flight is no longer available');
+                }
+                await moveBookingLeg(booking, flight.flight_id, alternative, passengers.map(p => p.detail_id));
+                await enqueueBookingNotification(bookingId, 'flight_rebooked', {
+                    flightCode,
+                    newFlight: formatNotificationFlight(alternative, booking.locale)
+                });
+            } else if (booking.payment_status === 'paid') {
+                const directionFlightIds = (await getBookingSegments(bookingId))
+                    .filter(segment => segment.direction === entry.direction)
+                    .map(segment => segment.flight_id);
+                ({ refundId, note } = await createDisruptionRefund({ booking, passengers, directionFlightIds }, reason, actor, note));
+            } else {
+                await transitionBookingStatus(bookingId, 'cancelled', { actor, reason });
             }
             
-            // Restore the seats to the flights - both class-specific and total
             await db.run(`
-                UPDATE flights SET 
-                ${seatField} = ${seatField} + ?,
-                available_seats = available_seats + ? 
-                WHERE flight_id = ?
-            `, [passengerCount.count, passengerCount.count, currentBooking.departure_flight_id]);
-            
-            // If this was a round trip, restore seats for the return flight too
-            if (currentBooking.is_round_trip === 1 && currentBooking.return_flight_id) {
-                await db.run(`
-                    UPDATE flights SET 
-                    ${seatField} = ${seatField} + ?,
-                    available_seats = available_seats + ? 
-                    WHERE flight_id = ?
-                `, [passengerCount.count, passengerCount.count, currentBooking.return_flight_id]);
-            }
-        }
-        
-        // Update booking payment status
-        const result = await db.run(
-            'UPDATE bookings SET payment_status = ? WHERE booking_id = ?',
-            [paymentStatus, bookingId]
-        );
+                UPDATE disruption_bookings SET status = ?, refund_id = ?, note = ?, resolved_by = ?, resolved_at = ?
+                WHERE disruption_booking_id = ?
+            `, [decision === 'accept' ? 'accepted' : 'declined', refundId, note, actor, new Date().toISOString(), entry.disruption_booking_id]);
+        });
+        afterCommit(processNotificationOutbox);
         
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Booking not found' });
+        res.json(await getDisruptionReport(disruptionId));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
         }
+        console.error('Error resolving rebooking proposal:', error);
+        res.status(500).json({ error: 'Failed to resolve rebooking proposal' });
+    }
+});
 
-                // Removed automatic seat assignment logic
-        
-        res.json({ 
-            success: true, 
-            message: 'Payment status updated successfully',
-            paymentStatus 
-        });
+// API: Active airports, for the departure/destination pickers
+app.get('/api/airports', async (req, res) => {
+    try {
+        const airports = await db.all('SELECT * FROM airports WHERE is_active = 1 ORDER BY city');
+        res.json(airports.map(formatAirportForClient));
     } catch (error) {
-        console.error('Error updating payment status:', error);
-        res.status(500).json({ error: 'Failed to update payment status' });
+        console.error('Error fetching airports:', error);
+        res.status(500).json({ error: 'Failed to fetch airports' });
     }
 });
 
-// Helper function for assign seats removed
+// API: Active airlines
+app.get('/api/airlines', async (req, res) => {
+    try {
+        const airlines = await db.all('SELECT * FROM airlines WHERE is_active = 1 ORDER BY name');
+        res.json(airlines.map(formatAirlineForClient));
+    } catch (error) {
+        console.error('Error fetching airlines:', error);
+        res.status(500).json({ error: 'Failed to fetch airlines' });
+    }
+});
 
-// Admin API: Get booking statistics
-app.get('/api/admin/stats/bookings', async (req, res) => {
+// Admin API: Airports, including inactive ones
+app.get('/api/admin/airports', requireAdmin('viewer', 'agent'), async (req, res) => {
     try {
-        // Get booking count by payment status
-        const statusStats = await db.all(`
-            SELECT payment_status, COUNT(*) as count 
-            FROM bookings 
-            GROUP BY payment_status 
-            ORDER BY count DESC
-        `);
-        
-        // Get total revenue
-        const revenue = await db.get(`
-            SELECT SUM(total_amount) as total 
-            FROM bookings 
-            WHERE payment_status = 'paid'
-        `);
-        
-        // Get bookings by travel class
-        const travelClassStats = await db.all(`
-            SELECT travel_class, COUNT(*) as count 
-            FROM bookings 
-            GROUP BY travel_class
-        `);
-        
-        // Get recent bookings (last 7 days)
-        const recentBookings = await db.all(`
-            SELECT DATE(booking_time) as date, COUNT(*) as count 
-            FROM bookings 
-            WHERE booking_time >= datetime('now', '-7 days')
-            GROUP BY DATE(booking_time)
-            ORDER BY date
-        `);
-        
-        res.json({
-            totalBookings: statusStats.reduce((acc, stat) => acc + stat.count, 0),
-            totalRevenue: revenue.total || 0,
-            statusStats,
-            travelClassStats,
-            recentBookings
-        });
+        const airports = await db.all('SELECT * FROM airports ORDER BY airport_code');
+        res.json(airports.map(formatAirportForClient));
     } catch (error) {
-        console.error('Error fetching booking statistics:', error);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        console.error('Error fetching airports:', error);
+        res.status(500).json({ error: 'Failed to fetch airports' });
     }
 });
 
-// Add new endpoint to save/update payment information
-app.post('/api/payments', async (req, res) => {
+// Body: { code, name, city, country, timezone, isActive }
+app.post('/api/admin/airports', requireAdmin('agent'), async (req, res) => {
     try {
-        const { bookingId, method, transactionInfo } = req.body;
-        
-        if (!bookingId || !method) {
-            return res.status(400).json({ error: 'Missing required payment information' });
+        const { values, error } = validateAirport(req.body);
+        if (error) {
+            return res.status(400).json({ error });
         }
-        
-        // Validate payment method
-        if (method !== 'bank_transfer' && method !== 'momo') {
-            return res.status(400).json({ error: 'Invalid payment method' });
+        if (await db.get('SELECT 1 FROM airports WHERE airport_code = ?', [values.airport_code])) {
+            return res.status(409).json({ error: `Airport ${values.airport_code} already exists` });
         }
-        
-        // Check if booking exists
-        const existingBooking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
-        if (!existingBooking) {
-            return res.status(404).json({ error: 'Booking not found' });
+
+        await db.run(
+            'INSERT INTO airports (airport_code, name, city, country, timezone, is_active) VALUES (?, ?, ?, ?, ?, ?)',
+            [values.airport_code, values.name, values.city, values.country, values.timezone, values.is_active]
+        );
+        await loadAirportTimezones();
+        res.status(201).json(formatAirportForClient(await db.get('SELECT * FROM airports WHERE airport_code = ?', [values.airport_code])));
+    } catch (error) {
+        console.error('Error creating airport:', error);
+        res.status(500).json({ error: 'Failed to create airport' });
+    }
+});
+
+app.put('/api/admin/airports/:code', requireAdmin('agent'), async (req, res) => {
+    try {
+        const airport = await db.get('SELECT * FROM airports WHERE airport_code = ?', [req.params.code.toUpperCase()]);
+        if (!airport) {
+            return res.status(404).json({ error: 'Airport not found' });
         }
-        
-        // Check if payment already exists
-        const existingPayment = await db.get('SELECT * FROM payments WHERE booking_id = ?', [bookingId]);
-        
-        if (existingPayment) {
-            // Update existing payment
-            await db.run(`
-                UPDATE payments 
-                SET method = ?, transaction_info = ?, payment_date = CURRENT_TIMESTAMP
-                WHERE booking_id = ?
-            `, [method, transactionInfo || null, bookingId]);
-        } else {
-            // Insert new payment
-            await db.run(`
-                INSERT INTO payments (
-                    booking_id, method, transaction_info
-                ) VALUES (?, ?, ?)
-            `, [bookingId, method, transactionInfo || null]);
+
+        const { values, error } = validateAirport({ ...formatAirportForClient(airport), ...req.body, code: airport.airport_code });
+        if (error) {
+            return res.status(400).json({ error });
         }
-        
-        // Also update booking payment status to 'pending'
-        await db.run(`
-            UPDATE bookings 
-            SET payment_status = 'pending'
-            WHERE booking_id = ?
-        `, [bookingId]);
-        
-        res.json({ 
-            success: true, 
-            message: 'Payment information saved successfully'
-        });
+
+        await db.run(
+            'UPDATE airports SET name = ?, city = ?, country = ?, timezone = ?, is_active = ? WHERE airport_code = ?',
+            [values.name, values.city, values.country, values.timezone, values.is_active, airport.airport_code]
+        );
+        await loadAirportTimezones();
+        res.json(formatAirportForClient(await db.get('SELECT * FROM airports WHERE airport_code = ?', [airport.airport_code])));
     } catch (error) {
-        console.error('Error saving payment information:', error);
-        res.status(500).json({ error: 'Failed to save payment information' });
+        console.error('Error updating airport:', error);
+        res.status(500).json({ error: 'Failed to update airport' });
     }
 });
 
-// Get payment information for a booking
-app.get('/api/payments/:bookingId', async (req, res) => {
+// Airports that flights or schedules use can only be deactivated
+app.delete('/api/admin/airports/:code', requireAdmin('agent'), async (req, res) => {
     try {
-        const bookingId = req.params.bookingId;
-        
-        // Check if booking exists
-        const existingBooking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
-        if (!existingBooking) {
-            return res.status(404).json({ error: 'Booking not found' });
+        const code = req.params.code.toUpperCase();
+        const usage = await db.get(`
+            SELECT (SELECT COUNT(*) FROM flights WHERE departure_airport = ? OR arrival_airport = ?)
+                 + (SELECT COUNT(*) FROM flight_schedules WHERE departure_airport = ? OR arrival_airport = ?) as count
+        `, [code, code, code, code]);
+        if (usage.count > 0) {
+            return res.status(409).json({ error: 'Airport is used by flights or schedules, deactivate it instead', usage: usage.count });
         }
-        
-        // Get payment information
-        const payment = await db.get('SELECT * FROM payments WHERE booking_id = ?', [bookingId]);
-        
-        if (!payment) {
-            return res.status(404).json({ error: 'Payment information not found' });
+
+        const result = await db.run('DELETE FROM airports WHERE airport_code = ?', [code]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Airport not found' });
         }
-        
-        res.json(payment);
+        await loadAirportTimezones();
+        res.json({ success: true, message: 'Airport deleted successfully' });
     } catch (error) {
-        console.error('Error fetching payment information:', error);
-        res.status(500).json({ error: 'Failed to fetch payment information' });
+        console.error('Error deleting airport:', error);
+        res.status(500).json({ error: 'Failed to delete airport' });
     }
 });
 
-// Helper functions
-function formatDateForDB(dateString) {
-    // Convert from YYYY-MM-DD to YYYY-MM-DD (for SQLite date format)
-    const [year, month, day] = dateString.split('-');
-    return `${year}-${month}-${day}`;
+// Admin API: Airlines, including inactive ones
+app.get('/api/admin/airlines', requireAdmin('viewer', 'agent'), async (req, res) => {
+    try {
+        const airlines = await db.all('SELECT * FROM airlines ORDER BY airline_code');
+        res.json(airlines.map(formatAirlineForClient));
+    } catch (error) {
+        console.error('Error fetching airlines:', error);
+        res.status(500).json({ error: 'Failed to fetch airlines' });
+    }
+});
+
+// Body: { code, name, country, isActive }
+app.post('/api/admin/airlines', requireAdmin('agent'), async (req, res) => {
+    try {
+        const { values, error } = validateAirline(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (await db.get('SELECT 1 FROM airlines WHERE airline_code = ?', [values.airline_code])) {
+            return res.status(409).json({ error: `Airline ${values.airline_code} already exists` });
+        }
+
+        await db.run(
+            'INSERT INTO airlines (airline_code, name, country, is_active) VALUES (?, ?, ?, ?)',
+            [values.airline_code, values.name, values.country, values.is_active]
+        );
+        res.status(201).json(formatAirlineForClient(await db.get('SELECT * FROM airlines WHERE airline_code = ?', [values.airline_code])));
+    } catch (error) {
+        console.error('Error creating airline:', error);
+        res.status(500).json({ error: 'Failed to create airline' });
+    }
+});
+
+// Renaming an airline also renames it on its flights and schedules
+app.put('/api/admin/airlines/:code', requireAdmin('agent'), async (req, res) => {
+    try {
+        const airline = await db.get('SELECT * FROM airlines WHERE airline_code = ?', [req.params.code.toUpperCase()]);
+        if (!airline) {
+            return res.status(404).json({ error: 'Airline not found' });
+        }
+
+        const { values, error } = validateAirline({ ...formatAirlineForClient(airline), ...req.body, code: airline.airline_code });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await withTransaction(async () => {
+            await db.run(
+                'UPDATE airlines SET name = ?, country = ?, is_active = ? WHERE airline_code = ?',
+                [values.name, values.country, values.is_active, airline.airline_code]
+            );
+            await db.run('UPDATE flights SET airline = ? WHERE airline_code = ?', [values.name, airline.airline_code]);
+            await db.run('UPDATE flight_schedules SET airline = ? WHERE airline_code = ?', [values.name, airline.airline_code]);
+        });
+        res.json(formatAirlineForClient(await db.get('SELECT * FROM airlines WHERE airline_code = ?', [airline.airline_code])));
+    } catch (error) {
+        console.error('Error updating airline:', error);
+        res.status(500).json({ error: 'Failed to update airline' });
+    }
+});
+
+// Airlines that flights or schedules use can only be deactivated
+app.delete('/api/admin/airlines/:code', requireAdmin('agent'), async (req, res) => {
+    try {
+        const code = req.params.code.toUpperCase();
+        const usage = await db.get(`
+            SELECT (SELECT COUNT(*) FROM flights WHERE airline_code = ?)
+                 + (SELECT COUNT(*) FROM flight_schedules WHERE airline_code = ?) as count
+        `, [code, code]);
+        if (usage.count > 0) {
+            return res.status(409).json({ error: 'Airline is used by flights or schedules, deactivate it instead', usage: usage.count });
+        }
+
+        const result = await db.run('DELETE FROM airlines WHERE airline_code = ?', [code]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Airline not found' });
+        }
+        res.json({ success: true, message: 'Airline deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting airline:', error);
+        res.status(500).json({ error: 'Failed to delete airline' });
+    }
+});
+
+// Admin API: Aircraft types and their cabin layouts
+app.get('/api/admin/aircraft-types', requireAdmin('viewer', 'agent'), async (req, res) => {
+    try {
+        const types = await db.all('SELECT * FROM aircraft_types ORDER BY type_code');
+        res.json(types.map(formatAircraftTypeForClient));
+    } catch (error) {
+        console.error('Error fetching aircraft types:', error);
+        res.status(500).json({ error: 'Failed to fetch aircraft types' });
+    }
+});
+
+// Body: { code, manufacturer, model, cabins: { ECONOMY: { seats, layout: 'ABC-DEF' }, ... }, isActive }
+app.post('/api/admin/aircraft-types', requireAdmin('agent'), async (req, res) => {
+    try {
+        const { values, error } = validateAircraftType(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (await db.get('SELECT 1 FROM aircraft_types WHERE type_code = ?', [values.type_code])) {
+            return res.status(409).json({ error: `Aircraft type ${values.type_code} already exists` });
+        }
+
+        const columns = Object.keys(values);
+        await db.run(
+            `INSERT INTO aircraft_types (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(column => values[column])
+        );
+        res.status(201).json(formatAircraftTypeForClient(await db.get('SELECT * FROM aircraft_types WHERE type_code = ?', [values.type_code])));
+    } catch (error) {
+        console.error('Error creating aircraft type:', error);
+        res.status(500).json({ error: 'Failed to create aircraft type' });
+    }
+});
+
+// Seat maps already generated keep their layout; new ones use the updated cabins
+app.put('/api/admin/aircraft-types/:code', requireAdmin('agent'), async (req, res) => {
+    try {
+        const aircraft = await db.get('SELECT * FROM aircraft_types WHERE type_code = ?', [req.params.code.toUpperCase()]);
+        if (!aircraft) {
+            return res.status(404).json({ error: 'Aircraft type not found' });
+        }
+
+        const current = formatAircraftTypeForClient(aircraft);
+        const { values, error } = validateAircraftType({ ...current, ...req.body, code: aircraft.type_code });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const columns = Object.keys(values).filter(column => column !== 'type_code');
+        await db.run(
+            `UPDATE aircraft_types SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE type_code = ?`,
+            [...columns.map(column => values[column]), aircraft.type_code]
+        );
+        res.json(formatAircraftTypeForClient(await db.get('SELECT * FROM aircraft_types WHERE type_code = ?', [aircraft.type_code])));
+    } catch (error) {
+        console.error('Error updating aircraft type:', error);
+        res.status(500).json({ error: 'Failed to update aircraft type' });
+    }
+});
+
+// Aircraft types that flights or schedules use can only be deactivated
+app.delete('/api/admin/aircraft-types/:code', requireAdmin('agent'), async (req, res) => {
+    try {
+        const code = req.params.code.toUpperCase();
+        const usage = await db.get(`
+            SELECT (SELECT COUNT(*) FROM flights WHERE aircraft_type = ?)
+                 + (SELECT COUNT(*) FROM flight_schedules WHERE aircraft_type = ?) as count
+        `, [code, code]);
+        if (usage.count > 0) {
+            return res.status(409).json({ error: 'Aircraft type is used by flights or schedules, deactivate it instead', usage: usage.count });
+        }
+
+        const result = await db.run('DELETE FROM aircraft_types WHERE type_code = ?', [code]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Aircraft type not found' });
+        }
+        res.json({ success: true, message: 'Aircraft type deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting aircraft type:', error);
+        res.status(500).json({ error: 'Failed to delete aircraft type' });
+    }
+});
+
+// Admin API: Recurring flight schedules (?status=active|inactive)
+app.get('/api/admin/schedules', requireAdmin('viewer', 'agent'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const schedules = await db.all(`
+            SELECT * FROM flight_schedules
+            ${status ? 'WHERE status = ?' : ''}
+            ORDER BY airline_code, flight_number, season_start
+        `, status ? [status] : []);
+        res.json(schedules.map(formatScheduleForClient));
+    } catch (error) {
+        console.error('Error fetching schedules:', error);
+        res.status(500).json({ error: 'Failed to fetch schedules' });
+    }
+});
+
+// Admin API: Schedule with the flights it has generated
+app.get('/api/admin/schedules/:id', requireAdmin('viewer', 'agent'), async (req, res) => {
+    try {
+        const schedule = await db.get('SELECT * FROM flight_schedules WHERE schedule_id = ?', [req.params.id]);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        
+        const flights = await db.all(
+            'SELECT * FROM flights WHERE schedule_id = ? ORDER BY departure_time',
+            [schedule.schedule_id]
+        );
+        res.json({
+            ...formatScheduleForClient(schedule),
+            flights: flights.map(formatFlightForClient)
+        });
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        res.status(500).json({ error: 'Failed to fetch schedule' });
+    }
+});
+
+// Admin API: Define a schedule. Body: { airlineCode, flightNumber, departureAirport, arrivalAirport, aircraftType,
+// daysOfWeek: [1..7], departureTime: 'HH:MM' (local), blockMinutes, prices: { ECONOMY, ... }, seats: { ECONOMY, ... },
+// seasonStart, seasonEnd, status }. Flights are created by POST /api/admin/schedules/:id/generate.
+app.post('/api/admin/schedules', requireAdmin('agent'), async (req, res) => {
+    try {
+        const { values, error } = validateSchedule(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const references = await validateScheduleReferences(values);
+        if (references.error) {
+            return res.status(400).json({ error: references.error });
+        }
+        values.airline = references.airline;
+        
+        const conflicts = await findScheduleConflicts(values);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: `${values.airline_code}${values.flight_number} already has a schedule on these days`,
+                conflictingScheduleIds: conflicts.map(schedule => schedule.schedule_id)
+            });
+        }
+        
+        const columns = Object.keys(values);
+        const result = await db.run(
+            `INSERT INTO flight_schedules (${columns.join(', ')}, created_by) VALUES (${columns.map(() => '?').join(', ')}, ?)`,
+            [...columns.map(column => values[column]), `admin:${req.admin.username}`]
+        );
+        
+        const schedule = await db.get('SELECT * FROM flight_schedules WHERE schedule_id = ?', [result.lastID]);
+        res.status(201).json(formatScheduleForClient(schedule));
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        res.status(500).json({ error: 'Failed to create schedule' });
+    }
+});
+
+// Admin API: Update a schedule (fields not sent keep their value). Run generate afterwards to apply it to the flights.
+app.put('/api/admin/schedules/:id', requireAdmin('agent'), async (req, res) => {
+    try {
+        const existing = await db.get('SELECT * FROM flight_schedules WHERE schedule_id = ?', [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        
+        const current = formatScheduleForClient(existing);
+        const { values, error } = validateSchedule({
+            ...current,
+            ...req.body,
+            prices: { ...current.prices, ...req.body.prices },
+            seats: { ...current.seats, ...req.body.seats }
+        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const references = await validateScheduleReferences(values);
+        if (references.error) {
+            return res.status(400).json({ error: references.error });
+        }
+        values.airline = references.airline;
+        
+        const conflicts = await findScheduleConflicts(values, existing.schedule_id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: `${values.airline_code}${values.flight_number} already has a schedule on these days`,
+                conflictingScheduleIds: conflicts.map(schedule => schedule.schedule_id)
+            });
+        }
+        
+        const columns = Object.keys(values);
+        await db.run(
+            `UPDATE flight_schedules SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE schedule_id = ?`,
+            [...columns.map(column => values[column]), new Date().toISOString(), existing.schedule_id]
+        );
+        
+        const schedule = await db.get('SELECT * FROM flight_schedules WHERE schedule_id = ?', [existing.schedule_id]);
+        res.json(formatScheduleForClient(schedule));
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+});
+
+// Admin API: Create/update the schedule's flights. Body: { dryRun } to only report what would change.
+app.post('/api/admin/schedules/:id/generate', requireAdmin('agent'), async (req, res) => {
+    try {
+        const dryRun = Boolean(req.body && req.body.dryRun);
+        
+        const result = await withTransaction(async () => {
+            const schedule = await db.get('SELECT * FROM flight_schedules WHERE schedule_id = ?', [req.params.id]);
+            if (!schedule) {
+                throw new BookingError(404, 'Schedule not found');
+            }
+            return generateScheduleFlights(schedule, { dryRun });
+        });
+        
+        res.json({ dryRun, summary: summarizeScheduleGeneration(result), ...result });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error generating schedule flights:', error);
+        res.status(500).json({ error: 'Failed to generate schedule flights' });
+    }
+});
+
+// Admin API: Delete a schedule. Its unbooked future flights go with it; booked and past flights stay as one-off flights.
+app.delete('/api/admin/schedules/:id', requireAdmin('agent'), async (req, res) => {
+    try {
+        const result = await withTransaction(async () => {
+            const schedule = await db.get('SELECT * FROM flight_schedules WHERE schedule_id = ?', [req.params.id]);
+            if (!schedule) {
+                throw new BookingError(404, 'Schedule not found');
+            }
+            
+            // An inactive schedule operates no dates, so generating it clears every unbooked future flight
+            const generation = await generateScheduleFlights({ ...schedule, status: 'inactive' });
+            await db.run('UPDATE flights SET schedule_id = NULL WHERE schedule_id = ?', [schedule.schedule_id]);
+            await db.run('DELETE FROM flight_schedules WHERE schedule_id = ?', [schedule.schedule_id]);
+            
+            return { removedFlights: generation.removed.length, keptFlights: generation.keptBooked.length };
+        });
+        
+        res.json({ message: 'Schedule deleted', ...result });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error deleting schedule:', error);
+        res.status(500).json({ error: 'Failed to delete schedule' });
+    }
+});
+
+// Admin API: Flight statistics
+app.get('/api/admin/stats/flights', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        // Get flight count by status
+        const statusStats = await db.all(`
+            SELECT status, COUNT(*) as count 
+            FROM flights 
+            GROUP BY status 
+            ORDER BY count DESC
+        `);
+        
+        // Get total bookings count
+        const totalBookings = await db.get(`
+            SELECT COUNT(*) as count 
+            FROM bookings
+        `);
+        
+        // Get upcoming flights count (next 24 hours)
+        const upcomingFlights = await db.get(`
+            SELECT COUNT(*) as count 
+            FROM flights 
+            WHERE departure_time BETWEEN datetime('now') AND datetime('now', '+24 hours')
+            AND status IN ('scheduled', 'boarding')
+        `);
+        
+        // Get most popular routes
+        const popularRoutes = await db.all(`
+            SELECT departure_airport, arrival_airport, COUNT(*) as count 
+            FROM flights
+            GROUP BY departure_airport, arrival_airport
+            ORDER BY count DESC
+            LIMIT 5
+        `);
+        
+        // Get bookings by travel class
+        const bookingsByClass = await db.all(`
+            SELECT travel_class, COUNT(*) as count 
+            FROM bookings 
+            GROUP BY travel_class
+        `);
+        
+        res.json({
+            flightsByStatus: statusStats,
+            totalBookings: totalBookings.count,
+            upcomingFlights: upcomingFlights.count,
+            popularRoutes,
+            bookingsByClass
+        });
+    } catch (error) {
+        console.error('Error fetching flight statistics:', error);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+// Server-side fare quote, itemized per passenger and leg. The price is locked for FARE_QUOTE_TTL_MINUTES;
+// POST /api/bookings requires the returned quoteId and charges exactly the quoted total.
+// Body: the flight ids of POST /api/bookings, seatClass (or customerInfo.seatClass), promoCode and
+// passengers, each with optional ancillaries: [{ code, flightId }] (see resolveAncillarySelections)
+app.post('/api/bookings/quote', async (req, res) => {
+    try {
+        const { customerInfo, selectedServices, promoCode } = req.body;
+        const seatClass = req.body.seatClass || (customerInfo && customerInfo.seatClass) || 'ECONOMY';
+        const requestedFlights = getRequestedFlightIds(req.body);
+
+        if (!requestedFlights.departureFlightId) {
+            return res.status(400).json({ error: 'departureFlightId is required' });
+        }
+        if (!Array.isArray(req.body.passengers) || req.body.passengers.length === 0 || req.body.passengers.some(p => !p)) {
+            return res.status(400).json({ error: 'passengers must be a non-empty array' });
+        }
+        if (!CABIN_ORDER.includes(seatClass)) {
+            return res.status(400).json({ error: `seatClass must be one of ${CABIN_ORDER.join(', ')}` });
+        }
+
+        // Who books matters for saved passengers, first-booking and per-customer promotion rules
+        const customer = await getCustomerFromRequest(req);
+        // Priced like POST /api/bookings will see them, so the quote covers the booking
+        const passengers = await expandSavedPassengers(req.body.passengers, customer);
+
+        const { legs } = await resolveBookingLegs(requestedFlights);
+        checkLegSeats(legs, seatClass, passengers.length);
+
+        const promoHolder = {
+            email: (customerInfo && customerInfo.email) || null,
+            customerId: customer ? customer.customer_id : null
+        };
+        const breakdown = await buildFareQuote({ legs, seatClass, passengers, selectedServices, promoCode, ...promoHolder });
+        const now = new Date();
+        const quote = {
+            quote_id: `fq_${crypto.randomBytes(12).toString('hex')}`,
+            request_hash: getFareQuoteRequestHash({ legs, seatClass, passengers, selectedServices, promoCode, ...promoHolder }),
+            seat_class: seatClass,
+            total_amount: breakdown.totalAmount,
+            currency: breakdown.currency,
+            breakdown: JSON.stringify(breakdown),
+            promo_code: breakdown.promoCode,
+            created_at: now.toISOString(),
+            expires_at: new Date(now.getTime() + FARE_QUOTE_TTL_MINUTES * 60 * 1000).toISOString()
+        };
+        quote.signature = signFareQuote(quote);
+
+        await db.run(`
+            INSERT INTO fare_quotes (
+                quote_id, request_hash, seat_class, total_amount, currency, breakdown, promo_code, signature, created_at, expires_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            quote.quote_id, quote.request_hash, quote.seat_class, quote.total_amount, quote.currency,
+            quote.breakdown, quote.promo_code, quote.signature, quote.created_at, quote.expires_at
+        ]);
+
+        res.status(201).json(formatFareQuoteForClient(quote));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error creating fare quote:', error);
+        res.status(500).json({ error: 'Failed to create fare quote' });
+    }
+});
+
+// Additional API endpoints for booking
+app.post('/api/bookings', async (req, res) => {
+    try {
+        // Support both naming conventions
+        const { 
+            customerInfo, 
+            selectedServices, 
+            promoCode, 
+            quoteId,
+            totalAmount, 
+            passengerCounts, 
+            paymentMethod, 
+            transactionInfo,
+            locale
+        } = req.body;
+
+        // Link the booking to the logged-in customer, if any (guest bookings are still allowed)
+        const customer = await getCustomerFromRequest(req);
+
+        // Expand passengers that reference a saved profile instead of sending full details
+        const passengers = await expandSavedPassengers(req.body.passengers, customer);
+
+        // Use the data regardless of which field name was used
+        const requestedFlights = getRequestedFlightIds(req.body);
+        const finalDepartureFlightId = requestedFlights.departureFlightId;
+        const finalReturnFlightId = requestedFlights.returnFlightId;
+        const finalIsRoundTrip = requestedFlights.isRoundTrip;
+        
+        // Log the request for debugging
+        console.log('Booking Request:', { 
+            departureFlightId: finalDepartureFlightId, 
+            returnFlightId: finalReturnFlightId, 
+            isRoundTrip: finalIsRoundTrip,
+            customerInfo, 
+            passengersCount: passengers?.length 
+        });
+        
+        // Validate required fields with better error messages
+        const missingFields = [];
+        if (!finalDepartureFlightId) missingFields.push('departureFlightId');
+        if (!customerInfo) missingFields.push('customerInfo');
+        if (!passengers || passengers.length === 0) missingFields.push('passengers');
+        
+        if (missingFields.length > 0) {
+            console.error('Missing required booking information:', missingFields);
+            return res.status(400).json({ 
+                error: 'Missing required booking information', 
+                missingFields: missingFields,
+                receivedData: {
+                    hasDepartureFlightId: !!finalDepartureFlightId,
+                    hasCustomerInfo: !!customerInfo,
+                    passengersCount: passengers?.length || 0
+                }
+            });
+        }
+        
+        const { legs, departureFlight, returnFlight } = await resolveBookingLegs(requestedFlights);
+
+        // Check if enough seats are available based on seat class.
+        // This is only a fast pre-check - the real guard is the conditional decrement inside the transaction below.
+        const totalPassengers = passengers.length;
+        const seatClass = customerInfo.seatClass || 'ECONOMY';
+        const seatField = getSeatFieldForClass(seatClass);
+        checkLegSeats(legs, seatClass, totalPassengers);
+
+        // Validate passenger data before touching any inventory
+        const missingNamePassenger = passengers.findIndex(p => !p || !p.fullName);
+        if (missingNamePassenger !== -1) {
+            return res.status(400).json({
+                error: 'Passenger data missing required fields',
+                details: 'fullName is required for all passengers',
+                passengerIndex: missingNamePassenger
+            });
+        }
+
+        // Validate payment method
+        let finalPaymentMethod = paymentMethod;
+        if (finalPaymentMethod && !PAYMENT_METHODS.includes(finalPaymentMethod)) {
+            console.warn(`Invalid payment method: ${finalPaymentMethod}. Defaulting to momo.`);
+            finalPaymentMethod = 'momo';
+        }
+
+        // Charge the locked price of the fare quote, which must cover exactly this request
+        if (!quoteId) {
+            return res.status(400).json({ error: 'A fare quote is required, request one from POST /api/bookings/quote' });
+        }
+        const quote = await getValidFareQuote(quoteId, getFareQuoteRequestHash({
+            legs, seatClass, passengers, selectedServices, promoCode,
+            email: customerInfo.email, customerId: customer ? customer.customer_id : null
+        }));
+        if (totalAmount !== undefined && totalAmount !== null && Number(totalAmount) !== quote.total_amount) {
+            return res.status(409).json({
+                error: 'Total amount does not match the fare quote',
+                totalAmount,
+                quotedAmount: quote.total_amount
+            });
+        }
+        
+        const quotedFares = JSON.parse(quote.breakdown);
+        legs.forEach((leg, index) => {
+            leg.fare = quotedFares.legs[index].fare;
+        });
+        let finalAmount = quote.total_amount;
+        // Promo used count is incremented inside the booking transaction
+        const appliedPromo = quote.promo_code
+            ? await db.get('SELECT * FROM promotions WHERE code = ?', [quote.promo_code])
+            : null;
+        console.log("Quoted total amount:", finalAmount);
+        
+        // Ensure finalAmount is never negative
+        finalAmount = Math.max(0, finalAmount);
+        
+        // Serialize passenger counts for storage
+        const passengerCountsJSON = JSON.stringify(passengerCounts || {
+            numAdults: passengers.filter(p => resolvePassengerType(p) === 'ADULT').length,
+            numChildren: passengers.filter(p => resolvePassengerType(p) === 'CHILD').length,
+            numInfants: passengers.filter(p => resolvePassengerType(p) === 'INFANT').length
+        });
+        
+        // Passenger types are resolved up front so the transaction only does writes
+        const passengerRows = passengers.map((passenger, index) => ({
+            fullName: passenger.fullName,
+            gender: passenger.gender || 'UNKNOWN',
+            dob: passenger.dob || null,
+            // Make sure we have a valid passport number or ID
+            passportNumber: passenger.idNumber || passenger.passport_number || passenger.passportNumber || 'UNKNOWN_ID',
+            passengerType: resolvePassengerType(passenger),
+            seatNumbers: getRequestedSeatNumbers(passenger, legs),
+            ancillaries: quotedFares.passengers[index].items.filter(item => item.type === 'ancillary')
+        }));
+        
+        const bookingTime = new Date();
+        const holdExpiresAt = new Date(bookingTime.getTime() + BOOKING_HOLD_MINUTES * 60 * 1000).toISOString();
+        const manageCode = generateManageCode();
+        
+        // Reserve seats and persist the booking atomically: either everything is saved or nothing is
+        const bookingId = await withTransaction(async () => {
+            // Generate a unique booking ID
+            let newBookingId;
+            let isUnique = false;
+            
+            while (!isUnique) {
+                newBookingId = generateBookingId();
+                // Check if this ID already exists
+                const existingBooking = await db.get('SELECT booking_id FROM bookings WHERE booking_id = ?', [newBookingId]);
+                if (!existingBooking) {
+                    isUnique = true;
+                }
+            }
+            
+            // A quote pays for one booking only
+            const quoteResult = await db.run(
+                'UPDATE fare_quotes SET booking_id = ? WHERE quote_id = ? AND booking_id IS NULL',
+                [newBookingId, quote.quote_id]
+            );
+            if (quoteResult.changes !== 1) {
+                throw new BookingError(409, 'Fare quote has already been used', { quoteId });
+            }
+            
+            for (const leg of legs) {
+                // Seat maps must exist before seats are taken so existing passengers are placed first
+                await ensureSeatMap(leg.flight.flight_id);
+                
+                // Guarded decrements - fail if another booking took the seats in the meantime
+                console.log(`Reserving ${totalPassengers} ${seatField} on flight ${leg.flight.flight_id}`);
+                await reserveSeats(leg.flight.flight_id, seatClass, totalPassengers, leg.direction === 'return' ? 'return' : 'departure');
+            }
+            
+            // Count the promo usage only if it is still under its limits - another booking may have used them up since the quote
+            if (appliedPromo) {
+                const { reasons } = await evaluatePromotion(appliedPromo, {
+                    email: customerInfo.email,
+                    customerId: customer ? customer.customer_id : null
+                });
+                const limitReasons = reasons.filter(reason => PROMOTION_LIMIT_RULES.includes(reason.rule));
+                if (limitReasons.length > 0) {
+                    throw new BookingError(409, limitReasons[0].message, { promoCode: appliedPromo.code, reasons: limitReasons });
+                }
+                const promoResult = await db.run(
+                    'UPDATE promotions SET used_count = used_count + 1 WHERE promo_id = ? AND (usage_limit IS NULL OR used_count < usage_limit)',
+                    [appliedPromo.promo_id]
+                );
+                if (promoResult.changes !== 1) {
+                    throw new BookingError(409, 'Promotion code usage limit reached', { promoCode: appliedPromo.code });
+                }
+                console.log(`Promo code ${appliedPromo.code} used. Count incremented.`);
+            }
+            
+            // Insert booking record with passenger counts
+            await db.run(`
+                INSERT INTO bookings (
+                    booking_id, departure_flight_id, return_flight_id, contact_name, email, phone, travel_class, 
+                    total_amount, booking_time, payment_status, promo_code, passengers_info, is_round_trip, customer_id,
+                    hold_expires_at, promo_counted, locale, quote_id, manage_code_hash
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                newBookingId,
+                departureFlight.flight_id,
+                finalIsRoundTrip ? returnFlight.flight_id : null,
+                customerInfo.fullName,
+                customerInfo.email,
+                customerInfo.phone,
+                seatClass,
+                finalAmount,
+                bookingTime.toISOString(), // Explicitly set the current time with timezone info
+                'unpaid',
+                quote.promo_code,
+                passengerCountsJSON,
+                finalIsRoundTrip ? 1 : 0,
+                customer ? customer.customer_id : null,
+                holdExpiresAt,
+                appliedPromo ? 1 : 0,
+                resolveNotificationLocale(locale || req.headers['accept-language']),
+                quote.quote_id,
+                hashToken(manageCode)
+            ]);
+            
+            await db.run(
+                'INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, changed_at) VALUES (?, NULL, ?, ?, ?)',
+                [newBookingId, 'unpaid', customer ? `customer:${customer.customer_id}` : 'customer', bookingTime.toISOString()]
+            );
+            
+            for (const leg of legs) {
+                await db.run(
+                    'INSERT INTO booking_segments (booking_id, flight_id, direction, segment_order, fare) VALUES (?, ?, ?, ?, ?)',
+                    [newBookingId, leg.flight.flight_id, leg.direction, leg.order, leg.fare]
+                );
+            }
+            
+            const seatRequests = legs.map(() => []);
+            
+            for (const passenger of passengerRows) {
+                const detailResult = await db.run(`
+                    INSERT INTO booking_details (
+                        booking_id, full_name, gender, dob, passport_number,
+                        passenger_type, luggage_weight, insurance, meal
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    newBookingId,
+                    passenger.fullName,
+                    passenger.gender,
+                    passenger.dob,
+                    passenger.passportNumber,
+                    passenger.passengerType,
+                    Math.max(0, ...passenger.ancillaries.map(item => item.baggageWeight || 0)),  // Heaviest baggage tier bought
+                    passenger.ancillaries.some(item => item.category === 'insurance') ? 1 : 0,
+                    passenger.ancillaries.some(item => item.category === 'meal') ? 1 : 0
+                ]);
+                
+                for (const item of passenger.ancillaries) {
+                    await db.run(`
+                        INSERT INTO booking_ancillaries (booking_id, detail_id, flight_id, ancillary_code, category, price)
+                        VALUES (?, ?, ?, ?, ?, ?)
+                    `, [newBookingId, detailResult.lastID, item.flightId, item.code, item.category, item.amount]);
+                }
+                
+                legs.forEach((leg, index) => {
+                    seatRequests[index].push({ detailId: detailResult.lastID, seatNumber: passenger.seatNumbers[index] });
+                });
+            }
+            
+            // Chosen seats are taken first, everyone else is auto-assigned
+            for (let i = 0; i < legs.length; i++) {
+                await assignSeats(legs[i].flight.flight_id, seatClass, seatRequests[i]);
+            }
+            
+            // Insert payment information if provided
+            if (finalPaymentMethod) {
+                await db.run(`
+                    INSERT INTO payments (
+                        booking_id, method, transaction_info
+                    ) VALUES (?, ?, ?)
+                `, [
+                    newBookingId,
+                    finalPaymentMethod,
+                    transactionInfo || null
+                ]);
+            }
+            
+            await enqueueBookingNotification(newBookingId, 'booking_created', { manageCode });
+            
+            return newBookingId;
+        });
+        afterCommit(processNotificationOutbox);
+        
+        res.status(201).json({ 
+            success: true, 
+            bookingId,
+            // Only returned here and in the confirmation email - needed to change the booking without logging in
+            manageCode,
+            redirectUrl: `payment-waiting.html?booking_id=${bookingId}`,
+            message: 'Booking created successfully',
+            flightDetails: formatFlightForClient(departureFlight),
+            segments: legs.map(leg => ({
+                direction: leg.direction,
+                segmentOrder: leg.order,
+                fare: leg.fare,
+                flight: formatFlightForClient(leg.flight)
+            })),
+            totalAmount: finalAmount,
+            // Seats are released automatically if the booking is not paid before this time
+            holdExpiresAt,
+            holdMinutes: BOOKING_HOLD_MINUTES
+        });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        
+        console.error('Error creating booking:', error);
+        console.error('Error stack:', error.stack);
+        console.error('Request data:', req.body);
+        
+        // Check if it's an SQLite constraint error
+        if (error.code && error.code.includes('SQLITE_CONSTRAINT')) {
+            return res.status(500).json({ 
+                error: 'Failed to create booking due to database constraint', 
+                details: error.message,
+                constraint: error.code 
+            });
+        }
+        
+        res.status(500).json({ error: 'Failed to create booking', details: error.message });
+    }
+});
+
+app.get('/api/bookings/:id', async (req, res) => {
+    try {
+        const bookingId = req.params.id;
+        
+        // Get booking details
+        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+        
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        
+        // Get departure flight details
+        const departureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [booking.departure_flight_id]);
+        
+        if (!departureFlight) {
+            return res.status(404).json({ error: 'Departure flight not found for this booking' });
+        }
+        
+        // Get return flight details if this is a round trip
+        let returnFlight = null;
+        if (booking.is_round_trip === 1 && booking.return_flight_id) {
+            returnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [booking.return_flight_id]);
+        }
+        
+        // Get passengers with their seats and ancillaries
+        const passengers = await db.all('SELECT * FROM booking_details WHERE booking_id = ?', [bookingId]);
+        await attachSeatAssignments(passengers);
+        await attachAncillaries(passengers);
+        
+        // Get every leg, including connections
+        const segments = await getBookingSegmentsForClient(bookingId);
+        
+        // Get payment information
+        const paymentInfo = await db.get('SELECT * FROM payments WHERE booking_id = ?', [bookingId]);
+        
+        // Only unpaid/pending bookings are still on hold
+        const isOnHold = ['unpaid', 'pending'].includes(booking.payment_status) && booking.hold_expires_at;
+        
+        // Receipt and e-tickets can be downloaded once the booking is paid
+        const documents = booking.payment_status === 'paid' ? {
+            receiptUrl: `/api/bookings/${bookingId}/receipt`,
+            tickets: passengers.map(passenger => ({
+                detailId: passenger.detail_id,
+                fullName: passenger.full_name,
+                ticketNumber: passenger.ticket_number,
+                url: `/api/bookings/${bookingId}/passengers/${passenger.detail_id}/ticket`
+            }))
+        } : null;
+        
+        // The manage code guards changes to the booking, so not even its hash leaves the server
+        delete booking.manage_code_hash;
+        
+        res.json({
+            booking,
+            departureFlight: formatFlightForClient(departureFlight),
+            returnFlight: returnFlight ? formatFlightForClient(returnFlight) : null,
+            segments,
+            passengers,
+            paymentInfo,
+            holdExpiresAt: isOnHold ? booking.hold_expires_at : null,
+            documents,
+            modifications: await getBookingModifications(bookingId)
+        });
+    } catch (error) {
+        console.error('Error fetching booking:', error);
+        res.status(500).json({ error: 'Failed to fetch booking details' });
+    }
+});
+
+// Itinerary receipt PDF (paid bookings only)
+app.get('/api/bookings/:id/receipt', async (req, res) => {
+    try {
+        const data = await getTicketDocumentData(req.params.id);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=receipt-${data.booking.booking_id}.pdf`);
+        await writeReceiptPdf(res, data);
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error generating receipt:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to generate receipt' });
+        }
+    }
+});
+
+// E-ticket PDF for one passenger (paid bookings only)
+app.get('/api/bookings/:id/passengers/:detailId/ticket', async (req, res) => {
+    try {
+        const data = await getTicketDocumentData(req.params.id);
+        const passenger = data.passengers.find(p => String(p.detail_id) === req.params.detailId);
+        if (!passenger) {
+            return res.status(404).json({ error: 'Passenger not found in this booking' });
+        }
+        if (passenger.segments.length === 0) {
+            return res.status(409).json({ error: 'This passenger\'s ticket has been refunded' });
+        }
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=eticket-${passenger.ticket_number}.pdf`);
+        await writeETicketPdf(res, data, passenger);
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error generating e-ticket:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to generate e-ticket' });
+        }
+    }
+});
+
+// Check a code scanned from a receipt or e-ticket (?code=...) and show what it belongs to
+app.get('/api/tickets/verify', async (req, res) => {
+    try {
+        const parsed = parseTicketCode(req.query.code);
+        if (!parsed) {
+            return res.status(400).json({ valid: false, error: 'Invalid or forged ticket code' });
+        }
+        
+        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [parsed.bookingId]);
+        if (!booking) {
+            return res.status(404).json({ valid: false, error: 'Booking not found' });
+        }
+        
+        let passengers = await db.all('SELECT * FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [booking.booking_id]);
+        if (parsed.ticketNumber) {
+            passengers = passengers.filter(p => p.ticket_number === parsed.ticketNumber);
+            if (passengers.length === 0) {
+                return res.status(404).json({ valid: false, error: 'Ticket not found' });
+            }
+        }
+        
+        // A genuine code stops being valid once the booking is cancelled or refunded
+        res.json({
+            valid: booking.payment_status === 'paid',
+            type: parsed.ticketNumber ? 'eticket' : 'receipt',
+            bookingId: booking.booking_id,
+            paymentStatus: booking.payment_status,
+            contactName: booking.contact_name,
+            travelClass: booking.travel_class,
+            passengers: passengers.map(p => ({
+                detailId: p.detail_id,
+                fullName: p.full_name,
+                ticketNumber: p.ticket_number
+            })),
+            segments: await getBookingSegmentsForClient(booking.booking_id)
+        });
+    } catch (error) {
+        console.error('Error verifying ticket code:', error);
+        res.status(500).json({ error: 'Failed to verify ticket code' });
+    }
+});
+
+// Online check-in: find a booking by booking ID + a passenger's surname
+app.post('/api/checkin/lookup', async (req, res) => {
+    try {
+        const { bookingId, lastName } = req.body;
+        const { booking, passengers } = await findCheckinBooking(bookingId, lastName);
+        
+        res.json({
+            bookingId: booking.booking_id,
+            travelClass: booking.travel_class,
+            segments: await getBookingCheckinStatus(booking, passengers)
+        });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error looking up booking for check-in:', error);
+        res.status(500).json({ error: 'Failed to look up booking' });
+    }
+});
+
+// Online check-in for one leg: { bookingId, lastName, flightId, passengers: [{ detailId, passportNumber, nationality, passportExpiry }] }
+// Returns a boarding pass per passenger.
+app.post('/api/checkin', async (req, res) => {
+    try {
+        const { bookingId, lastName, flightId, passengers: documents } = req.body;
+        const { booking, passengers } = await findCheckinBooking(bookingId, lastName);
+        
+        if (!flightId || !Array.isArray(documents) || documents.length === 0) {
+            return res.status(400).json({ error: 'flightId and at least one passenger are required' });
+        }
+        
+        const segments = await getBookingSegments(booking.booking_id);
+        if (!segments.some(segment => segment.flight_id === Number(flightId))) {
+            return res.status(400).json({ error: 'Flight is not part of this booking' });
+        }
+        
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [flightId]);
+        const window = getCheckinWindow(flight);
+        if (window.status !== 'open') {
+            return res.status(409).json({ error: 'Check-in is not open for this flight', checkinWindow: window });
+        }
+        
+        // Validate every passenger's documents before checking anyone in
+        const documentErrors = [];
+        for (const document of documents) {
+            const passenger = passengers.find(p => p.detail_id === Number(document.detailId));
+            if (!passenger) {
+                documentErrors.push({ detailId: document.detailId, errors: ['Passenger not found in this booking'] });
+                continue;
+            }
+            const errors = validateCheckinDocument(passenger, document, flight);
+            if (errors.length > 0) {
+                documentErrors.push({ detailId: passenger.detail_id, fullName: passenger.full_name, errors });
+            }
+        }
+        if (documentErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid travel documents', passengers: documentErrors });
+        }
+        
+        const customer = await getCustomerFromRequest(req);
+        const actor = customer ? `customer:${customer.customer_id}` : 'customer';
+        const seatClass = booking.travel_class || 'ECONOMY';
+        
+        const boardingPasses = await withTransaction(async () => {
+            const refunded = await db.all(`
+                SELECT ri.detail_id FROM refund_items ri
+                JOIN refunds r ON ri.refund_id = r.refund_id
+                WHERE r.booking_id = ? AND r.status = 'completed' AND ri.flight_id = ?
+            `, [booking.booking_id, flight.flight_id]);
+            
+            const result = [];
+            for (const document of documents) {
+                const passenger = passengers.find(p => p.detail_id === Number(document.detailId));
+                if (refunded.some(item => item.detail_id === passenger.detail_id)) {
+                    throw new BookingError(409, 'This passenger\'s ticket for the flight has been refunded', { detailId: passenger.detail_id });
+                }
+                if (await db.get('SELECT 1 FROM checkins WHERE detail_id = ? AND flight_id = ?', [passenger.detail_id, flight.flight_id])) {
+                    throw new BookingError(409, 'Passenger is already checked in for this flight', { detailId: passenger.detail_id });
+                }
+                
+                // Passengers without a seat yet get one now
+                let seat = await db.get('SELECT seat_number FROM flight_seats WHERE flight_id = ? AND detail_id = ?', [flight.flight_id, passenger.detail_id]);
+                if (!seat) {
+                    await ensureSeatMap(flight.flight_id);
+                    await assignSeats(flight.flight_id, seatClass, [{ detailId: passenger.detail_id }]);
+                    seat = await db.get('SELECT seat_number FROM flight_seats WHERE flight_id = ? AND detail_id = ?', [flight.flight_id, passenger.detail_id]);
+                }
+                
+                const { next } = await db.get('SELECT COALESCE(MAX(sequence_number), 0) + 1 as next FROM checkins WHERE flight_id = ?', [flight.flight_id]);
+                const name = splitPassengerName(passenger.full_name, lastName) || splitPassengerName(passenger.full_name);
+                const barcode = buildBoardingPassBarcode({
+                    ...name,
+                    bookingId: booking.booking_id,
+                    flight,
+                    seatClass,
+                    seatNumber: seat.seat_number,
+                    sequenceNumber: next
+                });
+                
+                const insert = await db.run(`
+                    INSERT INTO checkins (
+                        booking_id, detail_id, flight_id, seat_number, sequence_number,
+                        nationality, passport_expiry, boarding_pass_barcode, checked_in_by, checked_in_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    booking.booking_id, passenger.detail_id, flight.flight_id, seat.seat_number, next,
+                    String(document.nationality).toUpperCase(), document.passportExpiry, barcode, actor, new Date().toISOString()
+                ]);
+                const checkin = await db.get('SELECT * FROM checkins WHERE checkin_id = ?', [insert.lastID]);
+                result.push(formatBoardingPassForClient(checkin, passenger, flight, seatClass));
+            }
+            return result;
+        });
+        
+        res.status(201).json({ success: true, boardingPasses });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error checking in:', error);
+        res.status(500).json({ error: 'Failed to check in' });
+    }
+});
+
+// Change a passenger's seat on one leg of a booking
+app.put('/api/bookings/:id/passengers/:detailId/seat', async (req, res) => {
+    try {
+        const { id: bookingId, detailId } = req.params;
+        const { flightId, seatNumber } = req.body;
+        
+        if (!flightId || !seatNumber) {
+            return res.status(400).json({ error: 'flightId and seatNumber are required' });
+        }
+        
+        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+        await authorizeBookingAccess(req, booking);
+        
+        if (INACTIVE_BOOKING_STATUSES.includes(booking.payment_status)) {
+            return res.status(400).json({ error: `Cannot change seats on a ${booking.payment_status} booking` });
+        }
+        
+        const bookingFlightIds = (await getBookingSegments(bookingId)).map(segment => segment.flight_id);
+        if (!bookingFlightIds.includes(Number(flightId))) {
+            return res.status(400).json({ error: 'Flight is not part of this booking' });
+        }
+        
+        const passenger = await db.get(
+            'SELECT * FROM booking_details WHERE detail_id = ? AND booking_id = ?',
+            [detailId, bookingId]
+        );
+        if (!passenger) {
+            return res.status(404).json({ error: 'Passenger not found in this booking' });
+        }
+        
+        const checkin = await db.get('SELECT seat_number FROM checkins WHERE detail_id = ? AND flight_id = ?', [passenger.detail_id, flightId]);
+        if (checkin) {
+            return res.status(409).json({ error: 'Seats cannot be changed after check-in', seatNumber: checkin.seat_number });
+        }
+        
+        await withTransaction(async () => {
+            await ensureSeatMap(Number(flightId));
+            await releaseSeatAssignments(Number(flightId), [passenger.detail_id]);
+            await assignSeats(Number(flightId), booking.travel_class || 'ECONOMY', [
+                { detailId: passenger.detail_id, seatNumber: String(seatNumber).toUpperCase() }
+            ]);
+        });
+        
+        res.json({ success: true, message: 'Seat updated successfully', flightId: Number(flightId), seatNumber: String(seatNumber).toUpperCase() });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error changing seat:', error);
+        res.status(500).json({ error: 'Failed to change seat' });
+    }
+});
+
+// Price a change to a booking (type: change_flight, edit_passenger, add_passengers or remove_passengers) without saving it.
+// Like every customer change, it needs the booking owner's session or the booking's manageCode.
+app.post('/api/bookings/:id/modifications/preview', async (req, res) => {
+    try {
+        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [req.params.id]);
+        await authorizeBookingAccess(req, booking);
+        const { options, error } = parseModificationRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json(formatModificationPlanForClient(await planBookingModification(booking, options)));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error previewing booking modification:', error);
+        res.status(500).json({ error: 'Failed to preview booking modification' });
+    }
+});
+
+// Change a booking. A paid booking that would owe money gets 402 - our ticket office makes those changes once paid.
+app.post('/api/bookings/:id/modifications', async (req, res) => {
+    try {
+        const { options, error } = parseModificationRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const customer = await authorizeBookingAccess(req, await db.get('SELECT * FROM bookings WHERE booking_id = ?', [req.params.id]));
+
+        const modificationId = await withTransaction(async () => {
+            // Plan inside the transaction so seats and fares cannot change underneath it
+            const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [req.params.id]);
+            if (!booking) {
+                throw new BookingError(404, 'Booking not found');
+            }
+            const plan = await planBookingModification(booking, options);
+            return applyBookingModification(plan, { actor: customer ? `customer:${customer.customer_id}` : 'customer' });
+        });
+        afterCommit(processNotificationOutbox);
+
+        const modification = await db.get('SELECT * FROM booking_modifications WHERE modification_id = ?', [modificationId]);
+        const booking = await db.get('SELECT total_amount FROM bookings WHERE booking_id = ?', [req.params.id]);
+        res.status(201).json({
+            ...formatBookingModificationForClient(modification),
+            totalAmount: booking.total_amount,
+            refund: modification.refund_id ? await getRefundForClient(modification.refund_id) : null
+        });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error modifying booking:', error);
+        res.status(500).json({ error: 'Failed to modify booking' });
+    }
+});
+
+// Update booking payment status (needs the booking owner's session or the booking's manageCode)
+app.patch('/api/bookings/:id/payment', async (req, res) => {
+    try {
+        const bookingId = req.params.id;
+        const { paymentStatus, reason } = req.body;
+        
+        if (!paymentStatus) {
+            return res.status(400).json({ error: 'Payment status is required' });
+        }
+        
+        // Customers can only say they have paid (pending) or cancel - confirming payment and refunds are up to staff
+        if (!CUSTOMER_BOOKING_STATUSES.includes(paymentStatus)) {
+            return res.status(400).json({ error: 'Invalid payment status', validStatuses: CUSTOMER_BOOKING_STATUSES });
+        }
+        
+        // Cancelling gives the seats and promo use away, so only the booking's holder may do it
+        const customer = await authorizeBookingAccess(req, await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]));
+        
+        // Seat release, promo usage and the status change are applied together
+        await withTransaction(async () => {
+            const booking = await db.get('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+            if (booking && booking.payment_status === 'paid' && paymentStatus === 'cancelled') {
+                throw new BookingError(409, 'Paid bookings are cancelled by requesting a refund');
+            }
+            
+            await transitionBookingStatus(bookingId, paymentStatus, {
+                actor: customer ? `customer:${customer.customer_id}` : 'customer',
+                reason: reason || null
+            });
+        });
+        
+        res.json({ success: true, message: 'Payment status updated successfully' });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error updating payment status:', error);
+        res.status(500).json({ error: 'Failed to update payment status' });
+    }
+});
+
+// Promotions API endpoints
+app.get('/api/promotions', async (req, res) => {
+    try {
+        // Get query parameters
+        const { code, status, type } = req.query;
+        
+        // Change this to get ALL promotions, not just valid ones
+        let query = 'SELECT * FROM promotions';
+        const params = [];
+        
+        // Apply filters if provided
+        if (code) {
+            query += ' WHERE code LIKE ?';
+            params.push(`%${code}%`);
+        } else {
+            query += ' WHERE 1=1'; // Always true condition for consistent query structure
+        }
+        
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+        
+        if (type) {
+            // Map UI type to database discount_type
+            let discount_type;
+            if (type === 'percentage') {
+                discount_type = 'percent';
+            } else {
+                discount_type = type;
+            }
+            query += ' AND discount_type = ?';
+            params.push(discount_type);
+        }
+        
+        // Get all promotions without filtering by expiration date
+        const promotions = await db.all(query, params);
+        
+        // Process promotions to update status based on dates
+        const currentDate = new Date();
+        const processedPromotions = promotions.map(promo => {
+            const validTo = new Date(promo.valid_to);
+            const validFrom = new Date(promo.valid_from);
+            
+            // Create a copy to avoid modifying the database object directly
+            const updatedPromo = {...promo};
+            
+            // Update status based on dates
+            if (validTo < currentDate) {
+                // If end date has passed, mark as expired
+                updatedPromo.status = 'expired';
+            } else if (validFrom > currentDate) {
+                // If start date is in future, mark as scheduled
+                updatedPromo.status = 'scheduled';
+            }
+            
+            return updatedPromo;
+        });
+        
+        res.json(processedPromotions);
+    } catch (error) {
+        console.error('Error fetching promotions:', error);
+        res.status(500).json({ error: 'Failed to fetch promotions' });
+    }
+});
+
+// Add endpoint to delete a promotion
+app.post('/api/promotions/delete', requireAdmin('finance'), async (req, res) => {
+    try {
+        const { promo_id } = req.body;
+        
+        if (!promo_id) {
+            return res.status(400).json({ error: 'Promotion ID is required' });
+        }
+        
+        // Check if promotion exists
+        const promotion = await db.get('SELECT * FROM promotions WHERE promo_id = ?', [promo_id]);
+        
+        if (!promotion) {
+            return res.status(404).json({ error: 'Promotion not found' });
+        }
+        
+        // Delete the promotion
+        await db.run('DELETE FROM promotions WHERE promo_id = ?', [promo_id]);
+        
+        res.json({ success: true, message: 'Promotion deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting promotion:', error);
+        res.status(500).json({ error: 'Failed to delete promotion' });
+    }
+});
+
+// Add endpoint to create a new promotion
+app.post('/api/promotions/create', requireAdmin('finance'), async (req, res) => {
+    try {
+        const {
+            code, name, description, type, discount_type, discount_value,
+            valid_from, valid_to, usage_limit, status
+        } = req.body;
+        
+        // Basic validation
+        if (!code || !name || (!type && !discount_type) || discount_value === undefined) {
+            return res.status(400).json({ error: 'Missing required promotion information' });
+        }
+        
+        // Check if promotion code already exists
+        const existingPromo = await db.get('SELECT * FROM promotions WHERE code = ?', [code]);
+        if (existingPromo) {
+            return res.status(400).json({ error: 'Promotion code already exists' });
+        }
+        
+        const rules = await validatePromotionRules(req.body);
+        if (rules.error) {
+            return res.status(400).json({ error: rules.error });
+        }
+        
+        // Map type field to discount_type if needed
+        const finalDiscountType = discount_type || (type === 'percentage' ? 'percent' : type);
+        
+        // Default status to 'active' if not provided
+        const promoStatus = status || 'active';
+        
+        // Insert new promotion
+        const result = await db.run(`
+            INSERT INTO promotions (
+                code, name, description, discount_type, discount_value,
+                valid_from, valid_to, usage_limit, used_count, status,
+                ${Object.keys(rules.values).join(', ')}
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ${Object.keys(rules.values).map(() => '?').join(', ')})
+        `, [
+            code, name, description, finalDiscountType, discount_value,
+            valid_from, valid_to, usage_limit, promoStatus,
+            ...Object.values(rules.values)
+        ]);
+        
+        // Get the newly created promotion
+        const newPromotion = await db.get('SELECT * FROM promotions WHERE promo_id = ?', result.lastID);
+        
+        res.status(201).json(newPromotion);
+    } catch (error) {
+        console.error('Error creating promotion:', error);
+        res.status(500).json({ error: 'Failed to create promotion' });
+    }
+});
+
+// Add endpoint to update an existing promotion
+app.post('/api/promotions/update', requireAdmin('finance'), async (req, res) => {
+    try {
+        const {
+            promo_id, code, name, description, type, discount_type, discount_value,
+            valid_from, valid_to, usage_limit, status
+        } = req.body;
+        
+        if (!promo_id || !code || !name || (!type && !discount_type) || discount_value === undefined) {
+            return res.status(400).json({ error: 'Missing required promotion information' });
+        }
+        
+        // Check if promotion exists
+        const existingPromo = await db.get('SELECT * FROM promotions WHERE promo_id = ?', [promo_id]);
+        if (!existingPromo) {
+            return res.status(404).json({ error: 'Promotion not found' });
+        }
+        
+        // Check if updated code conflicts with another promotion
+        const codeConflict = await db.get('SELECT * FROM promotions WHERE code = ? AND promo_id != ?', [code, promo_id]);
+        if (codeConflict) {
+            return res.status(400).json({ error: 'Promotion code already exists' });
+        }
+        
+        // Eligibility rules left out of the request keep their current values
+        const rules = await validatePromotionRules(req.body, existingPromo);
+        if (rules.error) {
+            return res.status(400).json({ error: rules.error });
+        }
+        
+        // Map type field to discount_type if needed
+        const finalDiscountType = discount_type || (type === 'percentage' ? 'percent' : type);
+        
+        // Default to existing status if not provided
+        const promoStatus = status || existingPromo.status || 'active';
+        
+        // Update the promotion
+        await db.run(`
+            UPDATE promotions SET
+                code = ?, name = ?, description = ?, discount_type = ?, discount_value = ?,
+                valid_from = ?, valid_to = ?, usage_limit = ?, status = ?,
+                ${Object.keys(rules.values).map(column => `${column} = ?`).join(', ')}
+            WHERE promo_id = ?
+        `, [
+            code, name, description, finalDiscountType, discount_value,
+            valid_from, valid_to, usage_limit, promoStatus,
+            ...Object.values(rules.values), promo_id
+        ]);
+        
+        // Get the updated promotion
+        const updatedPromotion = await db.get('SELECT * FROM promotions WHERE promo_id = ?', promo_id);
+        
+        res.json(updatedPromotion);
+    } catch (error) {
+        console.error('Error updating promotion:', error);
+        res.status(500).json({ error: 'Failed to update promotion' });
+    }
+});
+
+// Endpoint to validate promotion code, optionally against a cart (same flight, class, passenger and
+// service fields as POST /api/bookings/quote). Ineligible codes list every reason, not only the first.
+app.post('/api/promotions/validate', async (req, res) => {
+    try {
+        const { code, customerInfo, selectedServices } = req.body;
+        
+        if (!code) {
+            return res.status(400).json({ error: 'Promotion code is required' });
+        }
+        
+        const promo = await db.get('SELECT * FROM promotions WHERE code = ?', [code]);
+        if (!promo) {
+            return res.status(404).json({ valid: false, error: 'Invalid or inactive promotion code' });
+        }
+        const promoSummary = {
+            code: promo.code,
+            name: promo.name,
+            description: promo.description,
+            discountType: promo.discount_type,
+            discountValue: promo.discount_value,
+            status: promo.status,
+            conditions: formatPromotionConditions(promo)
+        };
+        
+        // Per-customer rules are only checked when we know who is booking
+        const customer = await getCustomerFromRequest(req);
+        const email = req.body.email || (customerInfo && customerInfo.email) || (customer && customer.email) || null;
+        const customerId = customer ? customer.customer_id : null;
+        
+        const requestedFlights = getRequestedFlightIds(req.body);
+        let quote = null;
+        let reasons;
+        if (requestedFlights.departureFlightId) {
+            const seatClass = req.body.seatClass || (customerInfo && customerInfo.seatClass) || 'ECONOMY';
+            if (!CABIN_ORDER.includes(seatClass)) {
+                return res.status(400).json({ error: `seatClass must be one of ${CABIN_ORDER.join(', ')}` });
+            }
+            const passengers = Array.isArray(req.body.passengers) && req.body.passengers.length > 0 && req.body.passengers.every(Boolean)
+                ? req.body.passengers
+                : [{ type: 'adult' }];
+            const { legs } = await resolveBookingLegs(requestedFlights);
+            quote = await buildFareQuote({ legs, seatClass, passengers, selectedServices, promoCode: promo.code, email, customerId });
+            reasons = quote.promoRejected ? quote.promoRejected.reasons : [];
+        } else {
+            ({ reasons } = await evaluatePromotion(promo, email || customerId ? { email, customerId } : null));
+        }
+        
+        if (reasons.length > 0) {
+            return res.status(404).json({ valid: false, error: reasons[0].message, reasons, promo: promoSummary });
+        }
+        
+        res.json({
+            valid: true,
+            promo: promoSummary,
+            ...(quote ? {
+                subtotal: quote.subtotal,
+                discountAmount: quote.discounts[0].amount,
+                totalAmount: quote.totalAmount
+            } : {})
+        });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error validating promotion:', error);
+        res.status(500).json({ error: 'Failed to validate promotion code' });
+    }
+});
+
+// Admin API: Get all bookings
+app.get('/api/admin/bookings', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const { bookingId, contactName, paymentStatus, fromDate, toDate } = req.query;
+        
+        let query = `
+            SELECT b.*, 
+                  (SELECT COUNT(*) FROM booking_details WHERE booking_id = b.booking_id) as passenger_count
+            FROM bookings b
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (bookingId) {
+            query += ' AND b.booking_id = ?';
+            params.push(bookingId);
+        }
+
+        if (contactName) {
+            query += ' AND b.contact_name LIKE ?';
+            params.push(`%${contactName}%`);
+        }
+
+        if (paymentStatus) {
+            query += ' AND b.payment_status = ?';
+            params.push(paymentStatus);
+        }
+
+        if (fromDate) {
+            query += ' AND DATE(b.booking_time) >= DATE(?)';
+            params.push(fromDate);
+        }
+
+        if (toDate) {
+            query += ' AND DATE(b.booking_time) <= DATE(?)';
+            params.push(toDate);
+        }
+
+        query += ' ORDER BY b.booking_time DESC';
+        
+        const bookings = await db.all(query, params);
+        
+        // Add flight information to each booking
+        for (const booking of bookings) {
+            // Get departure flight information
+            const departureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', booking.departure_flight_id);
+            if (departureFlight) {
+                booking.flight_info = {
+                    airline: departureFlight.airline,
+                    airline_code: departureFlight.airline_code,
+                    flight_number: departureFlight.flight_number,
+                    departure_airport: departureFlight.departure_airport,
+                    arrival_airport: departureFlight.arrival_airport
+                };
+            }
+            
+            // Add return flight info only if this is a round-trip booking and has a return flight
+            if (booking.is_round_trip === 1 && booking.return_flight_id) {
+                const returnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', booking.return_flight_id);
+                if (returnFlight) {
+                    booking.return_flight_info = {
+                        airline: returnFlight.airline,
+                        airline_code: returnFlight.airline_code,
+                        flight_number: returnFlight.flight_number,
+                        departure_airport: returnFlight.departure_airport,
+                        arrival_airport: returnFlight.arrival_airport
+                };
+                }
+            }
+        }
+        
+        res.json(bookings);
+    } catch (error) {
+        console.error('Error fetching bookings:', error);
+        res.status(500).json({ error: 'Failed to fetch bookings' });
+    }
+});
+
+// Admin API: Get booking details
+app.get('/api/admin/bookings/:id', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const bookingId = req.params.id;
+        
+        // Get booking information
+        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+        
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        
+        // Parse passenger counts if available
+        let passengerCounts = null;
+        if (booking.passengers_info) {
+            try {
+                passengerCounts = JSON.parse(booking.passengers_info);
+            } catch (e) {
+                console.error('Error parsing passenger counts:', e);
+            }
+        }
+        
+        // Get departure flight details
+        const departureFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [booking.departure_flight_id]);
+        
+        // Get return flight details if this is a round-trip booking
+        let returnFlight = null;
+        if (booking.is_round_trip === 1 && booking.return_flight_id) {
+            returnFlight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [booking.return_flight_id]);
+        }
+        
+        // Get passengers with their seats and ancillaries
+        const passengers = await db.all('SELECT * FROM booking_details WHERE booking_id = ?', [bookingId]);
+        await attachSeatAssignments(passengers);
+        await attachAncillaries(passengers);
+        
+        // Get every leg, including connections
+        const segments = await getBookingSegmentsForClient(bookingId);
+        
+        // Get payment information
+        let paymentInfo = null;
+        try {
+            paymentInfo = await db.get('SELECT * FROM payments WHERE booking_id = ?', [bookingId]);
+        } catch (e) {
+            console.error('Error fetching payment information:', e);
+        }
+        
+        res.json({
+            booking,
+            passengerCounts,
+            departureFlight: departureFlight ? formatFlightForClient(departureFlight) : null,
+            returnFlight: returnFlight ? formatFlightForClient(returnFlight) : null,
+            segments,
+            passengers,
+            paymentInfo,
+            paymentIntents: (await db.all('SELECT * FROM payment_intents WHERE booking_id = ? ORDER BY created_at', [bookingId]))
+                .map(intent => formatPaymentIntentForClient(intent)),
+            refunds: await getBookingRefunds(bookingId),
+            modifications: await getBookingModifications(bookingId),
+            statusHistory: await getBookingStatusHistory(bookingId),
+            notifications: (await db.all('SELECT * FROM notification_outbox WHERE booking_id = ? ORDER BY created_at, notification_id', [bookingId]))
+                .map(formatNotificationForClient)
+        });
+    } catch (error) {
+        console.error('Error fetching booking details:', error);
+        res.status(500).json({ error: 'Failed to fetch booking details' });
+    }
+});
+
+// Admin API: Update booking payment status
+app.patch('/api/admin/bookings/:id/payment', requireAdmin('agent', 'finance'), async (req, res) => {
+    try {
+        const bookingId = req.params.id;
+        const { paymentStatus, reason } = req.body;
+        
+        if (!paymentStatus) {
+            return res.status(400).json({ error: 'Payment status is required' });
+        }
+        
+        // Refunds carry amounts, fees and approvals, so they only happen through the refund workflow
+        if (paymentStatus === 'refunded') {
+            return res.status(400).json({ error: 'Use POST /api/admin/bookings/:id/refunds to refund a booking' });
+        }
+        if (paymentStatus === 'cancelled') {
+            const current = await db.get('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+            if (current && current.payment_status === 'paid') {
+                return res.status(409).json({ error: 'Paid bookings are cancelled with POST /api/admin/bookings/:id/refunds' });
+            }
+        }
+        
+        // Seat release, promo usage and the status change are applied together
+        const { booking } = await withTransaction(() => transitionBookingStatus(bookingId, paymentStatus, {
+            actor: `admin:${req.admin.username}`,
+            reason: reason || null
+        }));
+        
+        res.json({ 
+            success: true, 
+            message: 'Payment status updated successfully',
+            previousStatus: booking.payment_status,
+            paymentStatus 
+        });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error updating payment status:', error);
+        res.status(500).json({ error: 'Failed to update payment status' });
+    }
+});
+
+// Admin API: Changes made to a booking after it was created
+app.get('/api/admin/bookings/:id/modifications', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const booking = await db.get('SELECT booking_id FROM bookings WHERE booking_id = ?', [req.params.id]);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        res.json(await getBookingModifications(booking.booking_id));
+    } catch (error) {
+        console.error('Error fetching booking modifications:', error);
+        res.status(500).json({ error: 'Failed to fetch booking modifications' });
+    }
+});
+
+// Admin API: Price a booking change, optionally without fees
+app.post('/api/admin/bookings/:id/modifications/preview', requireAdmin('agent'), async (req, res) => {
+    try {
+        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [req.params.id]);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        const { options, error } = parseModificationRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json(formatModificationPlanForClient(await planBookingModification(booking, options, { waiveFees: !!req.body.waiveFees })));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error previewing booking modification:', error);
+        res.status(500).json({ error: 'Failed to preview booking modification' });
+    }
+});
+
+// Admin API: Change a booking. paymentCollected confirms the customer paid what a paid booking owes for the change.
+app.post('/api/admin/bookings/:id/modifications', requireAdmin('agent'), async (req, res) => {
+    try {
+        const { options, error } = parseModificationRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const modificationId = await withTransaction(async () => {
+            const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [req.params.id]);
+            if (!booking) {
+                throw new BookingError(404, 'Booking not found');
+            }
+            const plan = await planBookingModification(booking, options, { waiveFees: !!req.body.waiveFees });
+            return applyBookingModification(plan, {
+                actor: `admin:${req.admin.username}`,
+                paymentCollected: !!req.body.paymentCollected
+            });
+        });
+        afterCommit(processNotificationOutbox);
+
+        const modification = await db.get('SELECT * FROM booking_modifications WHERE modification_id = ?', [modificationId]);
+        const booking = await db.get('SELECT total_amount FROM bookings WHERE booking_id = ?', [req.params.id]);
+        res.status(201).json({
+            ...formatBookingModificationForClient(modification),
+            totalAmount: booking.total_amount,
+            refund: modification.refund_id ? await getRefundForClient(modification.refund_id) : null
+        });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error modifying booking:', error);
+        res.status(500).json({ error: 'Failed to modify booking' });
+    }
+});
+
+// Admin API: Cancellation fee rules used to price refunds
+app.get('/api/admin/refund-rules', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const rules = await db.all('SELECT * FROM refund_fee_rules ORDER BY seat_class, min_hours_before DESC');
+        res.json(rules.map(formatRefundRuleForClient));
+    } catch (error) {
+        console.error('Error fetching refund rules:', error);
+        res.status(500).json({ error: 'Failed to fetch refund rules' });
+    }
+});
+
+app.post('/api/admin/refund-rules', requireAdmin('finance'), async (req, res) => {
+    try {
+        const { seatClass = 'ALL', minHoursBefore = 0, feeType = 'percent', feeValue = 0, isRefundable = true, description } = req.body;
+
+        const validationError = validateRefundRule({ seatClass, minHoursBefore, feeType, feeValue });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await db.run(`
+            INSERT INTO refund_fee_rules (seat_class, min_hours_before, fee_type, fee_value, is_refundable, description)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [seatClass, minHoursBefore, feeType, feeValue, isRefundable ? 1 : 0, description || null]);
+
+        const rule = await db.get('SELECT * FROM refund_fee_rules WHERE rule_id = ?', [result.lastID]);
+        res.status(201).json(formatRefundRuleForClient(rule));
+    } catch (error) {
+        console.error('Error creating refund rule:', error);
+        res.status(500).json({ error: 'Failed to create refund rule' });
+    }
+});
+
+app.put('/api/admin/refund-rules/:id', requireAdmin('finance'), async (req, res) => {
+    try {
+        const rule = await db.get('SELECT * FROM refund_fee_rules WHERE rule_id = ?', [req.params.id]);
+        if (!rule) {
+            return res.status(404).json({ error: 'Refund rule not found' });
+        }
+
+        const updated = {
+            seatClass: req.body.seatClass !== undefined ? req.body.seatClass : rule.seat_class,
+            minHoursBefore: req.body.minHoursBefore !== undefined ? req.body.minHoursBefore : rule.min_hours_before,
+            feeType: req.body.feeType !== undefined ? req.body.feeType : rule.fee_type,
+            feeValue: req.body.feeValue !== undefined ? req.body.feeValue : rule.fee_value,
+            isRefundable: req.body.isRefundable !== undefined ? req.body.isRefundable : rule.is_refundable === 1,
+            description: req.body.description !== undefined ? req.body.description : rule.description
+        };
+
+        const validationError = validateRefundRule(updated);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await db.run(`
+            UPDATE refund_fee_rules
+            SET seat_class = ?, min_hours_before = ?, fee_type = ?, fee_value = ?, is_refundable = ?, description = ?
+            WHERE rule_id = ?
+        `, [updated.seatClass, updated.minHoursBefore, updated.feeType, updated.feeValue, updated.isRefundable ? 1 : 0, updated.description, rule.rule_id]);
+
+        res.json(formatRefundRuleForClient(await db.get('SELECT * FROM refund_fee_rules WHERE rule_id = ?', [rule.rule_id])));
+    } catch (error) {
+        console.error('Error updating refund rule:', error);
+        res.status(500).json({ error: 'Failed to update refund rule' });
+    }
+});
+
+app.delete('/api/admin/refund-rules/:id', requireAdmin('finance'), async (req, res) => {
+    try {
+        // Refund items keep pointing at the rule they were priced with, so it is detached rather than lost
+        await db.run('UPDATE refund_items SET rule_id = NULL WHERE rule_id = ?', [req.params.id]);
+        const result = await db.run('DELETE FROM refund_fee_rules WHERE rule_id = ?', [req.params.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Refund rule not found' });
+        }
+        res.json({ success: true, message: 'Refund rule deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting refund rule:', error);
+        res.status(500).json({ error: 'Failed to delete refund rule' });
+    }
+});
+
+// Admin API: Dynamic pricing rules
+app.get('/api/admin/fare-rules', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const rules = await db.all('SELECT * FROM fare_rules ORDER BY rule_type, seat_class, threshold, match_value');
+        res.json(rules.map(formatFareRuleForClient));
+    } catch (error) {
+        console.error('Error fetching fare rules:', error);
+        res.status(500).json({ error: 'Failed to fetch fare rules' });
+    }
+});
+
+// Body: { ruleType, seatClass, threshold (load_factor %, days_before days), matchValue (weekday 1-7, time_of_day window), adjustPercent, description, isActive }
+app.post('/api/admin/fare-rules', requireAdmin('finance'), async (req, res) => {
+    try {
+        const { ruleType, seatClass = 'ALL', threshold = null, matchValue = null, adjustPercent, description, isActive = true } = req.body;
+
+        const validationError = validateFareRule({ ruleType, seatClass, threshold, matchValue, adjustPercent });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await db.run(`
+            INSERT INTO fare_rules (rule_type, seat_class, threshold, match_value, adjust_percent, description, is_active)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [ruleType, seatClass, threshold, matchValue === null ? null : String(matchValue), adjustPercent, description || null, isActive ? 1 : 0]);
+
+        const rule = await db.get('SELECT * FROM fare_rules WHERE rule_id = ?', [result.lastID]);
+        res.status(201).json(formatFareRuleForClient(rule));
+    } catch (error) {
+        console.error('Error creating fare rule:', error);
+        res.status(500).json({ error: 'Failed to create fare rule' });
+    }
+});
+
+app.put('/api/admin/fare-rules/:id', requireAdmin('finance'), async (req, res) => {
+    try {
+        const rule = await db.get('SELECT * FROM fare_rules WHERE rule_id = ?', [req.params.id]);
+        if (!rule) {
+            return res.status(404).json({ error: 'Fare rule not found' });
+        }
+
+        const updated = { ...formatFareRuleForClient(rule), ...req.body };
+        const validationError = validateFareRule(updated);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await db.run(`
+            UPDATE fare_rules
+            SET rule_type = ?, seat_class = ?, threshold = ?, match_value = ?, adjust_percent = ?, description = ?, is_active = ?
+            WHERE rule_id = ?
+        `, [
+            updated.ruleType, updated.seatClass, updated.threshold,
+            updated.matchValue === null ? null : String(updated.matchValue),
+            updated.adjustPercent, updated.description, updated.isActive ? 1 : 0, rule.rule_id
+        ]);
+
+        res.json(formatFareRuleForClient(await db.get('SELECT * FROM fare_rules WHERE rule_id = ?', [rule.rule_id])));
+    } catch (error) {
+        console.error('Error updating fare rule:', error);
+        res.status(500).json({ error: 'Failed to update fare rule' });
+    }
+});
+
+app.delete('/api/admin/fare-rules/:id', requireAdmin('finance'), async (req, res) => {
+    try {
+        const result = await db.run('DELETE FROM fare_rules WHERE rule_id = ?', [req.params.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Fare rule not found' });
+        }
+        res.json({ success: true, message: 'Fare rule deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting fare rule:', error);
+        res.status(500).json({ error: 'Failed to delete fare rule' });
+    }
+});
+
+// Admin API: Price curve of a flight class (?seatClass=ECONOMY): the fare now, and how it moves
+// with the load factor (at today's days-to-departure) and with days-to-departure (at today's load factor)
+app.get('/api/admin/flights/:id/price-curve', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const seatClass = req.query.seatClass || 'ECONOMY';
+        if (!CABIN_ORDER.includes(seatClass)) {
+            return res.status(400).json({ error: `seatClass must be one of ${CABIN_ORDER.join(', ')}` });
+        }
+
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [req.params.id]);
+        if (!flight) {
+            return res.status(404).json({ error: 'Flight not found' });
+        }
+        if (!formatFlightForClient(flight).availableClasses.includes(seatClass)) {
+            return res.status(400).json({ error: `Flight does not sell ${seatClass}` });
+        }
+
+        const rules = await db.all('SELECT * FROM fare_rules WHERE is_active = 1');
+        const sold = (await getSoldSeatCounts([flight.flight_id]))[flight.flight_id] || {};
+        const conditions = getFareConditions(flight, seatClass, sold[seatClass] || 0);
+        const current = calculateDynamicFare(flight, seatClass, rules, conditions);
+
+        const loadFactorPoints = [0, 10, 20, 30, 40, 50, 60, 70, 80, 85, 90, 95, 100];
+        const daysBeforePoints = [90, 60, 30, 21, 14, 10, 7, 5, 3, 2, 1, 0];
+
+        res.json({
+            flightId: flight.flight_id,
+            flightCode: `${flight.airline_code}${flight.flight_number}`,
+            seatClass,
+            soldSeats: sold[seatClass] || 0,
+            remainingSeats: flight[getSeatFieldForClass(seatClass)] || 0,
+            conditions,
+            ...current,
+            byLoadFactor: loadFactorPoints.map(loadFactor => ({
+                loadFactor,
+                fare: calculateDynamicFare(flight, seatClass, rules, { ...conditions, loadFactor }).fare
+            })),
+            byDaysBefore: daysBeforePoints.map(daysBefore => ({
+                daysBefore,
+                fare: calculateDynamicFare(flight, seatClass, rules, { ...conditions, daysBefore }).fare
+            }))
+        });
+    } catch (error) {
+        console.error('Error building price curve:', error);
+        res.status(500).json({ error: 'Failed to build price curve' });
+    }
+});
+
+// Admin API: Ancillary catalog with its flight/route/class prices
+app.get('/api/admin/ancillaries', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const { ancillaries, prices } = await loadAncillaryCatalog();
+        ancillaries.sort((a, b) => ANCILLARY_CATEGORIES.indexOf(a.category) - ANCILLARY_CATEGORIES.indexOf(b.category) || a.ancillary_code.localeCompare(b.ancillary_code));
+        res.json(ancillaries.map(ancillary => formatAncillaryForClient(ancillary, prices)));
+    } catch (error) {
+        console.error('Error fetching ancillaries:', error);
+        res.status(500).json({ error: 'Failed to fetch ancillaries' });
+    }
+});
+
+app.post('/api/admin/ancillaries', requireAdmin('finance'), async (req, res) => {
+    try {
+        const { values, error } = validateAncillary(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (await db.get('SELECT 1 FROM ancillaries WHERE ancillary_code = ?', [values.ancillary_code])) {
+            return res.status(409).json({ error: `Ancillary ${values.ancillary_code} already exists` });
+        }
+
+        await db.run(`
+            INSERT INTO ancillaries (ancillary_code, category, name, description, baggage_weight, base_price, is_active)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [values.ancillary_code, values.category, values.name, values.description, values.baggage_weight, values.base_price, values.is_active]);
+        res.status(201).json(formatAncillaryForClient(await db.get('SELECT * FROM ancillaries WHERE ancillary_code = ?', [values.ancillary_code])));
+    } catch (error) {
+        console.error('Error creating ancillary:', error);
+        res.status(500).json({ error: 'Failed to create ancillary' });
+    }
+});
+
+// Price changes only affect new quotes; booked ancillaries keep the price they were sold at
+app.put('/api/admin/ancillaries/:code', requireAdmin('finance'), async (req, res) => {
+    try {
+        const ancillary = await db.get('SELECT * FROM ancillaries WHERE ancillary_code = ?', [req.params.code.toUpperCase()]);
+        if (!ancillary) {
+            return res.status(404).json({ error: 'Ancillary not found' });
+        }
+
+        const { values, error } = validateAncillary({ ...formatAncillaryForClient(ancillary), ...req.body, code: ancillary.ancillary_code });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await db.run(`
+            UPDATE ancillaries
+            SET category = ?, name = ?, description = ?, baggage_weight = ?, base_price = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE ancillary_code = ?
+        `, [values.category, values.name, values.description, values.baggage_weight, values.base_price, values.is_active, ancillary.ancillary_code]);
+        const prices = await db.all('SELECT * FROM ancillary_prices WHERE ancillary_code = ?', [ancillary.ancillary_code]);
+        res.json(formatAncillaryForClient(await db.get('SELECT * FROM ancillaries WHERE ancillary_code = ?', [ancillary.ancillary_code]), prices));
+    } catch (error) {
+        console.error('Error updating ancillary:', error);
+        res.status(500).json({ error: 'Failed to update ancillary' });
+    }
+});
+
+// Ancillaries that have been sold can only be deactivated
+app.delete('/api/admin/ancillaries/:code', requireAdmin('finance'), async (req, res) => {
+    try {
+        const code = req.params.code.toUpperCase();
+        const usage = await db.get('SELECT COUNT(*) as count FROM booking_ancillaries WHERE ancillary_code = ?', [code]);
+        if (usage.count > 0) {
+            return res.status(409).json({ error: 'Ancillary has been sold, deactivate it instead', usage: usage.count });
+        }
+
+        const result = await withTransaction(async () => {
+            await db.run('DELETE FROM ancillary_prices WHERE ancillary_code = ?', [code]);
+            return db.run('DELETE FROM ancillaries WHERE ancillary_code = ?', [code]);
+        });
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Ancillary not found' });
+        }
+        res.json({ success: true, message: 'Ancillary deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting ancillary:', error);
+        res.status(500).json({ error: 'Failed to delete ancillary' });
+    }
+});
+
+// Body: { flightId?, departureAirport?, arrivalAirport?, seatClass = 'ALL', price }
+app.post('/api/admin/ancillaries/:code/prices', requireAdmin('finance'), async (req, res) => {
+    try {
+        const ancillary = await db.get('SELECT * FROM ancillaries WHERE ancillary_code = ?', [req.params.code.toUpperCase()]);
+        if (!ancillary) {
+            return res.status(404).json({ error: 'Ancillary not found' });
+        }
+        const { values, error } = validateAncillaryPrice(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (values.flight_id !== null && !(await db.get('SELECT 1 FROM flights WHERE flight_id = ?', [values.flight_id]))) {
+            return res.status(404).json({ error: 'Flight not found', flightId: values.flight_id });
+        }
+        const duplicate = await db.get(`
+            SELECT price_id FROM ancillary_prices
+            WHERE ancillary_code = ? AND flight_id IS ? AND departure_airport IS ? AND arrival_airport IS ? AND seat_class = ?
+        `, [ancillary.ancillary_code, values.flight_id, values.departure_airport, values.arrival_airport, values.seat_class]);
+        if (duplicate) {
+            return res.status(409).json({ error: 'A price for this flight/route/class already exists', priceId: duplicate.price_id });
+        }
+
+        const result = await db.run(`
+            INSERT INTO ancillary_prices (ancillary_code, flight_id, departure_airport, arrival_airport, seat_class, price)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [ancillary.ancillary_code, values.flight_id, values.departure_airport, values.arrival_airport, values.seat_class, values.price]);
+        res.status(201).json(formatAncillaryPriceForClient(await db.get('SELECT * FROM ancillary_prices WHERE price_id = ?', [result.lastID])));
+    } catch (error) {
+        console.error('Error creating ancillary price:', error);
+        res.status(500).json({ error: 'Failed to create ancillary price' });
+    }
+});
+
+app.delete('/api/admin/ancillaries/:code/prices/:priceId', requireAdmin('finance'), async (req, res) => {
+    try {
+        const result = await db.run(
+            'DELETE FROM ancillary_prices WHERE price_id = ? AND ancillary_code = ?',
+            [req.params.priceId, req.params.code.toUpperCase()]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Ancillary price not found' });
+        }
+        res.json({ success: true, message: 'Ancillary price deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting ancillary price:', error);
+        res.status(500).json({ error: 'Failed to delete ancillary price' });
+    }
+});
+
+// Admin API: List refunds, optionally by status
+app.get('/api/admin/refunds', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        let query = 'SELECT refund_id FROM refunds';
+        const params = [];
+        if (status) {
+            query += ' WHERE status = ?';
+            params.push(status);
+        }
+        query += ' ORDER BY requested_at DESC';
+
+        const refunds = [];
+        for (const { refund_id } of await db.all(query, params)) {
+            refunds.push(await getRefundForClient(refund_id));
+        }
+        res.json(refunds);
+    } catch (error) {
+        console.error('Error fetching refunds:', error);
+        res.status(500).json({ error: 'Failed to fetch refunds' });
+    }
+});
+
+// Admin API: Refunds of one booking
+app.get('/api/admin/bookings/:id/refunds', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const booking = await db.get('SELECT booking_id FROM bookings WHERE booking_id = ?', [req.params.id]);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        res.json(await getBookingRefunds(booking.booking_id));
+    } catch (error) {
+        console.error('Error fetching booking refunds:', error);
+        res.status(500).json({ error: 'Failed to fetch refunds' });
+    }
+});
+
+// Admin API: Preview what a refund would pay out, without creating it
+app.post('/api/admin/bookings/:id/refunds/preview', requireAdmin('agent', 'finance'), async (req, res) => {
+    try {
+        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [req.params.id]);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const { passengerIds, flightIds, waiveFees } = req.body;
+        res.json(await calculateRefundItems(booking, { passengerIds, flightIds, waiveFees: !!waiveFees }));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error previewing refund:', error);
+        res.status(500).json({ error: 'Failed to preview refund' });
+    }
+});
+
+// Admin API: Request a refund for a whole booking or some passengers/legs
+// Body: { reason, passengerIds?: [detailId], flightIds?: [flightId], waiveFees?: boolean }
+app.post('/api/admin/bookings/:id/refunds', requireAdmin('agent', 'finance'), async (req, res) => {
+    try {
+        const { reason, passengerIds, flightIds, waiveFees } = req.body;
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ error: 'Refund reason is required' });
+        }
+
+        const refundId = await withTransaction(() => createRefundRequest(req.params.id, {
+            reason: reason.trim(),
+            passengerIds,
+            flightIds,
+            waiveFees: !!waiveFees,
+            requestedBy: `admin:${req.admin.username}`
+        }));
+
+        res.status(201).json(await getRefundForClient(refundId));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error requesting refund:', error);
+        res.status(500).json({ error: 'Failed to request refund' });
+    }
+});
+
+// Admin API: Approve a requested refund
+app.post('/api/admin/refunds/:id/approve', requireAdmin('finance'), async (req, res) => {
+    try {
+        const result = await db.run(`
+            UPDATE refunds SET status = 'approved', approved_by = ?, approved_at = ?, note = COALESCE(?, note)
+            WHERE refund_id = ? AND status = 'requested'
+        `, [`admin:${req.admin.username}`, new Date().toISOString(), req.body.note || null, req.params.id]);
+
+        if (result.changes === 0) {
+            return sendRefundStateError(res, req.params.id, 'requested');
+        }
+        res.json(await getRefundForClient(req.params.id));
+    } catch (error) {
+        console.error('Error approving refund:', error);
+        res.status(500).json({ error: 'Failed to approve refund' });
+    }
+});
+
+// Admin API: Reject a refund that has not been paid out yet
+app.post('/api/admin/refunds/:id/reject', requireAdmin('finance'), async (req, res) => {
+    try {
+        const { note } = req.body;
+        if (!note || !note.trim()) {
+            return res.status(400).json({ error: 'A note explaining the rejection is required' });
+        }
+
+        const result = await db.run(`
+            UPDATE refunds SET status = 'rejected', rejected_by = ?, rejected_at = ?, note = ?
+            WHERE refund_id = ? AND status IN ('requested', 'approved')
+        `, [`admin:${req.admin.username}`, new Date().toISOString(), note.trim(), req.params.id]);
+
+        if (result.changes === 0) {
+            return sendRefundStateError(res, req.params.id, 'requested or approved');
+        }
+        res.json(await getRefundForClient(req.params.id));
+    } catch (error) {
+        console.error('Error rejecting refund:', error);
+        res.status(500).json({ error: 'Failed to reject refund' });
+    }
+});
+
+// Admin API: Mark an approved refund as paid out - seats go back on sale
+app.post('/api/admin/refunds/:id/complete', requireAdmin('finance'), async (req, res) => {
+    try {
+        const { transactionReference } = req.body;
+
+        const completed = await withTransaction(async () => {
+            const refund = await db.get('SELECT * FROM refunds WHERE refund_id = ?', [req.params.id]);
+            if (!refund || refund.status !== 'approved') {
+                return false;
+            }
+            await completeRefund(refund, `admin:${req.admin.username}`, transactionReference);
+            return true;
+        });
+
+        if (!completed) {
+            return sendRefundStateError(res, req.params.id, 'approved');
+        }
+        res.json(await getRefundForClient(req.params.id));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error completing refund:', error);
+        res.status(500).json({ error: 'Failed to complete refund' });
+    }
+});
+
+// Admin API: Import a bank statement (CSV or MT940) and match incoming transfers to bookings.
+// Send the file as the raw request body (?format=csv|mt940&fileName=...) or as JSON { format, fileName, content }.
+app.post('/api/admin/reconciliation/imports', requireAdmin('finance'), express.text({ type: ['text/*', 'application/octet-stream'], limit: '5mb' }), async (req, res) => {
+    try {
+        const raw = typeof req.body === 'string';
+        const content = raw ? req.body : req.body.content;
+        const fileName = (raw ? req.query.fileName : req.body.fileName) || null;
+        let format = raw ? req.query.format : req.body.format;
+
+        if (!content || !content.trim()) {
+            return res.status(400).json({ error: 'Statement content is required' });
+        }
+        if (!format) {
+            format = /^:61:/m.test(content) ? 'mt940' : 'csv';
+        }
+        if (!['csv', 'mt940'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or mt940' });
+        }
+
+        const statement = parseBankStatement(format, content);
+
+        const result = await withTransaction(async () => {
+            const importResult = await db.run(
+                'INSERT INTO bank_statement_imports (file_name, format, account_number, imported_by) VALUES (?, ?, ?, ?)',
+                [fileName, format, statement.accountNumber, `admin:${req.admin.username}`]
+            );
+            const importId = importResult.lastID;
+
+            const summary = { matched: 0, unmatched: 0, partial: 0, overpaid: 0 };
+            let skipped = 0;
+            const seen = {};
+            const transactionIds = [];
+
+            for (const item of statement.transactions) {
+                // Only money coming in can pay for a booking
+                if (!(item.amount > 0)) {
+                    skipped++;
+                    continue;
+                }
+
+                // Identical lines in one file are separate transfers; the same line in a later file is a re-import
+                const key = [statement.accountNumber, item.date, item.amount, item.reference, item.description].join('|');
+                seen[key] = (seen[key] || 0) + 1;
+                const fingerprint = crypto.createHash('sha256').update(`${key}#${seen[key]}`).digest('hex');
+
+                const inserted = await db.run(`
+                    INSERT OR IGNORE INTO bank_transactions (import_id, transaction_date, amount, currency, description, bank_reference, fingerprint)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [importId, item.date, item.amount, item.currency, item.description, item.reference, fingerprint]);
+                if (inserted.changes === 0) {
+                    skipped++;
+                    continue;
+                }
+
+                const transaction = await db.get('SELECT * FROM bank_transactions WHERE transaction_id = ?', [inserted.lastID]);
+                summary[await reconcileBankTransaction(transaction)]++;
+                transactionIds.push(inserted.lastID);
+            }
+
+            await db.run(
+                'UPDATE bank_statement_imports SET transaction_count = ?, skipped_count = ? WHERE import_id = ?',
+                [transactionIds.length, skipped, importId]
+            );
+            return { importId, summary, skipped, transactionIds };
+        });
+
+        const transactions = await db.all(
+            'SELECT * FROM bank_transactions WHERE import_id = ? ORDER BY transaction_id',
+            [result.importId]
+        );
+
+        res.status(201).json({
+            importId: result.importId,
+            format,
+            accountNumber: statement.accountNumber,
+            transactionCount: result.transactionIds.length,
+            skippedCount: result.skipped,
+            summary: result.summary,
+            transactions: transactions.map(formatBankTransactionForClient)
+        });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error importing bank statement:', error);
+        res.status(500).json({ error: 'Failed to import bank statement' });
+    }
+});
+
+// Admin API: Statement imports, newest first
+app.get('/api/admin/reconciliation/imports', requireAdmin('viewer', 'finance'), async (req, res) => {
+    try {
+        const imports = await db.all('SELECT * FROM bank_statement_imports ORDER BY imported_at DESC, import_id DESC');
+        res.json(imports.map(item => ({
+            importId: item.import_id,
+            fileName: item.file_name,
+            format: item.format,
+            accountNumber: item.account_number,
+            importedBy: item.imported_by,
+            importedAt: item.imported_at,
+            transactionCount: item.transaction_count,
+            skippedCount: item.skipped_count
+        })));
+    } catch (error) {
+        console.error('Error fetching statement imports:', error);
+        res.status(500).json({ error: 'Failed to fetch statement imports' });
+    }
+});
+
+// Admin API: Reconciliation report - totals per match status plus every transfer that still needs a person
+app.get('/api/admin/reconciliation/report', requireAdmin('viewer', 'finance'), async (req, res) => {
+    try {
+        const { importId, fromDate, toDate } = req.query;
+        const conditions = [];
+        const params = [];
+        if (importId) {
+            conditions.push('import_id = ?');
+            params.push(importId);
+        }
+        if (fromDate) {
+            conditions.push('transaction_date >= ?');
+            params.push(fromDate);
+        }
+        if (toDate) {
+            conditions.push('transaction_date <= ?');
+            params.push(toDate);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const totals = await db.all(`
+            SELECT match_status, COUNT(*) as count, SUM(amount) as amount
+            FROM bank_transactions ${where}
+            GROUP BY match_status
+        `, params);
+        const summary = {};
+        for (const status of ['matched', 'unmatched', 'partial', 'overpaid', 'resolved', 'ignored']) {
+            const row = totals.find(total => total.match_status === status);
+            summary[status] = { count: row ? row.count : 0, amount: row ? row.amount : 0 };
+        }
+
+        const open = await db.all(`
+            SELECT * FROM bank_transactions
+            ${where ? `${where} AND` : 'WHERE'} match_status IN ('unmatched', 'partial', 'overpaid')
+            ORDER BY transaction_date, transaction_id
+        `, params);
+
+        const items = { unmatched: [], partial: [], overpaid: [] };
+        for (const transaction of open) {
+            const item = formatBankTransactionForClient(transaction);
+            if (transaction.booking_id) {
+                const booking = await db.get('SELECT total_amount, payment_status FROM bookings WHERE booking_id = ?', [transaction.booking_id]);
+                const received = await db.get(
+                    "SELECT SUM(amount) as total FROM bank_transactions WHERE booking_id = ? AND match_status != 'ignored'",
+                    [transaction.booking_id]
+                );
+                item.bookingTotal = booking ? booking.total_amount : null;
+                item.bookingStatus = booking ? booking.payment_status : null;
+                item.receivedForBooking = received.total || 0;
+            } else {
+                // No booking ID in the content - suggest open bookings waiting for exactly this amount
+                const candidates = await db.all(`
+                    SELECT booking_id, contact_name, total_amount, booking_time FROM bookings
+                    WHERE payment_status IN ('unpaid', 'pending') AND ROUND(total_amount) = ROUND(?)
+                    ORDER BY booking_time DESC LIMIT 5
+                `, [transaction.amount]);
+                item.candidates = candidates.map(candidate => ({
+                    bookingId: candidate.booking_id,
+                    contactName: candidate.contact_name,
+                    totalAmount: candidate.total_amount,
+                    bookingTime: candidate.booking_time
+                }));
+            }
+            items[transaction.match_status].push(item);
+        }
+
+        res.json({ summary, items });
+    } catch (error) {
+        console.error('Error building reconciliation report:', error);
+        res.status(500).json({ error: 'Failed to build reconciliation report' });
+    }
+});
+
+// Admin API: Resolve a transfer by hand.
+// confirm - count it as payment for bookingId (defaults to the booking found in the content)
+// ignore  - not a booking payment, or settled outside the system; a note is required
+app.post('/api/admin/reconciliation/transactions/:id/resolve', requireAdmin('finance'), async (req, res) => {
+    try {
+        const { action, bookingId, note } = req.body;
+        if (!['confirm', 'ignore'].includes(action)) {
+            return res.status(400).json({ error: 'action must be confirm or ignore' });
+        }
+        if (action === 'ignore' && (!note || !note.trim())) {
+            return res.status(400).json({ error: 'A note is required when ignoring a transaction' });
+        }
+
+        const actor = `admin:${req.admin.username}`;
+        await withTransaction(async () => {
+            const transaction = await db.get('SELECT * FROM bank_transactions WHERE transaction_id = ?', [req.params.id]);
+            if (!transaction) {
+                throw new BookingError(404, 'Transaction not found');
+            }
+            if (!['unmatched', 'partial', 'overpaid'].includes(transaction.match_status)) {
+                throw new BookingError(409, 'Transaction is already settled', { matchStatus: transaction.match_status });
+            }
+
+            let resolvedBookingId = transaction.booking_id;
+            if (action === 'confirm') {
+                resolvedBookingId = bookingId || transaction.booking_id;
+                if (!resolvedBookingId) {
+                    throw new BookingError(400, 'bookingId is required for a transaction without a booking');
+                }
+                const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [resolvedBookingId]);
+                if (!booking) {
+                    throw new BookingError(404, 'Booking not found');
+                }
+                if (['unpaid', 'pending'].includes(booking.payment_status)) {
+                    await confirmBankTransferBooking(booking, transaction.bank_reference || `#${transaction.transaction_id}`, actor);
+                    // Earlier part-payments of the same booking are settled with it
+                    await db.run(`
+                        UPDATE bank_transactions SET match_status = 'resolved', resolved_by = ?, resolved_at = ?
+                        WHERE booking_id = ? AND match_status = 'partial' AND transaction_id != ?
+                    `, [actor, new Date().toISOString(), booking.booking_id, transaction.transaction_id]);
+                } else if (booking.payment_status !== 'paid') {
+                    throw new BookingError(409, 'Booking cannot be confirmed', { paymentStatus: booking.payment_status });
+                }
+            }
+
+            await db.run(`
+                UPDATE bank_transactions
+                SET match_status = ?, booking_id = ?, note = COALESCE(?, note), resolved_by = ?, resolved_at = ?
+                WHERE transaction_id = ?
+            `, [
+                action === 'confirm' ? 'resolved' : 'ignored', resolvedBookingId, note ? note.trim() : null,
+                actor, new Date().toISOString(), transaction.transaction_id
+            ]);
+        });
+
+        const transaction = await db.get('SELECT * FROM bank_transactions WHERE transaction_id = ?', [req.params.id]);
+        res.json(formatBankTransactionForClient(transaction));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error resolving bank transaction:', error);
+        res.status(500).json({ error: 'Failed to resolve transaction' });
+    }
+});
+
+// Admin API: Notification outbox, newest first (?status=pending|sent|failed, ?bookingId=, ?eventType=)
+app.get('/api/admin/notifications', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        const { status, bookingId, eventType } = req.query;
+        const conditions = [];
+        const params = [];
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (bookingId) {
+            conditions.push('booking_id = ?');
+            params.push(bookingId);
+        }
+        if (eventType) {
+            if (!NOTIFICATION_EVENTS.includes(eventType)) {
+                return res.status(400).json({ error: 'Invalid event type', validEventTypes: NOTIFICATION_EVENTS });
+            }
+            conditions.push('event_type = ?');
+            params.push(eventType);
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+        const notifications = await db.all(`
+            SELECT * FROM notification_outbox
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, notification_id DESC
+            LIMIT ?
+        `, [...params, limit]);
+        res.json(notifications.map(formatNotificationForClient));
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Admin API: Send a failed (or still waiting) notification again right away
+app.post('/api/admin/notifications/:id/retry', requireAdmin('agent', 'finance'), async (req, res) => {
+    try {
+        const notification = await db.get('SELECT * FROM notification_outbox WHERE notification_id = ?', [req.params.id]);
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        if (notification.status === 'sent') {
+            return res.status(409).json({ error: 'Notification has already been sent' });
+        }
+
+        // A manual retry gets a fresh set of attempts
+        await db.run(
+            "UPDATE notification_outbox SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE notification_id = ?",
+            [new Date().toISOString(), notification.notification_id]
+        );
+        await processNotificationOutbox();
+
+        const updated = await db.get('SELECT * FROM notification_outbox WHERE notification_id = ?', [notification.notification_id]);
+        res.json(formatNotificationForClient(updated));
+    } catch (error) {
+        console.error('Error retrying notification:', error);
+        res.status(500).json({ error: 'Failed to retry notification' });
+    }
+});
+
+// Admin API: Get booking statistics
+app.get('/api/admin/stats/bookings', requireAdmin('viewer', 'agent', 'finance'), async (req, res) => {
+    try {
+        // Get booking count by payment status
+        const statusStats = await db.all(`
+            SELECT payment_status, COUNT(*) as count 
+            FROM bookings 
+            GROUP BY payment_status 
+            ORDER BY count DESC
+        `);
+        
+        // Get total revenue, net of completed refunds
+        const revenue = await db.get(`
+            SELECT SUM(${bookingNetAmountSql('b')}) as total 
+            FROM bookings b
+        `);
+        const refunds = await db.get("SELECT SUM(amount) as total FROM refunds WHERE status = 'completed'");
+        const ancillaryRevenue = await db.get(`
+            SELECT SUM(ba.price) as total
+            FROM booking_ancillaries ba
+            JOIN bookings b ON ba.booking_id = b.booking_id
+            WHERE b.payment_status = 'paid' AND ${unrefundedAncillarySql('ba')}
+        `);
+        
+        // Get bookings by travel class
+        const travelClassStats = await db.all(`
+            SELECT travel_class, COUNT(*) as count 
+            FROM bookings 
+            GROUP BY travel_class
+        `);
+        
+        // Get recent bookings (last 7 days)
+        const recentBookings = await db.all(`
+            SELECT DATE(booking_time) as date, COUNT(*) as count 
+            FROM bookings 
+            WHERE booking_time >= datetime('now', '-7 days')
+            GROUP BY DATE(booking_time)
+            ORDER BY date
+        `);
+        
+        res.json({
+            totalBookings: statusStats.reduce((acc, stat) => acc + stat.count, 0),
+            totalRevenue: revenue.total || 0,
+            totalRefunds: refunds.total || 0,
+            ancillaryRevenue: ancillaryRevenue.total || 0,
+            statusStats,
+            travelClassStats,
+            recentBookings
+        });
+    } catch (error) {
+        console.error('Error fetching booking statistics:', error);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+// Payment providers the customer can choose from
+app.get('/api/payments/providers', (req, res) => {
+    res.json(Object.entries(PAYMENT_PROVIDERS)
+        .filter(([, provider]) => provider.isEnabled())
+        .map(([code, provider]) => ({
+            code,
+            name: provider.name,
+            confirmedByWebhook: typeof provider.parseWebhook === 'function'
+        })));
+});
+
+// Start paying a booking through a provider - returns where to send the customer (or transfer instructions)
+app.post('/api/payments/intents', async (req, res) => {
+    try {
+        const { bookingId, provider, returnUrl } = req.body;
+
+        if (!bookingId || !provider) {
+            return res.status(400).json({ error: 'bookingId and provider are required' });
+        }
+
+        const adapter = PAYMENT_PROVIDERS[provider];
+        if (!adapter || !adapter.isEnabled()) {
+            return res.status(400).json({
+                error: 'Payment provider is not available',
+                availableProviders: Object.keys(PAYMENT_PROVIDERS).filter(code => PAYMENT_PROVIDERS[code].isEnabled())
+            });
+        }
+
+        if (returnUrl && !isSafeReturnUrl(returnUrl)) {
+            return res.status(400).json({ error: 'returnUrl must point to this site' });
+        }
+
+        const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        if (!['unpaid', 'pending'].includes(booking.payment_status)) {
+            return res.status(409).json({ error: 'Booking cannot be paid', paymentStatus: booking.payment_status });
+        }
+
+        const now = new Date();
+        if (booking.hold_expires_at && booking.hold_expires_at < now.toISOString()) {
+            return res.status(409).json({ error: 'Seat hold has expired', holdExpiresAt: booking.hold_expires_at });
+        }
+
+        // The intent never outlives the seat hold
+        let expiresAt = new Date(now.getTime() + PAYMENT_INTENT_TTL_MINUTES * 60 * 1000).toISOString();
+        if (booking.hold_expires_at && booking.hold_expires_at < expiresAt) {
+            expiresAt = booking.hold_expires_at;
+        }
+
+        const intent = {
+            intent_id: `pi_${crypto.randomBytes(12).toString('hex')}`,
+            booking_id: booking.booking_id,
+            provider,
+            amount: booking.total_amount,
+            currency: 'VND',
+            status: 'pending',
+            return_url: returnUrl || null,
+            created_at: now.toISOString(),
+            expires_at: expiresAt
+        };
+        intent.signature = signPaymentIntent(intent);
+
+        const payment = await adapter.createPayment(intent, booking, { ipAddress: req.ip });
+        intent.redirect_url = payment.redirectUrl || null;
+
+        await db.run(`
+            INSERT INTO payment_intents (
+                intent_id, booking_id, provider, amount, currency, status, signature,
+                redirect_url, return_url, created_at, expires_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            intent.intent_id, intent.booking_id, intent.provider, intent.amount, intent.currency, intent.status,
+            intent.signature, intent.redirect_url, intent.return_url, intent.created_at, intent.expires_at
+        ]);
+
+        res.status(201).json(formatPaymentIntentForClient(intent, payment.instructions || null));
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error creating payment intent:', error);
+        res.status(500).json({ error: 'Failed to start payment' });
+    }
+});
+
+// Payment intent status, for the page that waits for the webhook
+app.get('/api/payments/intents/:intentId', async (req, res) => {
+    try {
+        const intent = await db.get('SELECT * FROM payment_intents WHERE intent_id = ?', [req.params.intentId]);
+        if (!intent) {
+            return res.status(404).json({ error: 'Payment intent not found' });
+        }
+        res.json(formatPaymentIntentForClient(intent));
+    } catch (error) {
+        console.error('Error fetching payment intent:', error);
+        res.status(500).json({ error: 'Failed to fetch payment intent' });
+    }
+});
+
+// Provider webhooks (VNPay IPN is a GET, the others POST). Only a verified notification can mark a booking paid.
+async function handlePaymentWebhook(req, res) {
+    const providerCode = req.params.provider;
+    const provider = PAYMENT_PROVIDERS[providerCode];
+    if (!provider || typeof provider.parseWebhook !== 'function') {
+        return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    const acknowledge = provider.acknowledge || ((response, result) => {
+        response.status(result === 'invalid_signature' ? 400 : 200).json({ received: result !== 'invalid_signature', result });
+    });
+
+    try {
+        const notification = provider.parseWebhook(req);
+        if (!notification.valid) {
+            console.warn(`Rejected ${providerCode} webhook with an invalid signature`);
+            return acknowledge(res, 'invalid_signature');
+        }
+
+        const payload = req.method === 'GET' ? req.query : req.body;
+        const result = await processPaymentNotification(providerCode, notification, payload);
+        acknowledge(res, result);
+    } catch (error) {
+        console.error(`Error processing ${providerCode} webhook:`, error);
+        // 500 makes the provider retry later
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+}
+app.post('/api/payments/webhooks/:provider', handlePaymentWebhook);
+app.get('/api/payments/webhooks/:provider', handlePaymentWebhook);
+
+// The customer comes back here from the provider; the booking status itself only changes via webhooks
+app.get('/api/payments/return/:intentId', async (req, res) => {
+    try {
+        const intent = await db.get('SELECT * FROM payment_intents WHERE intent_id = ?', [req.params.intentId]);
+        if (!intent) {
+            return res.status(404).json({ error: 'Payment intent not found' });
+        }
+
+        const target = intent.return_url || '/payment-waiting.html';
+        const params = new URLSearchParams({ booking_id: intent.booking_id, intent_id: intent.intent_id, status: intent.status });
+        res.redirect(`${target}${target.includes('?') ? '&' : '?'}${params.toString()}`);
+    } catch (error) {
+        console.error('Error handling payment return:', error);
+        res.status(500).json({ error: 'Failed to handle payment return' });
+    }
+});
+
+// Mock provider: a local checkout page so the whole flow can be tried without a real gateway
+app.get('/api/payments/mock/checkout/:intentId', async (req, res) => {
+    try {
+        const intent = await getMockCheckoutIntent(req.params.intentId, req.query.signature);
+        if (!intent) {
+            return res.status(404).send('Payment not found');
+        }
+
+        res.send(`<!DOCTYPE html>
+<html lang="vi">
+<head><meta charset="utf-8"><title>Cổng thanh toán thử nghiệm</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+    <h2>Cổng thanh toán thử nghiệm</h2>
+    <p>Đơn hàng: <strong>${intent.booking_id}</strong></p>
+    <p>Số tiền: <strong>${formatCurrency(intent.amount)}</strong></p>
+    <form method="POST">
+        <input type="hidden" name="signature" value="${intent.signature}">
+        <button name="outcome" value="succeeded">Thanh toán thành công</button>
+        <button name="outcome" value="failed">Thanh toán thất bại</button>
+    </form>
+</body>
+</html>`);
+    } catch (error) {
+        console.error('Error showing mock checkout:', error);
+        res.status(500).send('Failed to load checkout');
+    }
+});
+
+// Mock provider: "pay" and deliver a signed webhook to ourselves, like a real gateway would
+app.post('/api/payments/mock/checkout/:intentId', async (req, res) => {
+    try {
+        const intent = await getMockCheckoutIntent(req.params.intentId, req.body.signature || req.query.signature);
+        if (!intent) {
+            return res.status(404).json({ error: 'Payment intent not found' });
+        }
+
+        const succeeded = req.body.outcome !== 'failed';
+        const body = JSON.stringify({
+            eventId: `evt_${crypto.randomBytes(8).toString('hex')}`,
+            intentId: intent.intent_id,
+            status: succeeded ? 'succeeded' : 'failed',
+            amount: intent.amount,
+            transactionId: `MOCK${Date.now()}`,
+            failureReason: succeeded ? null : 'Declined by mock gateway'
+        });
+
+        const response = await fetch(`http://127.0.0.1:${PORT}/api/payments/webhooks/mock`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Mock-Signature': hmacHex('sha256', getMockPaymentSecret(), body)
+            },
+            body
+        });
+        if (!response.ok) {
+            return res.status(502).json({ error: 'Mock webhook was not accepted', webhookStatus: response.status });
+        }
+
+        res.redirect(303, getPaymentReturnUrl(intent));
+    } catch (error) {
+        console.error('Error completing mock payment:', error);
+        res.status(500).json({ error: 'Failed to complete mock payment' });
+    }
+});
+
+// Add new endpoint to save/update payment information (needs the booking owner's session or the booking's manageCode)
+app.post('/api/payments', async (req, res) => {
+    try {
+        const { bookingId, method, transactionInfo } = req.body;
+        
+        if (!bookingId || !method) {
+            return res.status(400).json({ error: 'Missing required payment information' });
+        }
+        
+        // Validate payment method
+        if (!PAYMENT_METHODS.includes(method)) {
+            return res.status(400).json({ error: 'Invalid payment method', validMethods: PAYMENT_METHODS });
+        }
+        
+        const customer = await authorizeBookingAccess(req, await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]));
+        
+        // Save the payment and move the booking to 'pending' together - staff or the bank statement confirm it later
+        await withTransaction(async () => {
+            const existingBooking = await db.get('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+            if (!['unpaid', 'pending'].includes(existingBooking.payment_status)) {
+                throw new BookingError(409, 'Booking cannot be paid', { paymentStatus: existingBooking.payment_status });
+            }
+            
+            await db.run(`
+                INSERT INTO payments (booking_id, method, transaction_info, payment_date)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(booking_id) DO UPDATE SET
+                    method = excluded.method,
+                    transaction_info = excluded.transaction_info,
+                    payment_date = excluded.payment_date
+            `, [bookingId, method, transactionInfo || null]);
+            
+            await transitionBookingStatus(bookingId, 'pending', {
+                actor: customer ? `customer:${customer.customer_id}` : 'customer',
+                reason: 'Payment information submitted'
+            });
+        });
+        
+        res.json({ 
+            success: true, 
+            message: 'Payment information saved successfully'
+        });
+    } catch (error) {
+        if (error instanceof BookingError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error saving payment information:', error);
+        res.status(500).json({ error: 'Failed to save payment information' });
+    }
+});
+
+// Get payment information for a booking
+app.get('/api/payments/:bookingId', async (req, res) => {
+    try {
+        const bookingId = req.params.bookingId;
+        
+        // Check if booking exists
+        const existingBooking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+        if (!existingBooking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        
+        // Get payment information
+        const payment = await db.get('SELECT * FROM payments WHERE booking_id = ?', [bookingId]);
+        
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment information not found' });
+        }
+        
+        res.json(payment);
+    } catch (error) {
+        console.error('Error fetching payment information:', error);
+        res.status(500).json({ error: 'Failed to fetch payment information' });
+    }
+});
+
+// Helper functions
+function formatDateForDB(dateString) {
+    // Convert from YYYY-MM-DD to YYYY-MM-DD (for SQLite date format)
+    const [year, month, day] = dateString.split('-');
+    return `${year}-${month}-${day}`;
+}
+
+// Airport code -> IANA time zone, cached from the airports table so formatting stays synchronous
+let airportTimezones = {};
+const zonedFormatters = new Map();
+
+async function loadAirportTimezones() {
+    const airports = await db.all('SELECT airport_code, timezone FROM airports');
+    airportTimezones = Object.fromEntries(airports.map(airport => [airport.airport_code, airport.timezone]));
+}
+
+function getAirportTimezone(airportCode) {
+    return airportTimezones[airportCode] || DEFAULT_TIMEZONE;
+}
+
+// Wall-clock reading of an instant in a time zone: { date: 'YYYY-MM-DD', time: 'HH:MM', seconds: 'SS', offset: '+07:00' }
+function getZonedParts(value, timeZone) {
+    if (!zonedFormatters.has(timeZone)) {
+        zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', timeZoneName: 'longOffset',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    const parts = {};
+    for (const part of zonedFormatters.get(timeZone).formatToParts(new Date(value))) {
+        parts[part.type] = part.value;
+    }
+    // longOffset reads GMT+07:00, or plain GMT at UTC
+    const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '');
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`, seconds: parts.second, offset };
+}
+
+function getUtcOffsetMinutes(value, timeZone) {
+    const [, sign, hours, minutes] = getZonedParts(value, timeZone).offset.match(/^([+-])(\d{2}):(\d{2})$/);
+    return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+// Local wall-clock time in a zone -> UTC Date
+function zonedTimeToUtc(date, time, timeZone) {
+    const wallClock = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+    const guess = wallClock - getUtcOffsetMinutes(wallClock, timeZone) * 60000;
+    // Check the offset again at the real instant in case a daylight-saving change lies in between
+    return new Date(wallClock - getUtcOffsetMinutes(guess, timeZone) * 60000);
+}
+
+// '2026-12-01T08:30:00+07:00'
+function formatLocalIso(value, timeZone) {
+    const { date, time, seconds, offset } = getZonedParts(value, timeZone);
+    return `${date}T${time}:${seconds}${offset}`;
+}
+
+// '2026-12-01 08:30' at the airport
+function formatAirportTime(value, airportCode) {
+    if (!value) return '';
+    if (isNaN(new Date(value).getTime())) return String(value);
+    const { date, time } = getZonedParts(value, getAirportTimezone(airportCode));
+    return `${date} ${time}`;
+}
+
+// Flight times are stored as UTC ISO strings. Input with Z or an offset is taken as is;
+// a time without one ('2026-12-01T08:30') is local time at the airport. Returns null when unreadable.
+function normalizeFlightTime(value, airportCode) {
+    const text = String(value || '').trim();
+    let date;
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        date = new Date(text);
+    } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2})?$/.test(text)) {
+        const [day, time] = text.split(/[T ]/);
+        date = zonedTimeToUtc(day, time, getAirportTimezone(airportCode));
+    }
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function getDurationMinutes(departureTime, arrivalTime) {
+    return Math.round((new Date(arrivalTime) - new Date(departureTime)) / 60000);
+}
+
+function formatDuration(minutes) {
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Date the flight leaves on, in its departure airport's time zone
+function getFlightLocalDate(flight) {
+    return getZonedParts(flight.departure_time, getAirportTimezone(flight.departure_airport)).date;
+}
+
+// UTC bounds wide enough to hold every flight whose local departure date is within fromDate..toDate,
+// whatever the airport's offset (UTC-12 to UTC+14). Callers narrow the result with getFlightLocalDate.
+function getUtcWindowForLocalDates(fromDate, toDate) {
+    const start = new Date(`${fromDate}T00:00:00Z`);
+    start.setUTCHours(start.getUTCHours() - 14);
+    const end = new Date(`${toDate}T00:00:00Z`);
+    end.setUTCHours(end.getUTCHours() + 24 + 12);
+    return [start.toISOString(), end.toISOString()];
+}
+
+function formatFlightForClient(flight) {
+    // Parse available classes từ string
+    let availableClasses;
+    try {
+        // Thử chuyển đổi từ JSON string nếu đó là định dạng lưu trữ
+        availableClasses = JSON.parse(flight.available_classes);
+    } catch (error) {
+        // Nếu không phải JSON, xử lý như một string phân cách bằng dấu phẩy
+        availableClasses = flight.available_classes.split(',');
+    }
+    
+    // Times are stored in UTC and shown in local time at each airport
+    const departureTimezone = getAirportTimezone(flight.departure_airport);
+    const arrivalTimezone = getAirportTimezone(flight.arrival_airport);
+    const departureLocal = getZonedParts(flight.departure_time, departureTimezone);
+    const arrivalLocal = getZonedParts(flight.arrival_time, arrivalTimezone);
+    
+    const [year, month, day] = departureLocal.date.split('-');
+    const formattedDate = `${day}-${month}-${year}`;
+    const departureTime = departureLocal.time;
+    const arrivalTime = arrivalLocal.time;
+    const durationMinutes = getDurationMinutes(flight.departure_time, flight.arrival_time);
+    
+    // For compatibility with old code, use economy price as the base price
+    const basePrice = flight.price_economy || flight.price || 0;
+    
+    return {
+        id: `${flight.airline_code}${flight.flight_number}`,
+        flight_id: flight.flight_id,
+        airline: flight.airline,
+        airline_code: flight.airline_code,
+        airlineCode: flight.airline_code,
+        flight_number: flight.flight_number,
+        departure: flight.departure_airport,
+        departure_airport: flight.departure_airport,
+        destination: flight.arrival_airport,
+        arrival_airport: flight.arrival_airport,
+        departureTime: departureTime,
+        departure_time: flight.departure_time,
+        arrivalTime: arrivalTime,
+        arrival_time: flight.arrival_time,
+        departureLocalTime: formatLocalIso(flight.departure_time, departureTimezone),
+        arrivalLocalTime: formatLocalIso(flight.arrival_time, arrivalTimezone),
+        departureTimezone,
+        arrivalTimezone,
+        duration: formatDuration(durationMinutes),
+        durationMinutes,
+        // Include both the legacy price field and the new class-specific prices
+        price: basePrice,
+        price_economy: flight.price_economy || basePrice,
+        price_premium_economy: flight.price_premium_economy || null,
+        price_business: flight.price_business || null,
+        price_first: flight.price_first || null,
+        // Create a prices object for easy access
+        prices: {
+            ECONOMY: flight.price_economy || basePrice,
+            PREMIUM_ECONOMY: flight.price_premium_economy || null,
+            BUSINESS: flight.price_business || null,
+            FIRST: flight.price_first || null
+        },
+        // Include seats for each class
+        seats_economy: flight.seats_economy || 0,
+        seats_premium_economy: flight.seats_premium_economy || 0,
+        seats_business: flight.seats_business || 0, 
+        seats_first: flight.seats_first || 0,
+        // Create a seats object for easy access
+        seats: {
+            ECONOMY: flight.seats_economy || 0,
+            PREMIUM_ECONOMY: flight.seats_premium_economy || 0,
+            BUSINESS: flight.seats_business || 0,
+            FIRST: flight.seats_first || 0
+        },
+        availableSeats: flight.available_seats,
+        available_seats: flight.available_seats,
+        status: flight.status,
+        availableClasses: availableClasses,
+        available_classes: flight.available_classes,
+        flightClass: 'Economy', // Default display class
+        date: formattedDate,
+        aircraftType: flight.aircraft_type || null,
+        // Set when the flight was generated from a recurring schedule
+        scheduleId: flight.schedule_id || null,
+        scheduleDate: flight.schedule_date || null
+    };
+}
+
+// Sample data population function
+async function populateSampleFlights() {
+    // Airline names come from the airlines table; this only says which cabins each one sells
+    const airlines = [
+        { 
+            code: 'VN', 
+            classes: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'],
+            seatsConfig: {
+                ECONOMY: { min: 100, max: 150 },
+                PREMIUM_ECONOMY: { min: 30, max: 50 },
+                BUSINESS: { min: 20, max: 30 },
+                FIRST: { min: 8, max: 12 }
+            }
+        },
+        { 
+            code: 'VJ', 
+            classes: ['ECONOMY', 'PREMIUM_ECONOMY'],
+            seatsConfig: {
+                ECONOMY: { min: 150, max: 180 },
+                PREMIUM_ECONOMY: { min: 20, max: 30 }
+            }
+        },
+        { 
+            code: 'BL', 
+            classes: ['ECONOMY'],
+            seatsConfig: {
+                ECONOMY: { min: 150, max: 200 }
+            }
+        },
+        { 
+            code: 'QH', 
+            classes: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS'],
+            seatsConfig: {
+                ECONOMY: { min: 120, max: 160 },
+                PREMIUM_ECONOMY: { min: 20, max: 40 },
+                BUSINESS: { min: 10, max: 20 }
+            }
+        }
+    ];
+    
+    const routes = [
+        { departure: 'HAN', destination: 'SGN' },
+        { departure: 'SGN', destination: 'HAN' },
+        { departure: 'HAN', destination: 'DAD' },
+        { departure: 'DAD', destination: 'HAN' },
+        { departure: 'SGN', destination: 'DAD' },
+        { departure: 'DAD', destination: 'SGN' }
+    ];
+
+    const startDate = new Date(2025, 5, 1); // June 1, 2025 (month is 0-indexed)
+    const endDate = new Date(2025, 6, 1);   // July 1, 2025
+    
+    const stmt = await db.prepare(`
+        INSERT INTO flights (
+            airline, airline_code, flight_number, departure_airport, arrival_airport, 
+            departure_time, arrival_time, duration, 
+            price_economy, price_premium_economy, price_business, price_first,
+            seats_economy, seats_premium_economy, seats_business, seats_first,
+            available_seats, status, available_classes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const airlineNames = {};
+    for (const airline of await db.all('SELECT airline_code, name FROM airlines')) {
+        airlineNames[airline.airline_code] = airline.name;
+    }
+
+    let flightCounter = 1000;
+    
+    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+        for (let i = 0; i < 10; i++) {
+            const airlineInfo = airlines[Math.floor(Math.random() * airlines.length)];
+            const routeInfo = routes[Math.floor(Math.random() * routes.length)];
+            
+            const depHour = Math.floor(Math.random() * 18) + 6; // Departure between 06:00 and 23:00
+            const depMinute = Math.floor(Math.random() * 4) * 15; // Minutes: 00, 15, 30, 45
+            
+            const departureDateTime = new Date(d);
+            departureDateTime.setHours(depHour, depMinute, 0);
+            
+            const durationHours = Math.floor(Math.random() * 2) + 1; // Duration 1 to 2 hours
+            const durationMinutes = Math.floor(Math.random() * 4) * 15; // Duration minutes
+            
+            const arrivalDateTime = new Date(departureDateTime);
+            arrivalDateTime.setHours(
+                departureDateTime.getHours() + durationHours,
+                departureDateTime.getMinutes() + durationMinutes
+            );
+            
+            const durationStr = `${durationHours}h ${durationMinutes > 0 ? `${durationMinutes}m` : ''}`.trim();
+            
+            // Base economy price from 500,000 to 2,000,000
+            const economyPrice = Math.floor(Math.random() * 1500000) + 500000;
+            
+            // Calculate prices for other seat classes with some randomness
+            // These are now independent prices rather than strict multipliers
+            const premiumEconomyPrice = airlineInfo.classes.includes('PREMIUM_ECONOMY') ? 
+                Math.floor(economyPrice * (1.3 + Math.random() * 0.4)) : null;
+                
+            const businessPrice = airlineInfo.classes.includes('BUSINESS') ? 
+                Math.floor(economyPrice * (2.2 + Math.random() * 0.6)) : null;
+                
+            const firstPrice = airlineInfo.classes.includes('FIRST') ? 
+                Math.floor(economyPrice * (3.5 + Math.random() * 1.0)) : null;
+            
+            // Generate seat quantities for each class
+            const seatsEconomy = airlineInfo.classes.includes('ECONOMY') ? 
+                Math.floor(Math.random() * (airlineInfo.seatsConfig.ECONOMY.max - airlineInfo.seatsConfig.ECONOMY.min + 1)) + airlineInfo.seatsConfig.ECONOMY.min : 0;
+                
+            const seatsPremiumEconomy = airlineInfo.classes.includes('PREMIUM_ECONOMY') ?
+                Math.floor(Math.random() * (airlineInfo.seatsConfig.PREMIUM_ECONOMY.max - airlineInfo.seatsConfig.PREMIUM_ECONOMY.min + 1)) + airlineInfo.seatsConfig.PREMIUM_ECONOMY.min : 0;
+                
+            const seatsBusiness = airlineInfo.classes.includes('BUSINESS') ?
+                Math.floor(Math.random() * (airlineInfo.seatsConfig.BUSINESS.max - airlineInfo.seatsConfig.BUSINESS.min + 1)) + airlineInfo.seatsConfig.BUSINESS.min : 0;
+                
+            const seatsFirst = airlineInfo.classes.includes('FIRST') ?
+                Math.floor(Math.random() * (airlineInfo.seatsConfig.FIRST.max - airlineInfo.seatsConfig.FIRST.min + 1)) + airlineInfo.seatsConfig.FIRST.min : 0;
+            
+            // Calculate total available seats
+            const totalSeats = seatsEconomy + seatsPremiumEconomy + seatsBusiness + seatsFirst;
+            
+            let flightAvailableClasses = [...airlineInfo.classes].sort(() => 0.5 - Math.random())
+                .slice(0, Math.floor(Math.random() * airlineInfo.classes.length) + 1);
+            
+            // Ensure 'ECONOMY' is usually present
+            if (airlineInfo.classes.includes('ECONOMY') && !flightAvailableClasses.includes('ECONOMY')) {
+                if (Math.random() < 0.8) { // 80% chance to add ECONOMY
+                    flightAvailableClasses.push('ECONOMY');
+                }
+            }
+            
+            // Ensure there's at least one class, and remove duplicates
+            flightAvailableClasses = [...new Set(flightAvailableClasses)];
+            if (flightAvailableClasses.length === 0) {
+                if (airlineInfo.classes.includes('ECONOMY')) {
+                    flightAvailableClasses = ['ECONOMY'];
+                } else if (airlineInfo.classes.length > 0) {
+                    flightAvailableClasses = [airlineInfo.classes[0]];
+                } else {
+                    flightAvailableClasses = ['ECONOMY'];
+                }
+            }
+            
+            const flightNumber = String(flightCounter++);
+            
+            // Lưu available_classes dưới dạng chuỗi (không phải JSON)
+            const availableClassesString = flightAvailableClasses.join(',');
+            
+            await stmt.run(
+                airlineNames[airlineInfo.code],
+                airlineInfo.code,
+                flightNumber,
+                routeInfo.departure,
+                routeInfo.destination,
+                departureDateTime.toISOString(),
+                arrivalDateTime.toISOString(),
+                durationStr,
+                economyPrice,
+                premiumEconomyPrice,
+                businessPrice,
+                firstPrice,
+                seatsEconomy,
+                seatsPremiumEconomy,
+                seatsBusiness,
+                seatsFirst,
+                totalSeats,
+                'scheduled',
+                availableClassesString
+            );
+        }
+    }
+    
+    await stmt.finalize();
+    console.log('Sample flights added to the database.');
+}
+
+// Helper function to generate booking number
+function generateBookingNumber() {
+    const timestamp = new Date().getTime().toString().slice(-8);
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `FV${timestamp}${random}`;
+}
+
+// Helper function to get price multiplier based on passenger type
+function getPriceMultiplierForPassengerType(passengerType) {
+    const multipliers = {
+        'ADULT': 1,      // Người lớn: 100% giá vé
+        'CHILD': 0.75,   // Trẻ em: 75% giá vé
+        'INFANT': 0.1    // Em bé: 10% giá vé
+    };
+    return multipliers[passengerType] || 1;
+}
+
+// Helper function to determine passenger type based on date of birth
+function determinePassengerTypeFromDOB(dobString) {
+    if (!dobString) return 'ADULT'; // Mặc định là người lớn nếu không có ngày sinh
+    
+    try {
+        const dob = new Date(dobString);
+        const today = new Date();
+        const ageInYears = (today - dob) / (365.25 * 24 * 60 * 60 * 1000);
+        
+        if (ageInYears < 2) {
+            return 'INFANT'; // Em bé dưới 2 tuổi
+        } else if (ageInYears < 12) {
+            return 'CHILD';  // Trẻ em từ 2 đến dưới 12 tuổi
+        } else {
+            return 'ADULT';  // Người lớn từ 12 tuổi trở lên
+        }
+    } catch (error) {
+        console.error('Error determining passenger type from DOB:', error);
+        return 'ADULT'; // Mặc định là người lớn nếu có lỗi xảy ra
+    }
+}
+
+// Sample promotions data
+async function populateSamplePromotions() {
+    const promotions = [
+        {
+            code: 'SUMMER25',
+            name: 'Khuyến mãi mùa hè',
+            description: 'Giảm 25% cho tất cả các chuyến bay trong mùa hè',
+            discount_type: 'percent',
+            discount_value: 25,
+            valid_from: '2025-06-01',
+            valid_to: '2025-08-31',
+            usage_limit: 100,
+            status: 'scheduled'
+        },
+        {
+            code: 'WELCOME10',
+            name: 'Ưu đãi chào mừng',
+            description: 'Giảm 10% cho lần đặt vé đầu tiên',
+            discount_type: 'percent',
+            discount_value: 10,
+            valid_from: '2025-01-01',
+            valid_to: '2025-12-31',
+            usage_limit: 500,
+            first_booking_only: 1,
+            status: 'active'
+        },
+        {
+            code: 'FIXED200K',
+            name: 'Giảm 200K',
+            description: 'Giảm 200,000 VND cho mọi đơn hàng',
+            discount_type: 'fixed',
+            discount_value: 200000,
+            valid_from: '2025-05-01',
+            valid_to: '2025-07-31',
+            usage_limit: 50,
+            status: 'active'
+        }
+    ];
+    
+    for (const promo of promotions) {
+        await db.run(`
+            INSERT INTO promotions (
+                code, name, description, discount_type, discount_value,
+                valid_from, valid_to, usage_limit, status, first_booking_only
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            promo.code,
+            promo.name,
+            promo.description,
+            promo.discount_type,
+            promo.discount_value,
+            promo.valid_from,
+            promo.valid_to,
+            promo.usage_limit,
+            promo.status,
+            promo.first_booking_only || 0
+        ]);
+    }
+    
+    console.log('Sample promotions added to the database.');
+}
+
+// Default cancellation fee rules: the closer to departure, the bigger the fee.
+// A rule applies when at least min_hours_before hours are left; rules for a specific class win over ALL.
+async function populateDefaultRefundRules() {
+    const rules = [
+        { seat_class: 'ALL', min_hours_before: 168, fee_type: 'percent', fee_value: 10, is_refundable: 1, description: 'Hủy trước 7 ngày' },
+        { seat_class: 'ALL', min_hours_before: 72, fee_type: 'percent', fee_value: 25, is_refundable: 1, description: 'Hủy trước 3 ngày' },
+        { seat_class: 'ALL', min_hours_before: 24, fee_type: 'percent', fee_value: 50, is_refundable: 1, description: 'Hủy trước 24 giờ' },
+        { seat_class: 'ALL', min_hours_before: 0, fee_type: 'percent', fee_value: 100, is_refundable: 0, description: 'Không hoàn trong vòng 24 giờ' },
+        { seat_class: 'BUSINESS', min_hours_before: 72, fee_type: 'percent', fee_value: 5, is_refundable: 1, description: 'Thương gia: hủy trước 3 ngày' },
+        { seat_class: 'BUSINESS', min_hours_before: 0, fee_type: 'percent', fee_value: 20, is_refundable: 1, description: 'Thương gia: hủy sát giờ bay' },
+        { seat_class: 'FIRST', min_hours_before: 24, fee_type: 'percent', fee_value: 0, is_refundable: 1, description: 'Hạng nhất: hoàn miễn phí trước 24 giờ' },
+        { seat_class: 'FIRST', min_hours_before: 0, fee_type: 'percent', fee_value: 10, is_refundable: 1, description: 'Hạng nhất: hủy sát giờ bay' }
+    ];
+
+    for (const rule of rules) {
+        await db.run(`
+            INSERT INTO refund_fee_rules (seat_class, min_hours_before, fee_type, fee_value, is_refundable, description)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [rule.seat_class, rule.min_hours_before, rule.fee_type, rule.fee_value, rule.is_refundable, rule.description]);
+    }
+
+    console.log('Default refund fee rules added to the database.');
+}
+
+async function populateDefaultFareRules() {
+    const rules = [
+        { rule_type: 'load_factor', threshold: 50, adjust_percent: 10, description: 'Đã bán từ 50% ghế' },
+        { rule_type: 'load_factor', threshold: 70, adjust_percent: 25, description: 'Đã bán từ 70% ghế' },
+        { rule_type: 'load_factor', threshold: 85, adjust_percent: 45, description: 'Đã bán từ 85% ghế' },
+        { rule_type: 'load_factor', threshold: 95, adjust_percent: 70, description: 'Gần hết chỗ' },
+        { rule_type: 'days_before', threshold: 14, adjust_percent: 10, description: 'Đặt trong vòng 14 ngày' },
+        { rule_type: 'days_before', threshold: 7, adjust_percent: 20, description: 'Đặt trong vòng 7 ngày' },
+        { rule_type: 'days_before', threshold: 3, adjust_percent: 35, description: 'Đặt trong vòng 3 ngày' },
+        { rule_type: 'days_before', threshold: 1, adjust_percent: 50, description: 'Đặt sát giờ bay' },
+        { rule_type: 'weekday', match_value: '5', adjust_percent: 8, description: 'Bay thứ Sáu' },
+        { rule_type: 'weekday', match_value: '7', adjust_percent: 8, description: 'Bay Chủ Nhật' },
+        { rule_type: 'time_of_day', match_value: 'evening', adjust_percent: 5, description: 'Bay buổi tối' },
+        { rule_type: 'time_of_day', match_value: 'night', adjust_percent: -10, description: 'Bay đêm' }
+    ];
+
+    for (const rule of rules) {
+        await db.run(`
+            INSERT INTO fare_rules (rule_type, seat_class, threshold, match_value, adjust_percent, description)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [rule.rule_type, 'ALL', rule.threshold ?? null, rule.match_value ?? null, rule.adjust_percent, rule.description]);
+    }
+
+    console.log('Default fare rules added to the database.');
+}
+
+async function populateDefaultAncillaries() {
+    const ancillaries = [
+        { code: 'BAG15', category: 'baggage', name: 'Hành lý ký gửi 15kg', weight: 15, price: 160000 },
+        { code: 'BAG20', category: 'baggage', name: 'Hành lý ký gửi 20kg', weight: 20, price: 210000 },
+        { code: 'BAG25', category: 'baggage', name: 'Hành lý ký gửi 25kg', weight: 25, price: 270000 },
+        { code: 'BAG30', category: 'baggage', name: 'Hành lý ký gửi 30kg', weight: 30, price: 350000 },
+        { code: 'MEAL_STANDARD', category: 'meal', name: 'Suất ăn tiêu chuẩn', price: 90000 },
+        { code: 'MEAL_VEG', category: 'meal', name: 'Suất ăn chay', price: 90000 },
+        { code: 'MEAL_KIDS', category: 'meal', name: 'Suất ăn trẻ em', price: 70000 },
+        { code: 'INS_BASIC', category: 'insurance', name: 'Bảo hiểm du lịch cơ bản', price: 50000 },
+        { code: 'INS_PLUS', category: 'insurance', name: 'Bảo hiểm du lịch toàn diện', price: 120000 },
+        { code: 'PRIORITY', category: 'priority_boarding', name: 'Ưu tiên lên máy bay', price: 80000 }
+    ];
+
+    for (const ancillary of ancillaries) {
+        await db.run(`
+            INSERT INTO ancillaries (ancillary_code, category, name, baggage_weight, base_price)
+            VALUES (?, ?, ?, ?, ?)
+        `, [ancillary.code, ancillary.category, ancillary.name, ancillary.weight ?? null, ancillary.price]);
+    }
+
+    // Premium cabins already include priority boarding and a standard meal
+    for (const seatClass of ['FIRST', 'BUSINESS']) {
+        for (const code of ['PRIORITY', 'MEAL_STANDARD', 'MEAL_VEG', 'MEAL_KIDS']) {
+            await db.run('INSERT INTO ancillary_prices (ancillary_code, seat_class, price) VALUES (?, ?, 0)', [code, seatClass]);
+        }
+    }
+
+    console.log('Default ancillary catalog added to the database.');
+}
+
+// Airports, airlines and aircraft types the app starts with
+async function populateReferenceData() {
+    const airports = [
+        { code: 'HAN', name: 'Sân bay quốc tế Nội Bài', city: 'Hà Nội' },
+        { code: 'SGN', name: 'Sân bay quốc tế Tân Sơn Nhất', city: 'Hồ Chí Minh' },
+        { code: 'DAD', name: 'Sân bay quốc tế Đà Nẵng', city: 'Đà Nẵng' },
+        { code: 'CXR', name: 'Sân bay quốc tế Cam Ranh', city: 'Nha Trang' },
+        { code: 'PQC', name: 'Sân bay quốc tế Phú Quốc', city: 'Phú Quốc' },
+        { code: 'HPH', name: 'Sân bay quốc tế Cát Bi', city: 'Hải Phòng' },
+        { code: 'VII', name: 'Sân bay quốc tế Vinh', city: 'Vinh' },
+        { code: 'HUI', name: 'Sân bay quốc tế Phú Bài', city: 'Huế' },
+        { code: 'DLI', name: 'Sân bay quốc tế Liên Khương', city: 'Đà Lạt' },
+        { code: 'VCA', name: 'Sân bay quốc tế Cần Thơ', city: 'Cần Thơ' }
+    ];
+    const airlines = [
+        { code: 'VN', name: 'Vietnam Airlines' },
+        { code: 'VJ', name: 'Vietjet Air' },
+        { code: 'BL', name: 'Jetstar Pacific' },
+        { code: 'QH', name: 'Bamboo Airways' },
+        { code: 'VU', name: 'Vietravel Airlines' }
+    ];
+    const aircraftTypes = [
+        { code: 'A320', manufacturer: 'Airbus', model: 'A320', ECONOMY: [180, 'ABC-DEF'] },
+        { code: 'A321', manufacturer: 'Airbus', model: 'A321', BUSINESS: [16, 'AC-DF'], ECONOMY: [168, 'ABC-DEF'] },
+        { code: 'A359', manufacturer: 'Airbus', model: 'A350-900', BUSINESS: [29, 'A-DG-K'], PREMIUM_ECONOMY: [45, 'AC-DEG-HK'], ECONOMY: [231, 'ABC-DEG-HJK'] },
+        { code: 'B789', manufacturer: 'Boeing', model: '787-9', BUSINESS: [28, 'A-DG-K'], PREMIUM_ECONOMY: [35, 'AC-DEG-HK'], ECONOMY: [211, 'ABC-DEG-HJK'] }
+    ];
+
+    for (const airport of airports) {
+        await db.run(
+            'INSERT OR IGNORE INTO airports (airport_code, name, city, country, timezone) VALUES (?, ?, ?, ?, ?)',
+            [airport.code, airport.name, airport.city, 'VN', DEFAULT_TIMEZONE]
+        );
+    }
+    for (const airline of airlines) {
+        await db.run('INSERT OR IGNORE INTO airlines (airline_code, name, country) VALUES (?, ?, ?)', [airline.code, airline.name, 'VN']);
+    }
+    for (const type of aircraftTypes) {
+        const [seatColumns, seatValues] = [[], []];
+        for (const seatClass of CABIN_ORDER) {
+            if (!type[seatClass]) continue;
+            seatColumns.push(`seats_${seatClass.toLowerCase()}`, `layout_${seatClass.toLowerCase()}`);
+            seatValues.push(...type[seatClass]);
+        }
+        await db.run(
+            `INSERT OR IGNORE INTO aircraft_types (type_code, manufacturer, model, ${seatColumns.join(', ')})
+             VALUES (?, ?, ?, ${seatColumns.map(() => '?').join(', ')})`,
+            [type.code, type.manufacturer, type.model, ...seatValues]
+        );
+    }
+
+    console.log('Reference data (airports, airlines, aircraft types) added to the database.');
+}
+
+// Check an airport from the API; returns { values } for the airports columns, or { error }
+function validateAirport(body) {
+    const { code, name, city, country = 'VN', timezone = DEFAULT_TIMEZONE, isActive = true } = body || {};
+
+    if (!/^[A-Z]{3}$/.test(String(code || '').toUpperCase())) {
+        return { error: 'code must be a 3-letter IATA airport code' };
+    }
+    if (!name || !city) {
+        return { error: 'name and city are required' };
+    }
+    if (!/^[A-Z]{2}$/.test(String(country).toUpperCase())) {
+        return { error: 'country must be a 2-letter ISO country code' };
+    }
+    if (!isValidTimeZone(timezone)) {
+        return { error: 'timezone must be an IANA time zone, e.g. Asia/Ho_Chi_Minh' };
+    }
+
+    return {
+        values: {
+            airport_code: String(code).toUpperCase(),
+            name,
+            city,
+            country: String(country).toUpperCase(),
+            timezone,
+            is_active: isActive ? 1 : 0
+        }
+    };
+}
+
+function isValidTimeZone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return typeof timezone === 'string' && timezone.length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateAirline(body) {
+    const { code, name, country = 'VN', isActive = true } = body || {};
+
+    if (!/^[A-Z0-9]{2}$/.test(String(code || '').toUpperCase())) {
+        return { error: 'code must be a 2-character IATA airline code' };
+    }
+    if (!name) {
+        return { error: 'name is required' };
+    }
+    if (!/^[A-Z]{2}$/.test(String(country).toUpperCase())) {
+        return { error: 'country must be a 2-letter ISO country code' };
+    }
+
+    return {
+        values: {
+            airline_code: String(code).toUpperCase(),
+            name,
+            country: String(country).toUpperCase(),
+            is_active: isActive ? 1 : 0
+        }
+    };
+}
+
+// cabins: { ECONOMY: { seats: 180, layout: 'ABC-DEF' }, ... } - layout is the seat letters of each block between aisles
+function validateAircraftType(body) {
+    const { code, manufacturer, model, cabins = {}, isActive = true } = body || {};
+
+    if (!/^[A-Z0-9]{3,4}$/.test(String(code || '').toUpperCase())) {
+        return { error: 'code must be a 3-4 character aircraft type code, e.g. A321' };
+    }
+    if (!manufacturer || !model) {
+        return { error: 'manufacturer and model are required' };
+    }
+
+    const values = {
+        type_code: String(code).toUpperCase(),
+        manufacturer,
+        model,
+        is_active: isActive ? 1 : 0
+    };
+    let totalSeats = 0;
+    for (const seatClass of CABIN_ORDER) {
+        const cabin = cabins[seatClass] || {};
+        const seats = Number(cabin.seats || 0);
+        if (!Number.isInteger(seats) || seats < 0) {
+            return { error: `${seatClass} seats must be a non-negative whole number` };
+        }
+        if (seats > 0 && !parseCabinLayout(cabin.layout)) {
+            return { error: `${seatClass} needs a layout such as ABC-DEF (unique letters, blocks separated by aisles)` };
+        }
+        values[`seats_${seatClass.toLowerCase()}`] = seats;
+        values[`layout_${seatClass.toLowerCase()}`] = seats > 0 ? String(cabin.layout).toUpperCase() : null;
+        totalSeats += seats;
+    }
+    if (totalSeats === 0) {
+        return { error: 'An aircraft type needs seats in at least one cabin' };
+    }
+
+    return { values };
+}
+
+// 'ABC-DEF' -> [['A', 'B', 'C'], ['D', 'E', 'F']]; null when invalid
+function parseCabinLayout(layout) {
+    const text = String(layout || '').toUpperCase();
+    if (!/^[A-Z]+(-[A-Z]+)*$/.test(text)) return null;
+
+    const letters = text.replace(/-/g, '');
+    if (new Set(letters).size !== letters.length) return null;
+    return text.split('-').map(group => group.split(''));
+}
+
+// Seat map layouts of a flight: its aircraft type's cabins, or the default layouts
+async function getCabinLayouts(flight) {
+    const layouts = { ...CABIN_LAYOUTS };
+    if (!flight.aircraft_type) return layouts;
+
+    const aircraft = await db.get('SELECT * FROM aircraft_types WHERE type_code = ?', [flight.aircraft_type]);
+    if (!aircraft) return layouts;
+
+    for (const seatClass of CABIN_ORDER) {
+        const layout = parseCabinLayout(aircraft[`layout_${seatClass.toLowerCase()}`]);
+        if (layout) layouts[seatClass] = layout;
+    }
+    return layouts;
+}
+
+// Check a flight's airline, airports and aircraft type against the reference tables.
+// seats: { ECONOMY: n, ... } must fit the aircraft's cabins. Returns { airline } (registered name) or { error }.
+async function validateFlightReferences({ airlineCode, departureAirport, arrivalAirport, aircraftType, seats = {} }) {
+    const airline = await db.get('SELECT * FROM airlines WHERE airline_code = ?', [airlineCode]);
+    if (!airline || !airline.is_active) {
+        return { error: `Unknown or inactive airline: ${airlineCode}` };
+    }
+
+    for (const code of [departureAirport, arrivalAirport]) {
+        const airport = await db.get('SELECT * FROM airports WHERE airport_code = ?', [code]);
+        if (!airport || !airport.is_active) {
+            return { error: `Unknown or inactive airport: ${code}` };
+        }
+    }
+    if (departureAirport === arrivalAirport) {
+        return { error: 'Departure and arrival airports must differ' };
+    }
+
+    if (aircraftType) {
+        const aircraft = await db.get('SELECT * FROM aircraft_types WHERE type_code = ?', [aircraftType]);
+        if (!aircraft || !aircraft.is_active) {
+            return { error: `Unknown or inactive aircraft type: ${aircraftType}` };
+        }
+        for (const seatClass of CABIN_ORDER) {
+            const capacity = aircraft[`seats_${seatClass.toLowerCase()}`] || 0;
+            if (Number(seats[seatClass] || 0) > capacity) {
+                return { error: `${aircraft.manufacturer} ${aircraft.model} has ${capacity} ${seatClass} seats` };
+            }
+        }
+    }
+
+    return { airline: airline.name };
+}
+
+// Seat counts sent with a flight are the seats still for sale; booked passengers keep their seats on top of them.
+// Returns an error message, or null.
+function validateSeatCounts(body) {
+    for (const seatClass of CABIN_ORDER) {
+        const field = getSeatFieldForClass(seatClass);
+        const value = body[field];
+        if (value !== undefined && value !== null && value !== '' && !(Number.isInteger(Number(value)) && Number(value) >= 0)) {
+            return `${field} must be the number of seats still for sale (0 or more)`;
+        }
+    }
+    return null;
+}
+
+function formatAirportForClient(airport) {
+    return {
+        code: airport.airport_code,
+        name: airport.name,
+        city: airport.city,
+        country: airport.country,
+        timezone: airport.timezone,
+        isActive: airport.is_active === 1
+    };
+}
+
+function formatAirlineForClient(airline) {
+    return {
+        code: airline.airline_code,
+        name: airline.name,
+        country: airline.country,
+        isActive: airline.is_active === 1
+    };
+}
+
+function formatAircraftTypeForClient(aircraft) {
+    const cabins = {};
+    for (const seatClass of CABIN_ORDER) {
+        const seats = aircraft[`seats_${seatClass.toLowerCase()}`] || 0;
+        if (seats > 0) {
+            cabins[seatClass] = { seats, layout: aircraft[`layout_${seatClass.toLowerCase()}`] };
+        }
+    }
+    return {
+        code: aircraft.type_code,
+        manufacturer: aircraft.manufacturer,
+        model: aircraft.model,
+        cabins,
+        totalSeats: Object.values(cabins).reduce((sum, cabin) => sum + cabin.seats, 0),
+        isActive: aircraft.is_active === 1
+    };
+}
+
+// Generate the seat map of a flight if it does not have one yet (must run inside withTransaction).
+// Capacity per class = seats still for sale + passengers already holding seats, and those passengers
+// are placed on the new map straight away so counters and map stay in sync.
+async function ensureSeatMap(flightId) {
+    const existing = await db.get('SELECT COUNT(*) as count FROM flight_seats WHERE flight_id = ?', [flightId]);
+    if (existing.count > 0) return;
+
+    const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [flightId]);
+    if (!flight) return;
+
+    const bookedPassengers = {};
+    for (const seatClass of CABIN_ORDER) {
+        bookedPassengers[seatClass] = await db.all(`
+            SELECT bd.detail_id
+            FROM booking_details bd
+            JOIN bookings b ON bd.booking_id = b.booking_id
+            WHERE b.travel_class = ?
+              AND b.payment_status NOT IN (${INACTIVE_BOOKING_STATUSES.map(() => '?').join(', ')})
+              AND EXISTS (SELECT 1 FROM booking_segments s WHERE s.booking_id = b.booking_id AND s.flight_id = ?)
+            ORDER BY b.booking_time, bd.detail_id
+        `, [seatClass, ...INACTIVE_BOOKING_STATUSES, flightId]);
+    }
+
+    const seats = generateSeatLayout(flight, seatClass => bookedPassengers[seatClass].length, await getCabinLayouts(flight));
+    await insertFlightSeats(flightId, seats);
+
+    for (const seatClass of CABIN_ORDER) {
+        if (bookedPassengers[seatClass].length > 0) {
+            await assignSeats(flightId, seatClass, bookedPassengers[seatClass].map(p => ({ detailId: p.detail_id })));
+        }
+    }
+    console.log(`Seat map generated for flight ${flightId}: ${seats.length} seats`);
+}
+
+// Rebuild the seat map of a flight after its seat counts changed (must run inside withTransaction).
+// Passengers keep their seat where the new map still has it and get the first free seats otherwise;
+// a checked-in passenger's seat is printed on the boarding pass, so a change that would remove it is refused.
+async function resizeSeatMap(flightId) {
+    const currentSeats = await db.all('SELECT * FROM flight_seats WHERE flight_id = ? ORDER BY row_number, seat_letter', [flightId]);
+    // Flights without a map get one from the new counts at their first booking
+    if (currentSeats.length === 0) return;
+
+    const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [flightId]);
+    const occupied = currentSeats.filter(seat => seat.detail_id !== null);
+    const seats = generateSeatLayout(
+        flight,
+        seatClass => occupied.filter(seat => seat.seat_class === seatClass).length,
+        await getCabinLayouts(flight)
+    );
+    const newSeats = new Set(seats.map(seat => `${seat.seatClass}:${seat.seatNumber}`));
+    const keepsSeat = seat => newSeats.has(`${seat.seat_class}:${seat.seat_number}`);
+    if (seats.length === currentSeats.length && currentSeats.every(keepsSeat)) return;
+
+    const checkedIn = new Set((await db.all('SELECT detail_id FROM checkins WHERE flight_id = ?', [flightId])).map(row => row.detail_id));
+    const movedCheckins = occupied.filter(seat => checkedIn.has(seat.detail_id) && !keepsSeat(seat));
+    if (movedCheckins.length > 0) {
+        throw new BookingError(409, 'The new seat counts would take away seats of checked-in passengers', {
+            flightId,
+            seatNumbers: movedCheckins.map(seat => seat.seat_number)
+        });
+    }
+
+    await db.run('DELETE FROM flight_seats WHERE flight_id = ?', [flightId]);
+    await insertFlightSeats(flightId, seats);
+    for (const seatClass of CABIN_ORDER) {
+        const passengers = occupied.filter(seat => seat.seat_class === seatClass);
+        if (passengers.length > 0) {
+            await assignSeats(flightId, seatClass, passengers.map(seat => ({
+                detailId: seat.detail_id,
+                seatNumber: keepsSeat(seat) ? seat.seat_number : null
+            })));
+        }
+    }
+    console.log(`Seat map resized for flight ${flightId}: ${currentSeats.length} -> ${seats.length} seats`);
+}
+
+async function insertFlightSeats(flightId, seats) {
+    for (const seat of seats) {
+        await db.run(`
+            INSERT INTO flight_seats (
+                flight_id, seat_number, row_number, seat_letter, seat_class, is_window, is_aisle, is_exit_row
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            flightId, seat.seatNumber, seat.row, seat.letter, seat.seatClass,
+            seat.isWindow ? 1 : 0, seat.isAisle ? 1 : 0, seat.isExitRow ? 1 : 0
+        ]);
+    }
+}
+
+// Build the list of seats for a flight: cabins front to back, row 13 skipped,
+// first economy row and the middle economy row are exit rows
+function generateSeatLayout(flight, getBookedCount, layouts = CABIN_LAYOUTS) {
+    const seats = [];
+    let row = 1;
+
+    for (const seatClass of CABIN_ORDER) {
+        const capacity = (flight[getSeatFieldForClass(seatClass)] || 0) + getBookedCount(seatClass);
+        if (capacity <= 0) continue;
+
+        const groups = layouts[seatClass];
+        const letters = groups.flat();
+        const rowCount = Math.ceil(capacity / letters.length);
+        const exitRowIndexes = seatClass === 'ECONOMY' ? [0, Math.floor(rowCount / 2)] : [];
+        let remaining = capacity;
+
+        for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+            if (row === 13) row++;
+
+            groups.forEach((group, groupIndex) => {
+                group.forEach((letter, letterIndex) => {
+                    if (remaining <= 0) return;
+                    remaining--;
+                    seats.push({
+                        seatNumber: `${row}${letter}`,
+                        row,
+                        letter,
+                        seatClass,
+                        isWindow: (groupIndex === 0 && letterIndex === 0) ||
+                            (groupIndex === groups.length - 1 && letterIndex === group.length - 1),
+                        isAisle: (groupIndex > 0 && letterIndex === 0) ||
+                            (groupIndex < groups.length - 1 && letterIndex === group.length - 1),
+                        isExitRow: exitRowIndexes.includes(rowIndex)
+                    });
+                });
+            });
+            row++;
+        }
+    }
+    return seats;
+}
+
+// Give seats to passengers on a flight (must run inside withTransaction).
+// requests: [{ detailId, seatNumber? }] - requested seats are taken first, the rest are auto-assigned
+async function assignSeats(flightId, seatClass, requests) {
+    for (const request of requests.filter(r => r.seatNumber)) {
+        const result = await db.run(`
+            UPDATE flight_seats SET detail_id = ?
+            WHERE flight_id = ? AND seat_number = ? AND seat_class = ? AND detail_id IS NULL
+        `, [request.detailId, flightId, request.seatNumber, seatClass]);
+
+        if (result.changes !== 1) {
+            throw new BookingError(409, `Seat ${request.seatNumber} is not available`, {
+                flightId,
+                seatNumber: request.seatNumber,
+                seatClass
+            });
+        }
+    }
+
+    const autoAssign = requests.filter(r => !r.seatNumber);
+    if (autoAssign.length === 0) return;
+
+    // Free seats in reading order keep a group of passengers next to each other where possible
+    const freeSeats = await db.all(`
+        SELECT seat_id FROM flight_seats
+        WHERE flight_id = ? AND seat_class = ? AND detail_id IS NULL
+        ORDER BY row_number, seat_letter
+        LIMIT ?
+    `, [flightId, seatClass, autoAssign.length]);
+
+    if (freeSeats.length < autoAssign.length) {
+        throw new BookingError(409, `No free ${seatClass.toLowerCase()} seats left on the seat map`, {
+            flightId,
+            available: freeSeats.length,
+            requested: autoAssign.length,
+            seatClass
+        });
+    }
+
+    for (let i = 0; i < autoAssign.length; i++) {
+        await db.run('UPDATE flight_seats SET detail_id = ? WHERE seat_id = ?', [autoAssign[i].detailId, freeSeats[i].seat_id]);
+    }
+}
+
+// Free the seats of the given passengers on one flight
+async function releaseSeatAssignments(flightId, detailIds) {
+    if (detailIds.length === 0) return;
+    await db.run(
+        `UPDATE flight_seats SET detail_id = NULL WHERE flight_id = ? AND detail_id IN (${detailIds.map(() => '?').join(', ')})`,
+        [flightId, ...detailIds]
+    );
+}
+
+// Add a `seats` list ({ flight_id, seat_number }) to each booking_details row
+async function attachSeatAssignments(passengers) {
+    for (const passenger of passengers) {
+        passenger.seats = await db.all(
+            'SELECT flight_id, seat_number FROM flight_seats WHERE detail_id = ? ORDER BY flight_id',
+            [passenger.detail_id]
+        );
+    }
+}
+
+// Group seat rows by cabin and row for the client; who sits where is never exposed
+function formatSeatMapForClient(flight, seats, layouts = CABIN_LAYOUTS) {
+    const cabins = [];
+
+    for (const seatClass of CABIN_ORDER) {
+        const cabinSeats = seats.filter(seat => seat.seat_class === seatClass);
+        if (cabinSeats.length === 0) continue;
+
+        const rows = [];
+        for (const seat of cabinSeats) {
+            let row = rows.find(r => r.row === seat.row_number);
+            if (!row) {
+                row = { row: seat.row_number, isExitRow: !!seat.is_exit_row, seats: [] };
+                rows.push(row);
+            }
+            row.seats.push({
+                seatNumber: seat.seat_number,
+                letter: seat.seat_letter,
+                isWindow: !!seat.is_window,
+                isAisle: !!seat.is_aisle,
+                isExitRow: !!seat.is_exit_row,
+                available: seat.detail_id === null
+            });
+        }
+
+        cabins.push({
+            seatClass,
+            layout: layouts[seatClass].map(group => group.join('')).join('-'),
+            totalSeats: cabinSeats.length,
+            availableSeats: cabinSeats.filter(seat => seat.detail_id === null).length,
+            rows
+        });
+    }
+
+    return {
+        flightId: flight.flight_id,
+        flightCode: `${flight.airline_code}${flight.flight_number}`,
+        cabins
+    };
+}
+
+// Create the first superadmin from ADMIN_USERNAME / ADMIN_PASSWORD (random password if not set)
+async function createInitialAdmin() {
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+
+    if (!password) {
+        password = crypto.randomBytes(9).toString('base64');
+        console.warn(`No ADMIN_PASSWORD set. Created superadmin "${username}" with generated password: ${password}`);
+    } else {
+        console.log(`Created superadmin "${username}" from environment settings.`);
+    }
+
+    await db.run(
+        "INSERT INTO admin_users (username, password_hash, full_name, role) VALUES (?, ?, ?, 'superadmin')",
+        [username, await hashPassword(password), 'Administrator']
+    );
+}
+
+// Hash a password with scrypt and a random salt, stored as scrypt$salt$hash
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+}
+
+// Compare a password against a stored scrypt$salt$hash value
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const derivedKey = await scryptAsync(password, salt, expected.length);
+    return crypto.timingSafeEqual(derivedKey, expected);
+}
+
+// Session tokens are only stored as SHA-256 hashes
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Read the token from "Authorization: Bearer <token>"
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+async function createCustomerSession(customerId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + CUSTOMER_SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    await db.run(
+        'INSERT INTO customer_sessions (token_hash, customer_id, expires_at) VALUES (?, ?, ?)',
+        [hashToken(token), customerId, expiresAt]
+    );
+    await db.run('DELETE FROM customer_sessions WHERE expires_at < ?', [new Date().toISOString()]);
+
+    return { token, expiresAt };
+}
+
+function formatCustomerForClient(customer) {
+    return {
+        customerId: customer.customer_id,
+        email: customer.email,
+        fullName: customer.full_name,
+        phone: customer.phone,
+        createdAt: customer.created_at
+    };
+}
+
+// Add a column to an existing table if it is missing (simple migration for old database files)
+// Returns true when the column had to be added
+async function ensureColumn(table, column, definition) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`Added column ${table}.${column}`);
+        return true;
+    }
+    return false;
+}
+
+// SQLite cannot change a CHECK constraint in place, so the payments table is copied into a new one
+async function migratePaymentsTable() {
+    const table = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'payments'");
+    if (!table || PAYMENT_METHODS.every(method => table.sql.includes(`'${method}'`))) {
+        return;
+    }
+
+    await withTransaction(() => db.exec(`
+        CREATE TABLE payments_new (
+            booking_id TEXT PRIMARY KEY,
+            method TEXT NOT NULL CHECK (method IN (${PAYMENT_METHODS.map(method => `'${method}'`).join(', ')})),
+            transaction_info TEXT,
+            payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (booking_id) REFERENCES bookings(booking_id)
+        );
+        INSERT INTO payments_new (booking_id, method, transaction_info, payment_date)
+            SELECT booking_id, method, transaction_info, payment_date FROM payments;
+        DROP TABLE payments;
+        ALTER TABLE payments_new RENAME TO payments;
+    `));
+    console.log('Rebuilt payments table to allow all payment methods');
+}
+
+// Never expose password hashes to the client
+function formatAdminForClient(admin) {
+    return {
+        adminId: admin.admin_id,
+        username: admin.username,
+        fullName: admin.full_name,
+        role: admin.role,
+        isActive: !!admin.is_active,
+        createdAt: admin.created_at,
+        lastLoginAt: admin.last_login_at
+    };
+}
+
+// Generate random booking ID with 10 characters (uppercase letters and numbers)
+function generateBookingId() {
+    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let result = '';
+    for (let i = 0; i < 10; i++) {
+        result += characters.charAt(Math.floor(Math.random() * characters.length));
+    }
+    return result;
+}
+
+// Secret code that lets a guest manage their booking. Only its hash is stored; the code itself is
+// returned once when the booking is created and sent in the confirmation email.
+function generateManageCode() {
+    const characters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let result = '';
+    for (let i = 0; i < 12; i++) {
+        result += characters.charAt(crypto.randomInt(characters.length));
+    }
+    return result;
+}
+
+// Error with an HTTP status, thrown from inside booking transactions to abort and roll back
+class BookingError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'BookingError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Run `work` inside a database transaction.
+// All requests share one sqlite connection, so transactions are queued and run one at a time -
+// otherwise statements from two requests would interleave inside the same BEGIN/COMMIT.
+let transactionQueue = Promise.resolve();
+const transactionScope = new AsyncLocalStorage();
+function enqueueDatabaseWork(work) {
+    const run = transactionQueue.then(work);
+    // Keep the queue going even if this work failed
+    transactionQueue = run.catch(() => {});
+    return run;
+}
+
+function withTransaction(work) {
+    return enqueueDatabaseWork(() => {
+        const transaction = { open: true, afterCommit: [] };
+        return transactionScope.run(transaction, async () => {
+            let result;
+            await db.exec('BEGIN IMMEDIATE');
+            try {
+                result = await work();
+                await db.exec('COMMIT');
+            } catch (error) {
+                await db.exec('ROLLBACK');
+                throw error;
+            } finally {
+                transaction.open = false;
+            }
+            // Outside the scope, so what the callbacks run is queued like any other statement
+            transactionScope.exit(() => {
+                for (const callback of transaction.afterCommit) {
+                    setImmediate(callback);
+                }
+            });
+            return result;
+        });
+    });
+}
+
+// Run `callback` once the current transaction has committed; dropped if it rolls back.
+// Outside a transaction it runs on the next tick.
+function afterCommit(callback) {
+    const transaction = transactionScope.getStore();
+    if (transaction && transaction.open) {
+        transaction.afterCommit.push(callback);
+    } else {
+        transactionScope.exit(() => setImmediate(callback));
+    }
+}
+
+// Statements issued outside withTransaction take their turn in the same queue, so they can neither
+// land inside another request's open transaction nor read rows it has not committed yet.
+// Background work has to be started with afterCommit - anything a transaction starts itself
+// (setImmediate, timers) would inherit its scope and run inside it.
+function queueOutsideTransactions(connection) {
+    const queued = method => (...args) => {
+        const transaction = transactionScope.getStore();
+        if (transaction && transaction.open) {
+            return connection[method](...args);
+        }
+        return enqueueDatabaseWork(() => connection[method](...args));
+    };
+    return {
+        run: queued('run'),
+        get: queued('get'),
+        all: queued('all'),
+        exec: queued('exec'),
+        // Only used while seeding, before the server takes requests
+        prepare: (...args) => connection.prepare(...args)
+    };
+}
+
+// Move a booking to another status and apply what the change implies (must run inside withTransaction):
+//   -> paid                        counts the promo code if it is not counted yet
+//   -> cancelled/expired/refunded  gives the seats back
+//   -> cancelled/expired           frees the promo use again if the booking was never paid
+//   -> pending (the first time)    extends the hold by PAYMENT_REVIEW_HOLD_HOURS, as a transfer can take a
+//                                  while to reach the bank statement
+// Every change is written to booking_status_history. Returns the booking as it was before the change;
+// moving to the status the booking already has does nothing.
+async function transitionBookingStatus(bookingId, toStatus, { actor, reason = null }) {
+    const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+    if (!booking) {
+        throw new BookingError(404, 'Booking not found');
+    }
+
+    const fromStatus = booking.payment_status;
+    if (fromStatus === toStatus) {
+        return { booking, changed: false };
+    }
+    if (!BOOKING_STATUSES.includes(toStatus)) {
+        throw new BookingError(400, 'Invalid payment status', { validStatuses: BOOKING_STATUSES });
+    }
+
+    const allowed = BOOKING_STATUS_TRANSITIONS[fromStatus] || [];
+    if (!allowed.includes(toStatus)) {
+        throw new BookingError(409, `Cannot change booking status from ${fromStatus} to ${toStatus}`, {
+            fromStatus,
+            toStatus,
+            allowedTransitions: allowed
+        });
+    }
+
+    let promoCounted = booking.promo_counted ? 1 : 0;
+    if (toStatus === 'paid' && booking.promo_code && !promoCounted) {
+        await db.run('UPDATE promotions SET used_count = used_count + 1 WHERE code = ?', [booking.promo_code]);
+        promoCounted = 1;
+        console.log(`Promo code ${booking.promo_code} usage confirmed with payment. Count incremented.`);
+    }
+
+    if (INACTIVE_BOOKING_STATUSES.includes(toStatus)) {
+        await releaseBookingSeats(booking);
+    }
+
+    if ((toStatus === 'cancelled' || toStatus === 'expired') && fromStatus !== 'paid' && promoCounted) {
+        await db.run('UPDATE promotions SET used_count = MAX(used_count - 1, 0) WHERE code = ?', [booking.promo_code]);
+        promoCounted = 0;
+        console.log(`Promo code ${booking.promo_code} released by ${toStatus} booking ${bookingId}.`);
+    }
+
+    // Only once, so reporting a payment again and again cannot hold the seats forever
+    let holdExpiresAt = booking.hold_expires_at;
+    if (toStatus === 'pending') {
+        const reportedBefore = await db.get(
+            "SELECT 1 FROM booking_status_history WHERE booking_id = ? AND to_status = 'pending'",
+            [bookingId]
+        );
+        const reviewHoldExpiresAt = new Date(Date.now() + PAYMENT_REVIEW_HOLD_HOURS * 60 * 60 * 1000).toISOString();
+        if (!reportedBefore && holdExpiresAt && holdExpiresAt < reviewHoldExpiresAt) {
+            holdExpiresAt = reviewHoldExpiresAt;
+        }
+    }
+
+    await db.run(
+        'UPDATE bookings SET payment_status = ?, promo_counted = ?, hold_expires_at = ? WHERE booking_id = ?',
+        [toStatus, promoCounted, holdExpiresAt, bookingId]
+    );
+    await db.run(
+        'INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, reason, changed_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [bookingId, fromStatus, toStatus, actor, reason, new Date().toISOString()]
+    );
+    await onBookingStatusChanged(booking, fromStatus, toStatus);
+
+    return { booking, changed: true };
+}
+
+// Things that follow a status change. Runs inside the same transaction, so queued
+// notifications are dropped with it if the change is rolled back, and only sent once it commits.
+async function onBookingStatusChanged(booking, fromStatus, toStatus) {
+    console.log(`Booking ${booking.booking_id}: ${fromStatus} -> ${toStatus}`);
+
+    if (toStatus === 'paid') {
+        await issueTicketNumbers(booking.booking_id);
+        await enqueueBookingNotification(booking.booking_id, 'payment_received');
+        await enqueueBookingNotification(booking.booking_id, 'e_ticket_issued');
+        afterCommit(processNotificationOutbox);
+    }
+}
+
+async function getBookingStatusHistory(bookingId) {
+    const rows = await db.all(
+        'SELECT * FROM booking_status_history WHERE booking_id = ? ORDER BY changed_at, history_id',
+        [bookingId]
+    );
+    return rows.map(row => ({
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        changedBy: row.changed_by,
+        reason: row.reason,
+        changedAt: row.changed_at
+    }));
+}
+
+// Map a seat class to its inventory column in the flights table
+function getSeatFieldForClass(seatClass) {
+    switch (seatClass) {
+        case 'PREMIUM_ECONOMY':
+            return 'seats_premium_economy';
+        case 'BUSINESS':
+            return 'seats_business';
+        case 'FIRST':
+            return 'seats_first';
+        case 'ECONOMY':
+        default:
+            return 'seats_economy';
+    }
+}
+
+// Take seats from a flight only if enough are left (must run inside withTransaction)
+async function reserveSeats(flightId, seatClass, count, legName = 'selected') {
+    const seatField = getSeatFieldForClass(seatClass);
+    const result = await db.run(`
+        UPDATE flights SET 
+            ${seatField} = ${seatField} - ?, 
+            available_seats = available_seats - ? 
+        WHERE flight_id = ? AND ${seatField} >= ?
+    `, [count, count, flightId, count]);
+
+    if (result.changes !== 1) {
+        const flight = await db.get(`SELECT ${seatField} as available FROM flights WHERE flight_id = ?`, [flightId]);
+        throw new BookingError(409, `Not enough ${seatClass.toLowerCase()} seats available on ${legName} flight`, {
+            flightId,
+            available: flight ? flight.available : 0,
+            requested: count,
+            seatClass
+        });
+    }
+}
+
+// Give seats back to a flight
+async function releaseSeats(flightId, seatClass, count) {
+    const seatField = getSeatFieldForClass(seatClass);
+    await db.run(`
+        UPDATE flights SET 
+            ${seatField} = ${seatField} + ?,
+            available_seats = available_seats + ? 
+        WHERE flight_id = ?
+    `, [count, count, flightId]);
+}
+
+// Give back all seats held by a booking (departure and return flights), both counters and seat map
+async function releaseBookingSeats(booking) {
+    const passengerCount = await db.get('SELECT COUNT(*) as count FROM booking_details WHERE booking_id = ?', [booking.booking_id]);
+    const seatClass = booking.travel_class || 'ECONOMY';
+
+    await db.run(
+        'UPDATE flight_seats SET detail_id = NULL WHERE detail_id IN (SELECT detail_id FROM booking_details WHERE booking_id = ?)',
+        [booking.booking_id]
+    );
+
+    // Every leg gets its seats back, including return and connecting flights.
+    // Passengers already refunded off a leg gave their seat back when that refund completed.
+    for (const segment of await getBookingSegments(booking.booking_id)) {
+        const refunded = await db.get(`
+            SELECT COUNT(*) as count FROM refund_items ri
+            JOIN refunds r ON ri.refund_id = r.refund_id
+            WHERE r.booking_id = ? AND r.status = 'completed' AND ri.flight_id = ?
+        `, [booking.booking_id, segment.flight_id]);
+        const count = passengerCount.count - refunded.count;
+        if (count > 0) {
+            await releaseSeats(segment.flight_id, seatClass, count);
+        }
+    }
+}
+
+// Pick the cancellation fee rule for a seat class with `hoursBefore` hours left until departure.
+// Rules for the exact class win over ALL; among those, the one with the highest threshold that is met.
+function findRefundFeeRule(rules, seatClass, hoursBefore) {
+    const matching = rules.filter(rule => rule.min_hours_before <= hoursBefore);
+    const ownClass = matching.filter(rule => rule.seat_class === seatClass);
+    const candidates = ownClass.length > 0 ? ownClass : matching.filter(rule => rule.seat_class === 'ALL');
+    candidates.sort((a, b) => b.min_hours_before - a.min_hours_before);
+    return candidates[0] || null;
+}
+
+// Work out what refunding some passengers/legs of a booking is worth.
+// passengerIds/flightIds narrow the refund (omit both for everything not refunded yet).
+// Each passenger/leg gets a share of the amount actually paid, in proportion to its list fare,
+// so promo discounts are spread over all tickets.
+async function calculateRefundItems(booking, { passengerIds, flightIds, waiveFees = false } = {}) {
+    const seatClass = booking.travel_class || 'ECONOMY';
+    const passengers = await db.all('SELECT * FROM booking_details WHERE booking_id = ?', [booking.booking_id]);
+    const segments = await getBookingSegments(booking.booking_id);
+
+    const flights = {};
+    for (const segment of segments) {
+        flights[segment.flight_id] = await db.get('SELECT * FROM flights WHERE flight_id = ?', [segment.flight_id]);
+    }
+
+    let selectedPassengers = passengers;
+    if (Array.isArray(passengerIds) && passengerIds.length > 0) {
+        const ids = passengerIds.map(Number);
+        selectedPassengers = passengers.filter(passenger => ids.includes(passenger.detail_id));
+        if (selectedPassengers.length !== new Set(ids).size) {
+            throw new BookingError(400, 'Some passengers do not belong to this booking', { passengerIds });
+        }
+    }
+
+    let selectedSegments = segments;
+    if (Array.isArray(flightIds) && flightIds.length > 0) {
+        const ids = flightIds.map(Number);
+        selectedSegments = segments.filter(segment => ids.includes(segment.flight_id));
+        if (selectedSegments.length !== new Set(ids).size) {
+            throw new BookingError(400, 'Some flights are not part of this booking', { flightIds });
+        }
+    }
+
+    // Fares recorded at booking time win over the flight's current base price
+    const segmentFares = {};
+    for (const segment of segments) {
+        segmentFares[segment.flight_id] = segment.fare;
+    }
+    const listFare = (passenger, flightId) => flights[flightId]
+        ? (segmentFares[flightId] ?? getClassPrice(flights[flightId], seatClass)) * getPriceMultiplierForPassengerType(passenger.passenger_type)
+        : 0;
+    let listTotal = 0;
+    for (const passenger of passengers) {
+        for (const segment of segments) {
+            listTotal += listFare(passenger, segment.flight_id);
+        }
+    }
+    const ticketCount = passengers.length * segments.length;
+    const paidShare = (passenger, flightId) => listTotal > 0
+        ? booking.total_amount * listFare(passenger, flightId) / listTotal
+        : booking.total_amount / ticketCount;
+
+    // Passenger/leg pairs already covered by another refund that was not rejected
+    const alreadyRefunded = await db.all(`
+        SELECT ri.detail_id, ri.flight_id FROM refund_items ri
+        JOIN refunds r ON ri.refund_id = r.refund_id
+        WHERE r.booking_id = ? AND r.status != 'rejected'
+    `, [booking.booking_id]);
+    const refundedKeys = new Set(alreadyRefunded.map(item => `${item.detail_id}:${item.flight_id}`));
+
+    const rules = waiveFees ? [] : await db.all('SELECT * FROM refund_fee_rules');
+    const now = Date.now();
+    const items = [];
+
+    for (const passenger of selectedPassengers) {
+        for (const segment of selectedSegments) {
+            if (refundedKeys.has(`${passenger.detail_id}:${segment.flight_id}`)) {
+                continue;
+            }
+
+            const flight = flights[segment.flight_id];
+            const hoursBefore = flight ? (new Date(flight.departure_time).getTime() - now) / (60 * 60 * 1000) : 0;
+            const fareAmount = Math.round(paidShare(passenger, segment.flight_id));
+            let feeAmount = 0;
+            let rule = null;
+
+            if (!waiveFees) {
+                if (hoursBefore < 0) {
+                    throw new BookingError(400, 'Flight has already departed', { flightId: segment.flight_id });
+                }
+                rule = findRefundFeeRule(rules, seatClass, hoursBefore);
+                if (!rule || !rule.is_refundable) {
+                    throw new BookingError(400, 'Ticket is not refundable this close to departure', {
+                        flightId: segment.flight_id,
+                        passengerId: passenger.detail_id,
+                        hoursBeforeDeparture: Math.round(hoursBefore * 10) / 10
+                    });
+                }
+                feeAmount = rule.fee_type === 'percent'
+                    ? Math.round(fareAmount * rule.fee_value / 100)
+                    : Math.min(rule.fee_value, fareAmount);
+            }
+
+            items.push({
+                detailId: passenger.detail_id,
+                fullName: passenger.full_name,
+                flightId: segment.flight_id,
+                flightCode: flight ? `${flight.airline_code}${flight.flight_number}` : null,
+                fareAmount,
+                feeAmount,
+                refundAmount: fareAmount - feeAmount,
+                hoursBeforeDeparture: Math.round(hoursBefore * 10) / 10,
+                ruleId: rule ? rule.rule_id : null
+            });
+        }
+    }
+
+    if (items.length === 0) {
+        throw new BookingError(409, 'Nothing left to refund for the selected passengers and flights');
+    }
+
+    return {
+        scope: refundedKeys.size + items.length >= ticketCount ? 'full' : 'partial',
+        fareAmount: items.reduce((sum, item) => sum + item.fareAmount, 0),
+        feeAmount: items.reduce((sum, item) => sum + item.feeAmount, 0),
+        amount: items.reduce((sum, item) => sum + item.refundAmount, 0),
+        items
+    };
+}
+
+// Create a refund request in 'requested' state (must run inside withTransaction)
+async function createRefundRequest(bookingId, { reason, passengerIds, flightIds, waiveFees, requestedBy }) {
+    const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+    if (!booking) {
+        throw new BookingError(404, 'Booking not found');
+    }
+    if (booking.payment_status !== 'paid') {
+        throw new BookingError(409, 'Only paid bookings can be refunded', { paymentStatus: booking.payment_status });
+    }
+
+    const calculation = await calculateRefundItems(booking, { passengerIds, flightIds, waiveFees });
+
+    const result = await db.run(`
+        INSERT INTO refunds (booking_id, scope, reason, fare_amount, fee_amount, amount, fees_waived, requested_by, requested_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        bookingId, calculation.scope, reason, calculation.fareAmount, calculation.feeAmount,
+        calculation.amount, waiveFees ? 1 : 0, requestedBy, new Date().toISOString()
+    ]);
+
+    for (const item of calculation.items) {
+        await db.run(`
+            INSERT INTO refund_items (refund_id, detail_id, flight_id, fare_amount, fee_amount, refund_amount, hours_before_departure, rule_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [result.lastID, item.detailId, item.flightId, item.fareAmount, item.feeAmount, item.refundAmount, item.hoursBeforeDeparture, item.ruleId]);
+    }
+
+    return result.lastID;
+}
+
+// Pay out an approved refund: give the seats back and mark the booking refunded once every ticket is (must run inside withTransaction)
+async function completeRefund(refund, completedBy, transactionReference) {
+    const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [refund.booking_id]);
+    if (!booking || booking.payment_status !== 'paid') {
+        throw new BookingError(409, 'Booking is no longer paid', { paymentStatus: booking ? booking.payment_status : null });
+    }
+
+    const items = await db.all('SELECT * FROM refund_items WHERE refund_id = ?', [refund.refund_id]);
+    const ticketCount = await db.get(`
+        SELECT (SELECT COUNT(*) FROM booking_details WHERE booking_id = ?) *
+               (SELECT COUNT(*) FROM booking_segments WHERE booking_id = ?) as count
+    `, [booking.booking_id, booking.booking_id]);
+    const completedCount = await db.get(`
+        SELECT COUNT(*) as count FROM refund_items ri
+        JOIN refunds r ON ri.refund_id = r.refund_id
+        WHERE r.booking_id = ? AND r.status = 'completed'
+    `, [booking.booking_id]);
+
+    if (completedCount.count + items.length >= ticketCount.count) {
+        // Last tickets of the booking - closing it releases every seat still held
+        await transitionBookingStatus(booking.booking_id, 'refunded', { actor: completedBy, reason: refund.reason });
+    } else {
+        const seatClass = booking.travel_class || 'ECONOMY';
+        const detailIdsByFlight = {};
+        for (const item of items) {
+            (detailIdsByFlight[item.flight_id] = detailIdsByFlight[item.flight_id] || []).push(item.detail_id);
+        }
+        for (const [flightId, detailIds] of Object.entries(detailIdsByFlight)) {
+            await releaseSeats(Number(flightId), seatClass, detailIds.length);
+            await releaseSeatAssignments(Number(flightId), detailIds);
+        }
+    }
+
+    await db.run(`
+        UPDATE refunds SET status = 'completed', completed_by = ?, completed_at = ?, transaction_reference = ?
+        WHERE refund_id = ?
+    `, [completedBy, new Date().toISOString(), transactionReference || null, refund.refund_id]);
+
+    const locale = NOTIFICATION_LOCALES.includes(booking.locale) ? booking.locale : NOTIFICATION_LOCALES[0];
+    await enqueueBookingNotification(booking.booking_id, 'refund_processed', {
+        refundAmount: formatNotificationAmount(refund.amount, locale)
+    });
+    afterCommit(processNotificationOutbox);
+}
+
+async function getRefundForClient(refundId) {
+    const refund = await db.get('SELECT * FROM refunds WHERE refund_id = ?', [refundId]);
+    if (!refund) return null;
+    const items = await db.all(`
+        SELECT ri.*, bd.full_name, f.airline_code, f.flight_number
+        FROM refund_items ri
+        LEFT JOIN booking_details bd ON ri.detail_id = bd.detail_id
+        LEFT JOIN flights f ON ri.flight_id = f.flight_id
+        WHERE ri.refund_id = ?
+        ORDER BY ri.item_id
+    `, [refundId]);
+    return formatRefundForClient(refund, items);
+}
+
+function formatRefundForClient(refund, items) {
+    return {
+        refundId: refund.refund_id,
+        bookingId: refund.booking_id,
+        status: refund.status,
+        scope: refund.scope,
+        reason: refund.reason,
+        fareAmount: refund.fare_amount,
+        feeAmount: refund.fee_amount,
+        amount: refund.amount,
+        feesWaived: refund.fees_waived === 1,
+        requestedBy: refund.requested_by,
+        requestedAt: refund.requested_at,
+        approvedBy: refund.approved_by,
+        approvedAt: refund.approved_at,
+        completedBy: refund.completed_by,
+        completedAt: refund.completed_at,
+        rejectedBy: refund.rejected_by,
+        rejectedAt: refund.rejected_at,
+        note: refund.note,
+        transactionReference: refund.transaction_reference,
+        items: items.map(item => ({
+            passengerId: item.detail_id,
+            fullName: item.full_name,
+            flightId: item.flight_id,
+            flightCode: item.airline_code ? `${item.airline_code}${item.flight_number}` : null,
+            fareAmount: item.fare_amount,
+            feeAmount: item.fee_amount,
+            refundAmount: item.refund_amount,
+            hoursBeforeDeparture: item.hours_before_departure,
+            ruleId: item.rule_id
+        }))
+    };
+}
+
+async function getBookingRefunds(bookingId) {
+    const refunds = [];
+    for (const { refund_id } of await db.all('SELECT refund_id FROM refunds WHERE booking_id = ? ORDER BY refund_id', [bookingId])) {
+        refunds.push(await getRefundForClient(refund_id));
+    }
+    return refunds;
+}
+
+// 404 if the refund does not exist, otherwise 409 because it is not in the state the action needs
+async function sendRefundStateError(res, refundId, expectedStatus) {
+    const refund = await db.get('SELECT status FROM refunds WHERE refund_id = ?', [refundId]);
+    if (!refund) {
+        return res.status(404).json({ error: 'Refund not found' });
+    }
+    return res.status(409).json({ error: `Refund must be ${expectedStatus}`, status: refund.status });
+}
+
+function validateRefundRule({ seatClass, minHoursBefore, feeType, feeValue }) {
+    if (seatClass !== 'ALL' && !CABIN_ORDER.includes(seatClass)) {
+        return `seatClass must be ALL or one of ${CABIN_ORDER.join(', ')}`;
+    }
+    if (!Number.isFinite(Number(minHoursBefore)) || Number(minHoursBefore) < 0) {
+        return 'minHoursBefore must be a non-negative number';
+    }
+    if (!['percent', 'fixed'].includes(feeType)) {
+        return 'feeType must be percent or fixed';
+    }
+    if (!Number.isFinite(Number(feeValue)) || Number(feeValue) < 0 || (feeType === 'percent' && Number(feeValue) > 100)) {
+        return 'feeValue must be between 0 and 100 for percent fees, or a non-negative amount';
+    }
+    return null;
+}
+
+function formatRefundRuleForClient(rule) {
+    return {
+        ruleId: rule.rule_id,
+        seatClass: rule.seat_class,
+        minHoursBefore: rule.min_hours_before,
+        feeType: rule.fee_type,
+        feeValue: rule.fee_value,
+        isRefundable: rule.is_refundable === 1,
+        description: rule.description
+    };
+}
+
+// Revenue a booking still brings in once completed refunds are taken off, as a SQL expression.
+// Bookings marked refunded before the refunds table existed have no refund rows and count as fully refunded.
+function bookingNetAmountSql(alias = 'b') {
+    const refunded = `(SELECT SUM(amount) FROM refunds WHERE booking_id = ${alias}.booking_id AND status = 'completed')`;
+    return `CASE
+                WHEN ${alias}.payment_status = 'paid' THEN ${alias}.total_amount - COALESCE(${refunded}, 0)
+                WHEN ${alias}.payment_status = 'refunded' THEN COALESCE(${alias}.total_amount - ${refunded}, 0)
+                ELSE 0
+            END`;
+}
+
+// SQL condition: the ancillary's passenger/leg ticket has not been refunded
+function unrefundedAncillarySql(alias = 'ba') {
+    return `NOT EXISTS (
+                SELECT 1 FROM refund_items ri JOIN refunds r ON ri.refund_id = r.refund_id
+                WHERE r.status = 'completed' AND ri.detail_id = ${alias}.detail_id AND ri.flight_id = ${alias}.flight_id
+            )`;
+}
+
+// Payment provider adapters. Each one implements:
+//   name                                 - display name
+//   isEnabled()                          - true when its credentials are configured
+//   createPayment(intent, booking, ctx)  - { redirectUrl, instructions } to send the customer on
+//   parseWebhook(req)                    - verifies the signature and returns
+//                                          { valid, eventKey, intentId, succeeded, amount, providerReference, failureReason }
+//   acknowledge(res, result)             - answers the webhook the way the provider expects (optional)
+// Bank transfers have no webhook - they are confirmed from the bank statement instead.
+const PAYMENT_PROVIDERS = {
+    momo: {
+        name: 'MoMo',
+        isEnabled: () => !!(process.env.MOMO_PARTNER_CODE && process.env.MOMO_ACCESS_KEY && process.env.MOMO_SECRET_KEY),
+        async createPayment(intent, booking) {
+            const request = {
+                partnerCode: process.env.MOMO_PARTNER_CODE,
+                accessKey: process.env.MOMO_ACCESS_KEY,
+                requestId: intent.intent_id,
+                amount: String(Math.round(intent.amount)),
+                orderId: intent.intent_id,
+                orderInfo: `Thanh toan don ${booking.booking_id}`,
+                redirectUrl: getPaymentReturnUrl(intent),
+                ipnUrl: `${PUBLIC_BASE_URL}/api/payments/webhooks/momo`,
+                extraData: '',
+                requestType: 'captureWallet'
+            };
+            const rawSignature = ['accessKey', 'amount', 'extraData', 'ipnUrl', 'orderId', 'orderInfo', 'partnerCode', 'redirectUrl', 'requestId', 'requestType']
+                .map(key => `${key}=${request[key]}`)
+                .join('&');
+            request.signature = hmacHex('sha256', process.env.MOMO_SECRET_KEY, rawSignature);
+            request.lang = 'vi';
+
+            const response = await fetch(process.env.MOMO_ENDPOINT || 'https://test-payment.momo.vn/v2/gateway/api/create', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            });
+            const result = await response.json();
+            if (result.resultCode !== 0 || !result.payUrl) {
+                throw new BookingError(502, 'MoMo rejected the payment request', { providerMessage: result.message });
+            }
+            return { redirectUrl: result.payUrl };
+        },
+        parseWebhook(req) {
+            const body = req.body || {};
+            const rawSignature = ['accessKey', 'amount', 'extraData', 'message', 'orderId', 'orderInfo', 'orderType', 'partnerCode', 'payType', 'requestId', 'responseTime', 'resultCode', 'transId']
+                .map(key => `${key}=${key === 'accessKey' ? process.env.MOMO_ACCESS_KEY : (body[key] !== undefined ? body[key] : '')}`)
+                .join('&');
+            return {
+                valid: safeEqual(hmacHex('sha256', process.env.MOMO_SECRET_KEY, rawSignature), body.signature),
+                eventKey: `momo:${body.orderId}:${body.transId}:${body.resultCode}`,
+                intentId: body.orderId,
+                succeeded: Number(body.resultCode) === 0,
+                amount: Number(body.amount),
+                providerReference: body.transId ? String(body.transId) : null,
+                failureReason: body.message || null
+            };
+        },
+        acknowledge(res, result) {
+            // MoMo only wants 204 back; anything else is retried
+            res.status(result === 'invalid_signature' ? 400 : 204).end();
+        }
+    },
+
+    vnpay: {
+        name: 'VNPay',
+        isEnabled: () => !!(process.env.VNPAY_TMN_CODE && process.env.VNPAY_HASH_SECRET),
+        createPayment(intent, booking, { ipAddress }) {
+            const params = {
+                vnp_Version: '2.1.0',
+                vnp_Command: 'pay',
+                vnp_TmnCode: process.env.VNPAY_TMN_CODE,
+                vnp_Amount: String(Math.round(intent.amount) * 100),   // VNPay tính theo đơn vị 1/100 đồng
+                vnp_CurrCode: 'VND',
+                vnp_TxnRef: intent.intent_id,
+                vnp_OrderInfo: `Thanh toan don ${booking.booking_id}`,
+                vnp_OrderType: 'other',
+                vnp_Locale: 'vn',
+                vnp_ReturnUrl: getPaymentReturnUrl(intent),
+                vnp_IpAddr: ipAddress || '127.0.0.1',
+                vnp_CreateDate: formatVnpayDate(new Date(intent.created_at)),
+                vnp_ExpireDate: formatVnpayDate(new Date(intent.expires_at))
+            };
+            const query = buildVnpayQuery(params);
+            const secureHash = hmacHex('sha512', process.env.VNPAY_HASH_SECRET, query);
+            const gatewayUrl = process.env.VNPAY_URL || 'https://sandbox.vnpayment.vn/paymentv2/vpcpay.html';
+            return { redirectUrl: `${gatewayUrl}?${query}&vnp_SecureHash=${secureHash}` };
+        },
+        parseWebhook(req) {
+            // VNPay calls the IPN URL with a GET and signs every vnp_ parameter
+            const params = { ...req.query };
+            const secureHash = params.vnp_SecureHash;
+            delete params.vnp_SecureHash;
+            delete params.vnp_SecureHashType;
+            return {
+                valid: safeEqual(hmacHex('sha512', process.env.VNPAY_HASH_SECRET, buildVnpayQuery(params)), secureHash),
+                eventKey: `vnpay:${params.vnp_TxnRef}:${params.vnp_TransactionNo}:${params.vnp_ResponseCode}`,
+                intentId: params.vnp_TxnRef,
+                succeeded: params.vnp_ResponseCode === '00' && params.vnp_TransactionStatus === '00',
+                amount: Number(params.vnp_Amount) / 100,
+                providerReference: params.vnp_TransactionNo || null,
+                failureReason: params.vnp_ResponseCode !== '00' ? `VNPay response code ${params.vnp_ResponseCode}` : null
+            };
+        },
+        acknowledge(res, result) {
+            const responses = {
+                invalid_signature: { RspCode: '97', Message: 'Invalid signature' },
+                unknown_intent: { RspCode: '01', Message: 'Order not found' },
+                amount_mismatch: { RspCode: '04', Message: 'Invalid amount' },
+                already_paid: { RspCode: '02', Message: 'Order already confirmed' },
+                already_processed: { RspCode: '02', Message: 'Order already confirmed' }
+            };
+            res.json(responses[result] || { RspCode: '00', Message: 'Confirm Success' });
+        }
+    },
+
+    bank_transfer: {
+        name: 'Chuyển khoản ngân hàng',
+        isEnabled: () => true,
+        createPayment(intent, booking) {
+            // The booking ID in the transfer content is what the bank statement import matches on
+            return {
+                redirectUrl: null,
+                instructions: {
+                    bankName: process.env.BANK_NAME || null,
+                    accountNumber: process.env.BANK_ACCOUNT_NUMBER || null,
+                    accountName: process.env.BANK_ACCOUNT_NAME || null,
+                    amount: intent.amount,
+                    currency: intent.currency,
+                    transferContent: booking.booking_id
+                }
+            };
+        }
+    },
+
+    card: {
+        name: 'Thẻ quốc tế',
+        isEnabled: () => !!(process.env.CARD_CHECKOUT_URL && process.env.CARD_WEBHOOK_SECRET),
+        createPayment(intent, booking) {
+            // Hosted checkout page of the card processor; the card number never reaches this server
+            const params = new URLSearchParams({
+                merchantId: process.env.CARD_MERCHANT_ID || '',
+                intentId: intent.intent_id,
+                amount: String(intent.amount),
+                currency: intent.currency,
+                description: `Booking ${booking.booking_id}`,
+                returnUrl: getPaymentReturnUrl(intent),
+                webhookUrl: `${PUBLIC_BASE_URL}/api/payments/webhooks/card`
+            });
+            params.set('signature', hmacHex('sha256', process.env.CARD_WEBHOOK_SECRET, params.toString()));
+            return { redirectUrl: `${process.env.CARD_CHECKOUT_URL}?${params.toString()}` };
+        },
+        parseWebhook(req) {
+            return parseSignedJsonWebhook(req, 'card', req.get('X-Card-Signature'), process.env.CARD_WEBHOOK_SECRET);
+        }
+    },
+
+    mock: {
+        name: 'Cổng thanh toán thử nghiệm',
+        // Lets anyone mark a booking paid, so it is only on when switched on explicitly
+        isEnabled: () => process.env.PAYMENT_MOCK_ENABLED === 'true',
+        createPayment(intent) {
+            return { redirectUrl: `${PUBLIC_BASE_URL}/api/payments/mock/checkout/${intent.intent_id}?signature=${intent.signature}` };
+        },
+        parseWebhook(req) {
+            return parseSignedJsonWebhook(req, 'mock', req.get('X-Mock-Signature'), getMockPaymentSecret());
+        }
+    }
+};
+
+// Pending mock intent, only if the mock provider is enabled and the signature from the checkout link matches
+async function getMockCheckoutIntent(intentId, signature) {
+    if (!PAYMENT_PROVIDERS.mock.isEnabled()) return null;
+    const intent = await db.get("SELECT * FROM payment_intents WHERE intent_id = ? AND provider = 'mock'", [intentId]);
+    if (!intent || intent.status !== 'pending' || intent.expires_at < new Date().toISOString() || !safeEqual(intent.signature, signature)) {
+        return null;
+    }
+    return intent;
+}
+
+function getMockPaymentSecret() {
+    return process.env.MOCK_PAYMENT_SECRET || PAYMENT_SIGNING_SECRET;
+}
+
+// Webhook format shared by the card and mock providers: a JSON body signed with HMAC-SHA256 in a header.
+// Body: { eventId, intentId, status: 'succeeded' | 'failed', amount, transactionId, failureReason }
+function parseSignedJsonWebhook(req, providerCode, signature, secret) {
+    const body = req.body || {};
+    return {
+        valid: !!(secret && req.rawBody && body.eventId) && safeEqual(hmacHex('sha256', secret, req.rawBody), signature),
+        eventKey: `${providerCode}:${body.eventId}`,
+        intentId: body.intentId,
+        succeeded: body.status === 'succeeded',
+        amount: Number(body.amount),
+        providerReference: body.transactionId || null,
+        failureReason: body.failureReason || null
+    };
+}
+
+function hmacHex(algorithm, secret, data) {
+    return crypto.createHmac(algorithm, secret || '').update(data).digest('hex');
+}
+
+// Constant-time comparison of two hex signatures
+function safeEqual(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string' || expected.length !== actual.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual.toLowerCase()));
+}
+
+// VNPay signs the parameters sorted by name and form-encoded (spaces as +)
+function buildVnpayQuery(params) {
+    return Object.keys(params)
+        .sort()
+        .map(key => `${key}=${encodeURIComponent(params[key]).replace(/%20/g, '+')}`)
+        .join('&');
+}
+
+// yyyyMMddHHmmss in Vietnam time (GMT+7), as VNPay expects
+function formatVnpayDate(date) {
+    return new Date(date.getTime() + 7 * 60 * 60 * 1000).toISOString().replace(/[-T:]/g, '').slice(0, 14);
+}
+
+// Signature over the fields that must not change between creating an intent and paying it
+function signPaymentIntent(intent) {
+    return hmacHex('sha256', PAYMENT_SIGNING_SECRET, [
+        intent.intent_id, intent.booking_id, intent.amount, intent.currency, intent.provider, intent.expires_at
+    ].join('|'));
+}
+
+// Where providers send the customer back to; from there they are forwarded to the intent's return URL
+function getPaymentReturnUrl(intent) {
+    return `${PUBLIC_BASE_URL}/api/payments/return/${intent.intent_id}`;
+}
+
+// Only send customers back to our own pages - no open redirects
+function isSafeReturnUrl(url) {
+    return (url.startsWith('/') && !url.startsWith('//')) || url.startsWith(`${PUBLIC_BASE_URL}/`);
+}
+
+// Apply a verified provider notification once. The event key makes retried webhooks a no-op.
+async function processPaymentNotification(providerCode, notification, payload) {
+    return withTransaction(async () => {
+        const processed = await db.get('SELECT result FROM payment_webhook_events WHERE event_key = ?', [notification.eventKey]);
+        if (processed) {
+            return 'already_processed';
+        }
+
+        const result = await applyPaymentNotification(providerCode, notification);
+        await db.run(
+            'INSERT INTO payment_webhook_events (provider, event_key, intent_id, result, payload) VALUES (?, ?, ?, ?, ?)',
+            [providerCode, notification.eventKey, notification.intentId || null, result, JSON.stringify(payload)]
+        );
+        return result;
+    });
+}
+
+async function applyPaymentNotification(providerCode, notification) {
+    const intent = await db.get('SELECT * FROM payment_intents WHERE intent_id = ? AND provider = ?', [notification.intentId, providerCode]);
+    if (!intent) {
+        return 'unknown_intent';
+    }
+    if (intent.status === 'succeeded') {
+        return 'already_paid';
+    }
+
+    if (!notification.succeeded) {
+        await db.run(
+            "UPDATE payment_intents SET status = 'failed', failure_reason = ? WHERE intent_id = ?",
+            [notification.failureReason, intent.intent_id]
+        );
+        return 'failed';
+    }
+
+    if (Math.round(notification.amount) !== Math.round(intent.amount)) {
+        console.warn(`Payment for intent ${intent.intent_id} has amount ${notification.amount}, expected ${intent.amount}`);
+        return 'amount_mismatch';
+    }
+
+    await db.run(
+        "UPDATE payment_intents SET status = 'succeeded', provider_reference = ?, paid_at = ?, failure_reason = NULL WHERE intent_id = ?",
+        [notification.providerReference, new Date().toISOString(), intent.intent_id]
+    );
+
+    const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [intent.booking_id]);
+    if (booking && booking.payment_status === 'paid') {
+        return 'already_paid';
+    }
+    if (!booking || !['unpaid', 'pending'].includes(booking.payment_status)) {
+        // Money arrived after the booking expired or was cancelled - finance has to pay it back by hand
+        console.warn(`Payment received for booking ${intent.booking_id} in status ${booking ? booking.payment_status : 'missing'}`);
+        return 'booking_not_payable';
+    }
+    if (Math.round(booking.total_amount) !== Math.round(intent.amount)) {
+        // The booking was modified after this payment started; the intent was voided and the difference is settled by hand
+        console.warn(`Payment for intent ${intent.intent_id} covers ${intent.amount}, booking ${booking.booking_id} now costs ${booking.total_amount}`);
+        return 'booking_modified';
+    }
+
+    await markBookingPaid(
+        booking,
+        providerCode,
+        `${PAYMENT_PROVIDERS[providerCode].name} ${notification.providerReference || intent.intent_id}`,
+        `system:payment:${providerCode}`
+    );
+    console.log(`Booking ${booking.booking_id} paid via ${providerCode} (intent ${intent.intent_id})`);
+    return 'paid';
+}
+
+// Confirm payment of an unpaid/pending booking and record how it was paid (must run inside withTransaction)
+async function markBookingPaid(booking, method, transactionInfo, actor) {
+    await transitionBookingStatus(booking.booking_id, 'paid', { actor, reason: transactionInfo });
+    await db.run(`
+        INSERT INTO payments (booking_id, method, transaction_info, payment_date)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(booking_id) DO UPDATE SET
+            method = excluded.method,
+            transaction_info = excluded.transaction_info,
+            payment_date = excluded.payment_date
+    `, [booking.booking_id, method, transactionInfo]);
+}
+
+function formatPaymentIntentForClient(intent, instructions = null) {
+    return {
+        intentId: intent.intent_id,
+        bookingId: intent.booking_id,
+        provider: intent.provider,
+        amount: intent.amount,
+        currency: intent.currency,
+        status: intent.status,
+        redirectUrl: intent.redirect_url,
+        instructions,
+        providerReference: intent.provider_reference,
+        failureReason: intent.failure_reason,
+        createdAt: intent.created_at,
+        expiresAt: intent.expires_at,
+        paidAt: intent.paid_at
+    };
+}
+
+// Turn a bank statement file into transactions: [{ date, amount, currency, description, reference }].
+// Money going out of the account has a negative amount.
+function parseBankStatement(format, content) {
+    return format === 'mt940' ? parseMt940Statement(content) : parseCsvStatement(content);
+}
+
+function parseCsvStatement(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+
+    // Bank exports often start with a few lines about the account before the real header row
+    for (let headerIndex = 0; headerIndex < Math.min(lines.length, 20); headerIndex++) {
+        const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            parseCsvLine(lines[headerIndex], candidate).length > parseCsvLine(lines[headerIndex], best).length ? candidate : best, ',');
+        const headers = parseCsvLine(lines[headerIndex], delimiter).map(normalizeStatementHeader);
+        const column = {};
+        for (const [field, names] of Object.entries(STATEMENT_CSV_COLUMNS)) {
+            const name = names.find(candidate => headers.includes(candidate));
+            column[field] = name ? headers.indexOf(name) : -1;
+        }
+        if (column.date === -1 || column.description === -1 || (column.amount === -1 && column.credit === -1)) {
+            continue;
+        }
+
+        const transactions = [];
+        for (const line of lines.slice(headerIndex + 1)) {
+            const cells = parseCsvLine(line, delimiter);
+            const cell = field => (column[field] >= 0 ? (cells[column[field]] || '').trim() : '');
+
+            let amount = null;
+            if (column.credit >= 0 || column.debit >= 0) {
+                const credit = parseStatementAmount(cell('credit'));
+                const debit = parseStatementAmount(cell('debit'));
+                amount = credit ? credit : (debit ? -Math.abs(debit) : null);
+            }
+            if (amount === null && column.amount >= 0) {
+                amount = parseStatementAmount(cell('amount'));
+            }
+            // Totals and footer lines have no date or no amount
+            if (amount === null || !cell('date')) {
+                continue;
+            }
+
+            transactions.push({
+                date: parseStatementDate(cell('date')),
+                amount,
+                currency: cell('currency') || 'VND',
+                description: cell('description'),
+                reference: cell('reference') || null
+            });
+        }
+        return { accountNumber: null, transactions };
+    }
+
+    throw new BookingError(400, 'Could not find the header row of the CSV statement', {
+        expectedColumns: ['date', 'amount or credit', 'description']
+    });
+}
+
+// Split one CSV line, honouring double quotes
+function parseCsvLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            cells.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current);
+    return cells;
+}
+
+function normalizeStatementHeader(header) {
+    return header
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[đĐ]/g, 'd')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Amounts come as 1.500.000 (vi-VN), 1,500,000.00 (en-US) or 1500000 - the last separator
+// is a decimal point only when it is not followed by exactly three digits
+function parseStatementAmount(value) {
+    let text = String(value || '').replace(/[^\d.,-]/g, '');
+    if (!/\d/.test(text)) {
+        return null;
+    }
+    const negative = text.startsWith('-');
+    text = text.replace(/-/g, '');
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    let decimalIndex = -1;
+    if (lastDot >= 0 && lastComma >= 0) {
+        decimalIndex = Math.max(lastDot, lastComma);
+    } else if (lastDot >= 0 || lastComma >= 0) {
+        const separator = lastDot >= 0 ? '.' : ',';
+        const parts = text.split(separator);
+        if (parts.length === 2 && parts[1].length !== 3) {
+            decimalIndex = text.lastIndexOf(separator);
+        }
+    }
+
+    const number = decimalIndex >= 0
+        ? Number(`${text.slice(0, decimalIndex).replace(/[.,]/g, '')}.${text.slice(decimalIndex + 1)}`)
+        : Number(text.replace(/[.,]/g, ''));
+    return negative ? -number : number;
+}
+
+// Statement dates are dd/mm/yyyy in Vietnamese exports; ISO dates are kept as they are
+function parseStatementDate(value) {
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) {
+        return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    }
+    const local = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+    if (local) {
+        return `${local[3]}-${local[2].padStart(2, '0')}-${local[1].padStart(2, '0')}`;
+    }
+    return value;
+}
+
+// SWIFT MT940: :25: account, :60F: opening balance (carries the currency),
+// :61: one statement line, :86: free text for the line above (the transfer content)
+function parseMt940Statement(content) {
+    const fields = [];
+    for (const line of content.split(/\r?\n/)) {
+        const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+        if (tag) {
+            fields.push({ tag: tag[1], value: tag[2] });
+        } else if (fields.length > 0 && line.trim() && !line.startsWith('-}')) {
+            fields[fields.length - 1].value += `\n${line}`;
+        }
+    }
+
+    let accountNumber = null;
+    let currency = 'VND';
+    const transactions = [];
+    for (const field of fields) {
+        if (field.tag === '25') {
+            accountNumber = field.value.trim();
+        } else if (field.tag === '60F' || field.tag === '60M') {
+            currency = field.value.slice(7, 10) || currency;
+        } else if (field.tag === '61') {
+            // YYMMDD [MMDD] C|D|RC|RD [funds code] amount type-code customer-ref [//bank-ref]
+            const line = field.value.split('\n')[0];
+            const match = line.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])([A-Z])?(\d+,\d*)[A-Z][A-Z0-9]{3}([^/]*)(?:\/\/(.*))?$/);
+            if (!match) {
+                throw new BookingError(400, 'Invalid MT940 statement line', { line });
+            }
+            const amount = Number(match[7].replace(',', '.'));
+            const isCredit = match[5] === 'C' || match[5] === 'RD';
+            const customerReference = match[8].trim();
+            transactions.push({
+                date: `20${match[1]}-${match[2]}-${match[3]}`,
+                amount: isCredit ? amount : -amount,
+                currency,
+                description: '',
+                reference: (match[9] || '').trim() || (customerReference !== 'NONREF' ? customerReference : null)
+            });
+        } else if (field.tag === '86' && transactions.length > 0) {
+            // Structured :86: fields separate sub-fields with ?NN codes
+            transactions[transactions.length - 1].description = field.value.replace(/\?\d{2}/g, ' ').replace(/\s+/g, ' ').trim();
+        }
+    }
+
+    if (transactions.length === 0 && !fields.some(field => field.tag === '20' || field.tag === '25')) {
+        throw new BookingError(400, 'File is not an MT940 statement');
+    }
+    return { accountNumber, transactions };
+}
+
+// Find the booking whose ID appears in the transfer content. Banks and customers mangle spacing,
+// so every 10-character window of the content is tried; open bookings win over closed ones.
+async function findBookingInTransferContent(description) {
+    const text = String(description || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 500);
+    const candidates = new Set();
+    for (let i = 0; i + 10 <= text.length; i++) {
+        candidates.add(text.slice(i, i + 10));
+    }
+    if (candidates.size === 0) {
+        return null;
+    }
+
+    const ids = [...candidates];
+    const bookings = await db.all(`SELECT * FROM bookings WHERE booking_id IN (${ids.map(() => '?').join(', ')})`, ids);
+    return bookings.find(booking => ['unpaid', 'pending'].includes(booking.payment_status)) || bookings[0] || null;
+}
+
+// Match one imported transfer against its booking (must run inside withTransaction).
+// Transfers for the same booking add up, so a booking paid in two parts is confirmed by the second one.
+async function reconcileBankTransaction(transaction) {
+    const setResult = (status, bookingId, note) => db.run(
+        'UPDATE bank_transactions SET match_status = ?, booking_id = ?, note = ? WHERE transaction_id = ?',
+        [status, bookingId, note, transaction.transaction_id]
+    );
+
+    const booking = await findBookingInTransferContent(transaction.description);
+    if (!booking) {
+        await setResult('unmatched', null, 'No booking ID found in transfer content');
+        return 'unmatched';
+    }
+    if (booking.payment_status === 'paid') {
+        await setResult('overpaid', booking.booking_id, 'Booking was already paid');
+        return 'overpaid';
+    }
+    if (!['unpaid', 'pending'].includes(booking.payment_status)) {
+        await setResult('unmatched', booking.booking_id, `Booking is ${booking.payment_status}`);
+        return 'unmatched';
+    }
+
+    const earlier = await db.get(
+        "SELECT SUM(amount) as total FROM bank_transactions WHERE booking_id = ? AND match_status = 'partial' AND transaction_id != ?",
+        [booking.booking_id, transaction.transaction_id]
+    );
+    const received = (earlier.total || 0) + transaction.amount;
+    const difference = Math.round(received) - Math.round(booking.total_amount);
+
+    if (difference < 0) {
+        await setResult('partial', booking.booking_id, `Received ${received} of ${booking.total_amount}`);
+        return 'partial';
+    }
+    if (difference > 0) {
+        await setResult('overpaid', booking.booking_id, `Received ${received}, expected ${booking.total_amount}`);
+        await db.run(
+            "UPDATE bank_transactions SET match_status = 'overpaid' WHERE booking_id = ? AND match_status = 'partial'",
+            [booking.booking_id]
+        );
+        return 'overpaid';
+    }
+
+    await confirmBankTransferBooking(booking, transaction.bank_reference || `#${transaction.transaction_id}`, 'system:reconciliation');
+    await setResult('matched', booking.booking_id, null);
+    await db.run(
+        "UPDATE bank_transactions SET match_status = 'matched', note = NULL WHERE booking_id = ? AND match_status = 'partial'",
+        [booking.booking_id]
+    );
+    return 'matched';
+}
+
+// Mark a booking paid from a bank transfer and close its open bank-transfer payment intents (must run inside withTransaction)
+async function confirmBankTransferBooking(booking, reference, actor) {
+    await markBookingPaid(booking, 'bank_transfer', `Chuyển khoản ${reference}`, actor);
+    await db.run(
+        "UPDATE payment_intents SET status = 'succeeded', provider_reference = ?, paid_at = ? WHERE booking_id = ? AND provider = 'bank_transfer' AND status = 'pending'",
+        [reference, new Date().toISOString(), booking.booking_id]
+    );
+    console.log(`Booking ${booking.booking_id} paid by bank transfer ${reference}`);
+}
+
+function formatBankTransactionForClient(transaction) {
+    return {
+        transactionId: transaction.transaction_id,
+        importId: transaction.import_id,
+        date: transaction.transaction_date,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        description: transaction.description,
+        bankReference: transaction.bank_reference,
+        bookingId: transaction.booking_id,
+        matchStatus: transaction.match_status,
+        note: transaction.note,
+        resolvedBy: transaction.resolved_by,
+        resolvedAt: transaction.resolved_at
+    };
+}
+
+// Flights of a booking in travel order: outbound legs first, then return legs
+// Customer notification templates - one per event and locale, each rendering an email (subject + text) and an SMS.
+// SMS texts are written without Vietnamese accents, the way SMS in Vietnam usually are.
+const NOTIFICATION_TEMPLATES = {
+    booking_created: {
+        vi: ctx => ({
+            subject: `[FlyViet] Xác nhận đặt chỗ ${ctx.bookingId}`,
+            text: `Xin chào ${ctx.contactName},\n\nĐặt chỗ ${ctx.bookingId} của bạn đã được tạo.\n\n${ctx.itinerary}\n\nTổng tiền: ${ctx.totalAmount}\nVui lòng thanh toán trước ${ctx.holdExpiresAt}, sau thời điểm này chỗ sẽ được giải phóng.\n\nMã quản lý đặt chỗ: ${ctx.manageCode}\nDùng mã này để chọn chỗ ngồi, thay đổi hoặc thanh toán đặt chỗ. Không chia sẻ mã cho người khác.\n\nFlyViet`,
+            sms: `FlyViet: Dat cho ${ctx.bookingId} da duoc tao. Tong tien ${ctx.totalAmount}, vui long thanh toan truoc ${ctx.holdExpiresAt}.`
+        }),
+        en: ctx => ({
+            subject: `[FlyViet] Booking ${ctx.bookingId} confirmed`,
+            text: `Hello ${ctx.contactName},\n\nYour booking ${ctx.bookingId} has been created.\n\n${ctx.itinerary}\n\nTotal: ${ctx.totalAmount}\nPlease pay before ${ctx.holdExpiresAt}, otherwise your seats will be released.\n\nBooking management code: ${ctx.manageCode}\nUse it to choose seats, change or pay for your booking. Do not share it with anyone.\n\nFlyViet`,
+            sms: `FlyViet: Booking ${ctx.bookingId} created. Total ${ctx.totalAmount}, please pay before ${ctx.holdExpiresAt}.`
+        })
+    },
+    payment_received: {
+        vi: ctx => ({
+            subject: `[FlyViet] Đã nhận thanh toán cho đặt chỗ ${ctx.bookingId}`,
+            text: `Xin chào ${ctx.contactName},\n\nChúng tôi đã nhận được khoản thanh toán ${ctx.totalAmount} cho đặt chỗ ${ctx.bookingId}.\nVé điện tử sẽ được gửi trong email tiếp theo.\n\nFlyViet`,
+            sms: `FlyViet: Da nhan thanh toan ${ctx.totalAmount} cho dat cho ${ctx.bookingId}. Cam on quy khach.`
+        }),
+        en: ctx => ({
+            subject: `[FlyViet] Payment received for booking ${ctx.bookingId}`,
+            text: `Hello ${ctx.contactName},\n\nWe have received your payment of ${ctx.totalAmount} for booking ${ctx.bookingId}.\nYour e-ticket follows in a separate email.\n\nFlyViet`,
+            sms: `FlyViet: Payment of ${ctx.totalAmount} received for booking ${ctx.bookingId}. Thank you.`
+        })
+    },
+    e_ticket_issued: {
+        vi: ctx => ({
+            subject: `[FlyViet] Vé điện tử - đặt chỗ ${ctx.bookingId}`,
+            text: `Xin chào ${ctx.contactName},\n\nVé điện tử cho đặt chỗ ${ctx.bookingId} đã được xuất.\n\n${ctx.itinerary}\n\nHành khách:\n${ctx.passengers}\n\nTải biên nhận hành trình: ${ctx.receiptUrl}\n\nVui lòng có mặt tại sân bay ít nhất 2 giờ trước giờ khởi hành.\n\nFlyViet`,
+            sms: `FlyViet: Ve dien tu cho dat cho ${ctx.bookingId} da duoc xuat. Chuyen bay dau tien: ${ctx.firstFlight}.`
+        }),
+        en: ctx => ({
+            subject: `[FlyViet] E-ticket - booking ${ctx.bookingId}`,
+            text: `Hello ${ctx.contactName},\n\nThe e-tickets for booking ${ctx.bookingId} have been issued.\n\n${ctx.itinerary}\n\nPassengers:\n${ctx.passengers}\n\nDownload your itinerary receipt: ${ctx.receiptUrl}\n\nPlease arrive at the airport at least 2 hours before departure.\n\nFlyViet`,
+            sms: `FlyViet: E-tickets for booking ${ctx.bookingId} issued. First flight: ${ctx.firstFlight}.`
+        })
+    },
+    flight_changed: {
+        vi: ctx => ({
+            subject: `[FlyViet] Thay đổi lịch bay ${ctx.flightCode} - đặt chỗ ${ctx.bookingId}`,
+            text: `Xin chào ${ctx.contactName},\n\nChuyến bay ${ctx.flightCode} trong đặt chỗ ${ctx.bookingId} đã thay đổi lịch.\nLịch cũ: ${ctx.previousSchedule}\nLịch mới: ${ctx.newSchedule}\n\nNếu lịch mới không phù hợp, vui lòng liên hệ chúng tôi để được hỗ trợ.\n\nFlyViet`,
+            sms: `FlyViet: Chuyen bay ${ctx.flightCode} (dat cho ${ctx.bookingId}) doi lich: ${ctx.newSchedule}.`
+        }),
+        en: ctx => ({
+            subject: `[FlyViet] Schedule change for ${ctx.flightCode} - booking ${ctx.bookingId}`,
+            text: `Hello ${ctx.contactName},\n\nFlight ${ctx.flightCode} in booking ${ctx.bookingId} has been rescheduled.\nPrevious: ${ctx.previousSchedule}\nNew: ${ctx.newSchedule}\n\nIf the new schedule does not suit you, please contact us.\n\nFlyViet`,
+            sms: `FlyViet: Flight ${ctx.flightCode} (booking ${ctx.bookingId}) rescheduled: ${ctx.newSchedule}.`
+        })
+    },
+    flight_cancelled: {
+        vi: ctx => ({
+            subject: `[FlyViet] Chuyến bay ${ctx.flightCode} bị hủy - đặt chỗ ${ctx.bookingId}`,
+            text: `Xin chào ${ctx.contactName},\n\nRất tiếc, chuyến bay ${ctx.flightCode} (${ctx.previousSchedule}) trong đặt chỗ ${ctx.bookingId} đã bị hủy.\nChúng tôi sẽ liên hệ để đổi chuyến hoặc hoàn tiền cho quý khách.\n\nFlyViet`,
+            sms: `FlyViet: Chuyen bay ${ctx.flightCode} (dat cho ${ctx.bookingId}) da bi huy. Chung toi se lien he de doi chuyen hoac hoan tien.`
+        }),
+        en: ctx => ({
+            subject: `[FlyViet] Flight ${ctx.flightCode} cancelled - booking ${ctx.bookingId}`,
+            text: `Hello ${ctx.contactName},\n\nWe are sorry to tell you that flight ${ctx.flightCode} (${ctx.previousSchedule}) in booking ${ctx.bookingId} has been cancelled.\nWe will contact you to rebook or refund your ticket.\n\nFlyViet`,
+            sms: `FlyViet: Flight ${ctx.flightCode} (booking ${ctx.bookingId}) is cancelled. We will contact you to rebook or refund.`
+        })
+    },
+    flight_rebooked: {
+        vi: ctx => ({
+            subject: `[FlyViet] Đặt chỗ ${ctx.bookingId} đã được chuyển sang chuyến bay mới`,
+            text: `Xin chào ${ctx.contactName},\n\nDo chuyến bay ${ctx.flightCode} bị hủy, đặt chỗ ${ctx.bookingId} của quý khách đã được chuyển sang chuyến bay:\n${ctx.newFlight}\n\nHành trình hiện tại:\n${ctx.itinerary}\n\nNếu chuyến bay mới không phù hợp, vui lòng liên hệ chúng tôi để được hoàn tiền.\n\nFlyViet`,
+            sms: `FlyViet: Chuyen bay ${ctx.flightCode} bi huy. Dat cho ${ctx.bookingId} da chuyen sang ${ctx.newFlight}.`
+        }),
+        en: ctx => ({
+            subject: `[FlyViet] Booking ${ctx.bookingId} moved to a new flight`,
+            text: `Hello ${ctx.contactName},\n\nAs flight ${ctx.flightCode} was cancelled, your booking ${ctx.bookingId} has been moved to:\n${ctx.newFlight}\n\nYour itinerary now:\n${ctx.itinerary}\n\nIf the new flight does not suit you, please contact us for a refund.\n\nFlyViet`,
+            sms: `FlyViet: Flight ${ctx.flightCode} cancelled. Booking ${ctx.bookingId} moved to ${ctx.newFlight}.`
+        })
+    },
+    refund_processed: {
+        vi: ctx => ({
+            subject: `[FlyViet] Hoàn tiền cho đặt chỗ ${ctx.bookingId}`,
+            text: `Xin chào ${ctx.contactName},\n\nKhoản hoàn tiền ${ctx.refundAmount} cho đặt chỗ ${ctx.bookingId} đã được xử lý.\nTiền sẽ về tài khoản của quý khách trong vài ngày làm việc.\n\nFlyViet`,
+            sms: `FlyViet: Da hoan ${ctx.refundAmount} cho dat cho ${ctx.bookingId}.`
+        }),
+        en: ctx => ({
+            subject: `[FlyViet] Refund for booking ${ctx.bookingId}`,
+            text: `Hello ${ctx.contactName},\n\nYour refund of ${ctx.refundAmount} for booking ${ctx.bookingId} has been processed.\nIt should reach your account within a few business days.\n\nFlyViet`,
+            sms: `FlyViet: Refund of ${ctx.refundAmount} for booking ${ctx.bookingId} processed.`
+        })
+    },
+    booking_modified: {
+        vi: ctx => ({
+            subject: `[FlyViet] Đặt chỗ ${ctx.bookingId} đã được thay đổi`,
+            text: `Xin chào ${ctx.contactName},\n\nĐặt chỗ ${ctx.bookingId} đã được thay đổi: ${ctx.changeSummary}\n\nHành trình hiện tại:\n${ctx.itinerary}\n\nHành khách:\n${ctx.passengers}\n\nChênh lệch: ${ctx.amountDue}\nTổng tiền: ${ctx.totalAmount}\n\nFlyViet`,
+            sms: `FlyViet: Dat cho ${ctx.bookingId} da duoc thay doi: ${ctx.changeSummary}. Tong tien ${ctx.totalAmount}.`
+        }),
+        en: ctx => ({
+            subject: `[FlyViet] Booking ${ctx.bookingId} changed`,
+            text: `Hello ${ctx.contactName},\n\nYour booking ${ctx.bookingId} has been changed: ${ctx.changeSummary}\n\nYour itinerary now:\n${ctx.itinerary}\n\nPassengers:\n${ctx.passengers}\n\nDifference: ${ctx.amountDue}\nTotal: ${ctx.totalAmount}\n\nFlyViet`,
+            sms: `FlyViet: Booking ${ctx.bookingId} changed: ${ctx.changeSummary}. Total ${ctx.totalAmount}.`
+        })
+    }
+};
+const NOTIFICATION_EVENTS = Object.keys(NOTIFICATION_TEMPLATES);
+
+// Notification transports. Each one implements send(notification) and throws when delivery failed
+// (the outbox then retries later). EMAIL_TRANSPORT / SMS_TRANSPORT pick which one each channel uses.
+const NOTIFICATION_TRANSPORTS = {
+    smtp: {
+        async send(notification) {
+            if (notification.channel !== 'email') {
+                throw new Error('The smtp transport only sends email');
+            }
+            await getSmtpTransporter().sendMail({
+                from: process.env.SMTP_FROM || 'FlyViet <no-reply@flyviet.vn>',
+                to: notification.recipient,
+                subject: notification.subject,
+                text: notification.body
+            });
+        }
+    },
+    http: {
+        // Generic SMS gateway: POST { to, from, message } as JSON
+        async send(notification) {
+            if (notification.channel !== 'sms') {
+                throw new Error('The http transport only sends SMS');
+            }
+            if (!process.env.SMS_API_URL) {
+                throw new Error('SMS_API_URL is not configured');
+            }
+            const headers = { 'Content-Type': 'application/json' };
+            if (process.env.SMS_API_KEY) {
+                headers.Authorization = `Bearer ${process.env.SMS_API_KEY}`;
+            }
+            const response = await fetch(process.env.SMS_API_URL, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    to: notification.recipient,
+                    from: process.env.SMS_SENDER || 'FlyViet',
+                    message: notification.body
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`SMS provider answered ${response.status}`);
+            }
+        }
+    },
+    file: {
+        // Appends one JSON line per message - for local testing
+        async send(notification) {
+            await fs.promises.appendFile(NOTIFICATION_FILE, JSON.stringify({
+                notificationId: notification.notification_id,
+                channel: notification.channel,
+                to: notification.recipient,
+                subject: notification.subject,
+                body: notification.body,
+                sentAt: new Date().toISOString()
+            }) + '\n');
+        }
+    },
+    console: {
+        async send(notification) {
+            console.log(`[${notification.channel}] to ${notification.recipient}${notification.subject ? ` - ${notification.subject}` : ''}\n${notification.body}`);
+        }
+    }
+};
+
+let smtpTransporter = null;
+function getSmtpTransporter() {
+    if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not configured');
+    }
+    if (!smtpTransporter) {
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        smtpTransporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+        });
+    }
+    return smtpTransporter;
+}
+
+// Pick the notification language from what the client sent (locale field or Accept-Language header)
+function resolveNotificationLocale(value) {
+    const language = String(value || '').split(',')[0].trim().slice(0, 2).toLowerCase();
+    return NOTIFICATION_LOCALES.includes(language) ? language : NOTIFICATION_LOCALES[0];
+}
+
+// Times shown to customers that are not flight times (hold deadlines, payment and issue dates) are in
+// Vietnam time, e.g. 2026-12-01 08:30. Flight times use formatAirportTime.
+function formatVietnamTime(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+    const { date: day, time } = getZonedParts(date, DEFAULT_TIMEZONE);
+    return `${day} ${time}`;
+}
+
+function formatNotificationAmount(amount, locale) {
+    return new Intl.NumberFormat(locale === 'en' ? 'en-US' : 'vi-VN', { style: 'currency', currency: 'VND', maximumFractionDigits: 0 }).format(amount || 0);
+}
+
+function formatNotificationFlight(flight, locale) {
+    const departs = locale === 'en' ? 'departs' : 'khởi hành';
+    return `${flight.airline_code}${flight.flight_number} ${flight.departure_airport} → ${flight.arrival_airport}, ${departs} ${formatAirportTime(flight.departure_time, flight.departure_airport)}`;
+}
+
+// SMS gateways want international format: 0912 345 678 -> +84912345678
+function normalizeSmsRecipient(phone) {
+    const digits = String(phone || '').replace(/[\s.\-()]/g, '');
+    if (!/^\+?\d{8,15}$/.test(digits)) return null;
+    return digits.startsWith('0') ? `+84${digits.slice(1)}` : digits;
+}
+
+// Render `eventType` for a booking and queue it on every channel the booking has contact details for.
+// Runs on the caller's connection, so inside withTransaction the messages are only queued if the transaction commits.
+// `details` adds or overrides template values (flight change, refund amount). Returns the number of queued messages.
+async function enqueueBookingNotification(bookingId, eventType, details = {}) {
+    const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+    if (!booking) return 0;
+
+    const locale = NOTIFICATION_LOCALES.includes(booking.locale) ? booking.locale : NOTIFICATION_LOCALES[0];
+    const flights = await db.all(`
+        SELECT f.* FROM booking_segments s
+        JOIN flights f ON s.flight_id = f.flight_id
+        WHERE s.booking_id = ?
+        ORDER BY CASE s.direction WHEN 'outbound' THEN 0 ELSE 1 END, s.segment_order
+    `, [bookingId]);
+    const passengers = await db.all('SELECT full_name, ticket_number FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [bookingId]);
+
+    const message = NOTIFICATION_TEMPLATES[eventType][locale]({
+        bookingId,
+        contactName: booking.contact_name,
+        totalAmount: formatNotificationAmount(booking.total_amount, locale),
+        holdExpiresAt: formatVietnamTime(booking.hold_expires_at),
+        itinerary: flights.map(flight => formatNotificationFlight(flight, locale)).join('\n'),
+        firstFlight: flights.length > 0 ? formatNotificationFlight(flights[0], locale) : '',
+        passengers: passengers
+            .map(passenger => `- ${passenger.full_name}${passenger.ticket_number ? ` (${passenger.ticket_number})` : ''}`)
+            .join('\n'),
+        receiptUrl: `${PUBLIC_BASE_URL}/api/bookings/${bookingId}/receipt`,
+        ...details
+    });
+
+    const outgoing = [];
+    if (booking.email) {
+        outgoing.push({ channel: 'email', recipient: booking.email, subject: message.subject, body: message.text });
+    }
+    const phone = normalizeSmsRecipient(booking.phone);
+    if (phone) {
+        outgoing.push({ channel: 'sms', recipient: phone, subject: null, body: message.sms });
+    }
+
+    const now = new Date().toISOString();
+    for (const item of outgoing) {
+        await db.run(`
+            INSERT INTO notification_outbox (booking_id, event_type, channel, recipient, locale, subject, body, next_attempt_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [bookingId, eventType, item.channel, item.recipient, locale, item.subject, item.body, now, now]);
+    }
+    return outgoing.length;
+}
+
+// Tell every passenger with a live booking on this flight that its schedule changed.
+// Cancellations go through the disruption flow, which sends its own notifications.
+async function notifyFlightUpdate(previousFlight, updatedFlight) {
+    const eventType = 'flight_changed';
+    if (updatedFlight.status === 'cancelled' || (
+        previousFlight.departure_time === updatedFlight.departure_time &&
+        previousFlight.arrival_time === updatedFlight.arrival_time &&
+        previousFlight.departure_airport === updatedFlight.departure_airport &&
+        previousFlight.arrival_airport === updatedFlight.arrival_airport
+    )) {
+        return 0;
+    }
+
+    const bookings = await db.all(`
+        SELECT DISTINCT b.booking_id, b.locale FROM bookings b
+        JOIN booking_segments s ON s.booking_id = b.booking_id
+        WHERE s.flight_id = ? AND b.payment_status IN ('unpaid', 'pending', 'paid')
+    `, [updatedFlight.flight_id]);
+
+    const describeSchedule = flight => {
+        return `${flight.departure_airport} ${formatAirportTime(flight.departure_time, flight.departure_airport)} → ${flight.arrival_airport} ${formatAirportTime(flight.arrival_time, flight.arrival_airport)}`;
+    };
+
+    let queued = 0;
+    await withTransaction(async () => {
+        for (const booking of bookings) {
+            queued += await enqueueBookingNotification(booking.booking_id, eventType, {
+                flightCode: `${updatedFlight.airline_code}${updatedFlight.flight_number}`,
+                previousSchedule: describeSchedule(previousFlight),
+                newSchedule: describeSchedule(updatedFlight)
+            });
+        }
+    });
+    if (queued > 0) {
+        console.log(`Queued ${queued} ${eventType} notifications for flight ${updatedFlight.flight_id}`);
+        afterCommit(processNotificationOutbox);
+    }
+    return queued;
+}
+
+// Send what is due in the outbox. Failed messages are retried with exponential backoff
+// until NOTIFICATION_MAX_ATTEMPTS, then stay 'failed' until an admin retries them.
+let notificationWorkerRunning = false;
+async function processNotificationOutbox() {
+    if (notificationWorkerRunning) return;
+    notificationWorkerRunning = true;
+    try {
+        const due = await db.all(`
+            SELECT * FROM notification_outbox
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at, notification_id
+            LIMIT 50
+        `, [new Date().toISOString()]);
+
+        for (const notification of due) {
+            await deliverNotification(notification);
+        }
+    } catch (error) {
+        console.error('Error processing notification outbox:', error);
+    } finally {
+        notificationWorkerRunning = false;
+    }
+}
+
+async function deliverNotification(notification) {
+    const transportName = notification.channel === 'email' ? EMAIL_TRANSPORT : SMS_TRANSPORT;
+    const attempts = notification.attempts + 1;
+    try {
+        const transport = NOTIFICATION_TRANSPORTS[transportName];
+        if (!transport) {
+            throw new Error(`Unknown notification transport: ${transportName}`);
+        }
+        await transport.send(notification);
+
+        await db.run(`
+            UPDATE notification_outbox SET status = 'sent', attempts = ?, transport = ?, last_error = NULL, sent_at = ?
+            WHERE notification_id = ?
+        `, [attempts, transportName, new Date().toISOString(), notification.notification_id]);
+    } catch (error) {
+        const giveUp = attempts >= NOTIFICATION_MAX_ATTEMPTS;
+        const retryAt = new Date(Date.now() + NOTIFICATION_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1)).toISOString();
+        console.error(`Notification ${notification.notification_id} (${notification.channel} to ${notification.recipient}) failed: ${error.message}`);
+
+        await db.run(`
+            UPDATE notification_outbox SET status = ?, attempts = ?, transport = ?, last_error = ?, next_attempt_at = ?
+            WHERE notification_id = ?
+        `, [giveUp ? 'failed' : 'pending', attempts, transportName, error.message, retryAt, notification.notification_id]);
+    }
+}
+
+function formatNotificationForClient(notification) {
+    return {
+        notificationId: notification.notification_id,
+        bookingId: notification.booking_id,
+        eventType: notification.event_type,
+        channel: notification.channel,
+        recipient: notification.recipient,
+        locale: notification.locale,
+        subject: notification.subject,
+        body: notification.body,
+        status: notification.status,
+        attempts: notification.attempts,
+        lastError: notification.last_error,
+        transport: notification.transport,
+        nextAttemptAt: notification.status === 'pending' ? notification.next_attempt_at : null,
+        createdAt: notification.created_at,
+        sentAt: notification.sent_at
+    };
+}
+
+// 13-digit e-ticket number: airline prefix + 10 random digits
+function generateTicketNumber() {
+    let digits = '';
+    for (let i = 0; i < 13 - TICKET_NUMBER_PREFIX.length; i++) {
+        digits += crypto.randomInt(10);
+    }
+    return `${TICKET_NUMBER_PREFIX}${digits}`;
+}
+
+// Give every passenger of a paid booking a ticket number (passengers that already have one keep it)
+async function issueTicketNumbers(bookingId) {
+    const passengers = await db.all('SELECT detail_id FROM booking_details WHERE booking_id = ? AND ticket_number IS NULL', [bookingId]);
+    for (const passenger of passengers) {
+        let ticketNumber;
+        do {
+            ticketNumber = generateTicketNumber();
+        } while (await db.get('SELECT 1 FROM booking_details WHERE ticket_number = ?', [ticketNumber]));
+        await db.run('UPDATE booking_details SET ticket_number = ? WHERE detail_id = ?', [ticketNumber, passenger.detail_id]);
+    }
+    return passengers.length;
+}
+
+// QR code contents: FV1.R.<bookingId>.<signature> on the receipt,
+// FV1.T.<bookingId>.<ticketNumber>.<signature> on an e-ticket
+function buildTicketCode(bookingId, ticketNumber = null) {
+    const payload = ticketNumber ? `FV1.T.${bookingId}.${ticketNumber}` : `FV1.R.${bookingId}`;
+    return `${payload}.${signTicketPayload(payload)}`;
+}
+
+function signTicketPayload(payload) {
+    return hmacHex('sha256', TICKET_SIGNING_SECRET, payload).slice(0, 24);
+}
+
+// Returns { bookingId, ticketNumber } for a genuine code, null for anything else
+function parseTicketCode(code) {
+    const parts = String(code || '').trim().split('.');
+    const isReceipt = parts.length === 4 && parts[1] === 'R';
+    const isTicket = parts.length === 5 && parts[1] === 'T';
+    if (parts[0] !== 'FV1' || (!isReceipt && !isTicket)) {
+        return null;
+    }
+    const signature = parts.pop();
+    if (!safeEqual(signTicketPayload(parts.join('.')), signature)) {
+        return null;
+    }
+    return { bookingId: parts[2], ticketNumber: isTicket ? parts[3] : null };
+}
+
+// Everything the receipt and e-tickets print. Documents only exist for paid bookings.
+async function getTicketDocumentData(bookingId) {
+    const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [bookingId]);
+    if (!booking) {
+        throw new BookingError(404, 'Booking not found');
+    }
+    if (booking.payment_status !== 'paid') {
+        throw new BookingError(409, 'Tickets are only issued for paid bookings', { paymentStatus: booking.payment_status });
+    }
+
+    // Bookings paid before ticket numbers existed get theirs now
+    if (await db.get('SELECT 1 FROM booking_details WHERE booking_id = ? AND ticket_number IS NULL', [bookingId])) {
+        await withTransaction(() => issueTicketNumbers(bookingId));
+    }
+
+    const segments = await getBookingSegments(bookingId);
+    for (const segment of segments) {
+        segment.flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [segment.flight_id]);
+    }
+    const passengers = await db.all('SELECT * FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [bookingId]);
+    await attachSeatAssignments(passengers);
+    await attachAncillaries(passengers);
+
+    // Legs that were refunded are left off the passenger's ticket
+    const refundedItems = await db.all(`
+        SELECT ri.detail_id, ri.flight_id, ri.refund_amount FROM refund_items ri
+        JOIN refunds r ON ri.refund_id = r.refund_id
+        WHERE r.booking_id = ? AND r.status = 'completed'
+    `, [bookingId]);
+    const refunded = new Set(refundedItems.map(item => `${item.detail_id}:${item.flight_id}`));
+    for (const passenger of passengers) {
+        passenger.segments = segments.filter(segment => !refunded.has(`${passenger.detail_id}:${segment.flight_id}`));
+    }
+
+    return {
+        booking,
+        segments,
+        passengers,
+        payment: await db.get('SELECT * FROM payments WHERE booking_id = ?', [bookingId]),
+        refundedAmount: refundedItems.reduce((sum, item) => sum + (item.refund_amount || 0), 0)
+    };
+}
+
+function describePassengerServices(passenger) {
+    // Bookings made with the ancillary catalog list what was bought, older ones only have the flags
+    if (passenger.ancillaries && passenger.ancillaries.length > 0) {
+        return [...new Set(passenger.ancillaries.map(item => item.name || item.ancillary_code))].join(', ');
+    }
+    const services = [];
+    if (passenger.luggage_weight > 0) services.push(`Hành lý ký gửi ${passenger.luggage_weight}kg`);
+    if (passenger.meal) services.push('Suất ăn');
+    if (passenger.insurance) services.push('Bảo hiểm du lịch');
+    return services.length > 0 ? services.join(', ') : 'Không';
+}
+
+function createTicketPdf() {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    doc.registerFont('regular', PDF_FONT_REGULAR);
+    doc.registerFont('bold', PDF_FONT_BOLD);
+    return doc;
+}
+
+// Label/value lines in two columns
+function writePdfFields(doc, fields) {
+    for (const [label, value] of fields) {
+        const y = doc.y;
+        doc.font('regular').fontSize(10).fillColor('#555555').text(label, 50, y, { width: 150 });
+        doc.font('bold').fillColor('#000000').text(String(value), 200, y, { width: 345 });
+        doc.moveDown(0.3);
+    }
+}
+
+function writePdfFlightTable(doc, segments, seatsByFlight = {}) {
+    const columns = [
+        { header: 'Chuyến bay', width: 80 },
+        { header: 'Hành trình', width: 95 },
+        { header: 'Khởi hành', width: 110 },
+        { header: 'Đến nơi', width: 110 },
+        { header: 'Ghế', width: 100 }
+    ];
+    const drawRow = (cells, font) => {
+        const y = doc.y;
+        let x = 50;
+        doc.font(font).fontSize(10);
+        cells.forEach((cell, i) => {
+            doc.text(String(cell), x + 4, y + 4, { width: columns[i].width - 8 });
+            x += columns[i].width;
+        });
+        doc.moveTo(50, y + 20).lineTo(x, y + 20).strokeColor('#cccccc').stroke();
+        doc.y = y + 22;
+    };
+    drawRow(columns.map(c => c.header), 'bold');
+    for (const segment of segments) {
+        const flight = segment.flight;
+        drawRow([
+            `${flight.airline_code}${flight.flight_number}`,
+            `${flight.departure_airport} → ${flight.arrival_airport}`,
+            formatAirportTime(flight.departure_time, flight.departure_airport),
+            formatAirportTime(flight.arrival_time, flight.arrival_airport),
+            seatsByFlight[segment.flight_id] || '-'
+        ], 'regular');
+    }
+    doc.x = 50;
+}
+
+// Itinerary receipt: the whole booking, every passenger, and what was paid
+async function writeReceiptPdf(stream, data) {
+    const { booking, segments, passengers, payment, refundedAmount } = data;
+    const qrImage = await QRCode.toBuffer(buildTicketCode(booking.booking_id), { margin: 1, width: 200 });
+
+    const doc = createTicketPdf();
+    doc.pipe(stream);
+
+    doc.font('bold').fontSize(18).text('FlyViet - Biên nhận hành trình', 50, 50);
+    doc.font('regular').fontSize(10).text(`Ngày xuất: ${formatVietnamTime(new Date().toISOString())}`);
+    doc.image(qrImage, 445, 45, { width: 100 });
+    doc.y = 160;
+
+    writePdfFields(doc, [
+        ['Mã đặt chỗ', booking.booking_id],
+        ['Người liên hệ', booking.contact_name],
+        ['Email / Điện thoại', [booking.email, booking.phone].filter(Boolean).join(' / ') || '-'],
+        ['Hạng vé', SEAT_CLASS_LABELS[booking.travel_class] || booking.travel_class],
+        ['Trạng thái', PAYMENT_STATUS_LABELS[booking.payment_status] || booking.payment_status]
+    ]);
+
+    doc.moveDown(1).font('bold').fontSize(14).text('Chuyến bay', 50).moveDown(0.5);
+    writePdfFlightTable(doc, segments);
+
+    doc.moveDown(1).font('bold').fontSize(14).text('Hành khách', 50).moveDown(0.5);
+    for (const passenger of passengers) {
+        doc.font('bold').fontSize(10).text(`${passenger.full_name} - Số vé ${passenger.ticket_number}`, 50);
+        doc.font('regular').text(`Dịch vụ: ${describePassengerServices(passenger)}`, 50).moveDown(0.4);
+    }
+
+    doc.moveDown(1).font('bold').fontSize(14).text('Thanh toán', 50).moveDown(0.5);
+    const paymentFields = [
+        ['Số tiền đã thanh toán', formatCurrency(booking.total_amount)],
+        ['Phương thức', payment ? payment.method : '-'],
+        ['Thời gian', payment ? formatVietnamTime(payment.received_at) : '-']
+    ];
+    if (booking.promo_code) {
+        paymentFields.push(['Mã khuyến mãi', booking.promo_code]);
+    }
+    if (refundedAmount > 0) {
+        paymentFields.push(['Đã hoàn tiền', formatCurrency(refundedAmount)]);
+    }
+    writePdfFields(doc, paymentFields);
+
+    doc.end();
+}
+
+// E-ticket for one passenger, with the legs they still hold
+async function writeETicketPdf(stream, data, passenger) {
+    const { booking } = data;
+    const qrImage = await QRCode.toBuffer(buildTicketCode(booking.booking_id, passenger.ticket_number), { margin: 1, width: 200 });
+
+    const doc = createTicketPdf();
+    doc.pipe(stream);
+
+    doc.font('bold').fontSize(18).text('FlyViet - Vé điện tử', 50, 50);
+    doc.font('regular').fontSize(10).text('E-ticket / Itinerary');
+    doc.image(qrImage, 445, 45, { width: 100 });
+    doc.y = 160;
+
+    writePdfFields(doc, [
+        ['Hành khách', passenger.full_name],
+        ['Số vé', passenger.ticket_number],
+        ['Mã đặt chỗ', booking.booking_id],
+        ['Hộ chiếu / CCCD', passenger.passport_number],
+        ['Hạng vé', SEAT_CLASS_LABELS[booking.travel_class] || booking.travel_class],
+        ['Dịch vụ', describePassengerServices(passenger)]
+    ]);
+
+    const seatsByFlight = {};
+    for (const seat of passenger.seats || []) {
+        seatsByFlight[seat.flight_id] = seat.seat_number;
+    }
+    doc.moveDown(1).font('bold').fontSize(14).text('Chuyến bay', 50).moveDown(0.5);
+    writePdfFlightTable(doc, passenger.segments, seatsByFlight);
+
+    doc.moveDown(2).font('regular').fontSize(9).fillColor('#555555')
+        .text('Vui lòng có mặt tại quầy làm thủ tục ít nhất 2 giờ trước giờ khởi hành và mang theo giấy tờ tùy thân ghi trên vé.', 50);
+
+    doc.end();
+}
+
+// Check-in opens CHECKIN_OPENS_HOURS and closes CHECKIN_CLOSES_MINUTES before departure
+function getCheckinWindow(flight, now = new Date()) {
+    const departure = new Date(flight.departure_time);
+    const opensAt = new Date(departure.getTime() - CHECKIN_OPENS_HOURS * 60 * 60 * 1000);
+    const closesAt = new Date(departure.getTime() - CHECKIN_CLOSES_MINUTES * 60 * 1000);
+    let status = 'open';
+    if (flight.status === 'cancelled') {
+        status = 'unavailable';
+    } else if (now < opensAt) {
+        status = 'not_open';
+    } else if (now >= closesAt) {
+        status = 'closed';
+    }
+    return { opensAt: opensAt.toISOString(), closesAt: closesAt.toISOString(), status };
+}
+
+// Uppercase ASCII words without Vietnamese accents: "Trần Thị Bình" -> ['TRAN', 'THI', 'BINH']
+function toNameWords(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[đĐ]/g, 'D')
+        .toUpperCase()
+        .replace(/[^A-Z ]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+// Split a passenger name into surname and given names. The surname may be written first (Vietnamese order)
+// or last; `surname` tells which when it matches, otherwise the first word is taken as the surname.
+// Returns null if `surname` is given and matches neither end of the name.
+function splitPassengerName(fullName, surname = null) {
+    const words = toNameWords(fullName);
+    const surnameWords = toNameWords(surname);
+    const matches = part => part.length === surnameWords.length && part.every((word, i) => word === surnameWords[i]);
+
+    if (surnameWords.length > 0) {
+        if (matches(words.slice(0, surnameWords.length))) {
+            return { surname: surnameWords.join(' '), givenNames: words.slice(surnameWords.length).join(' ') };
+        }
+        if (matches(words.slice(-surnameWords.length))) {
+            return { surname: surnameWords.join(' '), givenNames: words.slice(0, -surnameWords.length).join(' ') };
+        }
+        return null;
+    }
+    return { surname: words[0] || '', givenNames: words.slice(1).join(' ') };
+}
+
+// Find a paid booking by ID and the surname of one of its passengers.
+// Both mismatches give the same answer so the lookup cannot be used to probe booking IDs.
+async function findCheckinBooking(bookingId, lastName) {
+    if (!bookingId || !lastName) {
+        throw new BookingError(400, 'bookingId and lastName are required');
+    }
+    const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [String(bookingId).trim().toUpperCase()]);
+    const passengers = booking
+        ? await db.all('SELECT * FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [booking.booking_id])
+        : [];
+    if (!passengers.some(passenger => splitPassengerName(passenger.full_name, lastName))) {
+        throw new BookingError(404, 'No booking found for this booking ID and surname');
+    }
+    if (booking.payment_status !== 'paid') {
+        throw new BookingError(409, 'Only paid bookings can be checked in', { paymentStatus: booking.payment_status });
+    }
+    return { booking, passengers };
+}
+
+// Customer routes that change a booking need proof that the caller holds it: the session of the customer
+// who booked it, or the booking's manage code (see generateManageCode) sent as `manageCode`.
+// Contact details are no use here - GET /api/bookings/:id shows them to anyone with the booking ID.
+// Fails with 404 like an unknown booking, so booking IDs cannot be probed. Returns the logged-in customer, if any.
+async function authorizeBookingAccess(req, booking) {
+    const customer = await getCustomerFromRequest(req);
+    const { manageCode } = req.body || {};
+    if (booking) {
+        if (customer && booking.customer_id === customer.customer_id) {
+            return customer;
+        }
+        if (manageCode && booking.manage_code_hash && safeEqual(hashToken(String(manageCode).trim().toUpperCase()), booking.manage_code_hash)) {
+            return customer;
+        }
+    }
+    throw new BookingError(404, 'No booking found for this booking ID and manage code');
+}
+
+// Check-in state of every passenger on every leg of a booking
+async function getBookingCheckinStatus(booking, passengers) {
+    const segments = await getBookingSegments(booking.booking_id);
+    const checkins = await db.all('SELECT * FROM checkins WHERE booking_id = ?', [booking.booking_id]);
+    const refunded = new Set((await db.all(`
+        SELECT ri.detail_id, ri.flight_id FROM refund_items ri
+        JOIN refunds r ON ri.refund_id = r.refund_id
+        WHERE r.booking_id = ? AND r.status = 'completed'
+    `, [booking.booking_id])).map(item => `${item.detail_id}:${item.flight_id}`));
+
+    const result = [];
+    for (const segment of segments) {
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [segment.flight_id]);
+        const seats = await db.all('SELECT detail_id, seat_number FROM flight_seats WHERE flight_id = ? AND detail_id IS NOT NULL', [segment.flight_id]);
+
+        result.push({
+            direction: segment.direction,
+            segmentOrder: segment.segment_order,
+            flight: formatFlightForClient(flight),
+            checkinWindow: getCheckinWindow(flight),
+            passengers: passengers
+                .filter(passenger => !refunded.has(`${passenger.detail_id}:${segment.flight_id}`))
+                .map(passenger => {
+                    const checkin = checkins.find(c => c.detail_id === passenger.detail_id && c.flight_id === segment.flight_id);
+                    const seat = seats.find(s => s.detail_id === passenger.detail_id);
+                    return {
+                        detailId: passenger.detail_id,
+                        fullName: passenger.full_name,
+                        seatNumber: checkin ? checkin.seat_number : (seat ? seat.seat_number : null),
+                        checkedIn: !!checkin,
+                        boardingPass: checkin ? formatBoardingPassForClient(checkin, passenger, flight, booking.travel_class) : null
+                    };
+                })
+        });
+    }
+    return result;
+}
+
+// Travel document checks for one passenger; returns a list of problems (empty when fine)
+function validateCheckinDocument(passenger, document, flight) {
+    const errors = [];
+    const passportNumber = String(document.passportNumber || '').replace(/\s/g, '').toUpperCase();
+    if (!/^[A-Z0-9]{6,12}$/.test(passportNumber)) {
+        errors.push('passportNumber must be 6-12 letters or digits');
+    } else if (passportNumber !== String(passenger.passport_number || '').replace(/\s/g, '').toUpperCase()) {
+        errors.push('passportNumber does not match the booking');
+    }
+
+    if (!/^[A-Z]{3}$/.test(String(document.nationality || '').toUpperCase())) {
+        errors.push('nationality must be a 3-letter ISO country code (e.g. VNM)');
+    }
+
+    const expiry = String(document.passportExpiry || '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expiry) || isNaN(new Date(expiry).getTime())) {
+        errors.push('passportExpiry must be a date (YYYY-MM-DD)');
+    } else if (expiry < getFlightLocalDate(flight)) {
+        errors.push('Travel document expires before the flight');
+    }
+    return errors;
+}
+
+// IATA BCBP (Resolution 792) mandatory items for a single leg, followed by the booking ID as airline data.
+// Example: M1TRAN/THI BINH       E4OB8AWGHANSGNVN 0213 292Y001A0001 10A4OB8AWGXJG
+function buildBoardingPassBarcode({ surname, givenNames, bookingId, flight, seatClass, seatNumber, sequenceNumber }) {
+    const localDate = getFlightLocalDate(flight);
+    const [year, month, day] = localDate.split('-').map(Number);
+    const dayOfYear = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000) + 1;
+    const seatMatch = String(seatNumber).match(/^(\d+)([A-Z])$/);
+    const flightMatch = String(flight.flight_number).match(/^(\d+)([A-Z]?)$/);
+    const airlineData = bookingId;
+
+    return [
+        'M1',
+        `${surname}/${givenNames}`.slice(0, 20).padEnd(20),
+        'E',
+        bookingId.slice(0, 7).padEnd(7),
+        flight.departure_airport.padEnd(3),
+        flight.arrival_airport.padEnd(3),
+        flight.airline_code.padEnd(3),
+        flightMatch ? `${flightMatch[1].padStart(4, '0')}${flightMatch[2] || ' '}` : String(flight.flight_number).padEnd(5).slice(0, 5),
+        String(dayOfYear).padStart(3, '0'),
+        BCBP_COMPARTMENT_CODES[seatClass] || 'Y',
+        seatMatch ? `${seatMatch[1].padStart(3, '0')}${seatMatch[2]}` : String(seatNumber).padStart(4, '0').slice(0, 4),
+        `${String(sequenceNumber).padStart(4, '0')} `,
+        '1',  // Passenger status: checked in
+        airlineData.length.toString(16).toUpperCase().padStart(2, '0'),
+        airlineData
+    ].join('');
+}
+
+function formatBoardingPassForClient(checkin, passenger, flight, seatClass) {
+    return {
+        detailId: passenger.detail_id,
+        fullName: passenger.full_name,
+        ticketNumber: passenger.ticket_number,
+        bookingId: checkin.booking_id,
+        flightId: flight.flight_id,
+        flightCode: `${flight.airline_code}${flight.flight_number}`,
+        departureAirport: flight.departure_airport,
+        arrivalAirport: flight.arrival_airport,
+        departureTime: flight.departure_time,
+        seatClass,
+        seatNumber: checkin.seat_number,
+        sequenceNumber: checkin.sequence_number,
+        checkedInAt: checkin.checked_in_at,
+        barcodeFormat: 'IATA BCBP',
+        barcode: checkin.boarding_pass_barcode
+    };
+}
+
+// Work out what a delay or cancellation does to every live booking on the flight, without changing anything.
+// Delays only notify (and flag connections the new times break). Cancellations move each booking to the next
+// flight on the same route with room in its class - right away ('auto') or as a proposal ('propose') -
+// and bookings without an alternative get a fee-free refund (paid) or are cancelled (not paid yet).
+async function planDisruption(flight, { type, newDepartureTime, newArrivalTime, rebooking }) {
+    const updatedFlight = type === 'delay'
+        ? { ...flight, departure_time: newDepartureTime, arrival_time: newArrivalTime }
+        : { ...flight, status: 'cancelled' };
+
+    const affected = await db.all(`
+        SELECT b.*, s.direction FROM booking_segments s
+        JOIN bookings b ON s.booking_id = b.booking_id
+        WHERE s.flight_id = ? AND b.payment_status IN ('unpaid', 'pending', 'paid')
+        ORDER BY b.booking_time, b.booking_id
+    `, [flight.flight_id]);
+
+    // Next flights on the same route, earliest first; seats are counted down as the plan hands them out
+    const alternatives = type === 'cancellation' ? await db.all(`
+        SELECT * FROM flights
+        WHERE departure_airport = ? AND arrival_airport = ? AND flight_id != ?
+          AND status != 'cancelled'
+          AND departure_time >= ? AND departure_time > ? AND departure_time <= ?
+        ORDER BY departure_time
+    `, [
+        flight.departure_airport, flight.arrival_airport, flight.flight_id,
+        flight.departure_time, new Date().toISOString(),
+        new Date(new Date(flight.departure_time).getTime() + DISRUPTION_REBOOK_WINDOW_HOURS * 60 * 60 * 1000).toISOString()
+    ]) : [];
+
+    const entries = [];
+    for (const booking of affected) {
+        // Passengers whose ticket for this flight was already refunded are not affected
+        const passengers = await db.all(`
+            SELECT bd.* FROM booking_details bd
+            WHERE bd.booking_id = ? AND NOT EXISTS (
+                SELECT 1 FROM refund_items ri JOIN refunds r ON ri.refund_id = r.refund_id
+                WHERE r.status = 'completed' AND ri.detail_id = bd.detail_id AND ri.flight_id = ?
+            )
+            ORDER BY bd.detail_id
+        `, [booking.booking_id, flight.flight_id]);
+        if (passengers.length === 0) continue;
+
+        // The booking's legs in the same direction, to check connections against the new times
+        const legs = [];
+        for (const segment of (await getBookingSegments(booking.booking_id)).filter(s => s.direction === booking.direction)) {
+            legs.push(segment.flight_id === flight.flight_id ? updatedFlight : await db.get('SELECT * FROM flights WHERE flight_id = ?', [segment.flight_id]));
+        }
+
+        const entry = {
+            booking,
+            direction: booking.direction,
+            passengers,
+            directionFlightIds: legs.map(leg => leg.flight_id),
+            action: 'notified',
+            alternativeFlight: null,
+            note: null
+        };
+
+        if (type === 'delay') {
+            const connectionProblem = validateConnections(legs);
+            if (connectionProblem) {
+                entry.note = `Connection broken: ${connectionProblem}`;
+            }
+        } else {
+            const seatClass = booking.travel_class || 'ECONOMY';
+            const seatField = getSeatFieldForClass(seatClass);
+            entry.alternativeFlight = alternatives.find(candidate => {
+                if (!formatFlightForClient(candidate).availableClasses.includes(seatClass) || candidate[seatField] < passengers.length) {
+                    return false;
+                }
+                return !validateConnections(legs.map(leg => leg.flight_id === flight.flight_id ? candidate : leg));
+            }) || null;
+
+            if (entry.alternativeFlight) {
+                entry.alternativeFlight[seatField] -= passengers.length;
+                entry.action = rebooking === 'auto' ? 'rebooked' : 'proposed';
+            } else {
+                entry.action = booking.payment_status === 'paid' ? 'refund_entitled' : 'cancelled';
+                entry.note = 'No alternative flight with free seats';
+            }
+        }
+        entries.push(entry);
+    }
+
+    return { flight, updatedFlight, type, rebooking, entries };
+}
+
+// Carry out a plan from planDisruption (must run inside withTransaction). Returns the new disruption ID.
+async function applyDisruption(plan, { reason, actor }) {
+    const { flight, updatedFlight, type, rebooking, entries } = plan;
+    const now = new Date().toISOString();
+
+    const result = await db.run(`
+        INSERT INTO flight_disruptions (
+            flight_id, type, reason, previous_departure_time, previous_arrival_time,
+            new_departure_time, new_arrival_time, rebooking_mode, created_by, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        flight.flight_id, type, reason || null, flight.departure_time, flight.arrival_time,
+        type === 'delay' ? updatedFlight.departure_time : null,
+        type === 'delay' ? updatedFlight.arrival_time : null,
+        rebooking, actor, now
+    ]);
+    const disruptionId = result.lastID;
+
+    if (type === 'delay') {
+        const duration = formatDuration(getDurationMinutes(updatedFlight.departure_time, updatedFlight.arrival_time));
+        await db.run(
+            "UPDATE flights SET departure_time = ?, arrival_time = ?, duration = ?, status = 'delayed' WHERE flight_id = ?",
+            [updatedFlight.departure_time, updatedFlight.arrival_time, duration, flight.flight_id]
+        );
+    } else {
+        await db.run("UPDATE flights SET status = 'cancelled' WHERE flight_id = ?", [flight.flight_id]);
+    }
+
+    const schedule = f => `${f.departure_airport} ${formatAirportTime(f.departure_time, f.departure_airport)} → ${f.arrival_airport} ${formatAirportTime(f.arrival_time, f.arrival_airport)}`;
+    const flightCode = `${flight.airline_code}${flight.flight_number}`;
+    const disruptionReason = `Flight ${flightCode} ${type === 'delay' ? 'delayed' : 'cancelled'}${reason ? `: ${reason}` : ''}`;
+
+    for (const entry of entries) {
+        const bookingId = entry.booking.booking_id;
+        let status = 'done';
+        let refundId = null;
+        let note = entry.note;
+
+        // Tell the customer first - the rebooking notice follows it
+        await enqueueBookingNotification(bookingId, type === 'delay' ? 'flight_changed' : 'flight_cancelled', {
+            flightCode,
+            previousSchedule: schedule(flight),
+            newSchedule: schedule(updatedFlight)
+        });
+
+        if (entry.action === 'rebooked') {
+            await moveBookingLeg(entry.booking, flight.flight_id, entry.alternativeFlight, entry.passengers.map(p => p.detail_id));
+            await enqueueBookingNotification(bookingId, 'flight_rebooked', {
+                flightCode,
+                newFlight: formatNotificationFlight(entry.alternativeFlight, entry.booking.locale)
+            });
+        } else if (entry.action === 'proposed') {
+            status = 'pending';
+        } else if (entry.action === 'refund_entitled') {
+            ({ refundId, note } = await createDisruptionRefund(entry, disruptionReason, actor, note));
+        } else if (entry.action === 'cancelled') {
+            await transitionBookingStatus(bookingId, 'cancelled', { actor, reason: disruptionReason });
+        }
+
+        await db.run(`
+            INSERT INTO disruption_bookings (
+                disruption_id, booking_id, direction, passenger_count, action, status,
+                alternative_flight_id, refund_id, note
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            disruptionId, bookingId, entry.direction, entry.passengers.length, entry.action, status,
+            entry.alternativeFlight ? entry.alternativeFlight.flight_id : null, refundId, note
+        ]);
+    }
+
+    return disruptionId;
+}
+
+// Fee-free refund request for the disrupted direction of a paid booking (finance still approves it)
+async function createDisruptionRefund(entry, reason, actor, note) {
+    try {
+        const refundId = await createRefundRequest(entry.booking.booking_id, {
+            reason,
+            passengerIds: entry.passengers.map(p => p.detail_id),
+            flightIds: entry.directionFlightIds,
+            waiveFees: true,
+            requestedBy: actor
+        });
+        return { refundId, note };
+    } catch (error) {
+        // Tickets that already have a refund under way keep it
+        if (error instanceof BookingError && error.status === 409) {
+            return { refundId: null, note: `${note ? `${note}. ` : ''}${error.message}` };
+        }
+        throw error;
+    }
+}
+
+// Move the passengers of one leg to another flight: inventory, seats, check-ins and the booking's segments
+async function moveBookingLeg(booking, fromFlightId, toFlight, detailIds) {
+    const seatClass = booking.travel_class || 'ECONOMY';
+    // Generate the seat map before the seats are taken and the segment moves, so these passengers
+    // are neither left out of the map nor seated twice
+    await ensureSeatMap(toFlight.flight_id);
+    await reserveSeats(toFlight.flight_id, seatClass, detailIds.length, 'alternative');
+    await releaseSeats(fromFlightId, seatClass, detailIds.length);
+
+    await releaseSeatAssignments(fromFlightId, detailIds);
+    await assignSeats(toFlight.flight_id, seatClass, detailIds.map(detailId => ({ detailId })));
+    await db.run('DELETE FROM checkins WHERE booking_id = ? AND flight_id = ?', [booking.booking_id, fromFlightId]);
+
+    await db.run('UPDATE booking_segments SET flight_id = ? WHERE booking_id = ? AND flight_id = ?', [toFlight.flight_id, booking.booking_id, fromFlightId]);
+    // Services bought for the leg are carried over to the new flight
+    await db.run('UPDATE booking_ancillaries SET flight_id = ? WHERE booking_id = ? AND flight_id = ?', [toFlight.flight_id, booking.booking_id, fromFlightId]);
+    await db.run('UPDATE bookings SET departure_flight_id = ? WHERE booking_id = ? AND departure_flight_id = ?', [toFlight.flight_id, booking.booking_id, fromFlightId]);
+    await db.run('UPDATE bookings SET return_flight_id = ? WHERE booking_id = ? AND return_flight_id = ?', [toFlight.flight_id, booking.booking_id, fromFlightId]);
+    // Tickets refunded earlier follow the leg, so refund bookkeeping keeps matching the booking's segments
+    await db.run(
+        'UPDATE refund_items SET flight_id = ? WHERE flight_id = ? AND refund_id IN (SELECT refund_id FROM refunds WHERE booking_id = ?)',
+        [toFlight.flight_id, fromFlightId, booking.booking_id]
+    );
+}
+
+function formatDisruptionPlanForClient(plan) {
+    return {
+        flight: formatFlightForClient(plan.flight),
+        type: plan.type,
+        rebookingMode: plan.rebooking,
+        newDepartureTime: plan.type === 'delay' ? plan.updatedFlight.departure_time : null,
+        newArrivalTime: plan.type === 'delay' ? plan.updatedFlight.arrival_time : null,
+        summary: summarizeDisruption(plan.entries.map(entry => ({ action: entry.action, passengerCount: entry.passengers.length }))),
+        bookings: plan.entries.map(entry => ({
+            bookingId: entry.booking.booking_id,
+            contactName: entry.booking.contact_name,
+            paymentStatus: entry.booking.payment_status,
+            direction: entry.direction,
+            passengerCount: entry.passengers.length,
+            action: entry.action,
+            alternativeFlight: entry.alternativeFlight ? formatFlightForClient(entry.alternativeFlight) : null,
+            note: entry.note
+        }))
+    };
+}
+
+function summarizeDisruption(entries) {
+    const summary = { affectedBookings: entries.length, affectedPassengers: 0, notified: 0, rebooked: 0, proposed: 0, refundEntitled: 0, cancelled: 0 };
+    const keys = { notified: 'notified', rebooked: 'rebooked', proposed: 'proposed', refund_entitled: 'refundEntitled', cancelled: 'cancelled' };
+    for (const entry of entries) {
+        summary.affectedPassengers += entry.passengerCount;
+        summary[keys[entry.action]]++;
+    }
+    return summary;
+}
+
+async function getDisruptionReport(disruptionId) {
+    const disruption = await db.get('SELECT * FROM flight_disruptions WHERE disruption_id = ?', [disruptionId]);
+    if (!disruption) return null;
+
+    const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [disruption.flight_id]);
+    const entries = await db.all(`
+        SELECT d.*, b.contact_name, b.payment_status, r.status as refund_status, r.amount as refund_amount
+        FROM disruption_bookings d
+        JOIN bookings b ON d.booking_id = b.booking_id
+        LEFT JOIN refunds r ON d.refund_id = r.refund_id
+        WHERE d.disruption_id = ?
+        ORDER BY d.disruption_booking_id
+    `, [disruptionId]);
+
+    const bookings = [];
+    for (const entry of entries) {
+        const alternative = entry.alternative_flight_id
+            ? await db.get('SELECT * FROM flights WHERE flight_id = ?', [entry.alternative_flight_id])
+            : null;
+        bookings.push({
+            bookingId: entry.booking_id,
+            contactName: entry.contact_name,
+            paymentStatus: entry.payment_status,
+            direction: entry.direction,
+            passengerCount: entry.passenger_count,
+            action: entry.action,
+            status: entry.status,
+            alternativeFlight: alternative ? formatFlightForClient(alternative) : null,
+            refund: entry.refund_id ? { refundId: entry.refund_id, status: entry.refund_status, amount: entry.refund_amount } : null,
+            note: entry.note,
+            resolvedBy: entry.resolved_by,
+            resolvedAt: entry.resolved_at
+        });
+    }
+
+    return {
+        disruptionId: disruption.disruption_id,
+        flight: flight ? formatFlightForClient(flight) : null,
+        type: disruption.type,
+        reason: disruption.reason,
+        rebookingMode: disruption.rebooking_mode,
+        previousDepartureTime: disruption.previous_departure_time,
+        previousArrivalTime: disruption.previous_arrival_time,
+        newDepartureTime: disruption.new_departure_time,
+        newArrivalTime: disruption.new_arrival_time,
+        createdBy: disruption.created_by,
+        createdAt: disruption.created_at,
+        summary: summarizeDisruption(entries.map(entry => ({ action: entry.action, passengerCount: entry.passenger_count }))),
+        bookings
+    };
+}
+
+// Read and check the body of a disruption request; returns { options } or { error }
+function parseDisruptionRequest(flight, body) {
+    const { type, newDepartureTime, newArrivalTime, rebooking = 'propose' } = body || {};
+    if (!['delay', 'cancellation'].includes(type)) {
+        return { error: 'type must be delay or cancellation' };
+    }
+    if (!['auto', 'propose'].includes(rebooking)) {
+        return { error: 'rebooking must be auto or propose' };
+    }
+    if (flight.status === 'cancelled') {
+        return { error: 'Flight is already cancelled', status: 409 };
+    }
+
+    if (type === 'cancellation') {
+        return { options: { type, rebooking } };
+    }
+
+    // Like flight times, values without a UTC offset are local times at the airports
+    const departureTime = normalizeFlightTime(newDepartureTime, flight.departure_airport);
+    if (!departureTime) {
+        return { error: 'newDepartureTime is required for a delay' };
+    }
+    if (new Date(departureTime) <= new Date(flight.departure_time)) {
+        return { error: 'newDepartureTime must be later than the current departure time' };
+    }
+    // Without a new arrival time the flight keeps its duration
+    const arrivalTime = newArrivalTime
+        ? normalizeFlightTime(newArrivalTime, flight.arrival_airport)
+        : new Date(new Date(departureTime).getTime() + (new Date(flight.arrival_time) - new Date(flight.departure_time))).toISOString();
+    if (!arrivalTime || arrivalTime <= departureTime) {
+        return { error: 'newArrivalTime must be after newDepartureTime' };
+    }
+    return {
+        options: { type, rebooking, newDepartureTime: departureTime, newArrivalTime: arrivalTime }
+    };
+}
+
+// Read and check the body of a booking modification request; returns { options } or { error }
+function parseModificationRequest(body) {
+    const { type } = body || {};
+    if (!BOOKING_MODIFICATION_TYPES.includes(type)) {
+        return { error: `type must be one of ${BOOKING_MODIFICATION_TYPES.join(', ')}` };
+    }
+
+    if (type === 'change_flight') {
+        const { direction = 'outbound', seatClass = null } = body;
+        const flightIds = Array.isArray(body.flightIds) ? body.flightIds : (body.flightId ? [body.flightId] : []);
+        if (!['outbound', 'return'].includes(direction)) {
+            return { error: 'direction must be outbound or return' };
+        }
+        if (flightIds.length === 0) {
+            return { error: 'flightIds (every leg of the new flights, in travel order) is required' };
+        }
+        if (seatClass !== null && !CABIN_ORDER.includes(seatClass)) {
+            return { error: `seatClass must be one of ${CABIN_ORDER.join(', ')}` };
+        }
+        return { options: { type, direction, flightIds, seatClass } };
+    }
+
+    if (type === 'edit_passenger') {
+        if (!body.passengerId) {
+            return { error: 'passengerId is required' };
+        }
+        const fields = {};
+        for (const field of Object.keys(PASSENGER_EDIT_FIELDS)) {
+            if (body[field] !== undefined && body[field] !== null) {
+                fields[field] = String(body[field]).trim();
+            }
+        }
+        if (Object.keys(fields).length === 0) {
+            return { error: `Nothing to change, send any of ${Object.keys(PASSENGER_EDIT_FIELDS).join(', ')}` };
+        }
+        if (fields.fullName === '' || fields.passportNumber === '') {
+            return { error: 'fullName and passportNumber cannot be empty' };
+        }
+        if (fields.dob && !isValidDateOnly(fields.dob)) {
+            return { error: 'dob must be a date (YYYY-MM-DD)' };
+        }
+        return { options: { type, passengerId: Number(body.passengerId), fields } };
+    }
+
+    if (type === 'add_passengers') {
+        const { passengers } = body;
+        if (!Array.isArray(passengers) || passengers.length === 0) {
+            return { error: 'passengers is required' };
+        }
+        const missingName = passengers.findIndex(p => !p || !p.fullName);
+        if (missingName !== -1) {
+            return { error: `fullName is required for all passengers (passenger ${missingName})` };
+        }
+        return { options: { type, passengers } };
+    }
+
+    const passengerIds = Array.isArray(body.passengerIds) ? body.passengerIds.map(Number) : [];
+    if (passengerIds.length === 0) {
+        return { error: 'passengerIds is required' };
+    }
+    return { options: { type, passengerIds, reason: body.reason || null } };
+}
+
+// Flights and names can no longer be changed this close to departure
+function checkModificationCutoff(flight, action) {
+    const hoursBefore = (new Date(flight.departure_time).getTime() - Date.now()) / (60 * 60 * 1000);
+    if (hoursBefore < MODIFICATION_CUTOFF_HOURS) {
+        throw new BookingError(409, `${action} closes ${MODIFICATION_CUTOFF_HOURS} hours before departure`, {
+            flightId: flight.flight_id,
+            departureTime: flight.departure_time
+        });
+    }
+}
+
+// Levenshtein distance: letters inserted, removed or replaced to turn one string into the other
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function describeModificationFlight(flight, fare = null) {
+    return {
+        flightId: flight.flight_id,
+        flightCode: `${flight.airline_code}${flight.flight_number}`,
+        departureAirport: flight.departure_airport,
+        arrivalAirport: flight.arrival_airport,
+        departureTime: flight.departure_time,
+        fare
+    };
+}
+
+// Work out a modification without changing anything: what it does, what it costs and what is owed.
+// Ticketed (paid) bookings pay the change fees and keep no credit from a cheaper fare; on unpaid bookings
+// there are no fees and the total simply follows the new price. Throws a BookingError if the change is not allowed.
+async function planBookingModification(booking, options, { waiveFees = false } = {}) {
+    if (INACTIVE_BOOKING_STATUSES.includes(booking.payment_status)) {
+        throw new BookingError(409, `Cannot modify a ${booking.payment_status} booking`);
+    }
+
+    const segments = await getBookingSegments(booking.booking_id);
+    for (const segment of segments) {
+        segment.flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [segment.flight_id]);
+    }
+    const plan = {
+        booking,
+        type: options.type,
+        ticketed: booking.payment_status === 'paid',
+        passengers: await db.all('SELECT * FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [booking.booking_id]),
+        segments,
+        waiveFees,
+        fareDifference: 0,
+        feeAmount: 0,
+        refund: null
+    };
+
+    if (options.type === 'change_flight') {
+        await planFlightChange(plan, options);
+    } else if (options.type === 'edit_passenger') {
+        await planPassengerEdit(plan, options);
+    } else if (options.type === 'add_passengers') {
+        await planAddedPassengers(plan, options);
+    } else {
+        await planRemovedPassengers(plan, options);
+    }
+
+    if (waiveFees) {
+        plan.feeAmount = 0;
+    }
+    const fareDue = plan.ticketed ? Math.max(0, plan.fareDifference) : plan.fareDifference;
+    plan.amountDue = Math.max(fareDue + plan.feeAmount, -booking.total_amount);
+    plan.newTotalAmount = booking.total_amount + plan.amountDue;
+    return plan;
+}
+
+// New flights for one direction, optionally in another cabin. The cabin belongs to the whole booking,
+// so a cabin change re-books the other direction's flights as well.
+async function planFlightChange(plan, { direction, flightIds, seatClass }) {
+    const { booking, segments, passengers } = plan;
+    const previousClass = booking.travel_class || 'ECONOMY';
+    const newClass = seatClass || previousClass;
+    const classChanged = newClass !== previousClass;
+
+    const previousLegs = segments.filter(segment => segment.direction === direction);
+    if (previousLegs.length === 0) {
+        throw new BookingError(400, 'Booking has no return flight to change');
+    }
+
+    const newFlights = [];
+    for (const flightId of flightIds) {
+        const flight = await findFlightByAnyId(flightId);
+        if (!flight) {
+            throw new BookingError(404, 'Flight not found', { providedId: flightId });
+        }
+        newFlights.push(flight);
+    }
+    const sameFlights = newFlights.length === previousLegs.length &&
+        newFlights.every((flight, index) => flight.flight_id === previousLegs[index].flight_id);
+    if (sameFlights && !classChanged) {
+        throw new BookingError(400, 'New flights and class are the same as booked');
+    }
+
+    // Dates, times and connections may change, the origin and destination may not
+    const origin = previousLegs[0].flight.departure_airport;
+    const destination = previousLegs[previousLegs.length - 1].flight.arrival_airport;
+    if (newFlights[0].departure_airport !== origin || newFlights[newFlights.length - 1].arrival_airport !== destination) {
+        throw new BookingError(400, `New flights must fly from ${origin} to ${destination}`);
+    }
+    const connectionError = validateConnections(newFlights);
+    if (connectionError) {
+        throw new BookingError(400, connectionError);
+    }
+    for (const flight of newFlights) {
+        if (flight.status === 'cancelled') {
+            throw new BookingError(409, 'Flight is cancelled', { flightId: flight.flight_id });
+        }
+        if (!formatFlightForClient(flight).availableClasses.includes(newClass)) {
+            throw new BookingError(400, `${newClass} is not available on flight ${flight.airline_code}${flight.flight_number}`);
+        }
+        checkModificationCutoff(flight, 'Changing to this flight');
+    }
+
+    const otherLegs = segments.filter(segment => segment.direction !== direction);
+    if (otherLegs.length > 0) {
+        const outbound = direction === 'outbound' ? newFlights : otherLegs.map(segment => segment.flight);
+        const inbound = direction === 'outbound' ? otherLegs.map(segment => segment.flight) : newFlights;
+        if (new Date(inbound[0].departure_time) <= new Date(outbound[outbound.length - 1].arrival_time)) {
+            throw new BookingError(400, 'The return flight must leave after the outbound flight arrives');
+        }
+    }
+
+    // Legs of the direction that stay on the same flight keep their seats and fare
+    const keptFlightIds = classChanged ? [] : previousLegs
+        .map(segment => segment.flight_id)
+        .filter(flightId => newFlights.some(flight => flight.flight_id === flightId));
+    const affectedLegs = classChanged ? segments : previousLegs;
+    for (const segment of affectedLegs) {
+        checkModificationCutoff(segment.flight, 'Changing flights');
+    }
+
+    const affectedIds = affectedLegs.map(segment => segment.flight_id);
+    const placeholders = affectedIds.map(() => '?').join(', ');
+    const checkedIn = await db.get(
+        `SELECT COUNT(*) as count FROM checkins WHERE booking_id = ? AND flight_id IN (${placeholders})`,
+        [booking.booking_id, ...affectedIds]
+    );
+    if (checkedIn.count > 0) {
+        throw new BookingError(409, 'Flights cannot be changed after check-in');
+    }
+    const refunded = await db.get(`
+        SELECT COUNT(*) as count FROM refund_items ri
+        JOIN refunds r ON ri.refund_id = r.refund_id
+        WHERE r.booking_id = ? AND r.status != 'rejected' AND ri.flight_id IN (${placeholders})
+    `, [booking.booking_id, ...affectedIds]);
+    if (refunded.count > 0) {
+        throw new BookingError(409, 'Flights with refunded tickets or a refund under way cannot be changed');
+    }
+
+    const newLegs = [
+        ...newFlights.map((flight, index) => ({ flight, direction, order: index + 1 })),
+        ...(classChanged ? otherLegs.map(segment => ({ flight: segment.flight, direction: segment.direction, order: segment.segment_order })) : [])
+    ];
+    newLegs.sort((a, b) => (a.direction === b.direction ? a.order - b.order : a.direction === 'outbound' ? -1 : 1));
+    const pricedFlights = await applyDynamicPricing(newLegs.map(leg => leg.flight));
+    newLegs.forEach((leg, index) => {
+        const kept = previousLegs.find(segment => keptFlightIds.includes(segment.flight_id) && segment.flight_id === leg.flight.flight_id);
+        leg.kept = !!kept;
+        leg.fare = kept ? (kept.fare ?? getClassPrice(kept.flight, previousClass)) : getClassPrice(pricedFlights[index], newClass);
+    });
+    checkLegSeats(newLegs.filter(leg => !leg.kept), newClass, passengers.length);
+
+    const multiplierTotal = passengers.reduce((sum, passenger) => sum + getPriceMultiplierForPassengerType(passenger.passenger_type), 0);
+    const previousFare = affectedLegs.reduce((sum, segment) => sum + (segment.fare ?? getClassPrice(segment.flight, previousClass)), 0);
+    const newFare = newLegs.reduce((sum, leg) => sum + leg.fare, 0);
+    plan.fareDifference = Math.round((newFare - previousFare) * multiplierTotal);
+    plan.feeAmount = plan.ticketed && !sameFlights ? (FLIGHT_CHANGE_FEES[previousClass] || 0) * passengers.length : 0;
+
+    plan.change = {
+        direction,
+        previousClass,
+        newClass,
+        releaseLegs: affectedLegs.filter(segment => !keptFlightIds.includes(segment.flight_id)),
+        newLegs
+    };
+    plan.details = {
+        direction,
+        previousSeatClass: previousClass,
+        seatClass: newClass,
+        previousFlights: affectedLegs.map(segment => ({ direction: segment.direction, ...describeModificationFlight(segment.flight, segment.fare) })),
+        newFlights: newLegs.map(leg => ({ direction: leg.direction, ...describeModificationFlight(leg.flight, leg.fare) }))
+    };
+    const codes = legs => legs.filter(leg => leg.direction === direction).map(leg => leg.flightCode).join(' + ');
+    plan.summary = `${codes(plan.details.previousFlights)} → ${codes(plan.details.newFlights)}${classChanged ? ` (${previousClass} → ${newClass})` : ''}`;
+}
+
+// Passenger details are free to fix until check-in. A name that differs by more than NAME_CORRECTION_MAX_EDITS
+// letters is a change of traveller: it costs NAME_CHANGE_FEE, closes at the cut-off and gets a new ticket.
+async function planPassengerEdit(plan, { passengerId, fields }) {
+    const passenger = plan.passengers.find(p => p.detail_id === passengerId);
+    if (!passenger) {
+        throw new BookingError(404, 'Passenger not found in this booking', { passengerId });
+    }
+
+    const changes = {};
+    const previous = {};
+    for (const [field, column] of Object.entries(PASSENGER_EDIT_FIELDS)) {
+        if (fields[field] !== undefined && fields[field] !== (passenger[column] || '')) {
+            changes[field] = fields[field];
+            previous[field] = passenger[column];
+        }
+    }
+    if (Object.keys(changes).length === 0) {
+        throw new BookingError(400, 'Passenger details are the same as booked');
+    }
+
+    const checkin = await db.get('SELECT flight_id FROM checkins WHERE detail_id = ?', [passengerId]);
+    if (checkin) {
+        throw new BookingError(409, 'Passenger details cannot be changed after check-in', { flightId: checkin.flight_id });
+    }
+
+    // The fare was priced for the passenger type, so a date of birth may not move the passenger to another one
+    if (changes.dob) {
+        const newType = determinePassengerTypeFromDOB(changes.dob);
+        if (newType !== (passenger.passenger_type || 'ADULT')) {
+            throw new BookingError(409, 'The new date of birth changes the passenger type, remove the passenger and add them again instead', {
+                passengerType: passenger.passenger_type,
+                newPassengerType: newType
+            });
+        }
+    }
+
+    let nameChange = null;
+    if (changes.fullName) {
+        const edits = getEditDistance(toNameWords(passenger.full_name).join(' '), toNameWords(changes.fullName).join(' '));
+        nameChange = edits <= NAME_CORRECTION_MAX_EDITS ? 'correction' : 'name_change';
+        if (nameChange === 'name_change') {
+            for (const segment of plan.segments) {
+                checkModificationCutoff(segment.flight, 'Changing the passenger name');
+            }
+            plan.feeAmount = plan.ticketed ? NAME_CHANGE_FEE : 0;
+        }
+    }
+
+    plan.change = { passenger, changes, nameChange };
+    plan.details = { passengerId, previous, changes, nameChange };
+    plan.summary = changes.fullName ? `${passenger.full_name} → ${changes.fullName}` : `${passenger.full_name}: ${Object.keys(changes).join(', ')}`;
+}
+
+// New passengers fly every leg of the booking in its cabin, at today's engine fares plus their ancillaries
+async function planAddedPassengers(plan, { passengers }) {
+    const seatClass = plan.booking.travel_class || 'ECONOMY';
+    const legs = plan.segments.map(segment => ({ flight: segment.flight, direction: segment.direction, order: segment.segment_order }));
+    for (const leg of legs) {
+        checkModificationCutoff(leg.flight, 'Adding passengers');
+    }
+    checkLegSeats(legs, seatClass, passengers.length);
+
+    const quote = await buildFareQuote({ legs, seatClass, passengers, selectedServices: null, promoCode: null });
+    plan.fareDifference = quote.totalAmount;
+
+    plan.change = {
+        legs,
+        seatClass,
+        passengers: passengers.map((passenger, index) => ({
+            fullName: passenger.fullName,
+            gender: passenger.gender || 'UNKNOWN',
+            dob: passenger.dob || null,
+            passportNumber: passenger.idNumber || passenger.passport_number || passenger.passportNumber || 'UNKNOWN_ID',
+            passengerType: resolvePassengerType(passenger),
+            seatNumbers: getRequestedSeatNumbers(passenger, legs),
+            ancillaries: quote.passengers[index].items.filter(item => item.type === 'ancillary')
+        }))
+    };
+    plan.details = { passengers: quote.passengers };
+    plan.summary = `+ ${passengers.map(passenger => passenger.fullName).join(', ')}`;
+}
+
+// On an unpaid booking removed passengers are simply dropped and the total shrinks by their fares and services;
+// on a paid one they go through a normal refund request (with its cancellation fees unless waived)
+async function planRemovedPassengers(plan, { passengerIds, reason }) {
+    const removed = plan.passengers.filter(passenger => passengerIds.includes(passenger.detail_id));
+    if (removed.length !== new Set(passengerIds).size) {
+        throw new BookingError(400, 'Some passengers do not belong to this booking', { passengerIds });
+    }
+
+    // Passengers refunded off every leg already left the booking
+    const refundedLegs = await db.all(`
+        SELECT ri.detail_id, COUNT(*) as count FROM refund_items ri
+        JOIN refunds r ON ri.refund_id = r.refund_id
+        WHERE r.booking_id = ? AND r.status != 'rejected'
+        GROUP BY ri.detail_id
+    `, [plan.booking.booking_id]);
+    const remaining = plan.passengers.filter(passenger => !passengerIds.includes(passenger.detail_id) &&
+        !refundedLegs.some(row => row.detail_id === passenger.detail_id && row.count >= plan.segments.length));
+    if (remaining.length === 0) {
+        throw new BookingError(400, 'Cannot remove every passenger, cancel or refund the booking instead');
+    }
+    if (!remaining.some(passenger => (passenger.passenger_type || 'ADULT') === 'ADULT')) {
+        throw new BookingError(400, 'At least one adult has to stay on the booking');
+    }
+
+    const checkedIn = await db.get(
+        `SELECT COUNT(*) as count FROM checkins WHERE detail_id IN (${passengerIds.map(() => '?').join(', ')})`,
+        passengerIds
+    );
+    if (checkedIn.count > 0) {
+        throw new BookingError(409, 'Checked-in passengers cannot be removed');
+    }
+
+    if (plan.ticketed) {
+        plan.refund = await calculateRefundItems(plan.booking, { passengerIds, waiveFees: plan.waiveFees });
+    } else {
+        // Nothing was paid yet, so the total drops by exactly what these passengers' fares and services add to it
+        const seatClass = plan.booking.travel_class || 'ECONOMY';
+        const fares = removed.reduce((sum, passenger) => sum + plan.segments.reduce((legSum, segment) =>
+            legSum + (segment.fare ?? getClassPrice(segment.flight, seatClass)) * getPriceMultiplierForPassengerType(passenger.passenger_type), 0), 0);
+        const ancillaries = await db.get(
+            `SELECT COALESCE(SUM(price), 0) as total FROM booking_ancillaries WHERE detail_id IN (${passengerIds.map(() => '?').join(', ')})`,
+            passengerIds
+        );
+        plan.fareDifference = -Math.round(fares + ancillaries.total);
+    }
+
+    plan.change = { passengerIds, reason };
+    plan.details = {
+        passengers: removed.map(passenger => ({ passengerId: passenger.detail_id, fullName: passenger.full_name, passengerType: passenger.passenger_type }))
+    };
+    plan.summary = `- ${removed.map(passenger => passenger.full_name).join(', ')}`;
+}
+
+// Carry out a plan from planBookingModification (must run inside withTransaction). Returns the new modification ID.
+// A ticketed booking that owes money is only changed once the payment was collected.
+async function applyBookingModification(plan, { actor, paymentCollected = false }) {
+    const { booking } = plan;
+    if (plan.ticketed && plan.amountDue > 0 && !paymentCollected) {
+        throw new BookingError(402, 'This change has to be paid before it can be made, please contact our ticket office', {
+            amountDue: plan.amountDue,
+            currency: 'VND'
+        });
+    }
+
+    let refundId = null;
+    if (plan.type === 'change_flight') {
+        await applyFlightChange(plan);
+    } else if (plan.type === 'edit_passenger') {
+        await applyPassengerEdit(plan);
+    } else if (plan.type === 'add_passengers') {
+        await applyAddedPassengers(plan);
+    } else if (plan.ticketed) {
+        refundId = await createRefundRequest(booking.booking_id, {
+            reason: plan.change.reason || 'Passengers removed from booking',
+            passengerIds: plan.change.passengerIds,
+            waiveFees: plan.waiveFees,
+            requestedBy: actor
+        });
+    } else {
+        await removeUnpaidPassengers(plan);
+    }
+
+    if (plan.amountDue !== 0) {
+        await db.run('UPDATE bookings SET total_amount = ? WHERE booking_id = ?', [plan.newTotalAmount, booking.booking_id]);
+        // Payments started for the old total can no longer complete
+        await db.run(
+            "UPDATE payment_intents SET status = 'failed', failure_reason = 'Booking modified' WHERE booking_id = ? AND status = 'pending'",
+            [booking.booking_id]
+        );
+    }
+
+    const result = await db.run(`
+        INSERT INTO booking_modifications (
+            booking_id, modification_type, details, fare_difference, fee_amount, amount_due, refund_id, requested_by, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        booking.booking_id, plan.type, JSON.stringify({ summary: plan.summary, ...plan.details }),
+        plan.fareDifference, plan.feeAmount, plan.amountDue, refundId, actor, new Date().toISOString()
+    ]);
+
+    const locale = NOTIFICATION_LOCALES.includes(booking.locale) ? booking.locale : NOTIFICATION_LOCALES[0];
+    await enqueueBookingNotification(booking.booking_id, 'booking_modified', {
+        changeSummary: plan.summary,
+        amountDue: formatNotificationAmount(plan.amountDue, locale)
+    });
+    return result.lastID;
+}
+
+async function applyFlightChange(plan) {
+    const { booking, passengers, change } = plan;
+    const detailIds = passengers.map(passenger => passenger.detail_id);
+    const bookedLegs = change.newLegs.filter(leg => !leg.kept);
+
+    // Seat maps are generated before anything moves, so they count this booking where it sits today
+    for (const leg of bookedLegs) {
+        await ensureSeatMap(leg.flight.flight_id);
+    }
+    for (const segment of change.releaseLegs) {
+        await releaseSeatAssignments(segment.flight_id, detailIds);
+        await releaseSeats(segment.flight_id, change.previousClass, detailIds.length);
+    }
+    for (const leg of bookedLegs) {
+        await reserveSeats(leg.flight.flight_id, change.newClass, detailIds.length, leg.direction === 'return' ? 'return' : 'departure');
+    }
+
+    // Services bought for the n-th leg of the direction go to its n-th new leg (or the last one if there are fewer)
+    const previousLegs = plan.segments.filter(segment => segment.direction === change.direction);
+    const directionLegs = change.newLegs.filter(leg => leg.direction === change.direction);
+    const ancillaryMoves = [];
+    for (let i = 0; i < previousLegs.length; i++) {
+        const rows = await db.all(
+            'SELECT booking_ancillary_id FROM booking_ancillaries WHERE booking_id = ? AND flight_id = ?',
+            [booking.booking_id, previousLegs[i].flight_id]
+        );
+        ancillaryMoves.push({ ids: rows.map(row => row.booking_ancillary_id), flightId: directionLegs[Math.min(i, directionLegs.length - 1)].flight.flight_id });
+    }
+    for (const move of ancillaryMoves.filter(m => m.ids.length > 0)) {
+        await db.run(
+            `UPDATE booking_ancillaries SET flight_id = ? WHERE booking_ancillary_id IN (${move.ids.map(() => '?').join(', ')})`,
+            [move.flightId, ...move.ids]
+        );
+    }
+
+    await db.run('DELETE FROM booking_segments WHERE booking_id = ? AND direction = ?', [booking.booking_id, change.direction]);
+    for (const leg of change.newLegs) {
+        if (leg.direction === change.direction) {
+            await db.run(
+                'INSERT INTO booking_segments (booking_id, flight_id, direction, segment_order, fare) VALUES (?, ?, ?, ?, ?)',
+                [booking.booking_id, leg.flight.flight_id, leg.direction, leg.order, leg.fare]
+            );
+        } else {
+            await db.run('UPDATE booking_segments SET fare = ? WHERE booking_id = ? AND flight_id = ?', [leg.fare, booking.booking_id, leg.flight.flight_id]);
+        }
+    }
+    await db.run(
+        `UPDATE bookings SET ${change.direction === 'outbound' ? 'departure_flight_id' : 'return_flight_id'} = ?, travel_class = ? WHERE booking_id = ?`,
+        [directionLegs[0].flight.flight_id, change.newClass, booking.booking_id]
+    );
+
+    for (const leg of bookedLegs) {
+        await assignSeats(leg.flight.flight_id, change.newClass, detailIds.map(detailId => ({ detailId })));
+    }
+}
+
+async function applyPassengerEdit(plan) {
+    const { passenger, changes, nameChange } = plan.change;
+    const fields = Object.keys(changes);
+    await db.run(
+        `UPDATE booking_details SET ${fields.map(field => `${PASSENGER_EDIT_FIELDS[field]} = ?`).join(', ')} WHERE detail_id = ?`,
+        [...fields.map(field => changes[field]), passenger.detail_id]
+    );
+
+    // A different traveller gets a new ticket; the old number stops verifying
+    if (nameChange === 'name_change' && plan.ticketed) {
+        await db.run('UPDATE booking_details SET ticket_number = NULL WHERE detail_id = ?', [passenger.detail_id]);
+        await issueTicketNumbers(plan.booking.booking_id);
+    }
+}
+
+async function applyAddedPassengers(plan) {
+    const { booking } = plan;
+    const { legs, seatClass, passengers } = plan.change;
+
+    for (const leg of legs) {
+        await ensureSeatMap(leg.flight.flight_id);
+        await reserveSeats(leg.flight.flight_id, seatClass, passengers.length, leg.direction === 'return' ? 'return' : 'departure');
+    }
+
+    const seatRequests = legs.map(() => []);
+    for (const passenger of passengers) {
+        const detailResult = await db.run(`
+            INSERT INTO booking_details (
+                booking_id, full_name, gender, dob, passport_number,
+                passenger_type, luggage_weight, insurance, meal
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            booking.booking_id,
+            passenger.fullName,
+            passenger.gender,
+            passenger.dob,
+            passenger.passportNumber,
+            passenger.passengerType,
+            Math.max(0, ...passenger.ancillaries.map(item => item.baggageWeight || 0)),
+            passenger.ancillaries.some(item => item.category === 'insurance') ? 1 : 0,
+            passenger.ancillaries.some(item => item.category === 'meal') ? 1 : 0
+        ]);
+
+        for (const item of passenger.ancillaries) {
+            await db.run(`
+                INSERT INTO booking_ancillaries (booking_id, detail_id, flight_id, ancillary_code, category, price)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [booking.booking_id, detailResult.lastID, item.flightId, item.code, item.category, item.amount]);
+        }
+
+        legs.forEach((leg, index) => {
+            seatRequests[index].push({ detailId: detailResult.lastID, seatNumber: passenger.seatNumbers[index] });
+        });
+    }
+    for (let i = 0; i < legs.length; i++) {
+        await assignSeats(legs[i].flight.flight_id, seatClass, seatRequests[i]);
+    }
+
+    await updatePassengerCounts(booking.booking_id);
+    if (plan.ticketed) {
+        await issueTicketNumbers(booking.booking_id);
+    }
+}
+
+async function removeUnpaidPassengers(plan) {
+    const { booking, segments } = plan;
+    const { passengerIds } = plan.change;
+    const placeholders = passengerIds.map(() => '?').join(', ');
+
+    for (const segment of segments) {
+        await releaseSeatAssignments(segment.flight_id, passengerIds);
+        await releaseSeats(segment.flight_id, booking.travel_class || 'ECONOMY', passengerIds.length);
+    }
+    await db.run(`DELETE FROM booking_ancillaries WHERE detail_id IN (${placeholders})`, passengerIds);
+    await db.run(`DELETE FROM booking_details WHERE detail_id IN (${placeholders})`, passengerIds);
+    await updatePassengerCounts(booking.booking_id);
+}
+
+// Keep the stored passenger counts in line with the booking's passengers
+async function updatePassengerCounts(bookingId) {
+    const rows = await db.all('SELECT passenger_type, COUNT(*) as count FROM booking_details WHERE booking_id = ? GROUP BY passenger_type', [bookingId]);
+    const count = type => (rows.find(row => (row.passenger_type || 'ADULT') === type) || { count: 0 }).count;
+    await db.run('UPDATE bookings SET passengers_info = ? WHERE booking_id = ?', [
+        JSON.stringify({ numAdults: count('ADULT'), numChildren: count('CHILD'), numInfants: count('INFANT') }),
+        bookingId
+    ]);
+}
+
+function formatModificationPlanForClient(plan) {
+    return {
+        bookingId: plan.booking.booking_id,
+        type: plan.type,
+        paymentStatus: plan.booking.payment_status,
+        summary: plan.summary,
+        details: plan.details,
+        fareDifference: plan.fareDifference,
+        feeAmount: plan.feeAmount,
+        amountDue: plan.amountDue,
+        currency: 'VND',
+        totalAmount: plan.booking.total_amount,
+        newTotalAmount: plan.newTotalAmount,
+        // Paid bookings owing money are changed by our ticket office once the difference is paid
+        paymentRequired: plan.ticketed && plan.amountDue > 0,
+        refund: plan.refund ? {
+            fareAmount: plan.refund.fareAmount,
+            feeAmount: plan.refund.feeAmount,
+            amount: plan.refund.amount,
+            items: plan.refund.items
+        } : null
+    };
+}
+
+function formatBookingModificationForClient(modification) {
+    return {
+        modificationId: modification.modification_id,
+        bookingId: modification.booking_id,
+        type: modification.modification_type,
+        details: JSON.parse(modification.details),
+        fareDifference: modification.fare_difference,
+        feeAmount: modification.fee_amount,
+        amountDue: modification.amount_due,
+        refundId: modification.refund_id,
+        requestedBy: modification.requested_by,
+        createdAt: modification.created_at
+    };
+}
+
+async function getBookingModifications(bookingId) {
+    const modifications = await db.all('SELECT * FROM booking_modifications WHERE booking_id = ? ORDER BY modification_id', [bookingId]);
+    return modifications.map(formatBookingModificationForClient);
+}
+
+// Check a schedule definition from the API; returns { values } ready for the flight_schedules columns, or { error }
+function validateSchedule(body) {
+    const {
+        airlineCode, flightNumber, departureAirport, arrivalAirport, aircraftType,
+        daysOfWeek, departureTime, blockMinutes, prices = {}, seats = {},
+        seasonStart, seasonEnd, status = 'active'
+    } = body || {};
+
+    if (!airlineCode || !flightNumber || !departureAirport || !arrivalAirport) {
+        return { error: 'airlineCode, flightNumber, departureAirport and arrivalAirport are required' };
+    }
+    if (departureAirport === arrivalAirport) {
+        return { error: 'departureAirport and arrivalAirport must differ' };
+    }
+
+    const days = parseDaysOfWeek(daysOfWeek);
+    if (!days) {
+        return { error: 'daysOfWeek must list days 1 (Monday) to 7 (Sunday), e.g. [1, 3, 5] or "135"' };
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(departureTime || '')) {
+        return { error: 'departureTime must be a local time HH:MM' };
+    }
+    if (!Number.isInteger(Number(blockMinutes)) || Number(blockMinutes) <= 0) {
+        return { error: 'blockMinutes must be a positive whole number of minutes' };
+    }
+    if (!isValidDateOnly(seasonStart) || !isValidDateOnly(seasonEnd) || seasonEnd < seasonStart) {
+        return { error: 'seasonStart and seasonEnd must be dates (YYYY-MM-DD) with seasonEnd on or after seasonStart' };
+    }
+    if (!['active', 'inactive'].includes(status)) {
+        return { error: 'status must be active or inactive' };
+    }
+
+    // A class is sold when it has both seats and a price
+    const values = {
+        airline_code: String(airlineCode).toUpperCase(),
+        flight_number: String(flightNumber),
+        departure_airport: String(departureAirport).toUpperCase(),
+        arrival_airport: String(arrivalAirport).toUpperCase(),
+        aircraft_type: aircraftType ? String(aircraftType).toUpperCase() : null,
+        days_of_week: days.join(','),
+        departure_time: departureTime,
+        block_minutes: Number(blockMinutes),
+        season_start: seasonStart,
+        season_end: seasonEnd,
+        status
+    };
+    const classes = [];
+    for (const seatClass of CABIN_ORDER) {
+        const price = Number(prices[seatClass] || 0);
+        const count = Number(seats[seatClass] || 0);
+        if (price < 0 || !Number.isInteger(count) || count < 0) {
+            return { error: `Invalid price or seat count for ${seatClass}` };
+        }
+        if (count > 0 && price <= 0) {
+            return { error: `${seatClass} has seats but no price` };
+        }
+        values[`price_${seatClass.toLowerCase()}`] = price > 0 ? price : null;
+        values[`seats_${seatClass.toLowerCase()}`] = count;
+        if (count > 0) classes.push(seatClass);
+    }
+    if (!classes.includes('ECONOMY')) {
+        return { error: 'ECONOMY needs seats and a price' };
+    }
+    values.available_classes = classes.join(',');
+
+    return { values };
+}
+
+function validateScheduleReferences(values) {
+    const seats = {};
+    for (const seatClass of CABIN_ORDER) {
+        seats[seatClass] = values[`seats_${seatClass.toLowerCase()}`];
+    }
+    return validateFlightReferences({
+        airlineCode: values.airline_code,
+        departureAirport: values.departure_airport,
+        arrivalAirport: values.arrival_airport,
+        aircraftType: values.aircraft_type,
+        seats
+    });
+}
+
+// [1, 3, 5], "1,3,5" or "135" -> [1, 3, 5]; null when invalid
+function parseDaysOfWeek(value) {
+    const items = Array.isArray(value) ? value : String(value || '').replace(/,/g, '').split('');
+    const days = [...new Set(items.map(Number))].sort();
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+        return null;
+    }
+    return days;
+}
+
+function isValidDateOnly(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+// Active schedules with the same flight number whose seasons and weekdays overlap this one
+async function findScheduleConflicts(values, excludeScheduleId = null) {
+    if (values.status !== 'active') return [];
+
+    const candidates = await db.all(`
+        SELECT * FROM flight_schedules
+        WHERE airline_code = ? AND flight_number = ? AND status = 'active'
+          AND season_start <= ? AND season_end >= ? AND schedule_id != ?
+    `, [values.airline_code, values.flight_number, values.season_end, values.season_start, excludeScheduleId || 0]);
+
+    const days = values.days_of_week.split(',');
+    return candidates.filter(schedule => schedule.days_of_week.split(',').some(day => days.includes(day)));
+}
+
+// Schedule times are local times at the departure airport
+function scheduleLocalToUtc(schedule, date, time) {
+    return zonedTimeToUtc(date, time, getAirportTimezone(schedule.departure_airport));
+}
+
+// The concrete flight a schedule operates on one date
+function buildScheduledFlight(schedule, date) {
+    const departure = scheduleLocalToUtc(schedule, date, schedule.departure_time);
+    const arrival = new Date(departure.getTime() + schedule.block_minutes * 60 * 1000);
+    const seats = CABIN_ORDER.reduce((sum, seatClass) => sum + (schedule[`seats_${seatClass.toLowerCase()}`] || 0), 0);
+
+    return {
+        airline: schedule.airline,
+        airline_code: schedule.airline_code,
+        flight_number: schedule.flight_number,
+        departure_airport: schedule.departure_airport,
+        arrival_airport: schedule.arrival_airport,
+        aircraft_type: schedule.aircraft_type,
+        departure_time: departure.toISOString(),
+        arrival_time: arrival.toISOString(),
+        duration: formatDuration(schedule.block_minutes),
+        price_economy: schedule.price_economy,
+        price_premium_economy: schedule.price_premium_economy,
+        price_business: schedule.price_business,
+        price_first: schedule.price_first,
+        seats_economy: schedule.seats_economy,
+        seats_premium_economy: schedule.seats_premium_economy,
+        seats_business: schedule.seats_business,
+        seats_first: schedule.seats_first,
+        available_seats: seats,
+        available_classes: schedule.available_classes
+    };
+}
+
+const SCHEDULED_FLIGHT_COLUMNS = [
+    'airline', 'airline_code', 'flight_number', 'departure_airport', 'arrival_airport', 'aircraft_type',
+    'departure_time', 'arrival_time', 'duration',
+    'price_economy', 'price_premium_economy', 'price_business', 'price_first',
+    'seats_economy', 'seats_premium_economy', 'seats_business', 'seats_first',
+    'available_seats', 'available_classes'
+];
+
+// Create and update the flights a schedule operates, from today (or the season start) to the season end.
+// Instances that hold live bookings are never changed or removed. Dates where another flight already uses
+// the flight number are reported as conflicts and skipped. With dryRun nothing is written.
+async function generateScheduleFlights(schedule, { dryRun = false } = {}) {
+    const result = { created: [], updated: [], unchanged: [], removed: [], keptBooked: [], conflicts: [] };
+    const now = new Date();
+
+    const instances = await db.all(`
+        SELECT f.*, (
+            SELECT COUNT(DISTINCT s.booking_id) FROM booking_segments s
+            JOIN bookings b ON s.booking_id = b.booking_id
+            WHERE s.flight_id = f.flight_id AND b.payment_status NOT IN (${INACTIVE_BOOKING_STATUSES.map(() => '?').join(', ')})
+        ) as live_bookings
+        FROM flights f WHERE f.schedule_id = ?
+    `, [...INACTIVE_BOOKING_STATUSES, schedule.schedule_id]);
+    const instancesByDate = new Map(instances.map(instance => [instance.schedule_date, instance]));
+
+    const days = schedule.status === 'active' ? schedule.days_of_week.split(',').map(Number) : [];
+    const operatingDates = new Set();
+    for (let date = schedule.season_start; date <= schedule.season_end; date = addDaysToDate(date, 1)) {
+        const isoWeekday = ((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7) + 1;
+        if (days.includes(isoWeekday)) operatingDates.add(date);
+    }
+
+    for (const date of operatingDates) {
+        const planned = buildScheduledFlight(schedule, date);
+        // Flights that already left are history
+        if (new Date(planned.departure_time) <= now) continue;
+
+        const instance = instancesByDate.get(date);
+        const entry = { date, departureTime: planned.departure_time };
+
+        if (instance) {
+            entry.flightId = instance.flight_id;
+            if (instance.live_bookings > 0) {
+                result.keptBooked.push({ ...entry, departureTime: instance.departure_time, bookings: instance.live_bookings });
+            } else if (SCHEDULED_FLIGHT_COLUMNS.every(column => instance[column] === planned[column]) && instance.status !== 'cancelled') {
+                result.unchanged.push(entry);
+            } else {
+                result.updated.push(entry);
+                if (!dryRun) {
+                    await db.run(
+                        `UPDATE flights SET ${SCHEDULED_FLIGHT_COLUMNS.map(column => `${column} = ?`).join(', ')}, status = 'scheduled' WHERE flight_id = ?`,
+                        [...SCHEDULED_FLIGHT_COLUMNS.map(column => planned[column]), instance.flight_id]
+                    );
+                    // The seat map is rebuilt from the new configuration on first use
+                    await db.run('DELETE FROM flight_seats WHERE flight_id = ?', [instance.flight_id]);
+                }
+            }
+            continue;
+        }
+
+        // The same flight number may only fly once per local day
+        const dayStart = scheduleLocalToUtc(schedule, date, '00:00').toISOString();
+        const dayEnd = scheduleLocalToUtc(schedule, addDaysToDate(date, 1), '00:00').toISOString();
+        const clash = await db.get(`
+            SELECT flight_id, schedule_id FROM flights
+            WHERE airline_code = ? AND flight_number = ? AND status != 'cancelled'
+              AND departure_time >= ? AND departure_time < ?
+        `, [schedule.airline_code, schedule.flight_number, dayStart, dayEnd]);
+        if (clash) {
+            result.conflicts.push({ ...entry, conflictingFlightId: clash.flight_id, conflictingScheduleId: clash.schedule_id });
+            continue;
+        }
+
+        if (!dryRun) {
+            const insert = await db.run(`
+                INSERT INTO flights (${SCHEDULED_FLIGHT_COLUMNS.join(', ')}, status, schedule_id, schedule_date)
+                VALUES (${SCHEDULED_FLIGHT_COLUMNS.map(() => '?').join(', ')}, 'scheduled', ?, ?)
+            `, [...SCHEDULED_FLIGHT_COLUMNS.map(column => planned[column]), schedule.schedule_id, date]);
+            entry.flightId = insert.lastID;
+        }
+        result.created.push(entry);
+    }
+
+    // Future instances the schedule no longer operates
+    for (const instance of instances) {
+        if (operatingDates.has(instance.schedule_date) || new Date(instance.departure_time) <= now) continue;
+        const entry = { date: instance.schedule_date, flightId: instance.flight_id, departureTime: instance.departure_time };
+
+        if (instance.live_bookings > 0) {
+            result.keptBooked.push({ ...entry, bookings: instance.live_bookings });
+        } else if (instance.status !== 'cancelled') {
+            result.removed.push(entry);
+            if (!dryRun) {
+                await removeScheduledFlight(instance.flight_id);
+            }
+        }
+    }
+
+    if (!dryRun) {
+        await db.run('UPDATE flight_schedules SET last_generated_at = ? WHERE schedule_id = ?', [now.toISOString(), schedule.schedule_id]);
+    }
+    return result;
+}
+
+// Delete an unbooked flight; one that old (cancelled/expired) bookings still point to is cancelled instead
+async function removeScheduledFlight(flightId) {
+    const referenced = await db.get('SELECT COUNT(*) as count FROM booking_segments WHERE flight_id = ?', [flightId]);
+    if (referenced.count > 0) {
+        await db.run("UPDATE flights SET status = 'cancelled' WHERE flight_id = ?", [flightId]);
+    } else {
+        await db.run('DELETE FROM flight_seats WHERE flight_id = ?', [flightId]);
+        await db.run('DELETE FROM ancillary_prices WHERE flight_id = ?', [flightId]);
+        await db.run('DELETE FROM flights WHERE flight_id = ?', [flightId]);
+    }
+}
+
+function addDaysToDate(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+}
+
+function summarizeScheduleGeneration(result) {
+    return {
+        created: result.created.length,
+        updated: result.updated.length,
+        unchanged: result.unchanged.length,
+        removed: result.removed.length,
+        keptBooked: result.keptBooked.length,
+        conflicts: result.conflicts.length
+    };
+}
+
+function formatScheduleForClient(schedule) {
+    const prices = {};
+    const seats = {};
+    for (const seatClass of CABIN_ORDER) {
+        prices[seatClass] = schedule[`price_${seatClass.toLowerCase()}`];
+        seats[seatClass] = schedule[`seats_${seatClass.toLowerCase()}`];
+    }
+    return {
+        scheduleId: schedule.schedule_id,
+        airline: schedule.airline,
+        airlineCode: schedule.airline_code,
+        flightNumber: schedule.flight_number,
+        flightCode: `${schedule.airline_code}${schedule.flight_number}`,
+        departureAirport: schedule.departure_airport,
+        arrivalAirport: schedule.arrival_airport,
+        aircraftType: schedule.aircraft_type,
+        daysOfWeek: schedule.days_of_week.split(',').map(Number),
+        departureTime: schedule.departure_time,
+        blockMinutes: schedule.block_minutes,
+        prices,
+        seats,
+        availableClasses: schedule.available_classes.split(','),
+        seasonStart: schedule.season_start,
+        seasonEnd: schedule.season_end,
+        status: schedule.status,
+        createdBy: schedule.created_by,
+        createdAt: schedule.created_at,
+        updatedAt: schedule.updated_at,
+        lastGeneratedAt: schedule.last_generated_at
+    };
+}
+
+async function getBookingSegments(bookingId) {
+    return db.all(`
+        SELECT * FROM booking_segments
+        WHERE booking_id = ?
+        ORDER BY CASE direction WHEN 'outbound' THEN 0 ELSE 1 END, segment_order
+    `, [bookingId]);
+}
+
+async function getBookingSegmentsForClient(bookingId) {
+    const segments = await getBookingSegments(bookingId);
+    const result = [];
+    for (const segment of segments) {
+        const flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [segment.flight_id]);
+        result.push({
+            direction: segment.direction,
+            segmentOrder: segment.segment_order,
+            flight: flight ? formatFlightForClient(flight) : null
+        });
+    }
+    return result;
+}
+
+// Look up a flight by database id or by display id (airline_code + flight_number, e.g. VN1000)
+async function findFlightByAnyId(flightId) {
+    let flight = null;
+    // Try to find by flight_id (database id) first
+    if (!isNaN(flightId)) {
+        flight = await db.get('SELECT * FROM flights WHERE flight_id = ?', [flightId]);
+    }
+    
+    // If not found, try by airline_code + flight_number (display id)
+    if (!flight) {
+        flight = await db.get('SELECT * FROM flights WHERE (airline_code || flight_number) = ?', [flightId]);
+    }
+    return flight;
+}
+
+// Price of a seat class on a flight, falling back to economy when the class has no own price
+function getClassPrice(flight, seatClass) {
+    switch (seatClass) {
+        case 'PREMIUM_ECONOMY':
+            return flight.price_premium_economy || flight.price_economy;
+        case 'BUSINESS':
+            return flight.price_business || flight.price_economy;
+        case 'FIRST':
+            return flight.price_first || flight.price_economy;
+        case 'ECONOMY':
+        default:
+            return flight.price_economy;
+    }
+}
+
+// Pick the fare rule of one type for a flight/class. Rules for the exact class win over ALL.
+// load_factor: the highest threshold reached; days_before: the smallest window the flight is in;
+// weekday / time_of_day: the rule for the flight's local departure day or time window.
+function findFareRule(rules, ruleType, seatClass, conditions) {
+    const matching = rules.filter(rule => {
+        if (rule.rule_type !== ruleType) return false;
+        switch (ruleType) {
+            case 'load_factor': return conditions.loadFactor >= rule.threshold;
+            case 'days_before': return conditions.daysBefore < rule.threshold;
+            case 'weekday': return rule.match_value === String(conditions.weekday);
+            case 'time_of_day': return rule.match_value === conditions.timeOfDay;
+            default: return false;
+        }
+    });
+    const ownClass = matching.filter(rule => rule.seat_class === seatClass);
+    const candidates = ownClass.length > 0 ? ownClass : matching.filter(rule => rule.seat_class === 'ALL');
+    candidates.sort((a, b) => (ruleType === 'days_before' ? a.threshold - b.threshold : b.threshold - a.threshold));
+    return candidates[0] || null;
+}
+
+// Conditions the fare rules look at: % of the class sold, days until departure, local weekday and time window
+function getFareConditions(flight, seatClass, sold, now = new Date()) {
+    const remaining = flight[getSeatFieldForClass(seatClass)] || 0;
+    const capacity = remaining + sold;
+    const local = getZonedParts(flight.departure_time, getAirportTimezone(flight.departure_airport));
+    const weekday = ((new Date(`${local.date}T00:00:00Z`).getUTCDay() + 6) % 7) + 1;
+    const timeOfDay = Object.keys(TIME_OF_DAY_WINDOWS)
+        .find(name => local.time >= TIME_OF_DAY_WINDOWS[name][0] && local.time < TIME_OF_DAY_WINDOWS[name][1]);
+
+    return {
+        loadFactor: capacity > 0 ? Math.round(sold / capacity * 1000) / 10 : 100,
+        daysBefore: Math.max(0, (new Date(flight.departure_time) - now) / (24 * 60 * 60 * 1000)),
+        weekday,
+        timeOfDay
+    };
+}
+
+// Fare for one class: the base price with each matching rule's percentage applied on top of the last,
+// rounded to FARE_ROUNDING. Returns null when the flight does not sell the class.
+function calculateDynamicFare(flight, seatClass, rules, conditions) {
+    const baseFare = getClassPrice(flight, seatClass);
+    if (!baseFare) return null;
+
+    const adjustments = [];
+    let fare = baseFare;
+    for (const ruleType of FARE_RULE_TYPES) {
+        const rule = findFareRule(rules, ruleType, seatClass, conditions);
+        if (!rule || !rule.adjust_percent) continue;
+        fare *= 1 + rule.adjust_percent / 100;
+        adjustments.push({ ruleId: rule.rule_id, ruleType, percent: rule.adjust_percent, description: rule.description });
+    }
+
+    return {
+        baseFare,
+        fare: Math.max(FARE_ROUNDING, Math.round(fare / FARE_ROUNDING) * FARE_ROUNDING),
+        adjustments
+    };
+}
+
+// Passengers holding seats per flight and class (live bookings, minus completed refunds)
+async function getSoldSeatCounts(flightIds) {
+    const sold = {};
+    if (flightIds.length === 0) return sold;
+
+    const rows = await db.all(`
+        SELECT s.flight_id, b.travel_class, COUNT(*) as count
+        FROM booking_segments s
+        JOIN bookings b ON s.booking_id = b.booking_id
+        JOIN booking_details bd ON bd.booking_id = b.booking_id
+        WHERE s.flight_id IN (${flightIds.map(() => '?').join(', ')})
+          AND b.payment_status NOT IN (${INACTIVE_BOOKING_STATUSES.map(() => '?').join(', ')})
+          AND NOT EXISTS (
+              SELECT 1 FROM refund_items ri JOIN refunds r ON ri.refund_id = r.refund_id
+              WHERE r.status = 'completed' AND ri.detail_id = bd.detail_id AND ri.flight_id = s.flight_id
+          )
+        GROUP BY s.flight_id, b.travel_class
+    `, [...flightIds, ...INACTIVE_BOOKING_STATUSES]);
+
+    for (const row of rows) {
+        sold[row.flight_id] = sold[row.flight_id] || {};
+        sold[row.flight_id][row.travel_class || 'ECONOMY'] = row.count;
+    }
+    return sold;
+}
+
+// Flights with price_* replaced by what the pricing engine charges right now.
+// The stored prices are the base fares; each copy keeps its pricing breakdown in `fare_pricing`.
+async function applyDynamicPricing(flights, now = new Date()) {
+    const rules = await db.all('SELECT * FROM fare_rules WHERE is_active = 1');
+    const sold = await getSoldSeatCounts([...new Set(flights.map(flight => flight.flight_id))]);
+
+    return flights.map(flight => {
+        const priced = { ...flight, fare_pricing: {} };
+        for (const seatClass of CABIN_ORDER) {
+            const priceField = `price_${seatClass.toLowerCase()}`;
+            // Classes without their own price keep falling back to the (dynamic) economy fare
+            if (seatClass !== 'ECONOMY' && !flight[priceField]) continue;
+
+            const conditions = getFareConditions(flight, seatClass, (sold[flight.flight_id] || {})[seatClass] || 0, now);
+            const pricing = calculateDynamicFare(flight, seatClass, rules, conditions);
+            priced[priceField] = pricing.fare;
+            priced.fare_pricing[seatClass] = { ...pricing, conditions };
+        }
+        return priced;
+    });
+}
+
+function validateFareRule({ ruleType, seatClass, threshold, matchValue, adjustPercent }) {
+    if (!FARE_RULE_TYPES.includes(ruleType)) {
+        return `ruleType must be one of ${FARE_RULE_TYPES.join(', ')}`;
+    }
+    if (seatClass !== 'ALL' && !CABIN_ORDER.includes(seatClass)) {
+        return `seatClass must be ALL or one of ${CABIN_ORDER.join(', ')}`;
+    }
+    if (ruleType === 'load_factor' && !(Number(threshold) >= 0 && Number(threshold) <= 100)) {
+        return 'threshold must be a load factor between 0 and 100 (%)';
+    }
+    if (ruleType === 'days_before' && !(Number(threshold) > 0)) {
+        return 'threshold must be a positive number of days';
+    }
+    if (ruleType === 'weekday' && !/^[1-7]$/.test(String(matchValue))) {
+        return 'matchValue must be a weekday from 1 (Monday) to 7 (Sunday)';
+    }
+    if (ruleType === 'time_of_day' && !Object.keys(TIME_OF_DAY_WINDOWS).includes(matchValue)) {
+        return `matchValue must be one of ${Object.keys(TIME_OF_DAY_WINDOWS).join(', ')}`;
+    }
+    if (!Number.isFinite(Number(adjustPercent)) || Number(adjustPercent) <= -100) {
+        return 'adjustPercent must be a number above -100';
+    }
+    return null;
+}
+
+function formatFareRuleForClient(rule) {
+    return {
+        ruleId: rule.rule_id,
+        ruleType: rule.rule_type,
+        seatClass: rule.seat_class,
+        threshold: rule.threshold,
+        matchValue: rule.match_value,
+        adjustPercent: rule.adjust_percent,
+        description: rule.description,
+        isActive: rule.is_active === 1
+    };
+}
+
+// Fill in passengers that reference a saved profile (savedPassengerId) from the customer's saved passengers.
+// Values sent with the request win over the saved profile. Returns a new array.
+async function expandSavedPassengers(passengers, customer) {
+    if (!Array.isArray(passengers) || !passengers.some(p => p && p.savedPassengerId)) {
+        return passengers;
+    }
+    if (!customer) {
+        throw new BookingError(401, 'Login is required to use saved passengers');
+    }
+
+    const expanded = [];
+    for (const passenger of passengers) {
+        if (!passenger || !passenger.savedPassengerId) {
+            expanded.push(passenger);
+            continue;
+        }
+
+        const savedPassenger = await db.get(
+            'SELECT * FROM saved_passengers WHERE saved_passenger_id = ? AND customer_id = ?',
+            [passenger.savedPassengerId, customer.customer_id]
+        );
+        if (!savedPassenger) {
+            throw new BookingError(404, 'Saved passenger not found', { savedPassengerId: passenger.savedPassengerId });
+        }
+        expanded.push({
+            fullName: savedPassenger.full_name,
+            gender: savedPassenger.gender,
+            dob: savedPassenger.dob,
+            passportNumber: savedPassenger.passport_number,
+            ...passenger
+        });
+    }
+    return expanded;
+}
+
+// Legacy selectedServices flags that are switched on; meal may also arrive as food
+function getLegacyServiceFlags(selectedServices) {
+    return Object.keys(LEGACY_SERVICE_ANCILLARIES)
+        .filter(flag => selectedServices && (selectedServices[flag] || (flag === 'meal' && selectedServices.food)));
+}
+
+async function loadAncillaryCatalog() {
+    return {
+        ancillaries: await db.all('SELECT * FROM ancillaries'),
+        prices: await db.all('SELECT * FROM ancillary_prices')
+    };
+}
+
+// Price of an ancillary on one flight and class. The most specific price row wins - a flight beats a route,
+// a route beats all routes, an exact class beats ALL - otherwise the catalog price applies.
+function getAncillaryPrice(ancillary, flight, seatClass, priceRows) {
+    let best = null;
+    let bestScore = -1;
+    for (const row of priceRows) {
+        if (row.ancillary_code !== ancillary.ancillary_code) continue;
+        if (row.flight_id !== null && row.flight_id !== flight.flight_id) continue;
+        if (row.departure_airport && (row.departure_airport !== flight.departure_airport || row.arrival_airport !== flight.arrival_airport)) continue;
+        if (row.seat_class !== 'ALL' && row.seat_class !== seatClass) continue;
+
+        const score = (row.flight_id !== null ? 4 : 0) + (row.departure_airport ? 2 : 0) + (row.seat_class !== 'ALL' ? 1 : 0);
+        if (score > bestScore) {
+            best = row;
+            bestScore = score;
+        }
+    }
+    return best ? best.price : ancillary.base_price;
+}
+
+// Ancillaries of every passenger, one entry per flight. Passengers pick them with ancillaries: [{ code, flightId }]
+// (no flightId = every leg); without that list the legacy selectedServices flags apply to them.
+// Throws a BookingError for unknown codes, flights outside the itinerary or two options of a category on one flight.
+function resolveAncillarySelections(passengers, legs, selectedServices, catalog) {
+    const legacyRequests = getLegacyServiceFlags(selectedServices).map(flag => ({ code: LEGACY_SERVICE_ANCILLARIES[flag] }));
+
+    return passengers.map((passenger, passengerIndex) => {
+        const requests = Array.isArray(passenger.ancillaries) ? passenger.ancillaries : legacyRequests;
+        const selections = [];
+        for (const request of requests) {
+            const code = String((request && request.code) || '').toUpperCase();
+            const ancillary = catalog.ancillaries.find(a => a.ancillary_code === code && a.is_active);
+            if (!ancillary) {
+                throw new BookingError(400, 'Unknown or inactive ancillary', { code, passengerIndex });
+            }
+
+            const hasFlight = request.flightId !== undefined && request.flightId !== null;
+            const requestLegs = hasFlight ? legs.filter(leg => leg.flight.flight_id === Number(request.flightId)) : legs;
+            if (requestLegs.length === 0) {
+                throw new BookingError(400, 'Ancillary flight is not part of this itinerary', { code, flightId: request.flightId, passengerIndex });
+            }
+            for (const leg of requestLegs) {
+                if (selections.some(selection => selection.flightId === leg.flight.flight_id && selection.ancillary.category === ancillary.category)) {
+                    throw new BookingError(400, `Only one ${ancillary.category} option per passenger per flight`, {
+                        code,
+                        flightId: leg.flight.flight_id,
+                        passengerIndex
+                    });
+                }
+                selections.push({ flightId: leg.flight.flight_id, ancillary });
+            }
+        }
+        return selections;
+    });
+}
+
+function validateAncillary(body) {
+    const { code, category, name, description = null, baggageWeight = null, basePrice, isActive = true } = body || {};
+
+    if (!/^[A-Z0-9_]{2,20}$/.test(String(code || '').toUpperCase())) {
+        return { error: 'code must be 2-20 letters, digits or underscores, e.g. BAG20' };
+    }
+    if (!ANCILLARY_CATEGORIES.includes(category)) {
+        return { error: `category must be one of ${ANCILLARY_CATEGORIES.join(', ')}` };
+    }
+    if (!name) {
+        return { error: 'name is required' };
+    }
+    if (category === 'baggage' && !(Number(baggageWeight) > 0)) {
+        return { error: 'baggageWeight (kg) is required for baggage' };
+    }
+    if (!(Number(basePrice) >= 0)) {
+        return { error: 'basePrice must be a non-negative number' };
+    }
+
+    return {
+        values: {
+            ancillary_code: String(code).toUpperCase(),
+            category,
+            name,
+            description,
+            baggage_weight: category === 'baggage' ? Number(baggageWeight) : null,
+            base_price: Number(basePrice),
+            is_active: isActive ? 1 : 0
+        }
+    };
+}
+
+// A price row targets a flight, a route (both airports) or every flight, optionally for one class only
+function validateAncillaryPrice(body) {
+    const { flightId = null, departureAirport = null, arrivalAirport = null, seatClass = 'ALL', price } = body || {};
+
+    if (flightId !== null && !Number.isInteger(Number(flightId))) {
+        return { error: 'flightId must be a flight id' };
+    }
+    if (!departureAirport !== !arrivalAirport) {
+        return { error: 'departureAirport and arrivalAirport must be given together' };
+    }
+    if (seatClass !== 'ALL' && !CABIN_ORDER.includes(seatClass)) {
+        return { error: `seatClass must be ALL or one of ${CABIN_ORDER.join(', ')}` };
+    }
+    if (!(Number(price) >= 0)) {
+        return { error: 'price must be a non-negative number' };
+    }
+
+    return {
+        values: {
+            flight_id: flightId === null ? null : Number(flightId),
+            departure_airport: departureAirport ? String(departureAirport).toUpperCase() : null,
+            arrival_airport: arrivalAirport ? String(arrivalAirport).toUpperCase() : null,
+            seat_class: seatClass,
+            price: Number(price)
+        }
+    };
+}
+
+function formatAncillaryPriceForClient(row) {
+    return {
+        priceId: row.price_id,
+        flightId: row.flight_id,
+        departureAirport: row.departure_airport,
+        arrivalAirport: row.arrival_airport,
+        seatClass: row.seat_class,
+        price: row.price
+    };
+}
+
+function formatAncillaryForClient(ancillary, prices = []) {
+    return {
+        code: ancillary.ancillary_code,
+        category: ancillary.category,
+        name: ancillary.name,
+        description: ancillary.description,
+        baggageWeight: ancillary.baggage_weight,
+        basePrice: ancillary.base_price,
+        isActive: ancillary.is_active === 1,
+        prices: prices.filter(row => row.ancillary_code === ancillary.ancillary_code).map(formatAncillaryPriceForClient)
+    };
+}
+
+// Ancillaries bought per passenger, for booking details and printed tickets
+async function attachAncillaries(passengers) {
+    for (const passenger of passengers) {
+        passenger.ancillaries = await db.all(`
+            SELECT ba.flight_id, ba.ancillary_code, ba.category, ba.price, a.name, a.baggage_weight
+            FROM booking_ancillaries ba
+            LEFT JOIN ancillaries a ON ba.ancillary_code = a.ancillary_code
+            WHERE ba.detail_id = ?
+            ORDER BY ba.booking_ancillary_id
+        `, [passenger.detail_id]);
+    }
+}
+
+// Comma-separated promotion rule list (routes, airports, ...) as an array; empty = no restriction
+function parsePromotionList(value) {
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Check the eligibility rules of a promotion from the admin API (snake_case, lists as arrays or comma-separated).
+// Rules left out of the body keep their value in existing. Returns { values } ready for the promotions columns, or { error }.
+async function validatePromotionRules(body, existing = {}) {
+    const pick = (column) => (body[column] !== undefined ? body[column] : existing[column] ?? null);
+    const list = (column) => {
+        const value = pick(column);
+        if (value === null || value === '') return [];
+        return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim().toUpperCase()).filter(Boolean);
+    };
+
+    const routes = list('routes');
+    if (routes.some(route => !/^[A-Z]{3}-[A-Z]{3}$/.test(route))) {
+        return { error: 'routes must be airport pairs such as HAN-SGN' };
+    }
+    const airports = list('airports');
+    const airportCodes = [...new Set([...airports, ...routes.flatMap(route => route.split('-'))])];
+    for (const code of airportCodes) {
+        if (!await db.get('SELECT airport_code FROM airports WHERE airport_code = ?', [code])) {
+            return { error: `Unknown airport: ${code}` };
+        }
+    }
+    const seatClasses = list('seat_classes');
+    if (seatClasses.some(seatClass => !CABIN_ORDER.includes(seatClass))) {
+        return { error: `seat_classes must be from ${CABIN_ORDER.join(', ')}` };
+    }
+    const airlineCodes = list('airline_codes');
+    for (const code of airlineCodes) {
+        if (!await db.get('SELECT airline_code FROM airlines WHERE airline_code = ?', [code])) {
+            return { error: `Unknown airline: ${code}` };
+        }
+    }
+
+    const travelFrom = pick('travel_from') || null;
+    const travelTo = pick('travel_to') || null;
+    if ((travelFrom && !isValidDateOnly(travelFrom)) || (travelTo && !isValidDateOnly(travelTo))) {
+        return { error: 'travel_from and travel_to must be dates (YYYY-MM-DD)' };
+    }
+    if (travelFrom && travelTo && travelTo < travelFrom) {
+        return { error: 'travel_to must not be before travel_from' };
+    }
+
+    const values = {};
+    for (const column of ['min_order_amount', 'max_discount_amount']) {
+        const value = pick(column);
+        if (value !== null && value !== '' && !(Number(value) >= 0)) {
+            return { error: `${column} must be a non-negative amount` };
+        }
+        values[column] = value === null || value === '' ? null : Number(value);
+    }
+    for (const column of ['per_email_limit', 'per_customer_limit']) {
+        const value = pick(column);
+        if (value !== null && value !== '' && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+            return { error: `${column} must be a positive whole number` };
+        }
+        values[column] = value === null || value === '' ? null : Number(value);
+    }
+
+    return {
+        values: {
+            routes: routes.join(',') || null,
+            airports: airports.join(',') || null,
+            seat_classes: seatClasses.join(',') || null,
+            airline_codes: airlineCodes.join(',') || null,
+            travel_from: travelFrom,
+            travel_to: travelTo,
+            ...values,
+            first_booking_only: pick('first_booking_only') === true || Number(pick('first_booking_only')) === 1 ? 1 : 0
+        }
+    };
+}
+
+function formatPromotionConditions(promo) {
+    return {
+        routes: parsePromotionList(promo.routes),
+        airports: parsePromotionList(promo.airports),
+        seatClasses: parsePromotionList(promo.seat_classes),
+        airlineCodes: parsePromotionList(promo.airline_codes),
+        travelFrom: promo.travel_from || null,
+        travelTo: promo.travel_to || null,
+        minOrderAmount: promo.min_order_amount,
+        maxDiscountAmount: promo.max_discount_amount,
+        firstBookingOnly: promo.first_booking_only === 1,
+        perEmailLimit: promo.per_email_limit,
+        perCustomerLimit: promo.per_customer_limit
+    };
+}
+
+// Check a promotion and work out its discount. cart is null to check the code on its own, otherwise
+// { legs, seatClass, fareTotal, subtotal, email, customerId } - rules whose part of the cart is missing are skipped,
+// except that first-booking and per-customer limits need the email or account.
+// Returns { reasons: [{ rule, message, ... }], discount }; the code applies only when reasons is empty.
+async function evaluatePromotion(promo, cart, now = new Date()) {
+    const reasons = [];
+    const fail = (rule, message, details = {}) => reasons.push({ rule, message, ...details });
+    const today = now.toISOString().slice(0, 10);
+
+    if (promo.status === 'inactive') fail('inactive', 'Promotion code is inactive');
+    if (promo.valid_from && today < String(promo.valid_from).slice(0, 10)) {
+        fail('not_started', 'Promotion code is not valid yet', { validFrom: promo.valid_from });
+    }
+    if (promo.valid_to && today > String(promo.valid_to).slice(0, 10)) {
+        fail('expired', 'Promotion code has expired', { validTo: promo.valid_to });
+    }
+    if (promo.usage_limit !== null && promo.used_count >= promo.usage_limit) {
+        fail('usage_limit', 'Promotion code usage limit reached');
+    }
+    if (!cart) return { reasons, discount: 0 };
+
+    if (cart.legs) {
+        const seatClasses = parsePromotionList(promo.seat_classes);
+        if (seatClasses.length > 0 && !seatClasses.includes(cart.seatClass)) {
+            fail('seat_class', `Only valid in ${seatClasses.join(', ')} class`, { seatClasses });
+        }
+        const airlineCodes = parsePromotionList(promo.airline_codes);
+        if (airlineCodes.length > 0 && !cart.legs.every(leg => airlineCodes.includes(leg.flight.airline_code))) {
+            fail('airline', `Only valid on flights operated by ${airlineCodes.join(', ')}`, { airlineCodes });
+        }
+
+        // Routes apply both ways and match each direction end to end, so connections count as the route
+        const directions = ['outbound', 'return']
+            .map(direction => cart.legs.filter(leg => leg.direction === direction))
+            .filter(legs => legs.length > 0);
+        const ends = directions.map(legs => [legs[0].flight.departure_airport, legs[legs.length - 1].flight.arrival_airport]);
+        const routes = parsePromotionList(promo.routes);
+        const onRoute = ([from, to]) => routes.includes(`${from}-${to}`) || routes.includes(`${to}-${from}`);
+        if (routes.length > 0 && !ends.every(onRoute)) {
+            fail('route', `Only valid on routes ${routes.join(', ')}`, { routes });
+        }
+        const airports = parsePromotionList(promo.airports);
+        if (airports.length > 0 && ends.length > 0 && !ends[0].some(code => airports.includes(code))) {
+            fail('airport', `Only valid for trips from or to ${airports.join(', ')}`, { airports });
+        }
+
+        // Travel dates are the local departure dates of every leg, unlike valid_from/valid_to which are booking dates
+        const travelDates = cart.legs.map(leg => getFlightLocalDate(leg.flight));
+        if (travelDates.some(date => (promo.travel_from && date < promo.travel_from) || (promo.travel_to && date > promo.travel_to))) {
+            const window = [promo.travel_from && `from ${promo.travel_from}`, promo.travel_to && `until ${promo.travel_to}`].filter(Boolean).join(' ');
+            fail('travel_date', `Only valid for travel ${window}`, { travelFrom: promo.travel_from, travelTo: promo.travel_to });
+        }
+    }
+    if (cart.subtotal !== undefined && promo.min_order_amount && cart.subtotal < promo.min_order_amount) {
+        fail('min_order', `Order total must be at least ${promo.min_order_amount} VND`, { minOrderAmount: promo.min_order_amount, subtotal: cart.subtotal });
+    }
+
+    // Cancelled, refunded and expired bookings do not count towards first-booking or per-customer limits
+    const email = cart.email ? String(cart.email).trim().toLowerCase() : null;
+    const customerId = cart.customerId || null;
+    const liveBookings = `payment_status NOT IN (${INACTIVE_BOOKING_STATUSES.map(() => '?').join(', ')})`;
+    if ((promo.first_booking_only && !email && !customerId) || (promo.per_email_limit && !email)) {
+        fail('email_required', 'An email address is needed to check this promotion code');
+    }
+    if (promo.first_booking_only && (email || customerId)) {
+        const previous = await db.get(
+            `SELECT COUNT(*) as count FROM bookings WHERE (LOWER(email) = ? OR customer_id = ?) AND ${liveBookings}`,
+            [email, customerId, ...INACTIVE_BOOKING_STATUSES]
+        );
+        if (previous.count > 0) fail('first_booking', 'Only valid on a first booking');
+    }
+    if (promo.per_email_limit && email) {
+        const used = await db.get(
+            `SELECT COUNT(*) as count FROM bookings WHERE promo_code = ? AND LOWER(email) = ? AND ${liveBookings}`,
+            [promo.code, email, ...INACTIVE_BOOKING_STATUSES]
+        );
+        if (used.count >= promo.per_email_limit) {
+            fail('email_limit', `This email has already used the code ${used.count} time(s)`, { perEmailLimit: promo.per_email_limit });
+        }
+    }
+    if (promo.per_customer_limit) {
+        if (!customerId) {
+            fail('login_required', 'Log in to use this promotion code');
+        } else {
+            const used = await db.get(
+                `SELECT COUNT(*) as count FROM bookings WHERE promo_code = ? AND customer_id = ? AND ${liveBookings}`,
+                [promo.code, customerId, ...INACTIVE_BOOKING_STATUSES]
+            );
+            if (used.count >= promo.per_customer_limit) {
+                fail('customer_limit', `This account has already used the code ${used.count} time(s)`, { perCustomerLimit: promo.per_customer_limit });
+            }
+        }
+    }
+
+    // Percentage promotions discount the fares, not the ancillaries, up to max_discount_amount
+    let discount = 0;
+    if (cart.fareTotal !== undefined) {
+        if (promo.discount_type === 'percent') {
+            discount = cart.fareTotal * (promo.discount_value / 100);
+            if (promo.max_discount_amount) discount = Math.min(discount, promo.max_discount_amount);
+        } else if (promo.discount_type === 'fixed') {
+            discount = promo.discount_value;
+        }
+        discount = Math.min(discount, cart.subtotal);
+    }
+    return { reasons, discount };
+}
+
+// Itemized price of an itinerary: engine fare per leg × passenger type multiplier, ancillaries, then the promo discount
+// email/customerId identify who books, for first-booking and per-customer promotion limits
+async function buildFareQuote({ legs, seatClass, passengers, selectedServices, promoCode, email = null, customerId = null }) {
+    const pricedFlights = await applyDynamicPricing(legs.map(leg => leg.flight));
+    const quotedLegs = legs.map((leg, index) => {
+        const pricing = pricedFlights[index].fare_pricing[seatClass] || pricedFlights[index].fare_pricing.ECONOMY;
+        return {
+            flightId: leg.flight.flight_id,
+            flightCode: `${leg.flight.airline_code}${leg.flight.flight_number}`,
+            direction: leg.direction,
+            segmentOrder: leg.order,
+            baseFare: pricing.baseFare,
+            fare: getClassPrice(pricedFlights[index], seatClass),
+            adjustments: pricing.adjustments
+        };
+    });
+    const catalog = await loadAncillaryCatalog();
+    const selections = resolveAncillarySelections(passengers, legs, selectedServices, catalog);
+
+    const quotedPassengers = passengers.map((passenger, index) => {
+        const passengerType = resolvePassengerType(passenger);
+        const multiplier = getPriceMultiplierForPassengerType(passengerType);
+        const items = [];
+        legs.forEach((leg, legIndex) => {
+            const quotedLeg = quotedLegs[legIndex];
+            items.push({ type: 'fare', flightId: quotedLeg.flightId, flightCode: quotedLeg.flightCode, multiplier, amount: quotedLeg.fare * multiplier });
+            for (const { ancillary } of selections[index].filter(selection => selection.flightId === quotedLeg.flightId)) {
+                items.push({
+                    type: 'ancillary',
+                    flightId: quotedLeg.flightId,
+                    flightCode: quotedLeg.flightCode,
+                    code: ancillary.ancillary_code,
+                    category: ancillary.category,
+                    name: ancillary.name,
+                    baggageWeight: ancillary.baggage_weight,
+                    amount: getAncillaryPrice(ancillary, leg.flight, seatClass, catalog.prices)
+                });
+            }
+        });
+        return {
+            passengerIndex: index,
+            fullName: passenger.fullName || null,
+            passengerType,
+            items,
+            subtotal: items.reduce((sum, item) => sum + item.amount, 0)
+        };
+    });
+    const sumItems = (type) => quotedPassengers.reduce((sum, passenger) =>
+        sum + passenger.items.filter(item => item.type === type).reduce((itemSum, item) => itemSum + item.amount, 0), 0);
+    const fareTotal = sumItems('fare');
+    const ancillaryTotal = sumItems('ancillary');
+    const subtotal = fareTotal + ancillaryTotal;
+
+    // A code that does not apply is left out of the price, with the reasons in promoRejected
+    const discounts = [];
+    let promoRejected = null;
+    if (promoCode) {
+        const promo = await db.get('SELECT * FROM promotions WHERE code = ?', [promoCode]);
+        const { reasons, discount } = promo
+            ? await evaluatePromotion(promo, { legs, seatClass, fareTotal, subtotal, email, customerId })
+            : { reasons: [{ rule: 'unknown', message: 'Invalid or inactive promotion code' }] };
+        if (reasons.length === 0) {
+            discounts.push({ type: 'promo', code: promo.code, discountType: promo.discount_type, discountValue: promo.discount_value, amount: discount });
+        } else {
+            promoRejected = { code: promoCode, reasons };
+            console.log(`Promo code ${promoCode} not applied: ${reasons.map(reason => reason.rule).join(', ')}`);
+        }
+    }
+
+    return {
+        seatClass,
+        currency: 'VND',
+        legs: quotedLegs,
+        passengers: quotedPassengers,
+        fareTotal,
+        ancillaryTotal,
+        subtotal,
+        discounts,
+        promoCode: discounts.length > 0 ? discounts[0].code : null,
+        promoRejected,
+        totalAmount: Math.max(0, subtotal - discounts.reduce((sum, discount) => sum + discount.amount, 0))
+    };
+}
+
+// What a quote covers: a booking must ask for the same flights, class, passenger types, ancillaries and promo code.
+// With a promo code the email and account count too, since per-customer rules decided the discount.
+function getFareQuoteRequestHash({ legs, seatClass, passengers, selectedServices, promoCode, email = null, customerId = null }) {
+    return crypto.createHash('sha256').update(JSON.stringify({
+        legs: legs.map(leg => [leg.flight.flight_id, leg.direction, leg.order]),
+        seatClass,
+        passengerTypes: passengers.map(resolvePassengerType),
+        services: getLegacyServiceFlags(selectedServices),
+        ancillaries: passengers.map(passenger => (Array.isArray(passenger.ancillaries)
+            ? passenger.ancillaries.map(request => [String((request && request.code) || '').toUpperCase(), request && request.flightId != null ? Number(request.flightId) : null])
+            : null)),
+        promoCode: promoCode || null,
+        promoHolder: promoCode ? [email ? String(email).trim().toLowerCase() : null, customerId || null] : null
+    })).digest('hex');
+}
+
+function signFareQuote(quote) {
+    return hmacHex('sha256', QUOTE_SIGNING_SECRET, [
+        quote.quote_id, quote.request_hash, quote.total_amount, quote.currency, quote.expires_at
+    ].join('|'));
+}
+
+// Quote behind a signed quote id (<quoteId>.<signature>), only if it is unused, unexpired and covers this request
+async function getValidFareQuote(signedQuoteId, requestHash) {
+    const [quoteId, signature] = String(signedQuoteId).split('.');
+    const quote = await db.get('SELECT * FROM fare_quotes WHERE quote_id = ?', [quoteId]);
+    if (!quote || !safeEqual(signFareQuote(quote), signature)) {
+        throw new BookingError(400, 'Invalid fare quote', { quoteId: signedQuoteId });
+    }
+    if (quote.booking_id) {
+        throw new BookingError(409, 'Fare quote has already been used', { quoteId: signedQuoteId });
+    }
+    if (quote.expires_at < new Date().toISOString()) {
+        throw new BookingError(409, 'Fare quote has expired, please request a new quote', { quoteId: signedQuoteId, expiresAt: quote.expires_at });
+    }
+    if (quote.request_hash !== requestHash) {
+        throw new BookingError(409, 'Booking does not match the fare quote (flights, class, passengers, ancillaries, promo code or contact email changed)', { quoteId: signedQuoteId });
+    }
+    return quote;
 }
 
-function formatFlightForClient(flight) {
-    // Parse available classes từ string
-    let availableClasses;
-    try {
-        // Thử chuyển đổi từ JSON string nếu đó là định dạng lưu trữ
-        availableClasses = JSON.parse(flight.available_classes);
-    } catch (error) {
-        // Nếu không phải JSON, xử lý như một string phân cách bằng dấu phẩy
-        availableClasses = flight.available_classes.split(',');
+function formatFareQuoteForClient(quote) {
+    return {
+        quoteId: `${quote.quote_id}.${quote.signature}`,
+        createdAt: quote.created_at,
+        expiresAt: quote.expires_at,
+        validMinutes: FARE_QUOTE_TTL_MINUTES,
+        ...JSON.parse(quote.breakdown)
+    };
+}
+
+// Seat numbers a passenger asked for, one entry per leg (null = auto-assign).
+// seatNumber/returnSeatNumber cover the first leg of each direction, seatNumbers ({ flightId: seat }) any leg.
+function getRequestedSeatNumbers(passenger, legs) {
+    return legs.map(leg => {
+        const perFlight = passenger.seatNumbers && passenger.seatNumbers[leg.flight.flight_id];
+        if (perFlight) return String(perFlight).toUpperCase();
+        if (leg.order === 1 && leg.direction === 'outbound' && passenger.seatNumber) return String(passenger.seatNumber).toUpperCase();
+        if (leg.order === 1 && leg.direction === 'return' && passenger.returnSeatNumber) return String(passenger.returnSeatNumber).toUpperCase();
+        return null;
+    });
+}
+
+// Check that consecutive legs connect: same airport, layover inside the connection window.
+// Returns an error message or null.
+function validateConnections(flights, minConnection = MIN_CONNECTION_MINUTES, maxConnection = MAX_CONNECTION_MINUTES) {
+    for (let i = 1; i < flights.length; i++) {
+        const previous = flights[i - 1];
+        const next = flights[i];
+        if (previous.arrival_airport !== next.departure_airport) {
+            return `Flight ${next.airline_code}${next.flight_number} does not depart from ${previous.arrival_airport}`;
+        }
+        const layoverMinutes = (new Date(next.departure_time) - new Date(previous.arrival_time)) / (60 * 1000);
+        if (layoverMinutes < minConnection || layoverMinutes > maxConnection) {
+            return `Connection at ${previous.arrival_airport} must be between ${minConnection} and ${maxConnection} minutes`;
+        }
     }
-    
-    // Extract date from departure_time
-    const departureDate = new Date(flight.departure_time);
-    const day = String(departureDate.getDate()).padStart(2, '0');
-    const month = String(departureDate.getMonth() + 1).padStart(2, '0');
-    const year = departureDate.getFullYear();
-    const formattedDate = `${day}-${month}-${year}`;
-    
-    // Extract hours and minutes from departure_time and arrival_time
-    const departureHours = String(departureDate.getHours()).padStart(2, '0');
-    const departureMinutes = String(departureDate.getMinutes()).padStart(2, '0');
-    const departureTime = `${departureHours}:${departureMinutes}`;
-    
-    const arrivalDate = new Date(flight.arrival_time);
-    const arrivalHours = String(arrivalDate.getHours()).padStart(2, '0');
-    const arrivalMinutes = String(arrivalDate.getMinutes()).padStart(2, '0');
-    const arrivalTime = `${arrivalHours}:${arrivalMinutes}`;
-    
-    // For compatibility with old code, use economy price as the base price
-    const basePrice = flight.price_economy || flight.price || 0;
-    
+    return null;
+}
+
+// Flight ids of a booking or quote request, whichever field names the client used.
+// Connecting itineraries send every leg per direction; the first leg doubles as departure/return flight.
+function getRequestedFlightIds(body) {
+    const outboundLegIds = Array.isArray(body.outboundFlightIds) ? body.outboundFlightIds : [];
+    const returnLegIds = Array.isArray(body.returnFlightIds) ? body.returnFlightIds : [];
     return {
-        id: `${flight.airline_code}${flight.flight_number}`,
-        flight_id: flight.flight_id,
-        airline: flight.airline,
-        airline_code: flight.airline_code,
-        airlineCode: flight.airline_code,
-        flight_number: flight.flight_number,
-        departure: flight.departure_airport,
-        departure_airport: flight.departure_airport,
-        destination: flight.arrival_airport,
-        arrival_airport: flight.arrival_airport,
-        departureTime: departureTime,
-        departure_time: flight.departure_time,
-        arrivalTime: arrivalTime,
-        arrival_time: flight.arrival_time,
-        duration: flight.duration,
-        // Include both the legacy price field and the new class-specific prices
-        price: basePrice,
-        price_economy: flight.price_economy || basePrice,
-        price_premium_economy: flight.price_premium_economy || null,
-        price_business: flight.price_business || null,
-        price_first: flight.price_first || null,
-        // Create a prices object for easy access
-        prices: {
-            ECONOMY: flight.price_economy || basePrice,
-            PREMIUM_ECONOMY: flight.price_premium_economy || null,
-            BUSINESS: flight.price_business || null,
-            FIRST: flight.price_first || null
-        },
-        // Include seats for each class
-        seats_economy: flight.seats_economy || 0,
-        seats_premium_economy: flight.seats_premium_economy || 0,
-        seats_business: flight.seats_business || 0, 
-        seats_first: flight.seats_first || 0,
-        // Create a seats object for easy access
-        seats: {
-            ECONOMY: flight.seats_economy || 0,
-            PREMIUM_ECONOMY: flight.seats_premium_economy || 0,
-            BUSINESS: flight.seats_business || 0,
-            FIRST: flight.seats_first || 0
-        },
-        availableSeats: flight.available_seats,
-        available_seats: flight.available_seats,
-        status: flight.status,
-        availableClasses: availableClasses,
-        available_classes: flight.available_classes,
-        flightClass: 'Economy', // Default display class
-        date: formattedDate
+        departureFlightId: body.departureFlightId || body.departure_flight_id || outboundLegIds[0],
+        returnFlightId: body.returnFlightId || body.return_flight_id || returnLegIds[0],
+        isRoundTrip: !!(body.isRoundTrip || body.is_round_trip || returnLegIds.length > 0),
+        outboundLegIds,
+        returnLegIds
     };
 }
 
-// Sample data population function
-async function populateSampleFlights() {
-    const airlines = [
-        { 
-            code: 'VN', 
-            name: 'Vietnam Airlines', 
-            classes: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'],
-            seatsConfig: {
-                ECONOMY: { min: 100, max: 150 },
-                PREMIUM_ECONOMY: { min: 30, max: 50 },
-                BUSINESS: { min: 20, max: 30 },
-                FIRST: { min: 8, max: 12 }
-            }
-        },
-        { 
-            code: 'VJ', 
-            name: 'Vietjet Air', 
-            classes: ['ECONOMY', 'PREMIUM_ECONOMY'],
-            seatsConfig: {
-                ECONOMY: { min: 150, max: 180 },
-                PREMIUM_ECONOMY: { min: 20, max: 30 }
-            }
-        },
-        { 
-            code: 'BL', 
-            name: 'Jetstar Pacific', 
-            classes: ['ECONOMY'],
-            seatsConfig: {
-                ECONOMY: { min: 150, max: 200 }
-            }
-        },
-        { 
-            code: 'QH', 
-            name: 'Bamboo Airways', 
-            classes: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS'],
-            seatsConfig: {
-                ECONOMY: { min: 120, max: 160 },
-                PREMIUM_ECONOMY: { min: 20, max: 40 },
-                BUSINESS: { min: 10, max: 20 }
-            }
+// Load every leg of a requested itinerary in travel order; throws a BookingError for unknown flights or bad connections
+async function resolveBookingLegs({ departureFlightId, returnFlightId, isRoundTrip, outboundLegIds, returnLegIds }) {
+    // Get departure flight details - check by both ID and flight number
+    const departureFlight = await findFlightByAnyId(departureFlightId);
+    if (!departureFlight) {
+        throw new BookingError(404, 'Departure flight not found', {
+            providedId: departureFlightId,
+            lookupType: isNaN(departureFlightId) ? 'display_id' : 'database_id'
+        });
+    }
+
+    // Get return flight details if this is a round trip
+    let returnFlight = null;
+    if (isRoundTrip && returnFlightId) {
+        returnFlight = await findFlightByAnyId(returnFlightId);
+        if (!returnFlight) {
+            throw new BookingError(404, 'Return flight not found', {
+                providedId: returnFlightId,
+                lookupType: isNaN(returnFlightId) ? 'display_id' : 'database_id'
+            });
         }
+    }
+
+    const legs = [{ flight: departureFlight, direction: 'outbound', order: 1 }];
+    const extraLegIds = [
+        ...outboundLegIds.slice(1).map(id => ({ id, direction: 'outbound' })),
+        ...(isRoundTrip && returnFlight ? returnLegIds.slice(1).map(id => ({ id, direction: 'return' })) : [])
     ];
-    
-    const routes = [
-        { departure: 'HAN', destination: 'SGN' },
-        { departure: 'SGN', destination: 'HAN' },
-        { departure: 'HAN', destination: 'DAD' },
-        { departure: 'DAD', destination: 'HAN' },
-        { departure: 'SGN', destination: 'DAD' },
-        { departure: 'DAD', destination: 'SGN' }
-    ];
+    if (isRoundTrip && returnFlight) {
+        legs.push({ flight: returnFlight, direction: 'return', order: 1 });
+    }
+    for (const leg of extraLegIds) {
+        const flight = await findFlightByAnyId(leg.id);
+        if (!flight) {
+            throw new BookingError(404, 'Connecting flight not found', { providedId: leg.id });
+        }
+        legs.push({ flight, direction: leg.direction, order: legs.filter(l => l.direction === leg.direction).length + 1 });
+    }
+    legs.sort((a, b) => (a.direction === b.direction ? a.order - b.order : a.direction === 'outbound' ? -1 : 1));
 
-    const startDate = new Date(2025, 5, 1); // June 1, 2025 (month is 0-indexed)
-    const endDate = new Date(2025, 6, 1);   // July 1, 2025
-    
-    const stmt = await db.prepare(`
-        INSERT INTO flights (
-            airline, airline_code, flight_number, departure_airport, arrival_airport, 
-            departure_time, arrival_time, duration, 
-            price_economy, price_premium_economy, price_business, price_first,
-            seats_economy, seats_premium_economy, seats_business, seats_first,
-            available_seats, status, available_classes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
-    let flightCounter = 1000;
-    
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-        for (let i = 0; i < 10; i++) {
-            const airlineInfo = airlines[Math.floor(Math.random() * airlines.length)];
-            const routeInfo = routes[Math.floor(Math.random() * routes.length)];
-            
-            const depHour = Math.floor(Math.random() * 18) + 6; // Departure between 06:00 and 23:00
-            const depMinute = Math.floor(Math.random() * 4) * 15; // Minutes: 00, 15, 30, 45
-            
-            const departureDateTime = new Date(d);
-            departureDateTime.setHours(depHour, depMinute, 0);
-            
-            const durationHours = Math.floor(Math.random() * 2) + 1; // Duration 1 to 2 hours
-            const durationMinutes = Math.floor(Math.random() * 4) * 15; // Duration minutes
-            
-            const arrivalDateTime = new Date(departureDateTime);
-            arrivalDateTime.setHours(
-                departureDateTime.getHours() + durationHours,
-                departureDateTime.getMinutes() + durationMinutes
-            );
-            
-            const durationStr = `${durationHours}h ${durationMinutes > 0 ? `${durationMinutes}m` : ''}`.trim();
-            
-            // Base economy price from 500,000 to 2,000,000
-            const economyPrice = Math.floor(Math.random() * 1500000) + 500000;
-            
-            // Calculate prices for other seat classes with some randomness
-            // These are now independent prices rather than strict multipliers
-            const premiumEconomyPrice = airlineInfo.classes.includes('PREMIUM_ECONOMY') ? 
-                Math.floor(economyPrice * (1.3 + Math.random() * 0.4)) : null;
-                
-            const businessPrice = airlineInfo.classes.includes('BUSINESS') ? 
-                Math.floor(economyPrice * (2.2 + Math.random() * 0.6)) : null;
-                
-            const firstPrice = airlineInfo.classes.includes('FIRST') ? 
-                Math.floor(economyPrice * (3.5 + Math.random() * 1.0)) : null;
-            
-            // Generate seat quantities for each class
-            const seatsEconomy = airlineInfo.classes.includes('ECONOMY') ? 
-                Math.floor(Math.random() * (airlineInfo.seatsConfig.ECONOMY.max - airlineInfo.seatsConfig.ECONOMY.min + 1)) + airlineInfo.seatsConfig.ECONOMY.min : 0;
-                
-            const seatsPremiumEconomy = airlineInfo.classes.includes('PREMIUM_ECONOMY') ?
-                Math.floor(Math.random() * (airlineInfo.seatsConfig.PREMIUM_ECONOMY.max - airlineInfo.seatsConfig.PREMIUM_ECONOMY.min + 1)) + airlineInfo.seatsConfig.PREMIUM_ECONOMY.min : 0;
-                
-            const seatsBusiness = airlineInfo.classes.includes('BUSINESS') ?
-                Math.floor(Math.random() * (airlineInfo.seatsConfig.BUSINESS.max - airlineInfo.seatsConfig.BUSINESS.min + 1)) + airlineInfo.seatsConfig.BUSINESS.min : 0;
-                
-            const seatsFirst = airlineInfo.classes.includes('FIRST') ?
-                Math.floor(Math.random() * (airlineInfo.seatsConfig.FIRST.max - airlineInfo.seatsConfig.FIRST.min + 1)) + airlineInfo.seatsConfig.FIRST.min : 0;
-            
-            // Calculate total available seats
-            const totalSeats = seatsEconomy + seatsPremiumEconomy + seatsBusiness + seatsFirst;
-            
-            let flightAvailableClasses = [...airlineInfo.classes].sort(() => 0.5 - Math.random())
-                .slice(0, Math.floor(Math.random() * airlineInfo.classes.length) + 1);
-            
-            // Ensure 'ECONOMY' is usually present
-            if (airlineInfo.classes.includes('ECONOMY') && !flightAvailableClasses.includes('ECONOMY')) {
-                if (Math.random() < 0.8) { // 80% chance to add ECONOMY
-                    flightAvailableClasses.push('ECONOMY');
-                }
-            }
-            
-            // Ensure there's at least one class, and remove duplicates
-            flightAvailableClasses = [...new Set(flightAvailableClasses)];
-            if (flightAvailableClasses.length === 0) {
-                if (airlineInfo.classes.includes('ECONOMY')) {
-                    flightAvailableClasses = ['ECONOMY'];
-                } else if (airlineInfo.classes.length > 0) {
-                    flightAvailableClasses = [airlineInfo.classes[0]];
-                } else {
-                    flightAvailableClasses = ['ECONOMY'];
-                }
-            }
-            
-            const flightNumber = String(flightCounter++);
-            
-            // Lưu available_classes dưới dạng chuỗi (không phải JSON)
-            const availableClassesString = flightAvailableClasses.join(',');
-            
-            await stmt.run(
-                airlineInfo.name,
-                airlineInfo.code,
-                flightNumber,
-                routeInfo.departure,
-                routeInfo.destination,
-                departureDateTime.toISOString(),
-                arrivalDateTime.toISOString(),
-                durationStr,
-                economyPrice,
-                premiumEconomyPrice,
-                businessPrice,
-                firstPrice,
-                seatsEconomy,
-                seatsPremiumEconomy,
-                seatsBusiness,
-                seatsFirst,
-                totalSeats,
-                'scheduled',
-                availableClassesString
-            );
+    // Cancelled flights and flights that have already left are no longer for sale
+    const now = new Date();
+    for (const { flight } of legs) {
+        const flightCode = `${flight.airline_code}${flight.flight_number}`;
+        if (flight.status === 'cancelled') {
+            throw new BookingError(409, `Flight ${flightCode} is cancelled`, { flightId: flight.flight_id });
+        }
+        if (new Date(flight.departure_time) <= now) {
+            throw new BookingError(409, `Flight ${flightCode} has already departed`, { flightId: flight.flight_id, departureTime: flight.departure_time });
+        }
+    }
+
+    // Connecting legs must chain airport to airport within the connection window
+    for (const direction of ['outbound', 'return']) {
+        const directionLegs = legs.filter(l => l.direction === direction);
+        const connectionError = validateConnections(directionLegs.map(l => l.flight));
+        if (connectionError) {
+            throw new BookingError(400, connectionError, { direction });
+        }
+    }
+
+    return { legs, departureFlight, returnFlight };
+}
+
+// Fast seat pre-check for every leg - the real guard is the conditional decrement when booking
+function checkLegSeats(legs, seatClass, passengerCount) {
+    const seatField = getSeatFieldForClass(seatClass);
+    for (const leg of legs) {
+        const seatValue = leg.flight[seatField];
+        console.log(`Checking seats for class ${seatClass} on flight ${leg.flight.flight_id}, available: ${seatValue}, needed: ${passengerCount}`);
+
+        // Check if the selected class has enough seats
+        if (seatValue < passengerCount) {
+            throw new BookingError(400, `Not enough ${seatClass.toLowerCase()} seats available on ${leg.direction === 'return' ? 'return' : 'departure'} flight`, {
+                flightId: leg.flight.flight_id,
+                available: seatValue,
+                requested: passengerCount,
+                seatClass
+            });
         }
     }
-    
-    await stmt.finalize();
-    console.log('Sample flights added to the database.');
 }
 
-// Helper function to generate booking number
-function generateBookingNumber() {
-    const timestamp = new Date().getTime().toString().slice(-8);
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `FV${timestamp}${random}`;
+// Read the sort, filter and pagination options of GET /api/flights
+function parseFlightSearchOptions(query) {
+    const options = {
+        sortBy: query.sortBy || null,
+        sortOrder: query.sortOrder === 'desc' ? 'desc' : 'asc',
+        minPrice: query.minPrice !== undefined ? Number(query.minPrice) : null,
+        maxPrice: query.maxPrice !== undefined ? Number(query.maxPrice) : null,
+        minSeats: query.minSeats !== undefined ? parseInt(query.minSeats, 10) : null,
+        airlines: query.airlines ? String(query.airlines).split(',').map(a => a.trim().toUpperCase()).filter(Boolean) : [],
+        timeWindows: [],
+        paginate: query.page !== undefined || query.pageSize !== undefined,
+        page: Math.max(parseInt(query.page, 10) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(query.pageSize, 10) || 20, 1), MAX_PAGE_SIZE)
+    };
+
+    if (options.sortBy && !['price', 'departureTime', 'duration'].includes(options.sortBy)) {
+        return { error: 'sortBy must be one of price, departureTime, duration' };
+    }
+
+    if ([options.minPrice, options.maxPrice, options.minSeats].some(value => value !== null && isNaN(value))) {
+        return { error: 'minPrice, maxPrice and minSeats must be numbers' };
+    }
+
+    if (query.timeOfDay) {
+        for (const name of String(query.timeOfDay).split(',')) {
+            if (!TIME_OF_DAY_WINDOWS[name]) {
+                return { error: `timeOfDay must be one of ${Object.keys(TIME_OF_DAY_WINDOWS).join(', ')}` };
+            }
+            options.timeWindows.push(TIME_OF_DAY_WINDOWS[name]);
+        }
+    }
+
+    if (query.departureTimeFrom || query.departureTimeTo) {
+        const timePattern = /^\d{2}:\d{2}$/;
+        const from = query.departureTimeFrom || '00:00';
+        const to = query.departureTimeTo || '24:00';
+        if (!timePattern.test(from) || !timePattern.test(to)) {
+            return { error: 'departureTimeFrom and departureTimeTo must be in HH:MM format' };
+        }
+        options.timeWindows.push([from, to]);
+    }
+
+    return options;
 }
 
-// Helper function to get price multiplier based on passenger type
-function getPriceMultiplierForPassengerType(passengerType) {
-    const multipliers = {
-        'ADULT': 1,      // Người lớn: 100% giá vé
-        'CHILD': 0.75,   // Trẻ em: 75% giá vé
-        'INFANT': 0.1    // Em bé: 10% giá vé
+function getFlightDurationMinutes(flight) {
+    return getDurationMinutes(flight.departure_time, flight.arrival_time);
+}
+
+// Apply the sidebar filters to formatted flights
+function filterFlights(flights, seatClass, options) {
+    return flights.filter(flight => {
+        const price = flight.prices[seatClass];
+
+        if ((options.minPrice !== null || options.maxPrice !== null) && price === null) return false;
+        if (options.minPrice !== null && price < options.minPrice) return false;
+        if (options.maxPrice !== null && price > options.maxPrice) return false;
+        if (options.minSeats !== null && flight.seats[seatClass] < options.minSeats) return false;
+
+        if (options.airlines.length > 0 &&
+            !options.airlines.includes(flight.airline_code.toUpperCase()) &&
+            !options.airlines.includes(flight.airline.toUpperCase())) {
+            return false;
+        }
+
+        if (options.timeWindows.length > 0 &&
+            !options.timeWindows.some(([from, to]) => flight.departureTime >= from && flight.departureTime < to)) {
+            return false;
+        }
+
+        return true;
+    });
+}
+
+function sortFlights(flights, seatClass, sortBy, sortOrder) {
+    if (!sortBy) return flights;
+
+    const getValue = {
+        price: flight => flight.prices[seatClass],
+        departureTime: flight => new Date(flight.departure_time).getTime(),
+        duration: getFlightDurationMinutes
+    }[sortBy];
+    const direction = sortOrder === 'desc' ? -1 : 1;
+
+    // Flights without a value (no price in the class) go last in either order
+    return [...flights].sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA === null || valueB === null) {
+            return (valueA === null) - (valueB === null);
+        }
+        return (valueA - valueB) * direction;
+    });
+}
+
+// Airline list and price range for the results sidebar
+function buildFlightFacets(flights, seatClass) {
+    const airlines = {};
+    const prices = [];
+
+    for (const flight of flights) {
+        const price = flight.prices[seatClass];
+        if (price !== null) prices.push(price);
+
+        const airline = airlines[flight.airline_code] = airlines[flight.airline_code] || {
+            code: flight.airline_code,
+            name: flight.airline,
+            count: 0,
+            minPrice: null
+        };
+        airline.count++;
+        if (price !== null && (airline.minPrice === null || price < airline.minPrice)) {
+            airline.minPrice = price;
+        }
+    }
+
+    return {
+        total: flights.length,
+        airlines: Object.values(airlines).sort((a, b) => b.count - a.count),
+        price: {
+            min: prices.length > 0 ? Math.min(...prices) : null,
+            max: prices.length > 0 ? Math.max(...prices) : null
+        }
     };
-    return multipliers[passengerType] || 1;
 }
 
-// Helper function to determine passenger type based on date of birth
-function determinePassengerTypeFromDOB(dobString) {
-    if (!dobString) return 'ADULT'; // Mặc định là người lớn nếu không có ngày sinh
-    
-    try {
-        const dob = new Date(dobString);
-        const today = new Date();
-        const ageInYears = (today - dob) / (365.25 * 24 * 60 * 60 * 1000);
-        
-        if (ageInYears < 2) {
-            return 'INFANT'; // Em bé dưới 2 tuổi
-        } else if (ageInYears < 12) {
-            return 'CHILD';  // Trẻ em từ 2 đến dưới 12 tuổi
-        } else {
-            return 'ADULT';  // Người lớn từ 12 tuổi trở lên
+// Resolve a calendar window from month=YYYY-MM or fromDate/toDate (YYYY-MM-DD), at most 62 days
+function getCalendarDateRange(month, fromDate, toDate) {
+    let start;
+    let end;
+
+    if (month) {
+        if (!/^\d{4}-\d{2}$/.test(month)) {
+            return { error: 'month must be in YYYY-MM format' };
         }
-    } catch (error) {
-        console.error('Error determining passenger type from DOB:', error);
-        return 'ADULT'; // Mặc định là người lớn nếu có lỗi xảy ra
+        const [year, monthNumber] = month.split('-').map(Number);
+        start = new Date(Date.UTC(year, monthNumber - 1, 1));
+        end = new Date(Date.UTC(year, monthNumber, 0));
+    } else if (fromDate && toDate) {
+        start = new Date(`${formatDateForDB(fromDate)}T00:00:00Z`);
+        end = new Date(`${formatDateForDB(toDate)}T00:00:00Z`);
+    } else {
+        return { error: 'Either month or fromDate and toDate are required' };
     }
+
+    if (isNaN(start) || isNaN(end) || end < start) {
+        return { error: 'Invalid date range' };
+    }
+
+    const dates = [];
+    for (let d = new Date(start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+        dates.push(d.toISOString().slice(0, 10));
+    }
+
+    if (dates.length > 62) {
+        return { error: 'Date range cannot be longer than 62 days' };
+    }
+    return { dates };
 }
 
-// Sample promotions data
-async function populateSamplePromotions() {
-    const promotions = [
-        {
-            code: 'SUMMER25',
-            name: 'Khuyến mãi mùa hè',
-            description: 'Giảm 25% cho tất cả các chuyến bay trong mùa hè',
-            discount_type: 'percent',
-            discount_value: 25,
-            valid_from: '2025-06-01',
-            valid_to: '2025-08-31',
-            usage_limit: 100,
-            status: 'scheduled'
-        },
-        {
-            code: 'WELCOME10',
-            name: 'Ưu đãi chào mừng',
-            description: 'Giảm 10% cho lần đặt vé đầu tiên',
-            discount_type: 'percent',
-            discount_value: 10,
-            valid_from: '2025-01-01',
-            valid_to: '2025-12-31',
-            usage_limit: 500,
-            status: 'active'
-        },
-        {
-            code: 'FIXED200K',
-            name: 'Giảm 200K',
-            description: 'Giảm 200,000 VND cho mọi đơn hàng',
-            discount_type: 'fixed',
-            discount_value: 200000,
-            valid_from: '2025-05-01',
-            valid_to: '2025-07-31',
-            usage_limit: 50,
-            status: 'active'
+// Lowest fare per day for one direction, marking days without flights or without seats in the class
+async function getLowestFaresByDay(departure, destination, seatClass, passengerCount, dates) {
+    const flights = await applyDynamicPricing(await db.all(`
+        SELECT * FROM flights
+        WHERE departure_airport = ? AND arrival_airport = ?
+          AND departure_time >= ? AND departure_time < ?
+          AND status = 'scheduled'
+    `, [departure, destination, ...getUtcWindowForLocalDates(dates[0], dates[dates.length - 1])]));
+
+    return dates.map(date => {
+        const dayFlights = flights.filter(f => getFlightLocalDate(f) === date).map(formatFlightForClient);
+        const bookable = dayFlights.filter(f =>
+            f.availableClasses.includes(seatClass) &&
+            f.prices[seatClass] !== null &&
+            f.seats[seatClass] >= passengerCount
+        );
+
+        if (bookable.length === 0) {
+            return {
+                date,
+                lowestFare: null,
+                flightCount: dayFlights.length,
+                availableFlightCount: 0,
+                status: dayFlights.length === 0 ? 'no_flights' : 'sold_out'
+            };
         }
-    ];
-    
-    for (const promo of promotions) {
-        await db.run(`
-            INSERT INTO promotions (
-                code, name, description, discount_type, discount_value,
-                valid_from, valid_to, usage_limit, status
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            promo.code,
-            promo.name,
-            promo.description,
-            promo.discount_type,
-            promo.discount_value,
-            promo.valid_from,
-            promo.valid_to,
-            promo.usage_limit,
-            promo.status
-        ]);
+
+        const cheapest = bookable.reduce((min, f) => (f.prices[seatClass] < min.prices[seatClass] ? f : min));
+        return {
+            date,
+            lowestFare: cheapest.prices[seatClass],
+            flightId: cheapest.flight_id,
+            flightCode: cheapest.id,
+            flightCount: dayFlights.length,
+            availableFlightCount: bookable.length,
+            status: 'available'
+        };
+    });
+}
+
+// Depth-first search over scheduled flights for direct and connecting itineraries
+async function findItineraries({ departure, destination, departDate, seatClass, passengerCount, maxStops, minConnection, maxConnection }) {
+    const seatField = getSeatFieldForClass(seatClass);
+
+    // First leg leaves on the requested (local) date; later legs may run into the following days
+    const candidateFlights = await applyDynamicPricing(await db.all(`
+        SELECT * FROM flights
+        WHERE departure_time >= ? AND departure_time < ?
+          AND status = 'scheduled'
+          AND available_classes LIKE ?
+          AND ${seatField} >= ?
+        ORDER BY departure_time
+    `, [...getUtcWindowForLocalDates(departDate, addDaysToDate(departDate, maxStops + 1)), `%${seatClass}%`, passengerCount]));
+
+    const flightsByOrigin = {};
+    for (const flight of candidateFlights) {
+        (flightsByOrigin[flight.departure_airport] = flightsByOrigin[flight.departure_airport] || []).push(flight);
     }
-    
-    console.log('Sample promotions added to the database.');
+
+    const results = [];
+    const search = (path) => {
+        const last = path[path.length - 1];
+        if (last.arrival_airport === destination) {
+            results.push(buildItinerary(path));
+            return;
+        }
+        if (path.length > maxStops) return;
+
+        const visitedAirports = [path[0].departure_airport, ...path.map(f => f.arrival_airport)];
+        for (const next of flightsByOrigin[last.arrival_airport] || []) {
+            if (visitedAirports.includes(next.arrival_airport)) continue;
+            const layoverMinutes = (new Date(next.departure_time) - new Date(last.arrival_time)) / (60 * 1000);
+            if (layoverMinutes < minConnection || layoverMinutes > maxConnection) continue;
+            search([...path, next]);
+        }
+    };
+
+    for (const first of flightsByOrigin[departure] || []) {
+        if (getFlightLocalDate(first) !== departDate) continue;
+        search([first]);
+    }
+
+    return results
+        .filter(itinerary => itinerary.prices[seatClass] !== null)
+        .sort((a, b) => a.prices[seatClass] - b.prices[seatClass] || a.totalDurationMinutes - b.totalDurationMinutes);
 }
 
-// Helper functions for seat generation removed
+// Combine legs into one itinerary: class prices are summed, availability is the tightest leg
+function buildItinerary(flights) {
+    const first = flights[0];
+    const last = flights[flights.length - 1];
+    const prices = {};
+    const seats = {};
 
-// Generate random booking ID with 10 characters (uppercase letters and numbers)
-function generateBookingId() {
-    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < 10; i++) {
-        result += characters.charAt(Math.floor(Math.random() * characters.length));
+    for (const seatClass of CABIN_ORDER) {
+        const offered = flights.every(f => (f.available_classes || '').includes(seatClass) && (seatClass === 'ECONOMY' || f[`price_${seatClass.toLowerCase()}`]));
+        prices[seatClass] = offered ? flights.reduce((sum, f) => sum + getClassPrice(f, seatClass), 0) : null;
+        seats[seatClass] = offered ? Math.min(...flights.map(f => f[getSeatFieldForClass(seatClass)] || 0)) : 0;
     }
-    return result;
+
+    return {
+        id: flights.map(f => `${f.airline_code}${f.flight_number}`).join('-'),
+        flightIds: flights.map(f => f.flight_id),
+        stops: flights.length - 1,
+        departure: first.departure_airport,
+        destination: last.arrival_airport,
+        departure_time: first.departure_time,
+        arrival_time: last.arrival_time,
+        totalDurationMinutes: Math.round((new Date(last.arrival_time) - new Date(first.departure_time)) / (60 * 1000)),
+        connections: flights.slice(1).map((f, i) => ({
+            airport: f.departure_airport,
+            layoverMinutes: Math.round((new Date(f.departure_time) - new Date(flights[i].arrival_time)) / (60 * 1000))
+        })),
+        prices,
+        seats,
+        legs: flights.map(formatFlightForClient)
+    };
+}
+
+// Xác định loại hành khách - ưu tiên dữ liệu từ client hơn.
+// Dùng chung cho tính giá và lưu đặt chỗ, để khách được lưu đúng loại đã tính tiền.
+function resolvePassengerType(passenger) {
+    // Nếu có dữ liệu type (hoặc passengerType) từ client, sử dụng và chuyển thành định dạng chuẩn
+    const requestedType = passenger.type || passenger.passengerType;
+    if (requestedType) {
+        const type = String(requestedType).toUpperCase();
+        return ['ADULT', 'CHILD', 'INFANT'].includes(type) ? type : 'ADULT'; // Mặc định là người lớn
+    }
+    // Nếu không có, xác định từ ngày sinh
+    return determinePassengerTypeFromDOB(passenger.dob) || 'ADULT';
+}
+
+// Development values for the signing secrets are public, so production does not start without real ones
+const missingSecrets = REQUIRED_SECRETS.filter(name => !process.env[name]);
+if (missingSecrets.length > 0) {
+    if (IS_PRODUCTION) {
+        console.error(`Missing required environment variables: ${missingSecrets.join(', ')} (see .env.example)`);
+        process.exit(1);
+    }
+    console.warn(`Using insecure development values for ${missingSecrets.join(', ')} - set them before going live (see .env.example)`);
 }
 
 // Initialize database and start server
@@ -2126,6 +10690,14 @@ setupDatabase()
             
             // Then run the status update every hour
             setInterval(updatePromotionStatuses, 60 * 60 * 1000);
+            
+            // Release seats held by bookings that were not paid in time
+            setTimeout(expireUnpaidBookings, 2000);
+            setInterval(expireUnpaidBookings, BOOKING_EXPIRY_CHECK_SECONDS * 1000);
+            
+            // Send queued emails/SMS and retry the ones that failed
+            setTimeout(processNotificationOutbox, 3000);
+            setInterval(processNotificationOutbox, NOTIFICATION_WORKER_SECONDS * 1000);
         });
     })
     .catch(error => {
@@ -2159,8 +10731,38 @@ async function updatePromotionStatuses() {
     }
 } 
 
+// Function to expire unpaid/pending bookings whose seat hold has run out
+async function expireUnpaidBookings() {
+    try {
+        const now = new Date().toISOString();
+        const overdueBookings = await db.all(`
+            SELECT booking_id 
+            FROM bookings 
+            WHERE payment_status IN ('unpaid', 'pending') AND hold_expires_at IS NOT NULL AND hold_expires_at < ?
+        `, [now]);
+        
+        for (const { booking_id } of overdueBookings) {
+            const expired = await withTransaction(async () => {
+                // Re-check inside the transaction - the booking may have been paid or its hold extended in the meantime
+                const booking = await db.get('SELECT * FROM bookings WHERE booking_id = ?', [booking_id]);
+                if (!booking || !['unpaid', 'pending'].includes(booking.payment_status) || booking.hold_expires_at >= now) {
+                    return false;
+                }
+                
+                await transitionBookingStatus(booking_id, 'expired', { actor: 'system:expiry', reason: 'Seat hold ran out' });
+                return true;
+            });
+            if (expired) {
+                console.log(`Booking ${booking_id} expired - seat hold ran out`);
+            }
+        }
+    } catch (error) {
+        console.error('Error expiring unpaid bookings:', error);
+    }
+}
+
 // Admin API: Get statistics data
-app.get('/api/admin/statistics', async (req, res) => {
+app.get('/api/admin/statistics', requireAdmin('viewer', 'finance'), async (req, res) => {
     try {
         const { fromDate, toDate } = req.query;
         
@@ -2178,11 +10780,12 @@ app.get('/api/admin/statistics', async (req, res) => {
         // Get revenue by date
         const revenueByDateQuery = await db.all(`
             SELECT 
-                DATE(booking_time) as date, 
-                SUM(total_amount) as amount 
-            FROM bookings 
-            WHERE payment_status = 'paid' AND booking_time BETWEEN ? AND ?
-            GROUP BY DATE(booking_time)
+                DATE(b.booking_time) as date, 
+                SUM(${bookingNetAmountSql('b')}) as amount 
+            FROM bookings b
+            WHERE b.payment_status IN ('paid', 'refunded') AND b.booking_time BETWEEN ? AND ?
+            GROUP BY DATE(b.booking_time)
+            HAVING amount > 0
             ORDER BY date
         `, [formattedFromDate, formattedToDate]);
         
@@ -2222,7 +10825,7 @@ app.get('/api/admin/statistics', async (req, res) => {
                 f.departure_airport as departure, 
                 f.arrival_airport as destination, 
                 COUNT(b.booking_id) as count,
-                SUM(CASE WHEN b.payment_status = 'paid' THEN b.total_amount ELSE 0 END) as revenue,
+                SUM(${bookingNetAmountSql('b')}) as revenue,
                 (
                     (
                         SELECT COUNT(*) 
@@ -2247,13 +10850,17 @@ app.get('/api/admin/statistics', async (req, res) => {
             occupancyRate: route.occupancyRate || 0
         }));
         
+        // Get ancillary revenue by category
+        const ancillaryRevenueByCategory = await getAncillaryRevenueByCategory(formattedFromDate, formattedToDate);
+        
         // Format the response
         const response = {
             ...coreStats,
             revenueByDate,
             bookingsByDate,
             bookingsByStatus,
-            popularRoutes
+            popularRoutes,
+            ancillaryRevenueByCategory
         };
         
         res.json(response);
@@ -2262,19 +10869,23 @@ app.get('/api/admin/statistics', async (req, res) => {
         // Return a minimal valid response with default values
         res.status(200).json({
             totalBookings: 0,
+            grossRevenue: 0,
+            totalRefunds: 0,
             totalRevenue: 0,
+            ancillaryRevenue: 0,
             totalPassengers: 0,
             occupancyRate: 0,
             revenueByDate: [],
             bookingsByDate: [],
             bookingsByStatus: [],
-            popularRoutes: []
+            popularRoutes: [],
+            ancillaryRevenueByCategory: []
         });
     }
 });
 
 // Admin API: Export statistics
-app.get('/api/admin/statistics/export', async (req, res) => {
+app.get('/api/admin/statistics/export', requireAdmin('finance'), async (req, res) => {
     try {
         const { format, fromDate, toDate } = req.query;
         
@@ -2282,6 +10893,11 @@ app.get('/api/admin/statistics/export', async (req, res) => {
             return res.status(400).json({ error: 'format, fromDate and toDate are required parameters' });
         }
         
+        const validFormats = ['pdf', 'excel', 'csv', 'json'];
+        if (!validFormats.includes(format)) {
+            return res.status(400).json({ error: 'Invalid export format', validFormats });
+        }
+        
         // Format dates to ensure they are in correct format
         const formattedFromDate = fromDate.includes('T') ? fromDate : `${fromDate}T00:00:00.000Z`;
         const formattedToDate = toDate.includes('T') ? toDate : `${toDate}T23:59:59.999Z`;
@@ -2292,11 +10908,12 @@ app.get('/api/admin/statistics/export', async (req, res) => {
         // Get revenue by date
         const revenueByDate = await db.all(`
             SELECT 
-                DATE(booking_time) as date, 
-                SUM(total_amount) as amount 
-            FROM bookings 
-            WHERE payment_status = 'paid' AND booking_time BETWEEN ? AND ?
-            GROUP BY DATE(booking_time)
+                DATE(b.booking_time) as date, 
+                SUM(${bookingNetAmountSql('b')}) as amount 
+            FROM bookings b
+            WHERE b.payment_status IN ('paid', 'refunded') AND b.booking_time BETWEEN ? AND ?
+            GROUP BY DATE(b.booking_time)
+            HAVING amount > 0
             ORDER BY date
         `, [formattedFromDate, formattedToDate]) || [];
         
@@ -2327,7 +10944,7 @@ app.get('/api/admin/statistics/export', async (req, res) => {
                 f.departure_airport as departure, 
                 f.arrival_airport as destination, 
                 COUNT(b.booking_id) as count,
-                SUM(CASE WHEN b.payment_status = 'paid' THEN b.total_amount ELSE 0 END) as revenue
+                SUM(${bookingNetAmountSql('b')}) as revenue
             FROM bookings b
             JOIN flights f ON b.departure_flight_id = f.flight_id
             WHERE b.booking_time BETWEEN ? AND ?
@@ -2353,89 +10970,51 @@ app.get('/api/admin/statistics/export', async (req, res) => {
             },
             coreStats: {
                 totalBookings: coreStats.totalBookings,
+                grossRevenue: coreStats.grossRevenue,
+                totalRefunds: coreStats.totalRefunds,
                 totalRevenue: coreStats.totalRevenue,
+                ancillaryRevenue: coreStats.ancillaryRevenue,
                 totalPassengers: coreStats.totalPassengers
             },
             revenueByDate,
             bookingsByDate,
             bookingsByStatus,
-            popularRoutes
+            popularRoutes,
+            ancillaryRevenueByCategory: await getAncillaryRevenueByCategory(formattedFromDate, formattedToDate)
         };
         
-        // Return JSON data for now (both formats)
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', `attachment; filename=statistics-${fromDate}-to-${toDate}.json`);
-        res.json(reportData);
+        const fileName = `statistics-${fromDate}-to-${toDate}`;
         
-        /* 
-        // In a production environment, we would generate actual PDF and Excel files
         if (format === 'pdf') {
-            // Example with pdfkit (would need to npm install pdfkit)
-            const PDFDocument = require('pdfkit');
-            const doc = new PDFDocument();
-            
             res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', `attachment; filename=statistics-${fromDate}-to-${toDate}.pdf`);
-            
-            doc.pipe(res);
-            
-            // Add content to PDF
-            doc.fontSize(25).text(reportData.reportTitle, 100, 100);
-            doc.fontSize(12).text(`Ngày tạo: ${reportData.generatedDate}`, 100, 150);
-            
-            // Core stats
-            doc.fontSize(16).text('Thống kê tổng quan', 100, 200);
-            doc.fontSize(12).text(`Tổng đơn đặt vé: ${reportData.coreStats.totalBookings}`, 120, 230);
-            doc.fontSize(12).text(`Doanh thu: ${formatCurrency(reportData.coreStats.totalRevenue)}`, 120, 250);
-            doc.fontSize(12).text(`Số hành khách: ${reportData.coreStats.totalPassengers}`, 120, 270);
-            
-            // Add tables for detailed data
-            // ...
-            
-            doc.end();
+            res.setHeader('Content-Disposition', `attachment; filename=${fileName}.pdf`);
+            writeStatisticsPdf(res, reportData);
         } else if (format === 'excel') {
-            // Example with exceljs (would need to npm install exceljs)
-            const Excel = require('exceljs');
-            const workbook = new Excel.Workbook();
-            const worksheet = workbook.addWorksheet('Thống kê');
-            
             res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-            res.setHeader('Content-Disposition', `attachment; filename=statistics-${fromDate}-to-${toDate}.xlsx`);
-            
-            // Add headers
-            worksheet.columns = [
-                { header: 'Chỉ số', key: 'metric', width: 30 },
-                { header: 'Giá trị', key: 'value', width: 20 }
-            ];
-            
-            // Add core stats
-            worksheet.addRow({ metric: 'Tổng đơn đặt vé', value: reportData.coreStats.totalBookings });
-            worksheet.addRow({ metric: 'Doanh thu', value: reportData.coreStats.totalRevenue });
-            worksheet.addRow({ metric: 'Số hành khách', value: reportData.coreStats.totalPassengers });
-            
-            // Add revenue by date
-            worksheet.addRow({});
-            worksheet.addRow({ metric: 'Doanh thu theo ngày' });
-            worksheet.addRow({ metric: 'Ngày', value: 'Doanh thu' });
-            
-            reportData.revenueByDate.forEach(item => {
-                worksheet.addRow({ metric: item.date, value: item.amount });
-            });
-            
-            // Add more data
-            // ...
-            
-            await workbook.xlsx.write(res);
+            res.setHeader('Content-Disposition', `attachment; filename=${fileName}.xlsx`);
+            await writeStatisticsWorkbook(res, reportData);
+            res.end();
+        } else if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename=${fileName}.csv`);
+            // BOM so Excel opens the Vietnamese text as UTF-8
+            res.send('\uFEFF' + buildStatisticsCsv(reportData));
+        } else {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', `attachment; filename=${fileName}.json`);
+            res.json(reportData);
         }
-        */
     } catch (error) {
         console.error('Error exporting statistics:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
         res.status(500).json({ error: 'Failed to export statistics', details: error.message });
     }
 });
 
 // Admin API: Get comparison statistics
-app.get('/api/admin/statistics/compare', async (req, res) => {
+app.get('/api/admin/statistics/compare', requireAdmin('viewer', 'finance'), async (req, res) => {
     try {
         const { currentFromDate, currentToDate, previousFromDate, previousToDate } = req.query;
         
@@ -2464,6 +11043,7 @@ app.get('/api/admin/statistics/compare', async (req, res) => {
         const changes = {
             bookingsChange: calculatePercentageChange(currentStats.totalBookings, previousStats.totalBookings),
             revenueChange: calculatePercentageChange(currentStats.totalRevenue, previousStats.totalRevenue),
+            ancillaryRevenueChange: calculatePercentageChange(currentStats.ancillaryRevenue, previousStats.ancillaryRevenue),
             passengersChange: calculatePercentageChange(currentStats.totalPassengers, previousStats.totalPassengers),
             occupancyChange: calculatePercentageChange(currentStats.occupancyRate, previousStats.occupancyRate)
         };
@@ -2491,15 +11071,35 @@ async function getStatisticsForPeriod(fromDate, toDate) {
         
         const totalBookings = totalBookingsQuery ? (totalBookingsQuery.count || 0) : 0;
         
-        // Get revenue from paid bookings
+        // Get revenue from paid bookings, net of completed refunds
         const totalRevenueQuery = await db.get(`
-            SELECT SUM(total_amount) as total 
-            FROM bookings 
-            WHERE payment_status = 'paid' AND booking_time BETWEEN ? AND ?
+            SELECT SUM(${bookingNetAmountSql('b')}) as total 
+            FROM bookings b
+            WHERE b.booking_time BETWEEN ? AND ?
         `, [fromDate, toDate]);
         
         const totalRevenue = totalRevenueQuery && totalRevenueQuery.total !== null ? totalRevenueQuery.total : 0;
         
+        // Get money paid back on bookings made in the period
+        const totalRefundsQuery = await db.get(`
+            SELECT SUM(r.amount) as total 
+            FROM refunds r
+            JOIN bookings b ON r.booking_id = b.booking_id
+            WHERE r.status = 'completed' AND b.payment_status IN ('paid', 'refunded') AND b.booking_time BETWEEN ? AND ?
+        `, [fromDate, toDate]);
+        
+        const totalRefunds = totalRefundsQuery && totalRefundsQuery.total !== null ? totalRefundsQuery.total : 0;
+        
+        // Get ancillary sales on paid bookings, without refunded tickets
+        const ancillaryRevenueQuery = await db.get(`
+            SELECT SUM(ba.price) as total 
+            FROM booking_ancillaries ba
+            JOIN bookings b ON ba.booking_id = b.booking_id
+            WHERE b.payment_status = 'paid' AND b.booking_time BETWEEN ? AND ? AND ${unrefundedAncillarySql('ba')}
+        `, [fromDate, toDate]);
+        
+        const ancillaryRevenue = ancillaryRevenueQuery && ancillaryRevenueQuery.total !== null ? ancillaryRevenueQuery.total : 0;
+        
         // Get total passengers
         const totalPassengersQuery = await db.get(`
             SELECT COUNT(*) as count 
@@ -2537,11 +11137,14 @@ async function getStatisticsForPeriod(fromDate, toDate) {
         
         const occupancyRate = flightCount > 0 ? totalOccupancy / flightCount : 0;
         
-        console.log('Statistics calculated for period:', { fromDate, toDate, totalBookings, totalRevenue, totalPassengers, occupancyRate });
+        console.log('Statistics calculated for period:', { fromDate, toDate, totalBookings, totalRevenue, totalRefunds, ancillaryRevenue, totalPassengers, occupancyRate });
         
         return {
             totalBookings,
+            grossRevenue: totalRevenue + totalRefunds,
+            totalRefunds,
             totalRevenue,
+            ancillaryRevenue,
             totalPassengers,
             occupancyRate
         };
@@ -2550,13 +11153,229 @@ async function getStatisticsForPeriod(fromDate, toDate) {
         // Return default values if there's an error
         return {
             totalBookings: 0,
+            grossRevenue: 0,
+            totalRefunds: 0,
             totalRevenue: 0,
+            ancillaryRevenue: 0,
             totalPassengers: 0,
             occupancyRate: 0
         };
     }
 }
 
+// Ancillary sales per category (baggage, meal, ...) on paid bookings made in the period
+async function getAncillaryRevenueByCategory(fromDate, toDate) {
+    const rows = await db.all(`
+        SELECT ba.category, COUNT(*) as count, SUM(ba.price) as revenue
+        FROM booking_ancillaries ba
+        JOIN bookings b ON ba.booking_id = b.booking_id
+        WHERE b.payment_status = 'paid' AND b.booking_time BETWEEN ? AND ? AND ${unrefundedAncillarySql('ba')}
+        GROUP BY ba.category
+        ORDER BY revenue DESC
+    `, [fromDate, toDate]);
+    return rows.map(row => ({ category: row.category, count: row.count, revenue: row.revenue || 0 }));
+}
+
+// Định dạng tiền VND, VD: 1.234.567 ₫
+function formatCurrency(amount) {
+    return new Intl.NumberFormat('vi-VN', { style: 'currency', currency: 'VND', maximumFractionDigits: 0 }).format(amount || 0);
+}
+
+// Render the statistics report as PDF: core stats, revenue by date (bar chart + table), statuses and routes
+function writeStatisticsPdf(stream, reportData) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    doc.registerFont('regular', PDF_FONT_REGULAR);
+    doc.registerFont('bold', PDF_FONT_BOLD);
+    doc.pipe(stream);
+
+    const pageBottom = () => doc.page.height - doc.page.margins.bottom;
+    const ensureSpace = (height) => {
+        if (doc.y + height > pageBottom()) doc.addPage();
+    };
+    const heading = (text) => {
+        ensureSpace(60);
+        doc.moveDown(1).font('bold').fontSize(14).text(text, 50).moveDown(0.5);
+    };
+    // Simple table: columns = [{ header, width, align }], rows = arrays of strings
+    const table = (columns, rows) => {
+        const drawRow = (cells, font) => {
+            ensureSpace(20);
+            const y = doc.y;
+            let x = 50;
+            doc.font(font).fontSize(10);
+            cells.forEach((cell, i) => {
+                doc.text(String(cell), x + 4, y + 4, { width: columns[i].width - 8, align: columns[i].align || 'left' });
+                x += columns[i].width;
+            });
+            doc.moveTo(50, y + 20).lineTo(x, y + 20).strokeColor('#cccccc').stroke();
+            doc.y = y + 22;
+        };
+        drawRow(columns.map(c => c.header), 'bold');
+        if (rows.length === 0) {
+            drawRow(['Không có dữ liệu', ...columns.slice(1).map(() => '')], 'regular');
+        }
+        rows.forEach(row => drawRow(row, 'regular'));
+    };
+
+    doc.font('bold').fontSize(18).text(reportData.reportTitle, { align: 'center' });
+    doc.font('regular').fontSize(10).text(`Ngày tạo: ${reportData.generatedDate}`, { align: 'center' });
+
+    heading('Thống kê tổng quan');
+    table(
+        [{ header: 'Chỉ số', width: 250 }, { header: 'Giá trị', width: 245, align: 'right' }],
+        [
+            ['Tổng đơn đặt vé', reportData.coreStats.totalBookings],
+            ['Doanh thu gộp', formatCurrency(reportData.coreStats.grossRevenue)],
+            ['Hoàn tiền', formatCurrency(reportData.coreStats.totalRefunds)],
+            ['Doanh thu thuần', formatCurrency(reportData.coreStats.totalRevenue)],
+            ['Doanh thu dịch vụ bổ trợ', formatCurrency(reportData.coreStats.ancillaryRevenue)],
+            ['Số hành khách', reportData.coreStats.totalPassengers]
+        ]
+    );
+
+    heading('Doanh thu theo ngày');
+    const chartData = reportData.revenueByDate;
+    if (chartData.length > 0) {
+        const chartHeight = 140;
+        const chartWidth = 495;
+        ensureSpace(chartHeight + 30);
+        const top = doc.y;
+        const maxAmount = Math.max(...chartData.map(item => item.amount || 0), 1);
+        const barWidth = Math.max(Math.min(chartWidth / chartData.length - 4, 40), 2);
+
+        chartData.forEach((item, i) => {
+            const barHeight = ((item.amount || 0) / maxAmount) * chartHeight;
+            const x = 50 + i * (chartWidth / chartData.length) + 2;
+            doc.rect(x, top + chartHeight - barHeight, barWidth, barHeight).fill('#1e88e5');
+        });
+        doc.moveTo(50, top + chartHeight).lineTo(50 + chartWidth, top + chartHeight).strokeColor('#333333').stroke();
+        doc.fillColor('#000000').font('regular').fontSize(8)
+            .text(chartData[0].date, 50, top + chartHeight + 4)
+            .text(chartData[chartData.length - 1].date, 50, top + chartHeight + 4, { width: chartWidth, align: 'right' });
+        doc.text(`Cao nhất: ${formatCurrency(maxAmount)}`, 50, top - 2, { width: chartWidth, align: 'right' });
+        doc.y = top + chartHeight + 20;
+    }
+    table(
+        [{ header: 'Ngày', width: 200 }, { header: 'Doanh thu', width: 295, align: 'right' }],
+        chartData.map(item => [item.date, formatCurrency(item.amount)])
+    );
+
+    heading('Đơn đặt vé theo trạng thái');
+    table(
+        [{ header: 'Trạng thái', width: 250 }, { header: 'Số đơn', width: 245, align: 'right' }],
+        reportData.bookingsByStatus.map(item => [PAYMENT_STATUS_LABELS[item.status] || item.status, item.count])
+    );
+
+    heading('Tuyến bay phổ biến');
+    table(
+        [
+            { header: 'Điểm đi', width: 110 },
+            { header: 'Điểm đến', width: 110 },
+            { header: 'Số đơn', width: 100, align: 'right' },
+            { header: 'Doanh thu', width: 175, align: 'right' }
+        ],
+        reportData.popularRoutes.map(route => [route.departure, route.destination, route.count, formatCurrency(route.revenue)])
+    );
+
+    doc.end();
+}
+
+// Render the statistics report as an XLSX workbook, one sheet per dataset
+async function writeStatisticsWorkbook(stream, reportData) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'FlyViet';
+    workbook.created = new Date();
+    const currencyFormat = '#,##0 "₫"';
+
+    const addSheet = (name, columns, rows) => {
+        const worksheet = workbook.addWorksheet(name);
+        worksheet.columns = columns;
+        worksheet.getRow(1).font = { bold: true };
+        rows.forEach(row => worksheet.addRow(row));
+        return worksheet;
+    };
+
+    const overview = addSheet('Tổng quan', [
+        { header: 'Chỉ số', key: 'metric', width: 30 },
+        { header: 'Giá trị', key: 'value', width: 25 }
+    ], [
+        { metric: 'Kỳ báo cáo', value: `${reportData.period.fromDate} - ${reportData.period.toDate}` },
+        { metric: 'Ngày tạo', value: reportData.generatedDate },
+        { metric: 'Tổng đơn đặt vé', value: reportData.coreStats.totalBookings },
+        { metric: 'Doanh thu gộp', value: reportData.coreStats.grossRevenue },
+        { metric: 'Hoàn tiền', value: reportData.coreStats.totalRefunds },
+        { metric: 'Doanh thu thuần', value: reportData.coreStats.totalRevenue },
+        { metric: 'Doanh thu dịch vụ bổ trợ', value: reportData.coreStats.ancillaryRevenue },
+        { metric: 'Số hành khách', value: reportData.coreStats.totalPassengers }
+    ]);
+    ['B5', 'B6', 'B7', 'B8'].forEach(cell => { overview.getCell(cell).numFmt = currencyFormat; });
+
+    addSheet('Doanh thu theo ngày', [
+        { header: 'Ngày', key: 'date', width: 15 },
+        { header: 'Doanh thu', key: 'amount', width: 20, style: { numFmt: currencyFormat } }
+    ], reportData.revenueByDate);
+
+    addSheet('Đặt vé theo ngày', [
+        { header: 'Ngày', key: 'date', width: 15 },
+        { header: 'Số đơn', key: 'count', width: 12 }
+    ], reportData.bookingsByDate);
+
+    addSheet('Theo trạng thái', [
+        { header: 'Trạng thái', key: 'status', width: 22 },
+        { header: 'Số đơn', key: 'count', width: 12 }
+    ], reportData.bookingsByStatus.map(item => ({ status: PAYMENT_STATUS_LABELS[item.status] || item.status, count: item.count })));
+
+    addSheet('Tuyến phổ biến', [
+        { header: 'Điểm đi', key: 'departure', width: 12 },
+        { header: 'Điểm đến', key: 'destination', width: 12 },
+        { header: 'Số đơn', key: 'count', width: 12 },
+        { header: 'Doanh thu', key: 'revenue', width: 20, style: { numFmt: currencyFormat } }
+    ], reportData.popularRoutes);
+
+    addSheet('Dịch vụ bổ trợ', [
+        { header: 'Loại dịch vụ', key: 'category', width: 25 },
+        { header: 'Số lượng', key: 'count', width: 12 },
+        { header: 'Doanh thu', key: 'revenue', width: 20, style: { numFmt: currencyFormat } }
+    ], reportData.ancillaryRevenueByCategory.map(item => ({ ...item, category: ANCILLARY_CATEGORY_LABELS[item.category] || item.category })));
+
+    await workbook.xlsx.write(stream);
+}
+
+// Render the statistics report as CSV, one section per dataset separated by blank lines
+function buildStatisticsCsv(reportData) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const section = (title, header, rows) => [
+        escape(title),
+        header.map(escape).join(','),
+        ...rows.map(row => row.map(escape).join(','))
+    ].join('\n');
+
+    return [
+        section(reportData.reportTitle, ['Chỉ số', 'Giá trị'], [
+            ['Ngày tạo', reportData.generatedDate],
+            ['Tổng đơn đặt vé', reportData.coreStats.totalBookings],
+            ['Doanh thu gộp (VND)', reportData.coreStats.grossRevenue],
+            ['Hoàn tiền (VND)', reportData.coreStats.totalRefunds],
+            ['Doanh thu thuần (VND)', reportData.coreStats.totalRevenue],
+            ['Doanh thu dịch vụ bổ trợ (VND)', reportData.coreStats.ancillaryRevenue],
+            ['Số hành khách', reportData.coreStats.totalPassengers]
+        ]),
+        section('Doanh thu theo ngày', ['Ngày', 'Doanh thu (VND)'],
+            reportData.revenueByDate.map(item => [item.date, item.amount])),
+        section('Đặt vé theo ngày', ['Ngày', 'Số đơn'],
+            reportData.bookingsByDate.map(item => [item.date, item.count])),
+        section('Đặt vé theo trạng thái', ['Trạng thái', 'Số đơn'],
+            reportData.bookingsByStatus.map(item => [PAYMENT_STATUS_LABELS[item.status] || item.status, item.count])),
+        section('Tuyến bay phổ biến', ['Điểm đi', 'Điểm đến', 'Số đơn', 'Doanh thu (VND)'],
+            reportData.popularRoutes.map(route => [route.departure, route.destination, route.count, route.revenue])),
+        section('Dịch vụ bổ trợ', ['Loại dịch vụ', 'Số lượng', 'Doanh thu (VND)'],
+            reportData.ancillaryRevenueByCategory.map(item => [ANCILLARY_CATEGORY_LABELS[item.category] || item.category, item.count, item.revenue]))
+    ].join('\n\n') + '\n';
+}
+
 // Helper function to calculate percentage change
 function calculatePercentageChange(current, previous) {
     if (previous === 0) {
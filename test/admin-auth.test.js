@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+const FLIGHT = {
+    airline_code: 'VN',
+    flight_number: '301',
+    departure_airport: 'HAN',
+    arrival_airport: 'SGN',
+    departure_time: '2030-01-10T03:00:00.000Z',
+    arrival_time: '2030-01-10T05:00:00.000Z',
+    price_economy: 1000000,
+    seats_economy: 10
+};
+
+test('flight changes need an admin session', async () => {
+    assert.strictEqual((await server.request('POST', '/api/flights', FLIGHT)).status, 401);
+    assert.strictEqual((await server.request('POST', '/api/flights', FLIGHT, { token: 'not-a-session' })).status, 401);
+    assert.strictEqual((await server.request('GET', '/api/admin/bookings')).status, 401);
+});
+
+test('each admin role only reaches its own routes, and logging out ends the session', async () => {
+    const created = await server.admin('POST', '/api/admin/users', { username: 'xem.bao.cao', password: 'matkhau-viewer', role: 'viewer' });
+    assert.strictEqual(created.status, 201, created.text);
+    assert.strictEqual(created.body.role, 'viewer');
+
+    const login = await server.request('POST', '/api/admin/auth/login', { username: 'xem.bao.cao', password: 'matkhau-viewer' });
+    assert.strictEqual(login.status, 200, login.text);
+    const token = login.body.token;
+
+    assert.strictEqual((await server.request('GET', '/api/admin/bookings', null, { token })).status, 200);
+    assert.strictEqual((await server.request('POST', '/api/flights', FLIGHT, { token })).status, 403);
+    assert.strictEqual((await server.request('GET', '/api/admin/users', null, { token })).status, 403);
+
+    assert.strictEqual((await server.request('POST', '/api/admin/auth/logout', null, { token })).status, 200);
+    assert.strictEqual((await server.request('GET', '/api/admin/auth/me', null, { token })).status, 401);
+
+    const wrongPassword = await server.request('POST', '/api/admin/auth/login', { username: 'xem.bao.cao', password: 'sai-mat-khau' });
+    assert.strictEqual(wrongPassword.status, 401);
+});
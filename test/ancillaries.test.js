@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('ancillaries are priced per flight, route and class, chosen per passenger and leg, and counted as revenue', async () => {
+    const outbound = await server.createFlight({ flight_number: '231' }, 40);
+    const inbound = await server.createFlight({ flight_number: '232', departure_airport: 'SGN', arrival_airport: 'HAN' }, 44);
+
+    // BAG20 costs 210,000 in the catalog, 250,000 on HAN-SGN and 300,000 on the outbound flight itself
+    const routePrice = await server.admin('POST', '/api/admin/ancillaries/BAG20/prices', { departureAirport: 'HAN', arrivalAirport: 'SGN', price: 250000 });
+    assert.strictEqual(routePrice.status, 201, routePrice.text);
+    assert.strictEqual((await server.admin('POST', '/api/admin/ancillaries/BAG20/prices', { flightId: outbound.flight_id, price: 300000 })).status, 201);
+    assert.strictEqual((await server.admin('POST', '/api/admin/ancillaries/BAG20/prices', { flightId: outbound.flight_id, price: 310000 })).status, 409);
+
+    const prices = async (flight, seatClass = 'ECONOMY') => Object.fromEntries(
+        (await server.request('GET', `/api/flights/${flight.flight_id}/ancillaries?seatClass=${seatClass}`)).body.ancillaries.map(item => [item.code, item.price])
+    );
+    assert.deepStrictEqual([(await prices(outbound)).BAG20, (await prices(inbound)).BAG20, (await prices(inbound)).PRIORITY], [300000, 210000, 80000]);
+    assert.strictEqual((await prices(inbound, 'BUSINESS')).PRIORITY, 0);
+
+    const statsBefore = (await server.admin('GET', '/api/admin/stats/bookings')).body.ancillaryRevenue;
+    const booking = {
+        departureFlightId: outbound.flight_id,
+        returnFlightId: inbound.flight_id,
+        isRoundTrip: true,
+        customerInfo: { fullName: 'Dang Van Hanh', email: 'dich.vu@example.com', phone: '0912000024', seatClass: 'ECONOMY' },
+        passengers: [
+            { fullName: 'Dang Van Hanh', passportNumber: 'P230001', type: 'adult', ancillaries: [{ code: 'BAG20' }, { code: 'MEAL_VEG', flightId: inbound.flight_id }] },
+            { fullName: 'Dang Thi Hoa', passportNumber: 'P230002', type: 'adult', ancillaries: [] }
+        ]
+    };
+    const quote = await server.request('POST', '/api/bookings/quote', booking);
+    assert.strictEqual(quote.status, 201, quote.text);
+    assert.strictEqual(quote.body.ancillaryTotal, 300000 + 210000 + 90000);
+    assert.strictEqual(quote.body.totalAmount, quote.body.fareTotal + quote.body.ancillaryTotal);
+    assert.strictEqual(quote.body.passengers[1].items.filter(item => item.type === 'ancillary').length, 0);
+
+    const { bookingId } = await server.book(booking);
+    const stored = await server.query('SELECT flight_id, ancillary_code, price FROM booking_ancillaries WHERE booking_id = ? ORDER BY price DESC', [bookingId]);
+    assert.deepStrictEqual(stored.map(row => [row.flight_id, row.ancillary_code, row.price]), [
+        [outbound.flight_id, 'BAG20', 300000],
+        [inbound.flight_id, 'BAG20', 210000],
+        [inbound.flight_id, 'MEAL_VEG', 90000]
+    ]);
+    const [passenger] = await server.query('SELECT luggage_weight, meal FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [bookingId]);
+    assert.deepStrictEqual([passenger.luggage_weight, passenger.meal], [20, 1]);
+
+    await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    const statsAfter = (await server.admin('GET', '/api/admin/stats/bookings')).body.ancillaryRevenue;
+    assert.strictEqual(statsAfter - statsBefore, 600000);
+});
+
+test('a passenger cannot take two options of one category on a flight', async () => {
+    const flight = await server.createFlight({ flight_number: '233' }, 41);
+    const quote = await server.request('POST', '/api/bookings/quote', {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Dang Van Khoa', email: 'dich.vu@example.com', phone: '0912000024', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Dang Van Khoa', passportNumber: 'P230003', type: 'adult', ancillaries: [{ code: 'BAG15' }, { code: 'BAG30' }] }]
+    });
+    assert.strictEqual(quote.status, 400);
+    assert.strictEqual(quote.body.flightId, flight.flight_id);
+
+    const unknown = await server.request('POST', '/api/bookings/quote', {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Dang Van Khoa', email: 'dich.vu@example.com', phone: '0912000024', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Dang Van Khoa', passportNumber: 'P230003', type: 'adult', ancillaries: [{ code: 'SPA' }] }]
+    });
+    assert.strictEqual(unknown.status, 400);
+});
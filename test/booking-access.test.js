@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, sleep } = require('./helpers');
+
+let server;
+let flight;
+
+before(async () => {
+    server = await startServer();
+    flight = await server.createFlight();
+});
+
+after(() => server.stop());
+
+function guestBooking(email, fullName) {
+    return {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName, email, phone: '0912000004', seatClass: 'ECONOMY' },
+        passengers: [{ fullName, passportNumber: 'P500001', type: 'adult' }]
+    };
+}
+
+async function freeSeat() {
+    const [seat] = await server.query(
+        "SELECT seat_number FROM flight_seats WHERE flight_id = ? AND detail_id IS NULL AND seat_class = 'ECONOMY' ORDER BY seat_id DESC LIMIT 1",
+        [flight.flight_id]
+    );
+    return seat.seat_number;
+}
+
+test('contact details from the public booking view do not unlock changes', async () => {
+    const { bookingId, manageCode } = await server.book(guestBooking('tran.hoa@example.com', 'Tran Thi Hoa'));
+    assert.match(manageCode, /^[A-Z0-9]{12}$/);
+
+    const publicView = await server.request('GET', `/api/bookings/${bookingId}`);
+    assert.strictEqual(publicView.status, 200);
+    assert.ok(!publicView.text.includes(manageCode));
+    assert.ok(!('manage_code_hash' in publicView.body.booking));
+
+    const { email } = publicView.body.booking;
+    const [passenger] = publicView.body.passengers;
+    const seatChange = { flightId: flight.flight_id, seatNumber: await freeSeat() };
+    const url = `/api/bookings/${bookingId}/passengers/${passenger.detail_id}/seat`;
+
+    assert.strictEqual((await server.request('PUT', url, seatChange)).status, 404);
+    assert.strictEqual((await server.request('PUT', url, { ...seatChange, email, lastName: 'Tran' })).status, 404);
+    assert.strictEqual((await server.request('PUT', url, { ...seatChange, manageCode: 'AAAAAAAAAAAA' })).status, 404);
+
+    const changed = await server.request('PUT', url, { ...seatChange, manageCode });
+    assert.strictEqual(changed.status, 200, changed.text);
+    assert.strictEqual(changed.body.seatNumber, seatChange.seatNumber);
+
+    const preview = await server.request('POST', `/api/bookings/${bookingId}/modifications/preview`, {
+        type: 'edit_passenger', passengerId: passenger.detail_id, passportNumber: 'P500009', email
+    });
+    assert.strictEqual(preview.status, 404);
+});
+
+test('the owner\'s session unlocks changes, another customer\'s does not', async () => {
+    const owner = await server.registerCustomer('chu.dat.cho@example.com', 'Vo Van Nam');
+    const stranger = await server.registerCustomer('nguoi.la@example.com', 'Do Thi Mai');
+    const { bookingId } = await server.book(guestBooking('chu.dat.cho@example.com', 'Vo Van Nam'), { token: owner });
+    const [passenger] = await server.query('SELECT detail_id FROM booking_details WHERE booking_id = ?', [bookingId]);
+
+    const change = { type: 'edit_passenger', passengerId: passenger.detail_id, passportNumber: 'P500010' };
+    const url = `/api/bookings/${bookingId}/modifications/preview`;
+    assert.strictEqual((await server.request('POST', url, change, { token: stranger })).status, 404);
+    const preview = await server.request('POST', url, change, { token: owner });
+    assert.strictEqual(preview.status, 200, preview.text);
+});
+
+test('the manage code is sent in the confirmation email', async () => {
+    const { bookingId, manageCode } = await server.book(guestBooking('email.xac.nhan@example.com', 'Bui Van Long'));
+    for (let i = 0; i < 50 && !server.readNotifications().some(sent => sent.to === 'email.xac.nhan@example.com'); i++) {
+        await sleep(100);
+    }
+    const email = server.readNotifications().find(sent => sent.to === 'email.xac.nhan@example.com');
+    assert.ok(email, `No confirmation email for ${bookingId}`);
+    assert.ok(email.body.includes(manageCode));
+});
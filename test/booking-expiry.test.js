@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, sleep } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({ BOOKING_EXPIRY_CHECK_SECONDS: '1' });
+});
+
+after(() => server.stop());
+
+async function waitForStatus(bookingId, status) {
+    for (let i = 0; i < 50; i++) {
+        const [booking] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+        if (booking.payment_status === status) return;
+        await sleep(100);
+    }
+    throw new Error(`Booking ${bookingId} did not become ${status}`);
+}
+
+test('an unpaid booking expires when its hold runs out and gives its seats back', async () => {
+    const flight = await server.createFlight({ seats_economy: 10 });
+    const booking = {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Ly Van Hung', email: 'ly.hung@example.com', phone: '0912000011', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Ly Van Hung', passportNumber: 'P110001', type: 'adult' }]
+    };
+    const expiring = await server.book(booking);
+    const kept = await server.book(booking);
+    assert.ok(new Date(expiring.holdExpiresAt) > new Date(), expiring.holdExpiresAt);
+
+    const db = await server.openDatabase();
+    await db.run('UPDATE bookings SET hold_expires_at = ? WHERE booking_id = ?', [new Date(Date.now() - 1000).toISOString(), expiring.bookingId]);
+    await db.close();
+
+    await waitForStatus(expiring.bookingId, 'expired');
+    const [seats] = await server.query('SELECT seats_economy FROM flights WHERE flight_id = ?', [flight.flight_id]);
+    assert.strictEqual(seats.seats_economy, 9);
+    const [stillHeld] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [kept.bookingId]);
+    assert.strictEqual(stillHeld.payment_status, 'unpaid');
+
+    const paying = await server.request('POST', '/api/payments', {
+        bookingId: expiring.bookingId, method: 'bank_transfer', transactionInfo: 'CK 789', manageCode: expiring.manageCode
+    });
+    assert.strictEqual(paying.status, 409, paying.text);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+async function bookOne(flight, fullName) {
+    return server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName, email: 'trang.thai@example.com', phone: '0912000005', seatClass: 'ECONOMY' },
+        passengers: [{ fullName, passportNumber: 'P600001', type: 'adult' }]
+    });
+}
+
+async function seatsLeft(flight) {
+    const [row] = await server.query('SELECT seats_economy FROM flights WHERE flight_id = ?', [flight.flight_id]);
+    return row.seats_economy;
+}
+
+test('only the holder of a booking can cancel it', async () => {
+    const flight = await server.createFlight({ seats_economy: 10 });
+    const { bookingId, manageCode } = await bookOne(flight, 'Hoang Van Tuan');
+    assert.strictEqual(await seatsLeft(flight), 9);
+
+    const anonymous = await server.request('PATCH', `/api/bookings/${bookingId}/payment`, { paymentStatus: 'cancelled' });
+    assert.strictEqual(anonymous.status, 404);
+    assert.strictEqual(await seatsLeft(flight), 9);
+
+    const cancelled = await server.request('PATCH', `/api/bookings/${bookingId}/payment`, { paymentStatus: 'cancelled', manageCode });
+    assert.strictEqual(cancelled.status, 200, cancelled.text);
+    assert.strictEqual(await seatsLeft(flight), 10);
+
+    const [booking] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+    assert.strictEqual(booking.payment_status, 'cancelled');
+});
+
+test('paid bookings are not cancelled outside the refund workflow', async () => {
+    const flight = await server.createFlight();
+    const { bookingId, manageCode } = await bookOne(flight, 'Hoang Thi Thu');
+    const paid = await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    assert.strictEqual(paid.status, 200, paid.text);
+
+    const byCustomer = await server.request('PATCH', `/api/bookings/${bookingId}/payment`, { paymentStatus: 'cancelled', manageCode });
+    assert.strictEqual(byCustomer.status, 409);
+    const byAdmin = await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'cancelled' });
+    assert.strictEqual(byAdmin.status, 409);
+
+    const [booking] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+    assert.strictEqual(booking.payment_status, 'paid');
+});
+
+test('every status change is kept in the history, and closed bookings stay closed', async () => {
+    const flight = await server.createFlight();
+    const { bookingId, manageCode } = await bookOne(flight, 'Hoang Van Kien');
+    await server.request('PATCH', `/api/bookings/${bookingId}/payment`, { paymentStatus: 'pending', manageCode });
+    await server.request('PATCH', `/api/bookings/${bookingId}/payment`, { paymentStatus: 'cancelled', reason: 'Doi ke hoach', manageCode });
+
+    const selfPaid = await server.request('PATCH', `/api/bookings/${bookingId}/payment`, { paymentStatus: 'paid', manageCode });
+    assert.strictEqual(selfPaid.status, 400);
+    const reopened = await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    assert.strictEqual(reopened.status, 409);
+
+    const details = await server.admin('GET', `/api/admin/bookings/${bookingId}`);
+    assert.deepStrictEqual(
+        details.body.statusHistory.map(change => [change.fromStatus, change.toStatus, change.changedBy.split(':')[0]]),
+        [[null, 'unpaid', 'customer'], ['unpaid', 'pending', 'customer'], ['pending', 'cancelled', 'customer']]
+    );
+    assert.strictEqual(details.body.statusHistory[2].reason, 'Doi ke hoach');
+});
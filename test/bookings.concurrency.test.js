@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('parallel bookings never sell more seats than the flight has', async () => {
+    const SEATS = 3;
+    const ATTEMPTS = 12;
+
+    const flight = await server.createFlight({ seats_economy: SEATS });
+    const flightId = flight.flight_id;
+
+    // Quote every booking first, so the bookings themselves all race for the last seats
+    const bookings = [];
+    for (let i = 0; i < ATTEMPTS; i++) {
+        const booking = {
+            departureFlightId: flightId,
+            customerInfo: { fullName: `Khach Hang ${i}`, email: `khach${i}@example.com`, phone: '0912000000', seatClass: 'ECONOMY' },
+            passengers: [{ fullName: `Khach Hang ${i}`, passportNumber: `P${100000 + i}`, type: 'adult' }]
+        };
+        const quote = await server.request('POST', '/api/bookings/quote', booking);
+        assert.strictEqual(quote.status, 201, quote.text);
+        bookings.push({ ...booking, quoteId: quote.body.quoteId });
+    }
+
+    const results = await Promise.all(bookings.map(booking => server.request('POST', '/api/bookings', booking)));
+    const succeeded = results.filter(result => result.body.success);
+    const refused = results.filter(result => !result.body.success);
+
+    assert.strictEqual(succeeded.length, SEATS);
+    for (const result of refused) {
+        assert.ok([400, 409].includes(result.status), result.text);
+    }
+
+    const [{ seats_economy }] = await server.query('SELECT seats_economy FROM flights WHERE flight_id = ?', [flightId]);
+    assert.strictEqual(seats_economy, 0);
+
+    const [passengers] = await server.query(`
+        SELECT COUNT(*) AS count FROM booking_details bd
+        JOIN bookings b ON b.booking_id = bd.booking_id
+        WHERE b.departure_flight_id = ?
+    `, [flightId]);
+    assert.strictEqual(passengers.count, SEATS);
+
+    const seats = await server.query('SELECT detail_id FROM flight_seats WHERE flight_id = ? AND detail_id IS NOT NULL', [flightId]);
+    assert.strictEqual(seats.length, SEATS);
+    assert.strictEqual(new Set(seats.map(seat => seat.detail_id)).size, SEATS);
+});
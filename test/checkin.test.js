@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+async function paidBooking(flight) {
+    const { bookingId, manageCode } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Nguyen Van An', email: 'lam.thu.tuc@example.com', phone: '0912000020', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Nguyen Van An', passportNumber: 'B1234567', type: 'adult' }]
+    });
+    const [passenger] = await server.query('SELECT detail_id FROM booking_details WHERE booking_id = ?', [bookingId]);
+    const unpaid = await server.request('POST', '/api/checkin/lookup', { bookingId, lastName: 'Nguyen' });
+    assert.strictEqual(unpaid.status, 409);
+    await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    return { bookingId, manageCode, detailId: passenger.detail_id };
+}
+
+function document(detailId, overrides = {}) {
+    return { detailId, passportNumber: 'B1234567', nationality: 'VNM', passportExpiry: '2035-01-01', ...overrides };
+}
+
+test('checking in validates the passport and issues a BCBP boarding pass', async () => {
+    const departure = new Date(Date.now() + 6 * HOUR_MS);
+    const flight = await server.createFlight({
+        flight_number: '245',
+        departure_time: departure.toISOString(),
+        arrival_time: new Date(departure.getTime() + 2 * HOUR_MS).toISOString()
+    });
+    const { bookingId, manageCode, detailId } = await paidBooking(flight);
+
+    assert.strictEqual((await server.request('POST', '/api/checkin/lookup', { bookingId, lastName: 'Tran' })).status, 404);
+    const lookup = await server.request('POST', '/api/checkin/lookup', { bookingId: bookingId.toLowerCase(), lastName: 'nguyen' });
+    assert.strictEqual(lookup.status, 200, lookup.text);
+
+    const checkin = body => server.request('POST', '/api/checkin', { bookingId, lastName: 'Nguyen', flightId: flight.flight_id, ...body });
+    const wrongPassport = await checkin({ passengers: [document(detailId, { passportNumber: 'C7654321', passportExpiry: '2000-01-01' })] });
+    assert.strictEqual(wrongPassport.status, 400);
+    assert.strictEqual(wrongPassport.body.passengers[0].errors.length, 2);
+
+    const checkedIn = await checkin({ passengers: [document(detailId)] });
+    assert.strictEqual(checkedIn.status, 201, checkedIn.text);
+    const [pass] = checkedIn.body.boardingPasses;
+    assert.match(pass.seatNumber, /^\d+[A-Z]$/);
+    assert.strictEqual(pass.sequenceNumber, 1);
+    assert.ok(pass.barcode.startsWith('M1NGUYEN/VAN AN       E'), pass.barcode);
+    assert.strictEqual(pass.barcode.slice(30, 44), 'HANSGNVN 0245 ');
+    assert.ok(pass.barcode.endsWith(`0A${bookingId}`), pass.barcode);
+
+    assert.strictEqual((await checkin({ passengers: [document(detailId)] })).status, 409);
+    const seatChange = await server.request('PUT', `/api/bookings/${bookingId}/passengers/${detailId}/seat`, { flightId: flight.flight_id, seatNumber: '1A', manageCode });
+    assert.strictEqual(seatChange.status, 409);
+});
+
+test('check-in only opens a day before departure', async () => {
+    const flight = await server.createFlight({}, 10);
+    const { bookingId, detailId } = await paidBooking(flight);
+    const early = await server.request('POST', '/api/checkin', { bookingId, lastName: 'Nguyen', flightId: flight.flight_id, passengers: [document(detailId)] });
+    assert.strictEqual(early.status, 409);
+    assert.strictEqual(early.body.checkinWindow.status, 'not_open');
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('bookings made while logged in show up in that customer\'s history only', async () => {
+    const token = await server.registerCustomer('lich.su@example.com', 'Do Van Nam');
+    const otherToken = await server.registerCustomer('nguoi.khac@example.com', 'Do Thi Mai');
+    const flight = await server.createFlight();
+
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Do Van Nam', email: 'lich.su@example.com', phone: '0912000010', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Do Van Nam', passportNumber: 'P100001', type: 'adult' }]
+    }, { token });
+
+    const mine = await server.request('GET', '/api/customers/me/bookings', null, { token });
+    assert.strictEqual(mine.status, 200, mine.text);
+    assert.deepStrictEqual(mine.body.map(booking => booking.booking_id), [bookingId]);
+    assert.strictEqual(mine.body[0].departureFlight.flight_id, flight.flight_id);
+    assert.strictEqual(mine.body[0].manage_code_hash, undefined);
+
+    const theirs = await server.request('GET', '/api/customers/me/bookings', null, { token: otherToken });
+    assert.deepStrictEqual(theirs.body, []);
+
+    assert.strictEqual((await server.request('GET', '/api/customers/me/bookings')).status, 401);
+});
+
+test('saved passengers belong to the account that saved them', async () => {
+    const token = await server.registerCustomer('luu.khach@example.com', 'Bui Van Son');
+    const otherToken = await server.registerCustomer('luu.khach.2@example.com', 'Bui Thi Yen');
+
+    const saved = await server.request('POST', '/api/customers/me/passengers', { fullName: 'Bui Van Son', passportNumber: 'P100002' }, { token });
+    assert.strictEqual(saved.status, 201, saved.text);
+    const id = saved.body.saved_passenger_id;
+
+    assert.strictEqual((await server.request('PUT', `/api/customers/me/passengers/${id}`, { fullName: 'Ke Mao Danh' }, { token: otherToken })).status, 404);
+    assert.strictEqual((await server.request('DELETE', `/api/customers/me/passengers/${id}`, null, { token: otherToken })).status, 404);
+    assert.deepStrictEqual((await server.request('GET', '/api/customers/me/passengers', null, { token: otherToken })).body, []);
+
+    const updated = await server.request('PUT', `/api/customers/me/passengers/${id}`, { passportNumber: 'P100003' }, { token });
+    assert.strictEqual(updated.status, 200, updated.text);
+    assert.deepStrictEqual([updated.body.full_name, updated.body.passport_number], ['Bui Van Son', 'P100003']);
+});
+
+test('an email can only be registered once and a wrong password does not log in', async () => {
+    await server.registerCustomer('mot.lan@example.com');
+    const again = await server.request('POST', '/api/customers/register', { email: 'MOT.LAN@example.com', password: 'matkhau456', fullName: 'Khac' });
+    assert.strictEqual(again.status, 400);
+
+    const wrong = await server.request('POST', '/api/customers/login', { email: 'mot.lan@example.com', password: 'sai-mat-khau' });
+    assert.strictEqual(wrong.status, 401);
+    const right = await server.request('POST', '/api/customers/login', { email: 'mot.lan@example.com', password: 'matkhau123' });
+    assert.strictEqual(right.status, 200, right.text);
+    assert.ok(right.body.token);
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+function flightAt(departure, overrides = {}) {
+    return server.createFlight({
+        departure_airport: 'HAN',
+        arrival_airport: 'DAD',
+        departure_time: departure.toISOString(),
+        arrival_time: new Date(departure.getTime() + 80 * 60 * 1000).toISOString(),
+        ...overrides
+    });
+}
+
+async function bookOne(flight, fullName, paid) {
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName, email: 'gian.doan@example.com', phone: '0912000021', seatClass: 'ECONOMY' },
+        passengers: [{ fullName, passportNumber: 'P210001', type: 'adult' }]
+    });
+    if (paid) {
+        await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    }
+    return bookingId;
+}
+
+test('a cancellation moves bookings to the next flight while it has room, and refunds or cancels the rest', async () => {
+    const departure = new Date(Date.now() + 150 * DAY_MS);
+    departure.setUTCHours(1, 0, 0, 0);
+    const cancelled = await flightAt(departure);
+    const alternative = await flightAt(new Date(departure.getTime() + 5 * HOUR_MS), { seats_economy: 1 });
+
+    const rebooked = await bookOne(cancelled, 'Trieu Van Bao', true);
+    const refunded = await bookOne(cancelled, 'Trieu Thi Cam', true);
+    const unpaid = await bookOne(cancelled, 'Trieu Van Dung', false);
+
+    const disruption = await server.admin('POST', `/api/admin/flights/${cancelled.flight_id}/disruptions`, {
+        type: 'cancellation', rebooking: 'auto', reason: 'Thoi tiet xau'
+    });
+    assert.strictEqual(disruption.status, 201, disruption.text);
+    const actions = Object.fromEntries(disruption.body.bookings.map(entry => [entry.bookingId, entry.action]));
+    assert.deepStrictEqual(actions, { [rebooked]: 'rebooked', [refunded]: 'refund_entitled', [unpaid]: 'cancelled' });
+
+    const [segment] = await server.query('SELECT flight_id FROM booking_segments WHERE booking_id = ?', [rebooked]);
+    assert.strictEqual(segment.flight_id, alternative.flight_id);
+    const seatMap = await server.request('GET', `/api/flights/${alternative.flight_id}/seats`);
+    assert.deepStrictEqual([seatMap.body.cabins[0].totalSeats, seatMap.body.cabins[0].availableSeats], [1, 0]);
+    // The refund keeps its seat until it is paid out
+    const flights = await server.query('SELECT flight_id, status, seats_economy FROM flights WHERE flight_id IN (?, ?) ORDER BY flight_id', [cancelled.flight_id, alternative.flight_id]);
+    assert.deepStrictEqual(flights.map(flight => [flight.status, flight.seats_economy]), [['cancelled', 49], ['scheduled', 0]]);
+
+    const refund = disruption.body.bookings.find(entry => entry.bookingId === refunded).refund;
+    assert.ok(refund && refund.refundId, JSON.stringify(refund));
+    const [fees] = await server.query('SELECT fee_amount, fees_waived FROM refunds WHERE refund_id = ?', [refund.refundId]);
+    assert.deepStrictEqual(fees, { fee_amount: 0, fees_waived: 1 });
+    const [closed] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [unpaid]);
+    assert.strictEqual(closed.payment_status, 'cancelled');
+
+    const again = await server.admin('POST', `/api/admin/flights/${cancelled.flight_id}/disruptions`, { type: 'cancellation' });
+    assert.strictEqual(again.status, 409);
+});
+
+test('a proposed rebooking waits for the customer\'s answer', async () => {
+    const departure = new Date(Date.now() + 151 * DAY_MS);
+    departure.setUTCHours(1, 0, 0, 0);
+    const cancelled = await flightAt(departure);
+    const alternative = await flightAt(new Date(departure.getTime() + 3 * HOUR_MS));
+    const bookingId = await bookOne(cancelled, 'Trieu Van Em', true);
+
+    const disruption = await server.admin('POST', `/api/admin/flights/${cancelled.flight_id}/disruptions`, { type: 'cancellation' });
+    assert.strictEqual(disruption.status, 201, disruption.text);
+    const [entry] = disruption.body.bookings;
+    assert.deepStrictEqual([entry.action, entry.status, entry.alternativeFlight.flight_id], ['proposed', 'pending', alternative.flight_id]);
+
+    const accepted = await server.admin('POST', `/api/admin/disruptions/${disruption.body.disruptionId}/bookings/${bookingId}/accept`);
+    assert.strictEqual(accepted.status, 200, accepted.text);
+    assert.strictEqual(accepted.body.bookings[0].status, 'accepted');
+    const [segment] = await server.query('SELECT flight_id FROM booking_segments WHERE booking_id = ?', [bookingId]);
+    assert.strictEqual(segment.flight_id, alternative.flight_id);
+
+    const twice = await server.admin('POST', `/api/admin/disruptions/${disruption.body.disruptionId}/bookings/${bookingId}/decline`);
+    assert.strictEqual(twice.status, 409);
+});
+
+test('a delay moves the flight times and tells the passengers', async () => {
+    const flight = await server.createFlight({}, 152);
+    const bookingId = await bookOne(flight, 'Trieu Thi Giang', true);
+    const newDepartureTime = new Date(Date.parse(flight.departure_time) + 3 * HOUR_MS).toISOString();
+
+    const delayed = await server.admin('POST', `/api/admin/flights/${flight.flight_id}/disruptions`, { type: 'delay', newDepartureTime });
+    assert.strictEqual(delayed.status, 201, delayed.text);
+    assert.strictEqual(delayed.body.bookings[0].action, 'notified');
+
+    const [moved] = await server.query('SELECT departure_time, arrival_time FROM flights WHERE flight_id = ?', [flight.flight_id]);
+    assert.strictEqual(moved.departure_time, newDepartureTime);
+    assert.strictEqual(Date.parse(moved.arrival_time) - Date.parse(moved.departure_time), 2 * HOUR_MS);
+    const queued = await server.query("SELECT COUNT(*) AS count FROM notification_outbox WHERE booking_id = ? AND event_type = 'flight_changed'", [bookingId]);
+    assert.ok(queued[0].count > 0);
+
+    const earlier = await server.admin('POST', `/api/admin/flights/${flight.flight_id}/disruptions`, { type: 'delay', newDepartureTime: flight.departure_time });
+    assert.strictEqual(earlier.status, 400);
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+function dayAhead(days) {
+    return new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+test('each day shows its cheapest bookable fare, or why there is none', async () => {
+    const route = { departure_airport: 'HAN', arrival_airport: 'CXR' };
+    await server.createFlight({ ...route, price_economy: 1500000 }, 120);
+    const cheapest = await server.createFlight({ ...route, price_economy: 900000 }, 120);
+    await server.createFlight({ ...route, seats_economy: 1 }, 121);
+
+    const [first, second, third] = [dayAhead(120), dayAhead(121), dayAhead(122)];
+    const calendar = await server.request('GET', `/api/fare-calendar?departure=HAN&destination=CXR&fromDate=${first}&toDate=${third}&passengers=2`);
+    assert.strictEqual(calendar.status, 200, calendar.text);
+
+    const [cheapDay, fullDay, emptyDay] = calendar.body.days;
+    assert.strictEqual(cheapDay.date, first);
+    assert.strictEqual(cheapDay.status, 'available');
+    assert.strictEqual(cheapDay.flightId, cheapest.flight_id);
+    assert.strictEqual(cheapDay.availableFlightCount, 2);
+    assert.deepStrictEqual([fullDay.date, fullDay.status, fullDay.lowestFare], [second, 'sold_out', null]);
+    assert.deepStrictEqual([emptyDay.date, emptyDay.status], [third, 'no_flights']);
+});
+
+test('the round trip matrix only pairs returns on or after the departure day', async () => {
+    const outbound = await server.createFlight({ departure_airport: 'SGN', arrival_airport: 'PQC' }, 130);
+    const inbound = await server.createFlight({ departure_airport: 'PQC', arrival_airport: 'SGN' }, 131);
+    const [first, second] = [dayAhead(130), dayAhead(131)];
+
+    const calendar = await server.request('GET', `/api/fare-calendar?departure=SGN&destination=PQC&fromDate=${first}&toDate=${second}&returnFromDate=${first}&returnToDate=${second}`);
+    assert.strictEqual(calendar.status, 200, calendar.text);
+    const [fromFirst, fromSecond] = calendar.body.roundTripMatrix;
+
+    assert.deepStrictEqual(fromFirst.returns.map(cell => cell.status), ['no_flights', 'available']);
+    assert.strictEqual(fromFirst.returns[1].totalFare, calendar.body.days[0].lowestFare + calendar.body.returnDays[1].lowestFare);
+    assert.deepStrictEqual(fromSecond.returns.map(cell => cell.status), ['invalid', 'no_flights']);
+    assert.strictEqual(calendar.body.days[0].flightId, outbound.flight_id);
+    assert.strictEqual(calendar.body.returnDays[1].flightId, inbound.flight_id);
+});
+
+test('a calendar needs a valid date range', async () => {
+    const badMonth = await server.request('GET', '/api/fare-calendar?departure=HAN&destination=SGN&month=2030-13x');
+    assert.strictEqual(badMonth.status, 400);
+    const tooLong = await server.request('GET', `/api/fare-calendar?departure=HAN&destination=SGN&fromDate=${dayAhead(1)}&toDate=${dayAhead(80)}`);
+    assert.strictEqual(tooLong.status, 400);
+});
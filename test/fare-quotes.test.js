@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+function yearsAgo(years) {
+    return new Date(Date.now() - years * 365.25 * DAY_MS).toISOString().slice(0, 10);
+}
+
+test('saved children and infants are quoted with the type they are booked with', async () => {
+    const token = await server.registerCustomer('gia.dinh@example.com', 'Le Thi Lan');
+    const saved = {};
+    for (const [key, fullName, dob] of [['child', 'Le Minh Khoa', yearsAgo(6)], ['infant', 'Le Bao An', yearsAgo(1)]]) {
+        const created = await server.request('POST', '/api/customers/me/passengers', { fullName, dob, passportNumber: `P4000${key.length}` }, { token });
+        assert.strictEqual(created.status, 201, created.text);
+        saved[key] = created.body.saved_passenger_id;
+    }
+
+    const flight = await server.createFlight();
+    const booking = {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Le Thi Lan', email: 'gia.dinh@example.com', phone: '0912000002', seatClass: 'ECONOMY' },
+        passengers: [
+            { fullName: 'Le Thi Lan', passportNumber: 'P400001', type: 'adult' },
+            { savedPassengerId: saved.child },
+            { savedPassengerId: saved.infant }
+        ]
+    };
+
+    const quote = await server.request('POST', '/api/bookings/quote', booking, { token });
+    assert.strictEqual(quote.status, 201, quote.text);
+    assert.deepStrictEqual(quote.body.passengers.map(passenger => passenger.passengerType), ['ADULT', 'CHILD', 'INFANT']);
+
+    const created = await server.request('POST', '/api/bookings', { ...booking, quoteId: quote.body.quoteId }, { token });
+    assert.strictEqual(created.status, 201, created.text);
+
+    const [stored] = await server.query('SELECT total_amount FROM bookings WHERE booking_id = ?', [created.body.bookingId]);
+    assert.strictEqual(stored.total_amount, quote.body.totalAmount);
+    const details = await server.query('SELECT full_name, passenger_type FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [created.body.bookingId]);
+    assert.deepStrictEqual(details.map(detail => detail.passenger_type), ['ADULT', 'CHILD', 'INFANT']);
+});
+
+test('saved passengers need a login, also for a quote', async () => {
+    const flight = await server.createFlight();
+    const quote = await server.request('POST', '/api/bookings/quote', {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Khach Vang Lai', email: 'vanglai@example.com', phone: '0912000003', seatClass: 'ECONOMY' },
+        passengers: [{ savedPassengerId: 1 }]
+    });
+    assert.strictEqual(quote.status, 401);
+});
+
+test('passengers are stored with the type they were priced as', async () => {
+    const flight = await server.createFlight();
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Trinh Van Quang', email: 'trinh.quang@example.com', phone: '0912000008', seatClass: 'ECONOMY' },
+        passengers: [
+            { fullName: 'Trinh Van Quang', passportNumber: 'P400011', type: 'adult', passengerType: 'INFANT' },
+            { fullName: 'Trinh Thi Mo', passportNumber: 'P400012', passengerType: 'child' },
+            { fullName: 'Trinh Be Na', passportNumber: 'P400013', dob: yearsAgo(1) }
+        ]
+    });
+
+    const details = await server.query('SELECT passenger_type FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [bookingId]);
+    assert.deepStrictEqual(details.map(detail => detail.passenger_type), ['ADULT', 'CHILD', 'INFANT']);
+
+    // 100% + 75% + 10% of the 1,000,000 fare
+    const [booking] = await server.query('SELECT total_amount, passengers_info FROM bookings WHERE booking_id = ?', [bookingId]);
+    assert.strictEqual(booking.total_amount, 1850000);
+    assert.deepStrictEqual(JSON.parse(booking.passengers_info), { numAdults: 1, numChildren: 1, numInfants: 1 });
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+let server;
+let day;
+let flights;
+
+before(async () => {
+    server = await startServer();
+    day = new Date(Date.now() + 140 * DAY_MS).toISOString().slice(0, 10);
+
+    // Departures at 07:00, 13:00 and 19:00 Vietnam time
+    const leg = (airline_code, airline, hour, hours, price_economy) => server.createFlight({
+        airline_code,
+        airline,
+        departure_airport: 'DAD',
+        arrival_airport: 'HAN',
+        departure_time: `${day}T${hour}:00:00.000Z`,
+        arrival_time: new Date(Date.parse(`${day}T${hour}:00:00.000Z`) + hours * 60 * 60 * 1000).toISOString(),
+        price_economy
+    });
+    flights = {
+        morning: await leg('VN', 'Vietnam Airlines', '00', 1.5, 1800000),
+        afternoon: await leg('VJ', 'Vietjet Air', '06', 1, 900000),
+        evening: await leg('QH', 'Bamboo Airways', '12', 2, 1300000)
+    };
+});
+
+after(() => server.stop());
+
+function search(params) {
+    return server.request('GET', `/api/flights?departure=DAD&destination=HAN&departDate=${day}&${params}`);
+}
+
+function ids(list) {
+    return list.map(flight => flight.flight_id);
+}
+
+test('flights sort by price, departure time or duration', async () => {
+    const { morning, afternoon, evening } = flights;
+    assert.deepStrictEqual(ids((await search('sortBy=price')).body), ids([afternoon, evening, morning]));
+    assert.deepStrictEqual(ids((await search('sortBy=departureTime&sortOrder=desc')).body), ids([evening, afternoon, morning]));
+    assert.deepStrictEqual(ids((await search('sortBy=duration')).body), ids([afternoon, morning, evening]));
+    assert.strictEqual((await search('sortBy=seats')).status, 400);
+});
+
+test('filters narrow the list by price, airline and local departure time', async () => {
+    const { morning, afternoon, evening } = flights;
+    assert.deepStrictEqual(ids((await search('maxPrice=1500000&sortBy=price')).body), ids([afternoon, evening]));
+    assert.deepStrictEqual(ids((await search('airlines=vn,QH&sortBy=departureTime')).body), ids([morning, evening]));
+    assert.deepStrictEqual(ids((await search('timeOfDay=morning')).body), ids([morning]));
+    assert.deepStrictEqual(ids((await search('departureTimeFrom=12:00&departureTimeTo=18:00')).body), ids([afternoon]));
+    assert.strictEqual((await search('timeOfDay=noon')).status, 400);
+});
+
+test('paging wraps the list and keeps facets for everything that matched', async () => {
+    const paged = await search('sortBy=price&page=2&pageSize=2');
+    assert.strictEqual(paged.status, 200, paged.text);
+    assert.deepStrictEqual(ids(paged.body.flights), ids([flights.morning]));
+    assert.deepStrictEqual(paged.body.pagination, { page: 2, pageSize: 2, total: 3, totalPages: 2 });
+    assert.ok(paged.body.facets);
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+function flightBody(overrides = {}) {
+    const departure = new Date(Date.now() + 20 * DAY_MS);
+    departure.setUTCHours(3, 0, 0, 0);
+    return {
+        airline_code: 'VN',
+        flight_number: '245',
+        departure_airport: 'HAN',
+        arrival_airport: 'SGN',
+        departure_time: departure.toISOString(),
+        arrival_time: new Date(departure.getTime() + 2 * 60 * 60 * 1000).toISOString(),
+        price_economy: 1200000,
+        seats_economy: 20,
+        available_classes: 'ECONOMY',
+        ...overrides
+    };
+}
+
+test('new flights get the same seat count validation as updates', async () => {
+    for (const seats of [-5, 'abc', 2.5]) {
+        const created = await server.admin('POST', '/api/flights', flightBody({ seats_economy: seats }));
+        assert.strictEqual(created.status, 400, `seats_economy ${seats}: ${created.text}`);
+    }
+    const business = await server.admin('POST', '/api/flights', flightBody({ seats_business: -1 }));
+    assert.strictEqual(business.status, 400);
+
+    const created = await server.admin('POST', '/api/flights', flightBody({ seats_economy: '20', seats_business: '4', available_classes: 'ECONOMY,BUSINESS', price_business: 3000000 }));
+    assert.strictEqual(created.status, 201, created.text);
+    const [flight] = await server.query('SELECT available_seats FROM flights WHERE flight_id = ?', [created.body.flight_id]);
+    assert.strictEqual(flight.available_seats, 24);
+});
+
+test('flights are only changed or deleted by id, since flight codes repeat', async () => {
+    const first = await server.createFlight({ flight_number: '777' }, 10);
+    const second = await server.createFlight({ flight_number: '777' }, 11);
+
+    assert.strictEqual((await server.admin('PUT', '/api/flights/code/VN777', flightBody({ flight_number: '777' }))).status, 404);
+    assert.strictEqual((await server.admin('DELETE', '/api/flights/code/VN777')).status, 404);
+
+    const deleted = await server.admin('DELETE', `/api/flights/${second.flight_id}`);
+    assert.strictEqual(deleted.status, 200, deleted.text);
+    const remaining = await server.query("SELECT flight_id FROM flights WHERE airline_code = 'VN' AND flight_number = '777'");
+    assert.deepStrictEqual(remaining.map(flight => flight.flight_id), [first.flight_id]);
+});
+
+test('the airport list has what the search form on index.html shows', async () => {
+    const airports = await server.request('GET', '/api/airports');
+    assert.strictEqual(airports.status, 200);
+    const hanoi = airports.body.find(airport => airport.code === 'HAN');
+    assert.ok(hanoi, airports.text);
+    assert.strictEqual(typeof hanoi.city, 'string');
+});
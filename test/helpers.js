@@ -0,0 +1,185 @@
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+
+const ROOT = path.join(__dirname, '..');
+const ADMIN_PASSWORD = 'test-admin-password';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// The server keeps its database next to server.js, so every test file runs its own server
+// from a copy in a temp directory. Notifications go to a file there instead of the console.
+async function startServer(env = {}) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vemb-test-'));
+    fs.copyFileSync(path.join(ROOT, 'server.js'), path.join(workDir, 'server.js'));
+    fs.copyFileSync(path.join(ROOT, 'database.sqlite'), path.join(workDir, 'database.sqlite'));
+
+    const port = await getFreePort();
+    const notificationFile = path.join(workDir, 'notifications.log');
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: workDir,
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            NODE_PATH: path.join(ROOT, 'node_modules'),
+            PORT: String(port),
+            ADMIN_PASSWORD,
+            TICKET_SECRET: 'test-ticket-secret',
+            QUOTE_SIGNING_SECRET: 'test-quote-secret',
+            PAYMENT_SIGNING_SECRET: 'test-payment-secret',
+            EMAIL_TRANSPORT: 'file',
+            SMS_TRANSPORT: 'file',
+            NOTIFICATION_FILE: notificationFile,
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // Tests provoke server errors on purpose, so its log is only shown when it does not start
+    let errors = '';
+    child.stderr.on('data', chunk => {
+        errors += chunk;
+    });
+    try {
+        await new Promise((resolve, reject) => {
+            let output = '';
+            child.stdout.on('data', chunk => {
+                output += chunk;
+                if (output.includes(`Server running on port ${port}`)) resolve();
+            });
+            child.on('exit', code => reject(new Error(`Server exited with code ${code}\n${errors}`)));
+        });
+    } catch (error) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    const baseUrl = `http://localhost:${port}`;
+    let adminToken = null;
+
+    const server = {
+        workDir,
+        baseUrl,
+
+        async request(method, url, body, { token, headers = {} } = {}) {
+            const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+            if (token) requestHeaders.Authorization = `Bearer ${token}`;
+            const response = await fetch(baseUrl + url, {
+                method,
+                headers: requestHeaders,
+                body: body && JSON.stringify(body),
+                redirect: 'manual'
+            });
+            const text = await response.text();
+            let json = null;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                // Not every route answers with JSON (HTML checkout pages, redirects)
+            }
+            return { status: response.status, headers: response.headers, body: json, text };
+        },
+
+        async adminToken() {
+            if (!adminToken) {
+                const login = await server.request('POST', '/api/admin/auth/login', { username: 'admin', password: ADMIN_PASSWORD });
+                if (login.status !== 200) throw new Error(`Admin login failed: ${login.text}`);
+                adminToken = login.body.token;
+            }
+            return adminToken;
+        },
+
+        async admin(method, url, body) {
+            return server.request(method, url, body, { token: await server.adminToken() });
+        },
+
+        // Registers a customer account and returns its session token
+        async registerCustomer(email, fullName = 'Nguyen Van Khach') {
+            const registered = await server.request('POST', '/api/customers/register', { email, password: 'matkhau123', fullName, phone: '0912000000' });
+            if (registered.status !== 201) throw new Error(`Registration failed: ${registered.text}`);
+            return registered.body.token;
+        },
+
+        // A scheduled HAN-SGN flight `daysAhead` days from now; fields can be overridden
+        async createFlight(overrides = {}, daysAhead = 30) {
+            const departure = new Date(Date.now() + daysAhead * DAY_MS);
+            departure.setUTCHours(1, 0, 0, 0);
+            const arrival = new Date(departure.getTime() + 2 * 60 * 60 * 1000);
+            const seatsEconomy = overrides.seats_economy ?? 50;
+            const flight = await server.admin('POST', '/api/flights', {
+                airline: 'Vietnam Airlines',
+                airline_code: 'VN',
+                flight_number: String(100 + Math.floor(Math.random() * 800)),
+                departure_airport: 'HAN',
+                arrival_airport: 'SGN',
+                departure_time: departure.toISOString(),
+                arrival_time: arrival.toISOString(),
+                price_economy: 1000000,
+                seats_economy: seatsEconomy,
+                available_seats: seatsEconomy,
+                available_classes: 'ECONOMY',
+                status: 'scheduled',
+                ...overrides
+            });
+            if (flight.status !== 201) throw new Error(`Flight creation failed: ${flight.text}`);
+            return flight.body;
+        },
+
+        // Quote and book in one go; returns the booking response
+        async book(booking, options) {
+            const quote = await server.request('POST', '/api/bookings/quote', booking, options);
+            if (quote.status !== 201) throw new Error(`Quote failed: ${quote.text}`);
+            const created = await server.request('POST', '/api/bookings', { ...booking, quoteId: quote.body.quoteId }, options);
+            if (created.status !== 201) throw new Error(`Booking failed: ${created.text}`);
+            return created.body;
+        },
+
+        openDatabase() {
+            return open({ filename: path.join(workDir, 'database.sqlite'), driver: sqlite3.Database });
+        },
+
+        async query(sql, params = []) {
+            const db = await server.openDatabase();
+            try {
+                return await db.all(sql, params);
+            } finally {
+                await db.close();
+            }
+        },
+
+        readNotifications() {
+            if (!fs.existsSync(notificationFile)) return [];
+            return fs.readFileSync(notificationFile, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+        },
+
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    };
+    return server;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { startServer, sleep, DAY_MS };
@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+function at(day, time) {
+    return `${day}T${time}:00.000Z`;
+}
+
+test('connections are offered only when the layover fits the connection window', async () => {
+    const day = new Date(Date.now() + 90 * DAY_MS).toISOString().slice(0, 10);
+    const leg = (from, to, departs, arrives) => server.createFlight({
+        departure_airport: from,
+        arrival_airport: to,
+        departure_time: at(day, departs),
+        arrival_time: at(day, arrives)
+    });
+
+    const first = await leg('HAN', 'DAD', '01:00', '02:20');
+    const tooTight = await leg('DAD', 'PQC', '02:40', '04:10');
+    const connecting = await leg('DAD', 'PQC', '03:30', '05:00');
+
+    const search = await server.request('GET', `/api/itineraries?departure=HAN&destination=PQC&departDate=${day}`);
+    assert.strictEqual(search.status, 200, search.text);
+    const found = search.body.itineraries.map(itinerary => itinerary.flightIds);
+    assert.deepStrictEqual(found, [[first.flight_id, connecting.flight_id]]);
+    assert.ok(!found.flat().includes(tooTight.flight_id));
+
+    const [itinerary] = search.body.itineraries;
+    assert.strictEqual(itinerary.stops, 1);
+    assert.deepStrictEqual(itinerary.connections, [{ airport: 'DAD', layoverMinutes: 70 }]);
+
+    const nonstopOnly = await server.request('GET', `/api/itineraries?departure=HAN&destination=PQC&departDate=${day}&maxStops=0`);
+    assert.deepStrictEqual(nonstopOnly.body.itineraries, []);
+});
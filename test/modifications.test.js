@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        CARD_CHECKOUT_URL: 'https://pay.example/checkout',
+        CARD_WEBHOOK_SECRET: 'test-card-secret'
+    });
+});
+
+after(() => server.stop());
+
+function cardWebhook(payload) {
+    const body = JSON.stringify(payload);
+    return server.request('POST', '/api/payments/webhooks/card', payload, {
+        headers: { 'X-Card-Signature': crypto.createHmac('sha256', 'test-card-secret').update(body).digest('hex') }
+    });
+}
+
+test('a payment started before a modification cannot pay the booking at the old total', async () => {
+    const flight = await server.createFlight();
+    const { bookingId, manageCode } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Vu Van Long', email: 'vu.long@example.com', phone: '0912000009', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Vu Van Long', passportNumber: 'P900001', type: 'adult' }]
+    });
+
+    const intent = await server.request('POST', '/api/payments/intents', { bookingId, provider: 'card' });
+    assert.strictEqual(intent.status, 201, intent.text);
+
+    const modified = await server.request('POST', `/api/bookings/${bookingId}/modifications`, {
+        type: 'add_passengers',
+        passengers: [{ fullName: 'Vu Thi Hoa', passportNumber: 'P900002', type: 'adult' }],
+        manageCode
+    });
+    assert.strictEqual(modified.status, 201, modified.text);
+    assert.ok(modified.body.totalAmount > intent.body.amount);
+
+    const [voided] = await server.query('SELECT status FROM payment_intents WHERE intent_id = ?', [intent.body.intentId]);
+    assert.strictEqual(voided.status, 'failed');
+
+    const webhook = await cardWebhook({
+        eventId: 'evt-old-total',
+        intentId: intent.body.intentId,
+        status: 'succeeded',
+        amount: intent.body.amount,
+        transactionId: 'T-old-total'
+    });
+    assert.strictEqual(webhook.status, 200, webhook.text);
+    assert.strictEqual(webhook.body.result, 'booking_modified');
+
+    const [booking] = await server.query('SELECT payment_status, total_amount FROM bookings WHERE booking_id = ?', [bookingId]);
+    assert.deepStrictEqual(booking, { payment_status: 'unpaid', total_amount: modified.body.totalAmount });
+
+    const fresh = await server.request('POST', '/api/payments/intents', { bookingId, provider: 'card' });
+    assert.strictEqual(fresh.status, 201, fresh.text);
+    assert.strictEqual(fresh.body.amount, modified.body.totalAmount);
+});
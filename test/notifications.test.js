@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { startServer, sleep } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        CARD_CHECKOUT_URL: 'https://pay.example/checkout',
+        CARD_WEBHOOK_SECRET: 'test-card-secret'
+    });
+});
+
+after(() => server.stop());
+
+async function waitForOutbox(bookingId) {
+    for (let i = 0; i < 50; i++) {
+        const pending = await server.query("SELECT COUNT(*) AS count FROM notification_outbox WHERE booking_id = ? AND status = 'pending'", [bookingId]);
+        if (pending[0].count === 0) return;
+        await sleep(100);
+    }
+    throw new Error(`Notifications for ${bookingId} were not sent`);
+}
+
+test('notifications of a rolled back status change are never sent', async () => {
+    const flight = await server.createFlight();
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Pham Van Minh', email: 'minh@example.com', phone: '0912000001', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Pham Van Minh', passportNumber: 'P300001', type: 'adult' }]
+    });
+    await waitForOutbox(bookingId);
+
+    const intent = await server.request('POST', '/api/payments/intents', { bookingId, provider: 'card' });
+    assert.strictEqual(intent.status, 201, intent.text);
+
+    // Fail the payment record written after the booking became paid, so the whole change rolls back
+    const db = await server.openDatabase();
+    await db.exec(`
+        CREATE TRIGGER fail_payment_record BEFORE INSERT ON payments
+        BEGIN SELECT RAISE(ABORT, 'payment record refused'); END;
+    `);
+    await db.close();
+
+    const body = JSON.stringify({
+        eventId: 'evt-rollback',
+        intentId: intent.body.intentId,
+        status: 'succeeded',
+        amount: intent.body.amount,
+        transactionId: 'T-rollback'
+    });
+    const webhook = await server.request('POST', '/api/payments/webhooks/card', JSON.parse(body), {
+        headers: { 'X-Card-Signature': crypto.createHmac('sha256', 'test-card-secret').update(body).digest('hex') }
+    });
+    assert.strictEqual(webhook.status, 500);
+    await sleep(500);
+
+    const [booking] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+    assert.strictEqual(booking.payment_status, 'unpaid');
+
+    const queued = await server.query('SELECT notification_id, event_type FROM notification_outbox WHERE booking_id = ?', [bookingId]);
+    assert.deepStrictEqual(queued.map(notification => notification.event_type).filter(type => type !== 'booking_created'), []);
+
+    const queuedIds = new Set(queued.map(notification => notification.notification_id));
+    for (const sent of server.readNotifications()) {
+        assert.ok(queuedIds.has(sent.notificationId), `Sent a rolled back notification: ${sent.subject || sent.body}`);
+    }
+});
+
+test('a new booking is confirmed by email and SMS in the customer\'s language', async () => {
+    const flight = await server.createFlight();
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'John Tran', email: 'john.tran@example.com', phone: '0912000017', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'John Tran', passportNumber: 'P170001', type: 'adult' }],
+        locale: 'en'
+    });
+    await waitForOutbox(bookingId);
+
+    const sent = server.readNotifications().filter(notification => ['john.tran@example.com', '+84912000017'].includes(notification.to));
+    assert.deepStrictEqual(sent.map(notification => notification.channel).sort(), ['email', 'sms']);
+    const email = sent.find(notification => notification.channel === 'email');
+    assert.strictEqual(email.subject, `[FlyViet] Booking ${bookingId} confirmed`);
+    assert.match(email.body, /Booking management code: [A-Z0-9]+/);
+});
+
+test('staff can send a failed notification again', async () => {
+    const flight = await server.createFlight();
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Pham Thi Dao', email: 'dao@example.com', phone: '0912000018', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Pham Thi Dao', passportNumber: 'P170002', type: 'adult' }]
+    });
+    await waitForOutbox(bookingId);
+
+    const [email] = await server.query("SELECT notification_id FROM notification_outbox WHERE booking_id = ? AND channel = 'email'", [bookingId]);
+    assert.strictEqual((await server.admin('POST', `/api/admin/notifications/${email.notification_id}/retry`)).status, 409);
+
+    const db = await server.openDatabase();
+    await db.run("UPDATE notification_outbox SET status = 'failed', attempts = 5, last_error = 'SMTP timeout' WHERE notification_id = ?", [email.notification_id]);
+    await db.close();
+    const failed = await server.admin('GET', '/api/admin/notifications?status=failed');
+    assert.ok(failed.body.some(notification => notification.notificationId === email.notification_id));
+
+    const retried = await server.admin('POST', `/api/admin/notifications/${email.notification_id}/retry`);
+    assert.strictEqual(retried.status, 200, retried.text);
+    assert.deepStrictEqual([retried.body.status, retried.body.attempts], ['sent', 1]);
+    const deliveries = server.readNotifications().filter(notification => notification.notificationId === email.notification_id);
+    assert.strictEqual(deliveries.length, 2);
+});
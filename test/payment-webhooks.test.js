@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { startServer } = require('./helpers');
+
+let server;
+let flight;
+
+before(async () => {
+    server = await startServer({
+        CARD_CHECKOUT_URL: 'https://pay.example/checkout',
+        CARD_WEBHOOK_SECRET: 'test-card-secret'
+    });
+    flight = await server.createFlight();
+});
+
+after(() => server.stop());
+
+function cardWebhook(payload, secret = 'test-card-secret') {
+    const body = JSON.stringify(payload);
+    return server.request('POST', '/api/payments/webhooks/card', payload, {
+        headers: { 'X-Card-Signature': crypto.createHmac('sha256', secret).update(body).digest('hex') }
+    });
+}
+
+async function startCardPayment(fullName) {
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName, email: 'the.quoc.te@example.com', phone: '0912000015', seatClass: 'ECONOMY' },
+        passengers: [{ fullName, passportNumber: 'P150001', type: 'adult' }]
+    });
+    const intent = await server.request('POST', '/api/payments/intents', { bookingId, provider: 'card' });
+    assert.strictEqual(intent.status, 201, intent.text);
+    assert.match(intent.body.redirectUrl, /^https:\/\/pay\.example\/checkout\?/);
+    return { bookingId, intent: intent.body };
+}
+
+async function paymentStatus(bookingId) {
+    const [booking] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+    return booking.payment_status;
+}
+
+test('a signed webhook pays the booking once, however often it is delivered', async () => {
+    const { bookingId, intent } = await startCardPayment('Kieu Van Thang');
+    const event = { eventId: 'evt-paid', intentId: intent.intentId, status: 'succeeded', amount: intent.amount, transactionId: 'T-100' };
+
+    const first = await cardWebhook(event);
+    assert.strictEqual(first.body.result, 'paid', first.text);
+    assert.strictEqual(await paymentStatus(bookingId), 'paid');
+    const [stored] = await server.query('SELECT status, provider_reference FROM payment_intents WHERE intent_id = ?', [intent.intentId]);
+    assert.deepStrictEqual(stored, { status: 'succeeded', provider_reference: 'T-100' });
+
+    const replay = await cardWebhook(event);
+    assert.strictEqual(replay.body.result, 'already_processed');
+    assert.strictEqual((await server.query('SELECT * FROM payments WHERE booking_id = ?', [bookingId])).length, 1);
+
+    const another = await server.request('POST', '/api/payments/intents', { bookingId, provider: 'card' });
+    assert.strictEqual(another.status, 409);
+});
+
+test('webhooks with a bad signature or the wrong amount do not pay the booking', async () => {
+    const { bookingId, intent } = await startCardPayment('Kieu Thi Nhung');
+
+    const forged = await cardWebhook({ eventId: 'evt-forged', intentId: intent.intentId, status: 'succeeded', amount: intent.amount }, 'wrong-secret');
+    assert.strictEqual(forged.status, 400);
+
+    const short = await cardWebhook({ eventId: 'evt-short', intentId: intent.intentId, status: 'succeeded', amount: intent.amount - 1000, transactionId: 'T-101' });
+    assert.strictEqual(short.body.result, 'amount_mismatch');
+
+    const declined = await cardWebhook({ eventId: 'evt-declined', intentId: intent.intentId, status: 'failed', amount: intent.amount, failureReason: 'Card declined' });
+    assert.strictEqual(declined.body.result, 'failed');
+
+    assert.strictEqual(await paymentStatus(bookingId), 'unpaid');
+    const status = await server.request('GET', `/api/payments/intents/${intent.intentId}`);
+    assert.strictEqual(status.body.status, 'failed');
+});
+
+test('only enabled providers can start a payment', async () => {
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Kieu Van Son', email: 'the.quoc.te@example.com', phone: '0912000015', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Kieu Van Son', passportNumber: 'P150002', type: 'adult' }]
+    });
+    const mock = await server.request('POST', '/api/payments/intents', { bookingId, provider: 'mock' });
+    assert.strictEqual(mock.status, 400);
+    assert.ok(mock.body.availableProviders.includes('card'));
+});
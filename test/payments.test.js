@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, sleep } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let server;
+let flight;
+
+before(async () => {
+    server = await startServer();
+    flight = await server.createFlight();
+});
+
+after(() => server.stop());
+
+async function bookOne(fullName) {
+    return server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName, email: 'thanh.toan@example.com', phone: '0912000006', seatClass: 'ECONOMY' },
+        passengers: [{ fullName, passportNumber: 'P700001', type: 'adult' }]
+    });
+}
+
+async function getBooking(bookingId) {
+    const [booking] = await server.query('SELECT payment_status, hold_expires_at FROM bookings WHERE booking_id = ?', [bookingId]);
+    return booking;
+}
+
+test('reporting a payment needs the booking\'s manage code', async () => {
+    const { bookingId } = await bookOne('Dang Van Hai');
+    const reported = await server.request('POST', '/api/payments', { bookingId, method: 'bank_transfer', transactionInfo: 'CK 123' });
+    assert.strictEqual(reported.status, 404);
+    assert.strictEqual((await getBooking(bookingId)).payment_status, 'unpaid');
+    assert.deepStrictEqual(await server.query('SELECT * FROM payments WHERE booking_id = ?', [bookingId]), []);
+});
+
+test('a reported payment extends the hold once for review', async () => {
+    const { bookingId, manageCode } = await bookOne('Dang Thi Nga');
+    const heldUntil = (await getBooking(bookingId)).hold_expires_at;
+
+    const reported = await server.request('POST', '/api/payments', { bookingId, method: 'bank_transfer', transactionInfo: 'CK 456', manageCode });
+    assert.strictEqual(reported.status, 200, reported.text);
+    const afterReport = await getBooking(bookingId);
+    assert.strictEqual(afterReport.payment_status, 'pending');
+    assert.ok(new Date(afterReport.hold_expires_at) - Date.now() > 47 * HOUR_MS, afterReport.hold_expires_at);
+    assert.ok(afterReport.hold_expires_at > heldUntil);
+
+    const [payment] = await server.query('SELECT method, transaction_info FROM payments WHERE booking_id = ?', [bookingId]);
+    assert.deepStrictEqual(payment, { method: 'bank_transfer', transaction_info: 'CK 456' });
+
+    // Reporting again, even after staff put the booking back to unpaid, does not push the hold further
+    await sleep(20);
+    await server.request('POST', '/api/payments', { bookingId, method: 'bank_transfer', transactionInfo: 'CK 457', manageCode });
+    const unpaid = await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'unpaid' });
+    assert.strictEqual(unpaid.status, 200, unpaid.text);
+    await server.request('POST', '/api/payments', { bookingId, method: 'bank_transfer', transactionInfo: 'CK 458', manageCode });
+    const afterRepeats = await getBooking(bookingId);
+    assert.strictEqual(afterRepeats.payment_status, 'pending');
+    assert.strictEqual(afterRepeats.hold_expires_at, afterReport.hold_expires_at);
+});
+
+test('moving to pending through the status route extends the hold the same way', async () => {
+    const { bookingId, manageCode } = await bookOne('Dang Van Phuc');
+    const reported = await server.request('PATCH', `/api/bookings/${bookingId}/payment`, { paymentStatus: 'pending', manageCode });
+    assert.strictEqual(reported.status, 200, reported.text);
+    const booking = await getBooking(bookingId);
+    assert.strictEqual(booking.payment_status, 'pending');
+    assert.ok(new Date(booking.hold_expires_at) - Date.now() > 47 * HOUR_MS, booking.hold_expires_at);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// Days until a Tuesday at least `minimum` days ahead, so no weekday rule applies to an 08:00 local departure
+function daysToTuesday(minimum) {
+    const day = new Date(Date.now() + minimum * DAY_MS).getUTCDay();
+    return minimum + ((2 - day + 7) % 7);
+}
+
+const passenger = index => ({ fullName: `Ho Van Gia ${index}`, passportNumber: `P21000${index}`, type: 'adult' });
+
+function quote(flight, count) {
+    return server.request('POST', '/api/bookings/quote', {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Ho Van Gia', email: 'gia.ve@example.com', phone: '0912000023', seatClass: 'ECONOMY' },
+        passengers: Array.from({ length: count }, (_, index) => passenger(index + 1))
+    });
+}
+
+test('fares rise with the load factor, and search and quotes charge the same fare', async () => {
+    const flight = await server.createFlight({ seats_economy: 4 }, daysToTuesday(45));
+    const priced = async () => (await server.request('GET', `/api/flights/${flight.flight_id}`)).body.price_economy;
+    assert.strictEqual(await priced(), 1000000);
+
+    const first = await quote(flight, 2);
+    assert.strictEqual(first.body.totalAmount, 2000000);
+    const booked = await server.request('POST', '/api/bookings', {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Ho Van Gia', email: 'gia.ve@example.com', phone: '0912000023', seatClass: 'ECONOMY' },
+        passengers: [passenger(1), passenger(2)],
+        quoteId: first.body.quoteId
+    });
+    assert.strictEqual(booked.status, 201, booked.text);
+
+    // Half the seats sold: the default 50% load factor rule adds 10%
+    assert.strictEqual(await priced(), 1100000);
+    const second = await quote(flight, 1);
+    assert.strictEqual(second.body.legs[0].fare, 1100000);
+    assert.deepStrictEqual(second.body.legs[0].adjustments.map(adjustment => [adjustment.ruleType, adjustment.percent]), [['load_factor', 10]]);
+});
+
+test('the price curve previews the fare by load factor and days to departure, with class rules winning over ALL', async () => {
+    const flight = await server.createFlight({ seats_economy: 10 }, daysToTuesday(45));
+    const rule = await server.admin('POST', '/api/admin/fare-rules', {
+        ruleType: 'days_before', seatClass: 'ECONOMY', threshold: 7, adjustPercent: 50, description: 'Pho thong sat ngay'
+    });
+    assert.strictEqual(rule.status, 201, rule.text);
+
+    const curve = await server.admin('GET', `/api/admin/flights/${flight.flight_id}/price-curve?seatClass=ECONOMY`);
+    assert.strictEqual(curve.status, 200, curve.text);
+    assert.deepStrictEqual([curve.body.fare, curve.body.soldSeats, curve.body.remainingSeats], [1000000, 0, 10]);
+    const byLoadFactor = Object.fromEntries(curve.body.byLoadFactor.map(point => [point.loadFactor, point.fare]));
+    assert.deepStrictEqual([byLoadFactor[0], byLoadFactor[70], byLoadFactor[100]], [1000000, 1250000, 1700000]);
+    // Within 7 days only the ECONOMY rule applies; within 14 days the ALL rule still does
+    const byDaysBefore = Object.fromEntries(curve.body.byDaysBefore.map(point => [point.daysBefore, point.fare]));
+    assert.deepStrictEqual([byDaysBefore[30], byDaysBefore[10], byDaysBefore[5]], [1000000, 1100000, 1500000]);
+
+    assert.strictEqual((await server.admin('GET', `/api/admin/flights/${flight.flight_id}/price-curve?seatClass=FIRST`)).status, 400);
+    assert.strictEqual((await server.admin('POST', '/api/admin/fare-rules', { ruleType: 'weekday', matchValue: '8', adjustPercent: 5 })).status, 400);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+function cart(flight, email, passengerCount = 2) {
+    return {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Phan Van Khuyen', email, phone: '0912000025', seatClass: 'ECONOMY' },
+        passengers: Array.from({ length: passengerCount }, (_, index) => ({
+            fullName: `Phan Van Khuyen ${index + 1}`, passportNumber: `P25000${index + 1}`, type: 'adult'
+        }))
+    };
+}
+
+test('a promotion is checked against the cart and explains why it does not apply', async () => {
+    const created = await server.admin('POST', '/api/promotions/create', {
+        code: 'HANSGN20', name: 'Ha Noi - Sai Gon 20%', discount_type: 'percent', discount_value: 20,
+        routes: ['HAN-SGN'], seat_classes: ['ECONOMY'], airline_codes: ['VN'],
+        min_order_amount: 1500000, max_discount_amount: 300000, per_email_limit: 1
+    });
+    assert.strictEqual(created.status, 201, created.text);
+
+    const validate = async (flight, email, passengerCount) => {
+        const response = await server.request('POST', '/api/promotions/validate', { code: 'HANSGN20', ...cart(flight, email, passengerCount) });
+        return { ...response.body, rules: (response.body.reasons || []).map(reason => reason.rule) };
+    };
+
+    const onRoute = await server.createFlight({ flight_number: '251' });
+    const otherRoute = await server.createFlight({ flight_number: '252', arrival_airport: 'DAD' });
+    const otherAirline = await server.createFlight({ airline_code: 'VJ', flight_number: '253' });
+
+    assert.deepStrictEqual((await validate(onRoute, 'khuyen.mai@example.com', 1)).rules, ['min_order']);
+    assert.deepStrictEqual((await validate(otherRoute, 'khuyen.mai@example.com', 2)).rules, ['route']);
+    assert.deepStrictEqual((await validate(otherAirline, 'khuyen.mai@example.com', 2)).rules, ['airline']);
+
+    // 20% of two fares is over the 300,000 cap
+    const valid = await validate(onRoute, 'khuyen.mai@example.com', 2);
+    assert.strictEqual(valid.valid, true);
+    assert.deepStrictEqual([valid.discountAmount, valid.totalAmount], [300000, valid.subtotal - 300000]);
+
+    const booking = await server.book({ ...cart(onRoute, 'khuyen.mai@example.com'), promoCode: 'HANSGN20' });
+    assert.strictEqual(booking.totalAmount, valid.totalAmount);
+    assert.deepStrictEqual((await validate(onRoute, 'Khuyen.Mai@example.com', 2)).rules, ['email_limit']);
+    assert.strictEqual((await validate(onRoute, 'ban.khac@example.com', 2)).valid, true);
+});
+
+test('travel-date windows and first-booking promotions', async () => {
+    const flight = await server.createFlight({ flight_number: '254' }, 40);
+    const travelDate = flight.departureLocalTime.slice(0, 10);
+    assert.strictEqual((await server.admin('POST', '/api/promotions/create', {
+        code: 'LATETRAVEL', name: 'Bay muon', discount_type: 'fixed', discount_value: 100000, travel_from: '2099-01-01'
+    })).status, 201);
+    assert.strictEqual((await server.admin('POST', '/api/promotions/create', {
+        code: 'FIRSTTRIP', name: 'Chuyen bay dau tien', discount_type: 'fixed', discount_value: 100000,
+        first_booking_only: true, travel_to: travelDate
+    })).status, 201);
+
+    const late = await server.request('POST', '/api/promotions/validate', { code: 'LATETRAVEL', ...cart(flight, 'lan.dau@example.com') });
+    assert.deepStrictEqual([late.status, late.body.reasons.map(reason => reason.rule)], [404, ['travel_date']]);
+
+    const first = await server.request('POST', '/api/promotions/validate', { code: 'FIRSTTRIP', ...cart(flight, 'lan.dau@example.com') });
+    assert.strictEqual(first.status, 200, first.text);
+    await server.book(cart(flight, 'lan.dau@example.com', 1));
+    const second = await server.request('POST', '/api/promotions/validate', { code: 'FIRSTTRIP', ...cart(flight, 'lan.dau@example.com') });
+    assert.deepStrictEqual(second.body.reasons.map(reason => reason.rule), ['first_booking']);
+
+    const badRoute = await server.admin('POST', '/api/promotions/create', { code: 'BADROUTE', name: 'x', discount_type: 'fixed', discount_value: 1, routes: ['HAN-XYZ'] });
+    assert.strictEqual(badRoute.status, 400);
+});
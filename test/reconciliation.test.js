@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let flight;
+
+before(async () => {
+    server = await startServer();
+    flight = await server.createFlight();
+});
+
+after(() => server.stop());
+
+async function bookOne(fullName) {
+    return server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName, email: 'chuyen.khoan@example.com', phone: '0912000016', seatClass: 'ECONOMY' },
+        passengers: [{ fullName, passportNumber: 'P160001', type: 'adult' }]
+    });
+}
+
+function statement(lines) {
+    return ['Ngày giao dịch;Số tiền ghi có;Nội dung giao dịch;Số tham chiếu', ...lines.map(line => line.join(';'))].join('\n');
+}
+
+function importStatement(content) {
+    return server.admin('POST', '/api/admin/reconciliation/imports', { format: 'csv', fileName: 'sao-ke.csv', content });
+}
+
+async function paymentStatus(bookingId) {
+    const [booking] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+    return booking.payment_status;
+}
+
+test('a transfer naming the booking pays it, and importing the file again changes nothing', async () => {
+    const { bookingId, totalAmount } = await bookOne('Tong Van Hai');
+    const content = statement([
+        ['15/03/2030', totalAmount, `CK thanh toan ve ${bookingId.slice(0, 4)} ${bookingId.slice(4)}`, 'FT001'],
+        ['15/03/2030', 500000, 'Chuyen tien khong ro noi dung', 'FT002']
+    ]);
+
+    const imported = await importStatement(content);
+    assert.strictEqual(imported.status, 201, imported.text);
+    assert.deepStrictEqual(imported.body.summary, { matched: 1, unmatched: 1, partial: 0, overpaid: 0 });
+    assert.strictEqual(imported.body.transactions[0].bookingId, bookingId);
+    assert.strictEqual(await paymentStatus(bookingId), 'paid');
+    const [payment] = await server.query('SELECT method FROM payments WHERE booking_id = ?', [bookingId]);
+    assert.strictEqual(payment.method, 'bank_transfer');
+
+    const again = await importStatement(content);
+    assert.strictEqual(again.status, 201, again.text);
+    assert.deepStrictEqual([again.body.transactionCount, again.body.skippedCount], [0, 2]);
+});
+
+test('a booking paid in two transfers is confirmed by the second one', async () => {
+    const { bookingId, totalAmount } = await bookOne('Tong Thi Ha');
+    const half = Math.floor(totalAmount / 2);
+
+    const first = await importStatement(statement([['16/03/2030', half, `${bookingId} phan 1`, 'FT010']]));
+    assert.deepStrictEqual(first.body.summary, { matched: 0, unmatched: 0, partial: 1, overpaid: 0 });
+    assert.strictEqual(await paymentStatus(bookingId), 'unpaid');
+
+    const second = await importStatement(statement([['17/03/2030', totalAmount - half, `${bookingId} phan 2`, 'FT011']]));
+    assert.deepStrictEqual(second.body.summary, { matched: 1, unmatched: 0, partial: 0, overpaid: 0 });
+    assert.strictEqual(await paymentStatus(bookingId), 'paid');
+    const parts = await server.query('SELECT match_status FROM bank_transactions WHERE booking_id = ?', [bookingId]);
+    assert.deepStrictEqual(parts.map(part => part.match_status), ['matched', 'matched']);
+});
+
+test('a statement without a recognisable header is refused', async () => {
+    const refused = await importStatement('foo;bar\n1;2');
+    assert.strictEqual(refused.status, 400);
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+async function paidBooking(flight, names) {
+    const { bookingId, totalAmount } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: names[0], email: 'hoan.tien@example.com', phone: '0912000014', seatClass: 'ECONOMY' },
+        passengers: names.map((fullName, index) => ({ fullName, passportNumber: `P14000${index}`, type: 'adult' }))
+    });
+    const paid = await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    assert.strictEqual(paid.status, 200, paid.text);
+    const passengers = await server.query('SELECT detail_id FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [bookingId]);
+    return { bookingId, totalAmount, passengerIds: passengers.map(passenger => passenger.detail_id) };
+}
+
+async function seatsLeft(flight) {
+    const [row] = await server.query('SELECT seats_economy FROM flights WHERE flight_id = ?', [flight.flight_id]);
+    return row.seats_economy;
+}
+
+test('refunding one passenger charges the fee for the time left and gives one seat back', async () => {
+    const flight = await server.createFlight({ seats_economy: 10 }, 30);
+    const { bookingId, totalAmount, passengerIds } = await paidBooking(flight, ['Dinh Van Lam', 'Dinh Thi Hue']);
+    assert.strictEqual(await seatsLeft(flight), 8);
+
+    const requested = await server.admin('POST', `/api/admin/bookings/${bookingId}/refunds`, { reason: 'Doi lich', passengerIds: [passengerIds[0]] });
+    assert.strictEqual(requested.status, 201, requested.text);
+    const refund = requested.body;
+    // More than 7 days before departure: 10% of that passenger's share
+    assert.strictEqual(refund.scope, 'partial');
+    assert.strictEqual(refund.fareAmount, totalAmount / 2);
+    assert.strictEqual(refund.feeAmount, Math.round(totalAmount / 2 * 0.1));
+    assert.strictEqual(refund.amount, refund.fareAmount - refund.feeAmount);
+
+    const again = await server.admin('POST', `/api/admin/bookings/${bookingId}/refunds`, { reason: 'Lan nua', passengerIds: [passengerIds[0]] });
+    assert.strictEqual(again.status, 409);
+
+    assert.strictEqual((await server.admin('POST', `/api/admin/refunds/${refund.refundId}/complete`, {})).status, 409);
+    assert.strictEqual((await server.admin('POST', `/api/admin/refunds/${refund.refundId}/approve`, {})).status, 200);
+    const completed = await server.admin('POST', `/api/admin/refunds/${refund.refundId}/complete`, { transactionReference: 'HT-001' });
+    assert.strictEqual(completed.status, 200, completed.text);
+    assert.strictEqual(completed.body.status, 'completed');
+
+    assert.strictEqual(await seatsLeft(flight), 9);
+    const [booking] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+    assert.strictEqual(booking.payment_status, 'paid');
+});
+
+test('the last refunded ticket closes the booking, and fees follow the departure time', async () => {
+    const flight = await server.createFlight({ seats_economy: 10 }, 2);
+    const { bookingId, totalAmount } = await paidBooking(flight, ['Quach Van Khai']);
+
+    const preview = await server.admin('POST', `/api/admin/bookings/${bookingId}/refunds/preview`, {});
+    assert.strictEqual(preview.status, 200, preview.text);
+    // Between one and three days before departure: 50%
+    assert.strictEqual(preview.body.feeAmount, Math.round(totalAmount * 0.5));
+
+    const waived = await server.admin('POST', `/api/admin/bookings/${bookingId}/refunds`, { reason: 'Hang bay doi gio', waiveFees: true });
+    assert.strictEqual(waived.status, 201, waived.text);
+    assert.deepStrictEqual([waived.body.scope, waived.body.feeAmount, waived.body.amount], ['full', 0, totalAmount]);
+
+    await server.admin('POST', `/api/admin/refunds/${waived.body.refundId}/approve`, {});
+    await server.admin('POST', `/api/admin/refunds/${waived.body.refundId}/complete`, {});
+    const [booking] = await server.query('SELECT payment_status FROM bookings WHERE booking_id = ?', [bookingId]);
+    assert.strictEqual(booking.payment_status, 'refunded');
+    assert.strictEqual(await seatsLeft(flight), 10);
+});
+
+test('a rejected refund needs a note and frees the tickets for a new request', async () => {
+    const flight = await server.createFlight({}, 30);
+    const { bookingId } = await paidBooking(flight, ['Ha Van Toan']);
+    const requested = await server.admin('POST', `/api/admin/bookings/${bookingId}/refunds`, { reason: 'Ly do ca nhan' });
+
+    assert.strictEqual((await server.admin('POST', `/api/admin/refunds/${requested.body.refundId}/reject`, {})).status, 400);
+    const rejected = await server.admin('POST', `/api/admin/refunds/${requested.body.refundId}/reject`, { note: 'Thieu giay to' });
+    assert.strictEqual(rejected.body.status, 'rejected');
+
+    const retried = await server.admin('POST', `/api/admin/bookings/${bookingId}/refunds`, { reason: 'Ly do ca nhan' });
+    assert.strictEqual(retried.status, 201, retried.text);
+});
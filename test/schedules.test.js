@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// A Monday about 100 days ahead; the season covers two Mondays and two Wednesdays
+function seasonStart() {
+    const date = new Date(Date.now() + 100 * DAY_MS);
+    date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7));
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+test('a schedule generates one flight per operating day, in local time, and regenerating keeps booked flights', async () => {
+    const start = seasonStart();
+    const created = await server.admin('POST', '/api/admin/schedules', {
+        airlineCode: 'VN',
+        flightNumber: '555',
+        departureAirport: 'HAN',
+        arrivalAirport: 'SGN',
+        daysOfWeek: [1, 3],
+        departureTime: '07:30',
+        blockMinutes: 130,
+        prices: { ECONOMY: 1100000 },
+        seats: { ECONOMY: 30 },
+        seasonStart: start,
+        seasonEnd: addDays(start, 13)
+    });
+    assert.strictEqual(created.status, 201, created.text);
+    const scheduleId = created.body.scheduleId;
+    const generate = body => server.admin('POST', `/api/admin/schedules/${scheduleId}/generate`, body);
+
+    const preview = await generate({ dryRun: true });
+    assert.strictEqual(preview.body.created.length, 4);
+    assert.deepStrictEqual(await server.query('SELECT flight_id FROM flights WHERE schedule_id = ?', [scheduleId]), []);
+
+    const generated = await generate({});
+    assert.strictEqual(generated.status, 200, generated.text);
+    const flights = await server.query('SELECT * FROM flights WHERE schedule_id = ? ORDER BY departure_time', [scheduleId]);
+    assert.deepStrictEqual(
+        flights.map(flight => flight.departure_time),
+        [0, 2, 7, 9].map(days => `${addDays(start, days)}T00:30:00.000Z`)
+    );
+    assert.strictEqual(Date.parse(flights[0].arrival_time) - Date.parse(flights[0].departure_time), 130 * 60 * 1000);
+    assert.deepStrictEqual([flights[0].seats_economy, flights[0].price_economy], [30, 1100000]);
+
+    assert.strictEqual((await generate({})).body.unchanged.length, 4);
+
+    await server.book({
+        departureFlightId: flights[0].flight_id,
+        customerInfo: { fullName: 'Vo Van Tam', email: 'lich.bay@example.com', phone: '0912000022', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Vo Van Tam', passportNumber: 'P220001', type: 'adult' }]
+    });
+    const retimed = await server.admin('PUT', `/api/admin/schedules/${scheduleId}`, { departureTime: '09:00' });
+    assert.strictEqual(retimed.status, 200, retimed.text);
+    const regenerated = await generate({});
+    assert.deepStrictEqual([regenerated.body.keptBooked.length, regenerated.body.updated.length], [1, 3]);
+    const [kept] = await server.query('SELECT departure_time FROM flights WHERE flight_id = ?', [flights[0].flight_id]);
+    assert.strictEqual(kept.departure_time, flights[0].departure_time);
+});
+
+test('a flight number cannot have two schedules on the same days', async () => {
+    const start = seasonStart();
+    const schedule = {
+        airlineCode: 'VN', flightNumber: '557', departureAirport: 'SGN', arrivalAirport: 'HAN',
+        daysOfWeek: '135', departureTime: '18:00', blockMinutes: 125,
+        prices: { ECONOMY: 1000000 }, seats: { ECONOMY: 20 },
+        seasonStart: start, seasonEnd: addDays(start, 30)
+    };
+    assert.strictEqual((await server.admin('POST', '/api/admin/schedules', schedule)).status, 201);
+    const overlapping = await server.admin('POST', '/api/admin/schedules', { ...schedule, daysOfWeek: [5, 6], seasonStart: addDays(start, 7) });
+    assert.strictEqual(overlapping.status, 409);
+    const otherDays = await server.admin('POST', '/api/admin/schedules', { ...schedule, daysOfWeek: [2, 4], seasonStart: addDays(start, 7) });
+    assert.strictEqual(otherDays.status, 201, otherDays.text);
+
+    assert.strictEqual((await server.admin('POST', '/api/admin/schedules', { ...schedule, flightNumber: '559', daysOfWeek: [8] })).status, 400);
+});
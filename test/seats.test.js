@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+async function seatMap(flightId) {
+    const map = await server.request('GET', `/api/flights/${flightId}/seats`);
+    assert.strictEqual(map.status, 200, map.text);
+    return map.body.cabins.find(cabin => cabin.seatClass === 'ECONOMY');
+}
+
+function bookingFor(flight, fullName, seatNumber) {
+    return {
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName, email: 'cho.ngoi@example.com', phone: '0912000012', seatClass: 'ECONOMY' },
+        passengers: [{ fullName, passportNumber: 'P120001', type: 'adult', seatNumber }]
+    };
+}
+
+test('a chosen seat is held for one passenger and can be changed with the manage code', async () => {
+    const flight = await server.createFlight({ seats_economy: 12 });
+    const cabin = await seatMap(flight.flight_id);
+    assert.strictEqual(cabin.totalSeats, 12);
+    const [first, second] = cabin.rows[0].seats.map(seat => seat.seatNumber);
+
+    const { bookingId, manageCode } = await server.book(bookingFor(flight, 'Mai Van Tien', first));
+    const taken = (await seatMap(flight.flight_id)).rows[0].seats.find(seat => seat.seatNumber === first);
+    assert.strictEqual(taken.available, false);
+
+    const quote = await server.request('POST', '/api/bookings/quote', bookingFor(flight, 'Mai Thi Lan', first));
+    const clash = await server.request('POST', '/api/bookings', { ...bookingFor(flight, 'Mai Thi Lan', first), quoteId: quote.body.quoteId });
+    assert.strictEqual(clash.status, 409, clash.text);
+
+    const [passenger] = await server.query('SELECT detail_id FROM booking_details WHERE booking_id = ?', [bookingId]);
+    const url = `/api/bookings/${bookingId}/passengers/${passenger.detail_id}/seat`;
+    assert.strictEqual((await server.request('PUT', url, { flightId: flight.flight_id, seatNumber: second })).status, 404);
+
+    const moved = await server.request('PUT', url, { flightId: flight.flight_id, seatNumber: second.toLowerCase(), manageCode });
+    assert.strictEqual(moved.status, 200, moved.text);
+    const seats = (await seatMap(flight.flight_id)).rows[0].seats;
+    assert.deepStrictEqual(
+        seats.filter(seat => [first, second].includes(seat.seatNumber)).map(seat => seat.available),
+        [true, false]
+    );
+});
+
+test('adding seats to a flight grows its seat map', async () => {
+    const flight = await server.createFlight({ seats_economy: 12 });
+    assert.strictEqual((await seatMap(flight.flight_id)).totalSeats, 12);
+
+    const updated = await server.admin('PUT', `/api/flights/${flight.flight_id}`, { ...flight, seats_economy: 18 });
+    assert.strictEqual(updated.status, 200, updated.text);
+    const cabin = await seatMap(flight.flight_id);
+    assert.strictEqual(cabin.totalSeats, 18);
+    assert.strictEqual(cabin.availableSeats, 18);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const NO_SECRETS = { TICKET_SECRET: '', QUOTE_SIGNING_SECRET: '', PAYMENT_SIGNING_SECRET: '' };
+
+test('production refuses to start without the signing secrets', async () => {
+    await assert.rejects(
+        startServer({ ...NO_SECRETS, NODE_ENV: 'production' }),
+        /exited with code 1[\s\S]*TICKET_SECRET, QUOTE_SIGNING_SECRET, PAYMENT_SIGNING_SECRET/
+    );
+});
+
+test('development starts without the signing secrets and can still quote', async () => {
+    const server = await startServer({ ...NO_SECRETS, NODE_ENV: 'development' });
+    try {
+        const flight = await server.createFlight();
+        const { bookingId } = await server.book({
+            departureFlightId: flight.flight_id,
+            customerInfo: { fullName: 'Ngo Van Binh', email: 'ngo.binh@example.com', phone: '0912000007', seatClass: 'ECONOMY' },
+            passengers: [{ fullName: 'Ngo Van Binh', passportNumber: 'P800001', type: 'adult' }]
+        });
+        assert.match(bookingId, /^[A-Z0-9]{10}$/);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { startServer } = require('./helpers');
+
+let server;
+let range;
+
+before(async () => {
+    server = await startServer();
+    const flight = await server.createFlight();
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Cao Van Duc', email: 'cao.duc@example.com', phone: '0912000013', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Cao Van Duc', passportNumber: 'P130001', type: 'adult' }]
+    });
+    const paid = await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    assert.strictEqual(paid.status, 200, paid.text);
+
+    const today = new Date().toISOString().slice(0, 10);
+    range = `fromDate=${today}&toDate=${today}`;
+});
+
+after(() => server.stop());
+
+async function download(format) {
+    const response = await fetch(`${server.baseUrl}/api/admin/statistics/export?format=${format}&${range}`, {
+        headers: { Authorization: `Bearer ${await server.adminToken()}` }
+    });
+    assert.strictEqual(response.status, 200);
+    return { type: response.headers.get('content-type'), data: Buffer.from(await response.arrayBuffer()) };
+}
+
+test('the Excel export is a real workbook with the same figures as the JSON report', async () => {
+    const report = (await server.admin('GET', `/api/admin/statistics/export?format=json&${range}`)).body;
+    assert.ok(report.coreStats.totalBookings >= 1);
+
+    const { type, data } = await download('excel');
+    assert.match(type, /spreadsheetml/);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(data);
+
+    const overview = workbook.getWorksheet('Tổng quan');
+    const values = {};
+    overview.eachRow((row, rowNumber) => {
+        if (rowNumber > 1) values[row.getCell(1).value] = row.getCell(2).value;
+    });
+    assert.strictEqual(values['Tổng đơn đặt vé'], report.coreStats.totalBookings);
+    assert.strictEqual(values['Doanh thu thuần'], report.coreStats.totalRevenue);
+    assert.strictEqual(workbook.getWorksheet('Tuyến phổ biến').getRow(2).getCell(1).value, 'HAN');
+});
+
+test('the PDF export is a PDF document', async () => {
+    const { type, data } = await download('pdf');
+    assert.strictEqual(type, 'application/pdf');
+    assert.strictEqual(data.subarray(0, 5).toString(), '%PDF-');
+    assert.ok(data.length > 1000);
+});
+
+test('exports need the finance role and a known format', async () => {
+    assert.strictEqual((await server.request('GET', `/api/admin/statistics/export?format=excel&${range}`)).status, 401);
+    assert.strictEqual((await server.admin('GET', `/api/admin/statistics/export?format=docx&${range}`)).status, 400);
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// Same format as the QR codes printed on the documents, signed with the test TICKET_SECRET
+function ticketCode(...parts) {
+    const payload = ['FV1', ...parts].join('.');
+    return `${payload}.${crypto.createHmac('sha256', 'test-ticket-secret').update(payload).digest('hex').slice(0, 24)}`;
+}
+
+async function download(url) {
+    const response = await fetch(server.baseUrl + url);
+    return { status: response.status, type: response.headers.get('content-type'), data: Buffer.from(await response.arrayBuffer()) };
+}
+
+test('paying a booking issues ticket numbers, a receipt and an e-ticket per passenger', async () => {
+    const flight = await server.createFlight();
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Lam Van Phong', email: 've.dien.tu@example.com', phone: '0912000019', seatClass: 'ECONOMY' },
+        passengers: [
+            { fullName: 'Lam Van Phong', passportNumber: 'P190001', type: 'adult' },
+            { fullName: 'Lam Thi Cuc', passportNumber: 'P190002', type: 'adult' }
+        ]
+    });
+    assert.strictEqual((await download(`/api/bookings/${bookingId}/receipt`)).status, 409);
+
+    await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    const passengers = await server.query('SELECT detail_id, ticket_number FROM booking_details WHERE booking_id = ? ORDER BY detail_id', [bookingId]);
+    assert.ok(passengers.every(passenger => passenger.ticket_number));
+    assert.notStrictEqual(passengers[0].ticket_number, passengers[1].ticket_number);
+
+    const receipt = await download(`/api/bookings/${bookingId}/receipt`);
+    assert.strictEqual(receipt.status, 200);
+    assert.strictEqual(receipt.type, 'application/pdf');
+    assert.strictEqual(receipt.data.subarray(0, 5).toString(), '%PDF-');
+
+    const eticket = await download(`/api/bookings/${bookingId}/passengers/${passengers[1].detail_id}/ticket`);
+    assert.strictEqual(eticket.status, 200);
+    assert.strictEqual(eticket.data.subarray(0, 5).toString(), '%PDF-');
+    assert.strictEqual((await download(`/api/bookings/${bookingId}/passengers/999999/ticket`)).status, 404);
+});
+
+test('scanned codes are only valid when genuine and while the booking is paid', async () => {
+    const flight = await server.createFlight();
+    const { bookingId } = await server.book({
+        departureFlightId: flight.flight_id,
+        customerInfo: { fullName: 'Lam Van Quy', email: 've.dien.tu@example.com', phone: '0912000019', seatClass: 'ECONOMY' },
+        passengers: [{ fullName: 'Lam Van Quy', passportNumber: 'P190003', type: 'adult' }]
+    });
+    await server.admin('PATCH', `/api/admin/bookings/${bookingId}/payment`, { paymentStatus: 'paid' });
+    const [passenger] = await server.query('SELECT ticket_number FROM booking_details WHERE booking_id = ?', [bookingId]);
+
+    const verify = code => server.request('GET', `/api/tickets/verify?code=${encodeURIComponent(code)}`);
+    const genuine = await verify(ticketCode('T', bookingId, passenger.ticket_number));
+    assert.strictEqual(genuine.status, 200, genuine.text);
+    assert.deepStrictEqual([genuine.body.valid, genuine.body.type, genuine.body.passengers.length], [true, 'eticket', 1]);
+
+    const forged = ticketCode('R', bookingId).replace(/.$/, character => (character === '0' ? '1' : '0'));
+    assert.strictEqual((await verify(forged)).status, 400);
+
+    const refund = await server.admin('POST', `/api/admin/bookings/${bookingId}/refunds`, { reason: 'Huy chuyen', waiveFees: true });
+    await server.admin('POST', `/api/admin/refunds/${refund.body.refundId}/approve`, {});
+    await server.admin('POST', `/api/admin/refunds/${refund.body.refundId}/complete`, {});
+    const afterRefund = await verify(ticketCode('R', bookingId));
+    assert.deepStrictEqual([afterRefund.body.valid, afterRefund.body.paymentStatus], [false, 'refunded']);
+});
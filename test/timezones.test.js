@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DAY_MS } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+function localDate(daysAhead) {
+    return new Date(Date.now() + daysAhead * DAY_MS).toISOString().slice(0, 10);
+}
+
+test('local times are stored in UTC and shown with each airport\'s offset', async () => {
+    const airport = await server.admin('POST', '/api/admin/airports', {
+        code: 'NRT', name: 'Narita International Airport', city: 'Tokyo', country: 'JP', timezone: 'Asia/Tokyo'
+    });
+    assert.strictEqual(airport.status, 201, airport.text);
+
+    // 05:30 in Hanoi is 22:30 UTC the day before; 12:45 in Tokyo is 03:45 UTC
+    const day = localDate(60);
+    const flight = await server.createFlight({
+        flight_number: '310',
+        arrival_airport: 'NRT',
+        departure_time: `${day}T05:30`,
+        arrival_time: `${day}T12:45`
+    });
+    const previousDay = new Date(Date.parse(`${day}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+    assert.strictEqual(flight.departure_time, `${previousDay}T22:30:00.000Z`);
+    assert.strictEqual(flight.arrival_time, `${day}T03:45:00.000Z`);
+    assert.strictEqual(flight.departureLocalTime, `${day}T05:30:00+07:00`);
+    assert.strictEqual(flight.arrivalLocalTime, `${day}T12:45:00+09:00`);
+    assert.deepStrictEqual([flight.departureTime, flight.arrivalTime, flight.arrivalTimezone], ['05:30', '12:45', 'Asia/Tokyo']);
+    assert.deepStrictEqual([flight.durationMinutes, flight.duration], [315, '5h 15m']);
+
+    const search = departDate => server.request('GET', `/api/flights?departure=HAN&destination=NRT&departDate=${departDate}`);
+    assert.deepStrictEqual((await search(day)).body.map(found => found.flight_id), [flight.flight_id]);
+    assert.deepStrictEqual((await search(previousDay)).body, []);
+});
+
+test('flight times must be readable and arrive after departure', async () => {
+    const day = localDate(61);
+    const create = times => server.admin('POST', '/api/flights', {
+        airline_code: 'VN', flight_number: '311', departure_airport: 'HAN', arrival_airport: 'SGN',
+        price_economy: 1000000, seats_economy: 10, available_classes: 'ECONOMY', ...times
+    });
+    assert.strictEqual((await create({ departure_time: `${day}T09:00`, arrival_time: `${day}T08:00` })).status, 400);
+    assert.strictEqual((await create({ departure_time: 'tomorrow', arrival_time: `${day}T08:00` })).status, 400);
+    assert.strictEqual((await server.admin('POST', '/api/admin/airports', { code: 'XXA', name: 'X', city: 'X', timezone: 'Mars/Olympus' })).status, 400);
+});